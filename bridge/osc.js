@@ -0,0 +1,126 @@
+/**
+ * INNER REFLECTION - OSC Codec
+ *
+ * Minimal OSC 1.0 encoder/decoder for the relay.
+ * Supports int32 (i), float32 (f), string (s), true/false (T/F) and bundles.
+ */
+
+// OSC strings are null-terminated and padded to 4 bytes
+function padSize(length) {
+    return (length + 4) & ~3;
+}
+
+function encodeString(value) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    const buffer = Buffer.alloc(padSize(bytes.length));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+function readString(buffer, offset) {
+    let end = offset;
+    while (end < buffer.length && buffer[end] !== 0) end++;
+    return {
+        value: buffer.toString('utf8', offset, end),
+        offset: offset + padSize(end - offset)
+    };
+}
+
+/**
+ * Encode a single message. Numbers become floats unless wrapped as { type: 'i', value }.
+ */
+function encodeMessage(address, args = []) {
+    let typeTags = ',';
+    const parts = [];
+
+    args.forEach((arg) => {
+        if (arg && typeof arg === 'object' && arg.type === 'i') {
+            typeTags += 'i';
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32BE(arg.value | 0);
+            parts.push(buffer);
+        } else if (typeof arg === 'number') {
+            typeTags += 'f';
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(arg);
+            parts.push(buffer);
+        } else if (typeof arg === 'boolean') {
+            typeTags += arg ? 'T' : 'F';
+        } else {
+            typeTags += 's';
+            parts.push(encodeString(arg));
+        }
+    });
+
+    return Buffer.concat([encodeString(address), encodeString(typeTags), ...parts]);
+}
+
+/**
+ * Encode several messages as one immediate bundle
+ */
+function encodeBundle(messages) {
+    const timetag = Buffer.alloc(8);
+    timetag.writeUInt32BE(1, 4);  // 1 = "immediately"
+
+    const elements = messages.map(({ address, args }) => {
+        const message = encodeMessage(address, args);
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(message.length);
+        return Buffer.concat([size, message]);
+    });
+
+    return Buffer.concat([encodeString('#bundle'), timetag, ...elements]);
+}
+
+function decodeMessage(buffer) {
+    const address = readString(buffer, 0);
+    const tags = readString(buffer, address.offset);
+    let offset = tags.offset;
+    const args = [];
+
+    for (const tag of tags.value.slice(1)) {
+        if (tag === 'i') {
+            args.push(buffer.readInt32BE(offset));
+            offset += 4;
+        } else if (tag === 'f') {
+            args.push(buffer.readFloatBE(offset));
+            offset += 4;
+        } else if (tag === 'd') {
+            args.push(buffer.readDoubleBE(offset));
+            offset += 8;
+        } else if (tag === 's') {
+            const str = readString(buffer, offset);
+            args.push(str.value);
+            offset = str.offset;
+        } else if (tag === 'T') {
+            args.push(true);
+        } else if (tag === 'F') {
+            args.push(false);
+        } else {
+            throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+
+    return { address: address.value, args };
+}
+
+/**
+ * Decode a packet into a flat list of messages (bundles are unpacked)
+ */
+function decodePacket(buffer) {
+    if (buffer.toString('utf8', 0, 8) !== '#bundle\0') {
+        return [decodeMessage(buffer)];
+    }
+
+    const messages = [];
+    let offset = 16;  // '#bundle\0' + 8-byte timetag
+    while (offset + 4 <= buffer.length) {
+        const size = buffer.readInt32BE(offset);
+        offset += 4;
+        messages.push(...decodePacket(buffer.subarray(offset, offset + size)));
+        offset += size;
+    }
+    return messages;
+}
+
+module.exports = { encodeMessage, encodeBundle, decodeMessage, decodePacket };
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * INNER REFLECTION - OSC / WebSocket Relay
+ *
+ * Small local relay between the browser piece and external show control.
+ * No npm dependencies - run it with plain Node:
+ *
+ *   node bridge/relay.js [--host 127.0.0.1] [--ws-port 8090]
+ *                        [--osc-in-host 127.0.0.1] [--osc-in-port 9000]
+ *                        [--osc-out-host 127.0.0.1] [--osc-out-port 9001] [--prefix /ir]
+ *
+ * Then open the piece with ?bridge=ws://localhost:8090 (or connect from the debug panel).
+ * Both inputs only listen on this machine by default; anyone who can reach them can
+ * drive the piece. Pass --host / --osc-in-host 0.0.0.0 for a controller or desk elsewhere.
+ *
+ * WebSocket clients send { type: 'hello', role: 'app' | 'controller' } first.
+ *   - controller -> app:  { type: 'command', command, args }
+ *   - app -> controllers: { type: 'state', ... } and { type: 'error', ... }
+ *
+ * OSC in (UDP):  <prefix>/<command> args...     e.g. /ir/setStateDimension "blur" 0.3
+ *                                                    /ir/applyPreset "halo" 6
+ *                                                    /ir/setFocus 1 0.8
+ *                                                    /ir/setMuted 0
+ * OSC out (UDP): one bundle per state broadcast, one message per numeric value,
+ *                e.g. /ir/visual/blur 0.2, /ir/face/headYaw -0.1, /ir/hand/positions/0/x 0.4
+ */
+
+const http = require('http');
+const dgram = require('dgram');
+const { acceptUpgrade } = require('./websocket');
+const { encodeBundle, decodePacket } = require('./osc');
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    wsPort: 8090,
+    oscInHost: '127.0.0.1',
+    oscInPort: 9000,
+    oscOutHost: '127.0.0.1',
+    oscOutPort: 9001,
+    prefix: '/ir',
+    log: true
+};
+
+/**
+ * Flatten a state snapshot into OSC messages (numbers and booleans only)
+ */
+function stateToOsc(prefix, state) {
+    const messages = [];
+    const walk = (path, value) => {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            messages.push({ address: path, args: [value] });
+        } else if (typeof value === 'boolean') {
+            messages.push({ address: path, args: [value ? 1 : 0] });
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => walk(`${path}/${key}`, child));
+        }
+    };
+
+    ['visual', 'audio', 'face', 'hand'].forEach((section) => {
+        if (state[section]) walk(`${prefix}/${section}`, state[section]);
+    });
+    return messages;
+}
+
+function createRelay(options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const log = (...args) => config.log && console.log('Relay:', ...args);
+
+    const clients = new Set();
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Inner Reflection relay\n');
+    });
+    const oscSocket = dgram.createSocket('udp4');
+
+    const broadcast = (role, message) => {
+        const text = JSON.stringify(message);
+        clients.forEach((client) => {
+            if (client.role === role) client.connection.send(text);
+        });
+    };
+
+    const sendCommand = (command, args, source) => {
+        log(`${source} -> ${command}`, JSON.stringify(args));
+        broadcast('app', { type: 'command', command, args });
+    };
+
+    // === WEBSOCKET SIDE ===
+    server.on('upgrade', (req, socket, head) => {
+        const connection = acceptUpgrade(req, socket, head);
+        if (!connection) return;
+
+        const client = { connection, role: 'controller' };
+        clients.add(client);
+
+        connection.on('message', (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (e) {
+                return;
+            }
+
+            if (message.type === 'hello') {
+                client.role = message.role === 'app' ? 'app' : 'controller';
+                log(`${client.role} connected`);
+            } else if (message.type === 'command' && client.role === 'controller') {
+                sendCommand(message.command, message.args || [], 'ws');
+            } else if (message.type === 'state' && client.role === 'app') {
+                broadcast('controller', message);
+                const messages = stateToOsc(config.prefix, message);
+                if (messages.length > 0) {
+                    oscSocket.send(encodeBundle(messages), config.oscOutPort, config.oscOutHost);
+                }
+            } else if (message.type === 'error' && client.role === 'app') {
+                broadcast('controller', message);
+            }
+        });
+        connection.on('close', () => clients.delete(client));
+        connection.on('error', () => clients.delete(client));
+    });
+
+    // === OSC SIDE ===
+    oscSocket.on('message', (buffer) => {
+        let messages;
+        try {
+            messages = decodePacket(buffer);
+        } catch (error) {
+            log('Bad OSC packet:', error.message);
+            return;
+        }
+
+        messages.forEach(({ address, args }) => {
+            if (!address.startsWith(`${config.prefix}/`)) return;
+            const command = address.slice(config.prefix.length + 1);
+            if (!command || command.includes('/')) return;
+            sendCommand(command, args, 'osc');
+        });
+    });
+
+    return {
+        config,
+        clients,
+
+        // Rejects when a port can't be opened (EADDRINUSE, EACCES, ...)
+        start() {
+            const listen = (target, open) => new Promise((resolve, reject) => {
+                target.once('error', reject);
+                open(() => {
+                    target.off('error', reject);
+                    resolve();
+                });
+            });
+
+            return Promise.all([
+                listen(server, done => server.listen(config.wsPort, config.host, done)),
+                listen(oscSocket, done => oscSocket.bind(config.oscInPort, config.oscInHost, done))
+            ]).then(() => {
+                config.wsPort = server.address().port;
+                config.oscInPort = oscSocket.address().port;
+                log(`WebSocket on ws://${config.host}:${config.wsPort}, ` +
+                    `OSC in on udp ${config.oscInHost}:${config.oscInPort}, ` +
+                    `OSC out to ${config.oscOutHost}:${config.oscOutPort}`);
+                return config;
+            });
+        },
+
+        stop() {
+            clients.forEach(({ connection }) => connection.close());
+            clients.clear();
+            return Promise.all([
+                new Promise((resolve) => server.close(() => resolve())),
+                new Promise((resolve) => oscSocket.close(resolve))
+            ]);
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const flags = {
+        '--host': ['host', String],
+        '--ws-port': ['wsPort', Number],
+        '--osc-in-host': ['oscInHost', String],
+        '--osc-in-port': ['oscInPort', Number],
+        '--osc-out-host': ['oscOutHost', String],
+        '--osc-out-port': ['oscOutPort', Number],
+        '--prefix': ['prefix', String]
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const flag = flags[argv[i]];
+        if (!flag || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        options[flag[0]] = flag[1](argv[i + 1]);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let relay;
+    try {
+        relay = createRelay(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    relay.start().catch((error) => {
+        console.error(`Relay: Could not start - ${error.message}`);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => relay.stop().then(() => process.exit(0)));
+}
+
+module.exports = { createRelay, stateToOsc };
@@ -0,0 +1,214 @@
+/**
+ * INNER REFLECTION - Minimal WebSocket
+ *
+ * Just enough RFC 6455 for the relay: server upgrade handshake, a small
+ * client (used by harness/bridge.js), text frames, fragmentation, ping/pong and close.
+ * Keeps the relay free of npm dependencies.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, { mask = false, head = null } = {}) {
+        super();
+        this.socket = socket;
+        this.mask = mask;                  // Clients must mask outgoing frames
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isOpen = true;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', (error) => this.emit('error', error));
+
+        if (head && head.length) {
+            this.receive(head);
+        }
+    }
+
+    // =========================================
+    // RECEIVING
+    // =========================================
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const frame = this.parseFrame(this.buffer);
+            if (!frame) return;
+            this.buffer = this.buffer.subarray(frame.length);
+            this.handleFrame(frame);
+        }
+    }
+
+    parseFrame(buffer) {
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let payloadLength = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (payloadLength === 126) {
+            if (buffer.length < 4) return null;
+            payloadLength = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (payloadLength === 127) {
+            if (buffer.length < 10) return null;
+            payloadLength = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + payloadLength) return null;
+
+        let payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+        if (masked) {
+            const key = buffer.subarray(maskOffset, maskOffset + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= key[i % 4];
+            }
+        }
+
+        return { fin, opcode, payload, length: offset + payloadLength };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === 0x8) {
+            this.close();
+            return;
+        }
+        if (opcode === 0x9) {
+            this.sendFrame(0xa, payload);
+            return;
+        }
+        if (opcode === 0xa) return;
+
+        // Text / binary / continuation
+        if (opcode !== 0x0) {
+            this.fragments = [];
+            this.messageOpcode = opcode;
+        }
+        this.fragments.push(payload);
+        if (!fin) return;
+
+        const data = Buffer.concat(this.fragments);
+        this.fragments = [];
+        this.emit('message', this.messageOpcode === 0x1 ? data.toString('utf8') : data);
+    }
+
+    // =========================================
+    // SENDING
+    // =========================================
+
+    send(data) {
+        const isText = typeof data === 'string';
+        this.sendFrame(isText ? 0x1 : 0x2, isText ? Buffer.from(data, 'utf8') : data);
+    }
+
+    sendFrame(opcode, payload = Buffer.alloc(0)) {
+        if (!this.isOpen) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+
+        if (this.mask) {
+            header[1] |= 0x80;
+            const key = crypto.randomBytes(4);
+            const masked = Buffer.from(payload);
+            for (let i = 0; i < masked.length; i++) {
+                masked[i] ^= key[i % 4];
+            }
+            this.socket.write(Buffer.concat([header, key, masked]));
+        } else {
+            this.socket.write(Buffer.concat([header, payload]));
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.sendFrame(0x8);
+        this.isOpen = false;
+        this.socket.end();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
+
+/**
+ * Complete a server-side upgrade; returns null (and drops the socket) for invalid requests
+ */
+function acceptUpgrade(req, socket, head) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, { head });
+}
+
+/**
+ * Open a client connection (resolves once the handshake completes)
+ */
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const key = crypto.randomBytes(16).toString('base64');
+        const req = http.request(url.replace(/^ws/, 'http'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Version': '13',
+                'Sec-WebSocket-Key': key
+            }
+        });
+
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                reject(new Error('WebSocket handshake failed'));
+                return;
+            }
+            resolve(new WebSocketConnection(socket, { mask: true, head }));
+        });
+        req.on('response', (res) => reject(new Error(`Unexpected HTTP ${res.statusCode}`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+module.exports = { WebSocketConnection, acceptUpgrade, connect };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * INNER REFLECTION - Beat Harness
+ *
+ * Headless check for mic beat tracking:
+ *   node harness/beat.js
+ *
+ * Runs the real js/beatTracker.js on a synthetic spectrum: low noise with a
+ * broadband hit at a steady 120 BPM. Then it checks, at a steady 60 fps and with
+ * uneven frame times:
+ *   1. The tempo settles on 120 BPM with confidence
+ *   2. The beat phase locks to the hits (beats land on them, phase ~0 at each hit)
+ *   3. Confidence falls off once the hits stop
+ *   4. A frame without new audio doesn't repeat the last beat
+ * Exits non-zero on the first failure.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { runChecks } = require('./checks');
+
+global.Utils = require(path.join(__dirname, '..', 'js', 'utils.js'));
+const BeatTracker = require(path.join(__dirname, '..', 'js', 'beatTracker.js'));
+
+const SAMPLE_RATE = 48000;
+const BINS = 1024;
+const BPM = 120;
+const PERIOD = 60 / BPM;
+
+// Deterministic noise so every run sees the same spectrum
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Feed `duration` seconds of hits every PERIOD (starting at `offset`) through the tracker.
+ * frameTime() returns the next frame delta. Returns the per-frame log.
+ */
+function simulate(tracker, { duration, offset = 0.25, hitsUntil = Infinity, frameTime, seed = 1 }) {
+    const random = createRandom(seed);
+    const spectrum = new Uint8Array(BINS);
+    const frames = [];
+    let time = 0;
+    let hitLevel = 0;
+    let nextHit = offset;
+
+    while (time < duration) {
+        const deltaTime = frameTime();
+        time += deltaTime;
+
+        let hit = false;
+        if (time >= nextHit) {
+            hit = nextHit < hitsUntil;
+            nextHit += PERIOD;
+        }
+        hitLevel = hit ? 1 : hitLevel * Math.exp(-deltaTime / 0.08);
+
+        for (let i = 0; i < BINS; i++) {
+            spectrum[i] = Math.min(255, Math.round(20 + random() * 10 + hitLevel * 180));
+        }
+
+        const state = tracker.process(spectrum, SAMPLE_RATE, deltaTime);
+        // Phase the hit should have: how far past the last hit time is, in beats
+        const sinceHit = ((time - offset) % PERIOD + PERIOD) % PERIOD;
+        frames.push({ time, hit, sinceHit: sinceHit / PERIOD, ...state });
+    }
+    return frames;
+}
+
+// Signed distance between two phases (-0.5..0.5)
+const phaseError = (a, b) => {
+    const diff = a - b;
+    return diff - Math.round(diff);
+};
+
+function checkLock(frames, label) {
+    const settled = frames.filter(frame => frame.time > 8);
+    const last = settled[settled.length - 1];
+    assert(Math.abs(last.bpm - BPM) < 1, `${label}: bpm ${last.bpm.toFixed(2)}, expected ${BPM}`);
+    assert(last.confidence > 0.6, `${label}: confidence ${last.confidence.toFixed(2)}`);
+
+    // The oscillator should sit where the hits are: phase ~ time since the last hit
+    const worst = Math.max(...settled.map(frame => Math.abs(phaseError(frame.beatPhase, frame.sinceHit))));
+    assert(worst < 0.08, `${label}: phase off by up to ${worst.toFixed(3)} beats`);
+
+    // Every hit after settling has a beat within a frame or two of it
+    const beats = settled.filter(frame => frame.beat).map(frame => frame.time);
+    settled.filter(frame => frame.hit).forEach((frame) => {
+        const nearest = Math.min(...beats.map(time => Math.abs(time - frame.time)));
+        assert(nearest < 0.04, `${label}: no beat near the hit at ${frame.time.toFixed(2)}s`);
+    });
+}
+
+runChecks(async (check) => {
+    await check('120 BPM hits at 60 fps: tempo and phase lock', () => {
+        const frames = simulate(new BeatTracker(), { duration: 16, frameTime: () => 1 / 60 });
+        checkLock(frames, '60 fps');
+    });
+
+    await check('120 BPM hits with uneven frame times: same lock', () => {
+        const random = createRandom(7);
+        const frames = simulate(new BeatTracker(), {
+            duration: 16,
+            frameTime: () => 1 / 40 + random() * (1 / 90 - 1 / 40),
+            seed: 3
+        });
+        checkLock(frames, 'uneven fps');
+    });
+
+    await check('Confidence falls off once the hits stop', () => {
+        const frames = simulate(new BeatTracker(), { duration: 20, hitsUntil: 12, frameTime: () => 1 / 60 });
+        const before = frames.filter(frame => frame.time < 12).pop();
+        const after = frames[frames.length - 1];
+        assert(before.confidence > 0.6, `confidence before: ${before.confidence.toFixed(2)}`);
+        assert.strictEqual(after.confidence, 0, `confidence after: ${after.confidence}`);
+        assert.strictEqual(after.bpm, 0);
+    });
+
+    await check('A frame without new audio does not repeat the last beat', () => {
+        const frames = simulate(new BeatTracker(), { duration: 16, frameTime: () => 1 / 60 });
+        // Stop right after a beat, then feed a zero-delta and a missing-data frame
+        const beatAt = frames.map(frame => frame.beat).lastIndexOf(true);
+        const replay = new BeatTracker();
+        simulate(replay, { duration: frames[beatAt].time - 1e-9, frameTime: () => 1 / 60 });
+        assert.strictEqual(replay.getState().beat, true, 'expected a beat on the last frame');
+
+        const spectrum = new Uint8Array(BINS);
+        assert.strictEqual(replay.process(spectrum, SAMPLE_RATE, 0).beat, false);
+        assert.strictEqual(replay.process(null, SAMPLE_RATE, 1 / 60).beat, false);
+        assert.strictEqual(replay.getState().beat, false);
+        assert.strictEqual(replay.getState().beatCount, frames[beatAt].beatCount);
+    });
+});
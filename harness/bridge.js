@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * INNER REFLECTION - Bridge Harness
+ *
+ * Headless round-trip check for the control bridge:
+ *   node harness/bridge.js
+ *
+ * Starts the relay on free ports and runs the real js/controlBridge.js as a
+ * stand-in app, on top of a small browser-style WebSocket shim. Then it checks:
+ *   1. OSC command in -> app handler -> state broadcast -> OSC out + WS controller
+ *   2. WS controller command -> app handler
+ *   3. Unknown command -> error reported back to the controller
+ *   4. The relay listens on 127.0.0.1 by default and start() rejects on a taken port
+ * Exits non-zero on the first failure.
+ */
+
+const assert = require('assert');
+const dgram = require('dgram');
+const path = require('path');
+const { runChecks } = require('./checks');
+const { createRelay } = require('../bridge/relay');
+const { connect } = require('../bridge/websocket');
+const { encodeMessage, decodePacket } = require('../bridge/osc');
+
+global.Utils = require(path.join(__dirname, '..', 'js', 'utils.js'));
+const ControlBridge = require(path.join(__dirname, '..', 'js', 'controlBridge.js'));
+
+const TIMEOUT = 2000;
+
+// Browser-style WebSocket on top of the minimal client
+class ShimWebSocket {
+    constructor(url) {
+        connect(url).then((connection) => {
+            this.connection = connection;
+            connection.on('message', data => this.onmessage?.({ data }));
+            connection.on('close', () => this.onclose?.());
+            this.onopen?.();
+        }).catch((error) => {
+            this.onerror?.(error);
+            this.onclose?.();
+        });
+    }
+
+    send(text) {
+        this.connection?.send(text);
+    }
+
+    close() {
+        this.connection?.close();
+    }
+}
+
+function waitFor(label, predicate) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const timer = setInterval(() => {
+            const result = predicate();
+            if (result) {
+                clearInterval(timer);
+                resolve(result);
+            } else if (Date.now() - started > TIMEOUT) {
+                clearInterval(timer);
+                reject(new Error(`Timed out waiting for: ${label}`));
+            }
+        }, 10);
+    });
+}
+
+runChecks(async (check) => {
+    // OSC receiver standing in for the lighting desk
+    const oscReceived = [];
+    const oscOut = dgram.createSocket('udp4');
+    oscOut.on('message', buffer => oscReceived.push(...decodePacket(buffer)));
+    await new Promise(resolve => oscOut.bind(0, '127.0.0.1', resolve));
+
+    const relay = createRelay({
+        wsPort: 0,
+        oscInPort: 0,
+        oscOutPort: oscOut.address().port,
+        log: false
+    });
+    const { wsPort, oscInPort } = await relay.start();
+    const url = `ws://127.0.0.1:${wsPort}`;
+
+    // Stand-in app: the real ControlBridge with a fake state
+    global.WebSocket = ShimWebSocket;
+    const appState = { visual: { blur: 0.1 }, audio: { reverbAmount: 0.2 }, face: { detected: false }, hand: { count: 0 } };
+    const applied = [];
+    const bridge = new ControlBridge();
+    bridge.registerCommand('setStateDimension', (name, value) => { appState.visual[name] = value; });
+    bridge.registerCommand('applyPreset', (name) => applied.push(name));
+    bridge.getSnapshot = () => appState;
+    bridge.setBroadcastRate(50);
+    bridge.connect(url);
+    const tick = setInterval(() => bridge.update(Date.now()), 5);
+
+    // Controller over WebSocket
+    const controllerMessages = [];
+    const controller = await connect(url);
+    controller.on('message', text => controllerMessages.push(JSON.parse(text)));
+    controller.send(JSON.stringify({ type: 'hello', role: 'controller' }));
+
+    const oscIn = dgram.createSocket('udp4');
+
+    try {
+        await waitFor('app connection', () => bridge.isConnected && relay.clients.size >= 2);
+        await waitFor('app role', () => Array.from(relay.clients).some(c => c.role === 'app'));
+
+        await check('OSC command reaches app and state comes back as OSC + WS', async () => {
+            oscIn.send(encodeMessage('/ir/setStateDimension', ['blur', 0.25]), oscInPort, '127.0.0.1');
+            await waitFor('app applied blur', () => Math.abs(appState.visual.blur - 0.25) < 1e-6);
+            await waitFor('OSC /ir/visual/blur', () => oscReceived.some(m =>
+                m.address === '/ir/visual/blur' && Math.abs(m.args[0] - 0.25) < 1e-6));
+            await waitFor('WS state', () => controllerMessages.some(m =>
+                m.type === 'state' && Math.abs(m.visual.blur - 0.25) < 1e-6));
+        });
+
+        await check('WS controller command reaches app', async () => {
+            controller.send(JSON.stringify({ type: 'command', command: 'applyPreset', args: ['halo'] }));
+            await waitFor('preset applied', () => applied.includes('halo'));
+        });
+
+        await check('Unknown command reports an error', async () => {
+            controller.send(JSON.stringify({ type: 'command', command: 'selfDestruct', args: [] }));
+            await waitFor('error message', () => controllerMessages.some(m =>
+                m.type === 'error' && m.command === 'selfDestruct'));
+        });
+
+        await check('Relay listens locally by default and start() rejects on a taken port', async () => {
+            assert.strictEqual(relay.config.host, '127.0.0.1');
+            assert.strictEqual(relay.config.oscInHost, '127.0.0.1');
+
+            const taken = createRelay({ wsPort, oscInPort: 0, log: false });
+            await assert.rejects(taken.start(), { code: 'EADDRINUSE' });
+            await taken.stop();
+        });
+    } finally {
+        clearInterval(tick);
+        bridge.disconnect();
+        controller.close();
+        oscIn.close();
+        oscOut.close();
+        await relay.stop();
+    }
+
+});
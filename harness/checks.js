@@ -0,0 +1,44 @@
+/**
+ * INNER REFLECTION - Harness Checks
+ *
+ * Shared runner for the headless harnesses in this directory:
+ *   runChecks(async (check) => { await check('name', async () => { ... }); })
+ *
+ * Prints "ok - name" per passing check and "N checks passed" at the end.
+ * The first failure prints "not ok - message" and exits non-zero.
+ * console.log/warn from the modules under test are muted while the checks run
+ * (pass { quiet: false } to keep them).
+ */
+
+async function runChecks(body, { quiet = true } = {}) {
+    const log = console.log;
+    const warn = console.warn;
+    const restore = () => {
+        console.log = log;
+        console.warn = warn;
+    };
+
+    let passed = 0;
+    const check = async (name, fn) => {
+        await fn();
+        passed++;
+        log(`ok - ${name}`);
+    };
+
+    if (quiet) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    try {
+        await body(check);
+        restore();
+        console.log(`${passed} checks passed`);
+    } catch (error) {
+        restore();
+        console.error(`not ok - ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { runChecks };
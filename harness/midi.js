@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * INNER REFLECTION - MIDI Harness
+ *
+ * Headless check for MIDI learn and CC mapping:
+ *   node harness/midi.js
+ *
+ * Runs the real js/midiManager.js against a mocked requestMIDIAccess (passed to
+ * init() as the navigator) and feeds it fake CC messages. Then it checks:
+ *   1. Learn binds the next CC to the armed target (and doesn't fire a control)
+ *   2. Range maps 0-127 onto min..max
+ *   3. Curves shape the value between min and max
+ *   4. Invalid stored mappings are dropped on load
+ * Exits non-zero on the first failure.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { runChecks } = require('./checks');
+
+global.Utils = require(path.join(__dirname, '..', 'js', 'utils.js'));
+
+// In-memory localStorage
+const storage = new Map();
+global.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const MidiManager = require(path.join(__dirname, '..', 'js', 'midiManager.js'));
+
+// Web MIDI stand-in: one input whose messages the harness sends
+function createMockNavigator() {
+    const input = { id: 'mock-1', name: 'Mock Controller', manufacturer: 'Harness', state: 'connected', onmidimessage: null };
+    const access = { inputs: new Map([[input.id, input]]), onstatechange: null };
+    return {
+        input,
+        requestMIDIAccess: async () => access,
+        sendCC(channel, cc, value) {
+            input.onmidimessage?.({ data: [0xb0 | channel, cc, value], target: input });
+        }
+    };
+}
+
+const near = (actual, expected, label) => {
+    assert(Math.abs(actual - expected) < 1e-6, `${label}: expected ${expected}, got ${actual}`);
+};
+
+runChecks(async (check) => {
+    const nav = createMockNavigator();
+    const midi = new MidiManager();
+    const controls = [];
+    const learned = [];
+    midi.onControl = (mapping, value) => controls.push({ target: mapping.target, value });
+    midi.onLearn = mapping => learned.push(mapping);
+
+    assert(await midi.init(nav), 'init with the mocked navigator failed');
+    assert.strictEqual(midi.listInputs().length, 1);
+
+    await check('Learn binds the next CC to the armed target', async () => {
+        midi.startLearn('visual.blur');
+        nav.sendCC(2, 21, 90);
+        assert.strictEqual(learned.length, 1, 'onLearn not called');
+        assert.strictEqual(controls.length, 0, 'the learning CC also fired a control');
+        assert.deepStrictEqual(midi.getMapping('visual.blur'),
+            { target: 'visual.blur', channel: 2, cc: 21, min: 0, max: 1, curve: 'linear' });
+
+        // Same CC on another channel isn't mapped
+        nav.sendCC(3, 21, 90);
+        assert.strictEqual(controls.length, 0);
+    });
+
+    await check('Range maps 0-127 onto min..max', async () => {
+        midi.updateMapping('visual.blur', { min: 0.2, max: 0.6 });
+        controls.length = 0;
+        [0, 127, 64].forEach(value => nav.sendCC(2, 21, value));
+        near(controls[0].value, 0.2, 'CC 0');
+        near(controls[1].value, 0.6, 'CC 127');
+        near(controls[2].value, 0.2 + 0.4 * (64 / 127), 'CC 64');
+    });
+
+    await check('Curves shape the value between min and max', async () => {
+        const expected = {
+            linear: v => v,
+            exponential: v => v * v,
+            logarithmic: v => Math.sqrt(v),
+            scurve: v => Utils.easing.easeInOutQuad(v)
+        };
+        Object.entries(expected).forEach(([curve, shape]) => {
+            midi.updateMapping('visual.blur', { curve });
+            controls.length = 0;
+            nav.sendCC(2, 21, 32);
+            near(controls[0].value, 0.2 + 0.4 * shape(32 / 127), curve);
+        });
+
+        // Unknown curves are ignored
+        midi.updateMapping('visual.blur', { curve: 'cubic' });
+        assert.strictEqual(midi.getMapping('visual.blur').curve, 'scurve');
+    });
+
+    await check('Invalid stored mappings are dropped on load', async () => {
+        const good = { target: 'audio.reverb', channel: 15, cc: 7, min: 0, max: 0.5, curve: 'exponential' };
+        localStorage.setItem(midi.storageKey, JSON.stringify([
+            good,
+            { ...good, target: 'a', channel: 16 },
+            { ...good, target: 'b', channel: -1 },
+            { ...good, target: 'c', channel: 1.5 },
+            { ...good, target: 'd', min: 'low' },
+            { ...good, target: 'e', max: 1.5 },
+            { ...good, target: 'f', min: null },
+            { ...good, target: 'g', curve: 'cubic' },
+            { ...good, target: 'h', curve: 'toString' },
+            { ...good, target: 'i', cc: 128 },
+            null
+        ]));
+        const loaded = new MidiManager();
+        assert.deepStrictEqual(loaded.mappings, [good]);
+    });
+
+    midi.dispose();
+});
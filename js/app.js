@@ -8,7 +8,31 @@
  * - VisualEngine: Three.js WebGL rendering with multi-pass shaders
  * - AudioEngine: Tone.js synthesis with reactive effects
  * - FaceTracker: MediaPipe face detection for position control
+ * - ParticipantSlots: multi-person mode, extra faces get their own ripple, accent and drone voice
  * - InputManager: Keyboard, mouse, touch, accelerometer handling
+ * - PresetLibrary: Factory and user-saved visual presets (localStorage + JSON)
+ * - PresetTransition: Eased preset morphs (shape changes via the shader morph layer)
+ * - SoundPresetLibrary: Factory and user-saved sound presets (localStorage + JSON)
+ * - UserPresetStore: Saved presets, ids and JSON files for both preset libraries
+ * - SceneSequencer: Timeline of preset scenes with crossfades (?show=<url>)
+ * - MidiManager: Web MIDI CC learn/mapping onto debug sliders, notes as key influences
+ * - ControlBridge: WebSocket remote control + state broadcast (OSC via bridge/relay.js)
+ * - SessionRecorder: WebM capture of the canvas with the generated audio
+ * - OfflineRenderer: deterministic fixed-timestep PNG frame export
+ * - InputRecorder: record/replay of face, hand, mic, motion, pointer and key input
+ * - ModulationMatrix: configurable routes from mic/beat/face/hand/motion/LFO sources to state + audio
+ * - BeatTracker: mic onsets, tempo and beat phase (owned by InputManager)
+ * - PitchTracker: sung note + key from the mic, drives AudioEngine voice harmony (owned by InputManager)
+ * - Tonality: root, scale and tuning shared by all pitched voices (owned by AudioEngine)
+ * - ChordProgression: Markov/functional harmony with voice leading for the melodic pad (owned by AudioEngine)
+ * - SpatialMixer: places sound sources in the room - stereo, binaural or N-speaker ring (owned by AudioEngine)
+ * - LoopLibrary: captured mic loops + imported audio kept in IndexedDB, feeds the granular layers (owned by AudioEngine)
+ * - AudioMeters: per-layer level meters + master spectrum/waveform scope (owned by AudioEngine)
+ * - PostChain: separable blur + mip-chain bloom at reduced resolution (owned by VisualEngine)
+ * - EffectStack: ordered feedback / pixel sort / LUT passes with state-bound params (owned by VisualEngine)
+ * - QualityGovernor: steps resolution, blur taps, particles and rings to hold the target FPS
+ * - ProjectionMapper: corner pin / mesh warp + edge blend output stage (owned by VisualEngine)
+ * - DisplaySpan: splits the render across display windows (?display=N) over BroadcastChannel
  * 
  * Main Loop:
  * 1. Update StateEngine (drift, input processing, smoothing)
@@ -38,6 +62,64 @@ class InnerReflectionApp {
         this.handTracker = null;
         this.stateEngine = null;
         
+        // Visual presets (factory + user saved)
+        this.presetLibrary = new PresetLibrary();
+        this.activePresetId = null;
+        this.presetTransition = new PresetTransition();
+        this.presetTransitionTime = 4;            // Seconds, 0 = instant
+        this.presetTransitionEasing = 'easeInOutCubic';
+        
+        // Sound presets (factory moods + user saved)
+        this.soundPresetLibrary = new SoundPresetLibrary();
+        this.activeSoundPresetId = null;
+        this.soundTransitionTime = 1.5;           // Seconds, 0 = instant
+        
+        // Mix meters (only tapped while the meter section is on screen)
+        this.metersVisible = false;
+        this.meterPeaks = {};                     // name -> held 0-1 level
+        this.scopeMode = 'spectrum';
+        
+        // Scene timeline for unattended installs
+        this.sceneSequencer = new SceneSequencer();
+        this.showAutoplay = false;
+        
+        // Hardware controllers
+        this.midiManager = new MidiManager();
+        this.midiLearnArmed = false;
+        
+        // Input -> parameter routing (mic bands, face features, hands, tilt, LFOs)
+        this.modulationMatrix = new ModulationMatrix();
+        
+        // Multi-person mode (?multi=1) - one ripple origin per extra face
+        this.multiPerson = new URLSearchParams(window.location.search).get('multi') === '1';
+        this.participantSlots = new ParticipantSlots(2);
+        
+        // State dimensions offered for picking the tonality's mode (warm = bright modes)
+        this.tonalityModeDimensions = ['colorWarmth', 'overallWarmth', 'colorBrightness', 'overallChaos'];
+        
+        // Remote show control (WebSocket relay, see bridge/relay.js)
+        this.controlBridge = new ControlBridge();
+        
+        // Projection spanning - ?display=N makes this window display N of the span
+        this.displaySpan = new DisplaySpan();
+        const displayParam = new URLSearchParams(window.location.search).get('display');
+        this.displayIndex = /^\d+$/.test(displayParam || '') ? Number(displayParam) : null;
+        this.displayDimensions = {};
+        this.projectionDirty = false;
+        this.spanGeneration = null;
+        
+        // Canvas + audio capture
+        this.sessionRecorder = new SessionRecorder();
+        this.offlineRenderer = new OfflineRenderer();
+        
+        // Interaction input capture + replay (no camera/mic needed to debug mappings)
+        this.inputRecorder = new InputRecorder();
+        
+        // Session seed - every engine draws its randomness from it, each from its own
+        // derived sequence (?seed=... to reproduce)
+        this.sessionSeed = Utils.parseSeed(new URLSearchParams(window.location.search).get('seed')) ?? Utils.createSeed();
+        this.random = Utils.createRandom(Utils.deriveSeed(this.sessionSeed, 'app'));
+        
         // State
         this.isRunning = false;
         this.isStarting = false;
@@ -59,6 +141,7 @@ class InnerReflectionApp {
         // Performance monitoring
         this.fps = 0;
         this.fpsHistory = [];
+        this.qualityGovernor = new QualityGovernor(CONFIG.performance.targetFPS);
         
         // DOM elements
         this.canvas = null;
@@ -116,6 +199,9 @@ class InnerReflectionApp {
         this.debugControlsInitialized = false;
         this.sliderInputState = new Map();
         this.columnStateKey = 'innerReflection.columnState';
+        this.outputSettingsKey = 'innerReflection.output';
+        this.qualitySettingsKey = 'innerReflection.quality';
+        this.projectionStorageKey = 'innerReflection.projection';
         this.previewStartTime = 0;
         this.previewHoldDuration = 6;
         this.animSpeedMin = 0.25;
@@ -211,12 +297,16 @@ class InnerReflectionApp {
             mouthAudioMod: 0,      // Mouth openness for audio modulation
             lastFaceX: 0.5,
             lastFaceY: 0.5,
-            lastTime: performance.now(),
+            lastTime: 0,             // simulationTime (ms) of the last face frame
             movementVelocity: 0
         };
         
+        // Simulated time in ms - advanced by frame deltas so replays and offline renders match live runs
+        this.simulationTime = 0;
+        
         // Bound methods
         this.animate = this.animate.bind(this);
+        this.displayLoop = this.displayLoop.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
         this.handleKeyup = this.handleKeyup.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -229,6 +319,12 @@ class InnerReflectionApp {
     async init() {
         console.log('InnerReflection: Initializing...');
         
+        // Display windows only render what the main window sends
+        if (this.displayIndex !== null) {
+            await this.initDisplay();
+            return;
+        }
+        
         // Get DOM elements
         this.canvas = document.getElementById('main-canvas');
         this.startScreen = document.getElementById('start-screen');
@@ -258,7 +354,13 @@ class InnerReflectionApp {
         this.visualEngine = new VisualEngine();
         this.faceTracker = new FaceTracker();
         this.handTracker = new HandTracker();
-        this.stateEngine = new StateEngine();
+        this.stateEngine = new StateEngine(Utils.deriveSeed(this.sessionSeed, 'state'));
+        this.audioEngine.setSeed(Utils.deriveSeed(this.sessionSeed, 'audio'));
+        this.visualEngine.setSeed(Utils.deriveSeed(this.sessionSeed, 'visual'));
+        console.log('InnerReflection: Session seed', this.sessionSeed);
+        if (this.multiPerson) {
+            this.setMultiPerson(true);
+        }
         
         // Initialize input manager (sets up pointer events, checks capabilities)
         await this.inputManager.init();
@@ -278,6 +380,15 @@ class InnerReflectionApp {
         document.addEventListener('keyup', this.handleKeyup);
         document.addEventListener('mousemove', this.handleMouseMove);
         
+        // Load a show passed as ?show=<url> (starts playing with the experience)
+        await this.loadShowFromURL();
+        
+        // Remote control relay passed as ?bridge=ws://host:port
+        const bridgeUrl = new URLSearchParams(window.location.search).get('bridge');
+        if (bridgeUrl) {
+            this.connectControlBridge(bridgeUrl);
+        }
+        
         // Start preview render (behind glass blur)
         this.startPreview();
         
@@ -455,6 +566,7 @@ class InnerReflectionApp {
                 this.applyManualVisualParams(visualState);
                 // Add vignetteShape from local slider
                 visualState.vignetteShape = this.vignetteShape ?? 0.5;
+                this.broadcastFrame(deltaTime * this.currentAnimSpeed, visualState);
                 this.visualEngine.render(deltaTime * this.currentAnimSpeed, visualState);
             }
             
@@ -623,6 +735,15 @@ class InnerReflectionApp {
             this.faceDetectionState.lastDetectedTime = this.startTime;  // Reset grace period timer
             requestAnimationFrame(this.animate);
             
+            if (this.showAutoplay) {
+                this.sceneSequencer.play();
+            }
+            
+            // Reconnect controllers when mappings were saved in an earlier session
+            if (this.midiManager.mappings.length > 0) {
+                this.enableMidi();
+            }
+            
             console.log('InnerReflection: Experience started');
             console.log('🎹 Play keys A-Z and 0-9 like a piano to influence the visuals!');
             console.log('🖱️ Move mouse to control displacement center');
@@ -688,31 +809,73 @@ class InnerReflectionApp {
     animate(time) {
         if (!this.isRunning) return;
         
+        // Offline renders drive frames themselves on a virtual clock
+        if (this.offlineRenderer.isRendering) {
+            this.lastTime = time;
+            requestAnimationFrame(this.animate);
+            return;
+        }
+        
         // Calculate delta time
         const deltaTime = Math.min((time - this.lastTime) / 1000, 0.1); // Cap at 100ms
         this.lastTime = time;
-        this.updateAnimationSpeed();
-        const scaledDelta = deltaTime * this.currentAnimSpeed;
         
         // Update FPS counter
         this.updateFPS(deltaTime);
         
         if (!this.isPaused) {
-            // Update inputs
-            this.inputManager.update();
+            // Trade render quality for frame rate (idle while a tier is pinned)
+            this.qualityGovernor.update(deltaTime);
+            this.stepFrame(deltaTime);
             
-            // Get input data
-            const audioData = this.inputManager.getAudioData();
-            const motionData = this.inputManager.getMotionData();
-            const faceData = this.enabledInputs.faceTracking ? this.faceTracker.getFaceData() : { detected: false };
-            const gestureData = this.inputManager.getGestureData();
+            // Copy the frame for recording while the WebGL buffer is still valid
+            if (this.sessionRecorder.isRecording) {
+                this.sessionRecorder.captureFrame();
+            }
+            
+            // Broadcast state to remote controllers (rate limited inside)
+            this.controlBridge.update(time);
+            
+            // Update debug FPS display and sliders
+            if (this.frameCount % 30 === 0) {
+                this.updateDebugFPS();
+            }
+            if (this.metersVisible) {
+                this.drawMeters(deltaTime);
+            }
             
-            if (this.handTracker?.isRunning && this.inputManager.enabled.camera) {
-                this.handTracker.processFrame(this.inputManager.getVideoElement());
+            // Update sliders to reflect current state (every 10 frames for performance)
+            if (this.frameCount % 10 === 0) {
+                this.updateSlidersFromState();
             }
+        } else if (this.projectionDirty) {
+            // Warp handles still move the paused frame
+            this.projectionDirty = false;
+            this.visualEngine.draw();
+        }
+        
+        this.frameCount++;
+        requestAnimationFrame(this.animate);
+    }
+    
+    /**
+     * Advance the simulation by one frame and render it.
+     * live = false (offline renders) ignores camera/mic/motion/touch input and leaves the audio alone,
+     * so only the seeded state, the timestep and an optional input replay decide the image.
+     */
+    stepFrame(deltaTime, live = true) {
+        this.updateAnimationSpeed();
+        const scaledDelta = deltaTime * this.currentAnimSpeed;
+        this.simulationTime += deltaTime * 1000;
+        
+        const input = this.readInputFrame(deltaTime, live);
+        const faceData = input?.faceData || { detected: false };
+        
+        if (input) {
+            const { enabled, audioData, gestureData } = input;
             
             // Feed inputs to state engine
-            if (this.inputManager.enabled.microphone) {
+            if (enabled.microphone) {
                 this.stateEngine.handleAudioInput(
                     audioData.volume,
                     audioData.bass,
@@ -721,13 +884,13 @@ class InnerReflectionApp {
                 );
                 
                 // Also feed audio to the audio engine for reactive sound
-                if (this.enabledInputs.sound) {
+                if (live && this.enabledInputs.sound) {
                     this.audioEngine.handleMicInput(audioData);
                 }
             }
             
             // Face tracking with rich features
-            if (this.inputManager.enabled.camera && this.enabledInputs.faceTracking && faceData.detected) {
+            if (enabled.camera && enabled.faceTracking && faceData.detected) {
                 // Basic position smoothing (legacy)
                 this.updateFaceSmoothing(faceData, deltaTime);
                 this.stateEngine.handleFacePositionSmooth(
@@ -736,9 +899,6 @@ class InnerReflectionApp {
                     this.faceSmoothing.pushSize.value
                 );
                 
-                // Rich face features (Face Mesh) - head rotation, eyes, mouth, brows
-                this.stateEngine.handleFaceFeatures(faceData);
-                
                 // Direct face-to-visual mapping (blob offset, spin, darkness, speed)
                 this.updateFaceVisual(faceData, deltaTime);
                 
@@ -755,72 +915,256 @@ class InnerReflectionApp {
                 this.decayFaceSmoothing(deltaTime);
             }
             
-            // Accelerometer
-            if (this.inputManager.enabled.accelerometer) {
-                this.stateEngine.handleMotion(motionData.tiltX, motionData.tiltY, motionData.shake);
-            }
-            
             // Touch gestures (pinch, rotate, swipe)
             if (gestureData.touchCount > 0 || gestureData.isPinching || gestureData.isRotating) {
                 this.stateEngine.handleGestureInput(gestureData);
             }
+        } else {
+            this.decayFaceSmoothing(deltaTime);
+        }
+        
+        // Multi-person: extra faces claim (and hand back) the secondary ripple slots
+        const faceInput = input?.enabled.camera && input.enabled.faceTracking;
+        this.participantSlots.update(this.multiPerson && faceInput ? faceData.participants || [] : [], deltaTime);
+        
+        // Routed input sources + LFOs -> state influences (audio offsets are applied below)
+        const modulation = this.modulationMatrix.update(deltaTime, this.getModulationSources(input));
+        this.stateEngine.applyModulation(modulation.state);
+        
+        // Scene timeline + preset crossfades run in real seconds
+        this.sceneSequencer.update(deltaTime);
+        this.updatePresetTransition(deltaTime);
+        
+        // Update state engine (drift, interpolation, connections)
+        this.stateEngine.update(scaledDelta);
+        
+        // Get state for rendering
+        const visualState = this.stateEngine.getVisualState();
+        const audioState = this.modulationMatrix.applyAudioOffsets(this.stateEngine.getAudioState());
+        this.applyManualVisualParams(visualState);
+        const rawHandState = input?.handState || null;
+        const mergedHandState = this.composeHandState(rawHandState, input?.pointer);
+        if (mergedHandState) {
+            visualState.hand = mergedHandState;
+        }
+        
+        // Add vignetteShape from local slider
+        visualState.vignetteShape = this.vignetteShape ?? 0.5;
+        this.applyParticipantVisuals(visualState);
+        
+        // Preset transitions morph shapes through the shader morph layer
+        visualState.shapeMorph = this.presetTransition.getShapeMorph();
+        
+        // Modulate audio engine (only if sound enabled, never from offline renders)
+        if (live && this.enabledInputs.sound) {
+            this.audioEngine.modulateFromState(audioState);
             
-            // Update state engine (drift, interpolation, connections)
-            this.stateEngine.update(scaledDelta);
-            
-            // Get state for rendering
-            const visualState = this.stateEngine.getVisualState();
-            const audioState = this.stateEngine.getAudioState();
-            this.applyManualVisualParams(visualState);
-            const rawHandState = this.handTracker?.getHandState();
-            const mergedHandState = this.composeHandState(rawHandState);
-            if (mergedHandState) {
-                visualState.hand = mergedHandState;
-            }
+            // Apply generative behaviors
+            this.audioEngine.applySpeedDrift?.(scaledDelta);
+            this.audioEngine.updateGranularScan?.(deltaTime);
+            this.audioEngine.updateSoundTransition?.(deltaTime);
+            this.applyHandAudio(mergedHandState, deltaTime);
+            this.audioEngine.updateParticipantVoices?.(this.participantSlots.slots);
+            this.audioEngine.updateBeatClock?.(input?.enabled.microphone ? input.audioData : null);
+            this.audioEngine.updateVoiceHarmony?.(input?.enabled.microphone ? input.audioData : null);
             
-            // Add vignetteShape from local slider
-            visualState.vignetteShape = this.vignetteShape ?? 0.5;
+            // Melodic pad: harmonic rhythm, tension and mood follow the state
+            this.audioEngine.setHarmonyDrivers?.({
+                speed: this.stateEngine.get('overallSpeed'),
+                tension: this.stateEngine.get('overallChaos'),
+                mood: this.stateEngine.get('colorWarmth')
+            });
             
-            // Modulate audio engine (only if sound enabled)
-            if (this.enabledInputs.sound) {
-                this.audioEngine.modulateFromState(audioState);
-                
-                // Apply generative behaviors
-                this.audioEngine.applySpeedDrift?.(scaledDelta);
-                this.applyHandAudio(mergedHandState, deltaTime);
-                
-                // Apply face-driven audio modulation (mouth openness)
-                if (this.faceVisual?.mouthAudioMod !== undefined) {
-                    this.audioEngine.applyFaceAudio?.(this.faceVisual.mouthAudioMod);
-                }
+            // Optional: a state dimension picks the mode (dark -> bright)
+            const modeDimension = this.audioEngine.tonality?.modeDimension;
+            if (modeDimension) {
+                this.audioEngine.applyModeBrightness(this.stateEngine.get(modeDimension));
             }
             
-            // Render visuals
-            this.visualEngine.render(scaledDelta, visualState);
+            // Sources follow the ripples (or faces) around the room
+            this.audioEngine.updateSpatial?.(this.getSpatialAnchors(visualState, faceInput && faceData.detected), deltaTime);
             
-            // Draw face visualization overlay
-            if (this.inputManager.enabled.camera) {
-                if (this.showFaceOverlay) {
-                    this.drawFaceOverlay(faceData);
-                }
-                if (this.showHandOverlay) {
-                    this.drawHandOverlay(rawHandState);
-                }
+            // Apply face-driven audio modulation (mouth openness)
+            if (this.faceVisual?.mouthAudioMod !== undefined) {
+                this.audioEngine.applyFaceAudio?.(this.faceVisual.mouthAudioMod);
             }
-            
-            // Update debug FPS display and sliders
-            if (this.frameCount % 30 === 0) {
-                this.updateDebugFPS();
+        }
+        
+        // Render visuals (spanned display windows render the same frame)
+        if (live) {
+            this.broadcastFrame(scaledDelta, visualState);
+        }
+        this.visualEngine.render(scaledDelta, visualState);
+        
+        // Draw face visualization overlay (also for replayed input)
+        if (live && (this.inputManager.enabled.camera || this.inputRecorder.isReplaying)) {
+            if (this.showFaceOverlay) {
+                this.drawFaceOverlay(faceData);
             }
-            
-            // Update sliders to reflect current state (every 10 frames for performance)
-            if (this.frameCount % 10 === 0) {
-                this.updateSlidersFromState();
+            if (this.showHandOverlay) {
+                this.drawHandOverlay(rawHandState);
             }
         }
+    }
+    
+    /**
+     * This frame's interaction input: replayed from a recording, read from the live
+     * sensors (and recorded when armed), or null for offline renders without a replay.
+     */
+    readInputFrame(deltaTime, live) {
+        const recorder = this.inputRecorder;
+        if (recorder.isReplaying) {
+            const streams = recorder.advance(deltaTime);
+            return streams ? this.inputFromStreams(streams) : null;
+        }
+        if (!live) return null;
         
-        this.frameCount++;
-        requestAnimationFrame(this.animate);
+        // Update inputs - the mic hears the speakers too, pitch tracking pauses while they are louder
+        this.inputManager.setPlaybackLevel(this.audioEngine?.getOutputLevel() || 0);
+        this.inputManager.update();
+        if (this.handTracker?.isRunning && this.inputManager.enabled.camera) {
+            this.handTracker.processFrame(this.inputManager.getVideoElement());
+        }
+        
+        const enabled = {
+            microphone: this.inputManager.enabled.microphone,
+            camera: this.inputManager.enabled.camera,
+            accelerometer: this.inputManager.enabled.accelerometer,
+            faceTracking: this.enabledInputs.faceTracking
+        };
+        const input = {
+            enabled,
+            audioData: this.inputManager.getAudioData(),
+            motionData: this.inputManager.getMotionData(),
+            faceData: enabled.faceTracking ? this.faceTracker.getFaceData() : { detected: false },
+            gestureData: this.inputManager.getGestureData(),
+            handState: this.handTracker?.getHandState() || null,
+            pointer: this.pointerHand
+        };
+        
+        if (recorder.isRecording) {
+            recorder.recordFrame(deltaTime, this.inputToStreams(input));
+        }
+        return input;
+    }
+
+    // ModulationMatrix source values for this frame - inputs that are off or lost are left out
+    getModulationSources(input) {
+        const sources = {};
+        if (!input) return sources;
+
+        const { enabled, audioData, motionData, faceData, handState } = input;
+        if (enabled.microphone) {
+            sources.micVolume = audioData.volume;
+            sources.micBass = audioData.bass;
+            sources.micMid = audioData.mid;
+            sources.micTreble = audioData.treble;
+            sources.micOnset = audioData.onset;
+            if (audioData.voiced) {
+                sources.voicePitch = Utils.clamp((audioData.pitchNote - 36) / 48, 0, 1);
+            }
+            
+            // Beat sources only exist while the tracker has locked onto a tempo
+            if (audioData.bpm > 0) {
+                sources.beatPulse = audioData.beatPulse;
+                sources.beatPhase = audioData.beatPhase;
+                sources.tempo = Utils.mapRange(audioData.bpm, 70, 180, 0, 1);
+            }
+        }
+
+        if (enabled.camera && enabled.faceTracking && faceData?.detected) {
+            Object.assign(sources, {
+                headYaw: faceData.headYaw,
+                headPitch: faceData.headPitch,
+                headRoll: faceData.headRoll,
+                eyesOpen: faceData.eyesOpen || (faceData.leftEyeOpen + faceData.rightEyeOpen) / 2,
+                eyeAsymmetry: faceData.leftEyeOpen - faceData.rightEyeOpen,
+                gazeX: faceData.gazeX,
+                gazeY: faceData.gazeY,
+                mouthOpenness: faceData.mouthOpen,
+                mouthWidth: faceData.mouthWidth,
+                browRaise: faceData.browRaise || (faceData.leftBrowRaise + faceData.rightBrowRaise) / 2,
+                browFurrow: faceData.browFurrow,
+                lookingAtScreen: faceData.lookingAtScreen,
+                engagement: faceData.engagement
+            });
+        }
+
+        // Strongest visible hand wins
+        const handCount = handState?.count || 0;
+        if (handCount > 0) {
+            const strongest = (values = []) => Math.max(0, ...values.slice(0, handCount));
+            sources.handPinch = strongest(handState.pinches);
+            sources.handFist = strongest(handState.fists);
+            sources.handFingers = strongest(handState.fingerCounts) / 4;
+        }
+
+        if (enabled.accelerometer) {
+            sources.tiltX = motionData.tiltX;
+            sources.tiltY = motionData.tiltY;
+            sources.shake = motionData.shake;
+        }
+
+        // Drop anything a tracker didn't fill in (older recordings, partial face data)
+        Object.keys(sources).forEach((key) => {
+            if (!Number.isFinite(sources[key])) delete sources[key];
+        });
+        return sources;
+    }
+
+    // Recorded form: no spectra or raw face mesh, hand landmarks as [x, y] pairs
+    inputToStreams(input) {
+        const { frequencyData, timeDomainData, ...levels } = input.audioData;
+        const { landmarks, ...face } = input.faceData;
+        const hand = input.handState ? {
+            ...input.handState,
+            landmarks: input.handState.landmarks.map(points => points.map(({ x, y }) => [x, y]))
+        } : null;
+        const { active, x, y, vx, vy, strength } = input.pointer;
+        
+        return {
+            x: input.enabled,
+            a: levels,
+            m: input.motionData,
+            f: face,
+            h: hand,
+            g: input.gestureData,
+            p: { active, x, y, vx, vy, strength }
+        };
+    }
+    
+    inputFromStreams(streams) {
+        const hand = streams.h ? {
+            ...streams.h,
+            landmarks: (streams.h.landmarks || []).map(points => points.map(([x, y]) => ({ x, y })))
+        } : null;
+        
+        return {
+            enabled: streams.x || {},
+            audioData: streams.a || { volume: 0, bass: 0, mid: 0, treble: 0 },
+            motionData: streams.m || { tiltX: 0, tiltY: 0, shake: 0 },
+            faceData: streams.f || { detected: false },
+            gestureData: streams.g || { touchCount: 0 },
+            handState: hand,
+            pointer: streams.p || null
+        };
+    }
+    
+    // Live interaction events - recorded when armed, ignored while a replay drives the input
+    handleInteractionEvent(event) {
+        if (this.inputRecorder.isReplaying) return;
+        this.inputRecorder.recordEvent(event);
+        this.applyInteractionEvent(event);
+    }
+    
+    applyInteractionEvent([type, a, b]) {
+        if (type === 'key') {
+            this.stateEngine.handleKeyPress(a);
+        } else if (type === 'mouse') {
+            this.stateEngine.handleMouseMove(a, b);
+        } else if (type === 'note') {
+            this.stateEngine.handleNote(a, b);
+        }
     }
     
     // =========================================
@@ -870,7 +1214,23 @@ class InnerReflectionApp {
         // Use the smoothed/persisted face data for drawing
         const drawData = this.lastFaceData;
 
-        if (faceData && Array.isArray(faceData.faces) && faceData.faces.length > 1) {
+        if (this.multiPerson && Array.isArray(faceData?.participants) && faceData.participants.length > 1) {
+            // Participants in their accent color (primary stays white)
+            const moveRangeX = w * 0.28;
+            const moveRangeY = h * 0.28;
+            faceData.participants.forEach((participant) => {
+                if (!participant.visible) return;
+                const color = this.participantSlots.getColor(participant.id);
+                const cx = w / 2 + ((1 - participant.faceX) - 0.5) * moveRangeX;
+                const cy = h / 2 - 15 + (participant.faceY - 0.5) * moveRangeY;
+                ctx.fillStyle = color
+                    ? `rgba(${color.map(c => Math.round(c * 255)).join(', ')}, 0.85)`
+                    : 'rgba(255, 255, 255, 0.45)';
+                ctx.beginPath();
+                ctx.arc(cx, cy, 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        } else if (faceData && Array.isArray(faceData.faces) && faceData.faces.length > 1) {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
             const moveRangeX = w * 0.28;
             const moveRangeY = h * 0.28;
@@ -1249,7 +1609,7 @@ class InnerReflectionApp {
         if (!faceData || !faceData.detected) return;
         
         const fv = this.faceVisual;
-        const now = performance.now();
+        const now = this.simulationTime;
         const dt = (now - fv.lastTime) / 1000;
         fv.lastTime = now;
         
@@ -1302,6 +1662,68 @@ class InnerReflectionApp {
         const targetMouthMod = Utils.clamp(faceData.mouthOpen * 1.5, 0, 1);
         fv.mouthAudioMod += (targetMouthMod - fv.mouthAudioMod) * smoothFast;
     }
+
+    // =========================================
+    // MULTI-PERSON
+    // =========================================
+
+    setMultiPerson(enabled) {
+        this.multiPerson = Boolean(enabled);
+        this.faceTracker?.setMultiPerson(this.multiPerson);
+
+        // Primary + both ripple slots need at least three faces
+        if (this.multiPerson && this.faceTracker && this.faceTracker.maxFaces < 3) {
+            this.faceTracker.setMaxFaces(3);
+            const maxFacesSlider = document.getElementById('ctrl-maxFaces');
+            const maxFacesValue = document.getElementById('val-maxFaces');
+            if (maxFacesSlider) maxFacesSlider.value = 3;
+            if (maxFacesValue) maxFacesValue.textContent = '3';
+        }
+
+        const toggle = document.getElementById('ctrl-multi-person');
+        if (toggle) toggle.checked = this.multiPerson;
+    }
+
+    // Blend the occupied slots over the orbiting ripple origins by their presence
+    applyParticipantVisuals(visualState) {
+        if (!this.participantSlots.hasPresence()) return;
+
+        visualState.participantRipples = true;
+        this.participantSlots.slots.forEach((slot, i) => {
+            const key = `rippleOrigin${i + 2}`;
+            const presence = Utils.easing.easeInOutQuad(slot.presence);
+            if (presence <= 0) return;
+
+            // Closer faces make stronger ripples
+            const strength = 0.3 + Utils.clamp(slot.size, 0, 1) * 0.5;
+            visualState[`${key}X`] = Utils.lerp(visualState[`${key}X`], slot.x, presence);
+            visualState[`${key}Y`] = Utils.lerp(visualState[`${key}Y`], slot.y, presence);
+            visualState[`${key}Strength`] = Utils.lerp(visualState[`${key}Strength`], strength, presence);
+            visualState[`${key}Tint`] = [...slot.color, presence];
+        });
+    }
+
+    // Neutral face response (offline renders start from here)
+    resetFaceResponse() {
+        const smoothing = this.faceSmoothing;
+        smoothing.x.value = smoothing.x.target = 0.5;
+        smoothing.y.value = smoothing.y.target = 0.5;
+        smoothing.size.value = smoothing.size.target = 0.3;
+        Object.values(smoothing).forEach(smooth => { smooth.velocity = 0; });
+        smoothing.pushX.value = smoothing.pushY.value = smoothing.pushSize.value = 0;
+        this.wasTalking = false;
+        
+        Object.assign(this.faceVisual, {
+            blobOffsetX: 0,
+            blobOffsetY: 0,
+            spinDirection: 0,
+            darknessAmount: 0,
+            motionSpeed: 1.0,
+            mouthAudioMod: 0,
+            lastTime: this.simulationTime,
+            movementVelocity: 0
+        });
+    }
     
     /**
      * Decay face visual parameters when no face is detected
@@ -1357,7 +1779,7 @@ class InnerReflectionApp {
     
     handleKeydown(e) {
         // Ignore if typing in input
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
             return;
         }
         
@@ -1381,6 +1803,12 @@ class InnerReflectionApp {
         
         const key = e.key.toLowerCase();
         
+        // Offline renders must not pick up live input - Escape cancels
+        if (this.offlineRenderer.isRendering) {
+            if (key === 'escape') this.offlineRenderer.cancel();
+            return;
+        }
+        
         // System controls (not passed to state engine)
         switch (key) {
             case 'escape':
@@ -1401,6 +1829,14 @@ class InnerReflectionApp {
                 }
                 break;
                 
+            case 'r':
+                // Start/stop recording (only with shift)
+                if (e.shiftKey) {
+                    this.toggleRecording();
+                    return;
+                }
+                break;
+                
             case 'd':
             case 's':  // S for Settings
                 // Toggle debug panel
@@ -1413,12 +1849,30 @@ class InnerReflectionApp {
             case 'g':
                 // Toggle focus mode (concentrated portal)
                 const currentFocus = this.stateEngine.focusMode.active;
-                this.stateEngine.setFocusMode(!currentFocus, Utils.random(0.6, 1.0));
+                this.stateEngine.setFocusMode(!currentFocus, Utils.random(0.6, 1.0, this.random));
                 return;
         }
         
         // Pass all other keys to state engine (piano-like input)
-        this.stateEngine.handleKeyPress(key);
+        this.handleInteractionEvent(['key', key]);
+    }
+    
+    // Mute state shared by the header toggle, the mute checkbox and remote control
+    setMuted(muted) {
+        this.isMuted = Boolean(muted);
+        const soundToggle = document.getElementById('sound-toggle');
+        const muteCheckbox = document.getElementById('ctrl-mute');
+        if (soundToggle) {
+            const stateEl = soundToggle.querySelector('.sound-toggle-state');
+            if (stateEl) {
+                stateEl.textContent = this.isMuted ? 'Muted' : 'On';
+            }
+            soundToggle.classList.toggle('muted', this.isMuted);
+        }
+        if (muteCheckbox) {
+            muteCheckbox.checked = this.isMuted;
+        }
+        this.audioEngine?.setMuted(this.isMuted);
     }
     
     handleKeyup(e) {
@@ -1433,7 +1887,7 @@ class InnerReflectionApp {
         const y = e.clientY / window.innerHeight;
         
         // Feed to state engine (affects displacement center and more)
-        this.stateEngine.handleMouseMove(x, y);
+        this.handleInteractionEvent(['mouse', x, y]);
     }
 
     setupPointerHand() {
@@ -1451,7 +1905,7 @@ class InnerReflectionApp {
     }
 
     handlePointerDown(e) {
-        if (!this.shouldHandlePointer(e)) return;
+        if (!this.shouldHandlePointer(e) || this.inputRecorder.isReplaying) return;
         const point = this.getPointerFromEvent(e);
         if (!point) return;
         this.pointerHand.active = true;
@@ -1459,14 +1913,14 @@ class InnerReflectionApp {
     }
 
     handlePointerMove(e) {
-        if (!this.pointerHand.active) return;
+        if (!this.pointerHand.active || this.inputRecorder.isReplaying) return;
         const point = this.getPointerFromEvent(e);
         if (!point) return;
         this.updatePointerHand(point.x, point.y, point.time);
     }
 
     handlePointerUp() {
-        if (!this.pointerHand.active) return;
+        if (!this.pointerHand.active || this.inputRecorder.isReplaying) return;
         this.pointerHand.active = false;
         this.pointerHand.vx = 0;
         this.pointerHand.vy = 0;
@@ -1560,6 +2014,8 @@ class InnerReflectionApp {
             const handVisualToggle = document.getElementById('ctrl-hand-visualizer');
             const maxFacesSlider = document.getElementById('ctrl-maxFaces');
             const maxFacesValue = document.getElementById('val-maxFaces');
+            const multiPersonToggle = document.getElementById('ctrl-multi-person');
+            if (multiPersonToggle) multiPersonToggle.checked = this.multiPerson;
             if (cameraToggle) cameraToggle.checked = this.enabledInputs.camera;
             if (faceToggle) faceToggle.checked = this.enabledInputs.faceTracking;
             if (faceVisualToggle) faceVisualToggle.checked = this.showFaceOverlay;
@@ -1589,20 +2045,7 @@ class InnerReflectionApp {
         const handVisualToggle = document.getElementById('ctrl-hand-visualizer');
         const maxFacesSlider = document.getElementById('ctrl-maxFaces');
         const maxFacesValue = document.getElementById('val-maxFaces');
-        const applyMuteState = (muted) => {
-            this.isMuted = muted;
-            if (soundToggle) {
-                const stateEl = soundToggle.querySelector('.sound-toggle-state');
-                if (stateEl) {
-                    stateEl.textContent = this.isMuted ? 'Muted' : 'On';
-                }
-                soundToggle.classList.toggle('muted', this.isMuted);
-            }
-            if (muteCheckbox) {
-                muteCheckbox.checked = this.isMuted;
-            }
-            this.audioEngine?.setMuted(this.isMuted);
-        };
+        const multiPersonToggle = document.getElementById('ctrl-multi-person');
         const sliderRamp = (fast, slow = 0.2, fastTime = 0.03) => (fast ? fastTime : slow);
         
         // Toggle debug panel
@@ -1626,10 +2069,10 @@ class InnerReflectionApp {
         // Sound on/off toggle
         if (soundToggle) {
             soundToggle.addEventListener('click', () => {
-                applyMuteState(!this.isMuted);
+                this.setMuted(!this.isMuted);
             });
         }
-        applyMuteState(this.isMuted);
+        this.setMuted(this.isMuted);
 
         if (cameraToggle) {
             cameraToggle.checked = this.enabledInputs.camera;
@@ -1682,29 +2125,35 @@ class InnerReflectionApp {
             });
         }
         
+        if (multiPersonToggle) {
+            multiPersonToggle.checked = this.multiPerson;
+            multiPersonToggle.addEventListener('change', (e) => {
+                this.setMultiPerson(e.target.checked);
+            });
+        }
+        
         // Setup preset buttons (visual presets / wingle words)
         document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const preset = e.target.dataset.preset;
-                this.applyPreset(preset);
-                
-                // Update active state
-                document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-            });
+            this.bindPresetButton(btn);
         });
+        this.setupSlider('ctrl-presetTransition', 'val-presetTransition', (v) => {
+            this.presetTransitionTime = v;
+        }, (v) => v.toFixed(1));
+        const easingSelect = document.getElementById('ctrl-presetEasing');
+        easingSelect?.addEventListener('change', () => {
+            this.presetTransitionEasing = easingSelect.value;
+        });
+        this.setupUserPresets();
+        this.setupSceneSequencer();
         
         // Setup sound preset buttons
         document.querySelectorAll('.sound-preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const soundPreset = e.target.dataset.soundPreset;
-                this.applySoundPreset(soundPreset);
-                
-                // Update active state
-                document.querySelectorAll('.sound-preset-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-            });
+            this.bindSoundPresetButton(btn);
         });
+        this.setupSlider('ctrl-soundTransition', 'val-soundTransition', (v) => {
+            this.soundTransitionTime = v;
+        }, (v) => v.toFixed(1));
+        this.setupUserSoundPresets();
         
         // Make entire header bar clickable to close panel
         const debugHeaderBar = document.getElementById('debug-header-bar');
@@ -1852,7 +2301,7 @@ class InnerReflectionApp {
         // Mute checkbox
         if (muteCheckbox) {
             muteCheckbox.addEventListener('change', (e) => {
-                applyMuteState(e.target.checked);
+                this.setMuted(e.target.checked);
             });
         }
         
@@ -2051,6 +2500,16 @@ class InnerReflectionApp {
             this.audioEngine?.setGranularParam('deep', 'delayTime', v, sliderRamp(fast, 0.25, 0.05));
         });
         
+        // Source window per layer: position / span in the buffer, scan drifts the window along
+        ['Ambient', 'Choppy', 'Shimmer', 'Deep'].forEach((suffix) => {
+            const layerName = suffix.toLowerCase();
+            ['Position', 'Span', 'Scan'].forEach((param) => {
+                this.setupSlider(`ctrl-gran${suffix}${param}`, `val-gran${suffix}${param}`, (v) => {
+                    this.audioEngine?.setGranularParam(layerName, param.toLowerCase(), v);
+                });
+            });
+        });
+        
         // =========================================
         // AUDIO CONTROLS - Mic Processing
         // =========================================
@@ -2152,6 +2611,22 @@ class InnerReflectionApp {
         // Initialize shape values
         this.vignetteShape = 0.5;  // Default: blend between rectangular and oval
         this.updateManualSliders();
+        this.setupMidi();
+        this.setupModulation();
+        this.setupOutput();
+        this.setupQuality();
+        this.setupProjection();
+        this.setupEffectStack();
+        this.setupTonality();
+        this.setupSpatial();
+        this.setupLoopLibrary();
+        this.setupGranularSources();
+        this.setupMeters();
+        this.setupControlBridge();
+        this.setupSessionSeed();
+        this.setupInputRecorder();
+        this.setupRecorder();
+        this.setupOfflineRender();
         this.setupColumnToggles();
         this.setupAudioGroups();
     }
@@ -2620,15 +3095,15 @@ class InnerReflectionApp {
         // Randomize visual state parameters with smooth transitions
         if (this.stateEngine) {
             // Randomly shift hues (use setTargetValue for smooth morphing)
-            this.stateEngine.setTargetValue('colorHue1', Math.random());
-            this.stateEngine.setTargetValue('colorHue2', Math.random());
-            this.stateEngine.setTargetValue('colorHue3', Math.random());
-            this.stateEngine.setTargetValue('colorHue4', Math.random());
+            this.stateEngine.setTargetValue('colorHue1', this.random());
+            this.stateEngine.setTargetValue('colorHue2', this.random());
+            this.stateEngine.setTargetValue('colorHue3', this.random());
+            this.stateEngine.setTargetValue('colorHue4', this.random());
             
             // Randomly shift other visual parameters - shapeType as 0-1 normalized value
-            this.stateEngine.setTargetValue('displacementStrength', 0.1 + Math.random() * 0.3);
-            this.stateEngine.setTargetValue('shapeType', Math.random());  // 0-1 value, shader handles mapping
-            this.stateEngine.setTargetValue('waveAmplitude', Math.random() * 0.2);
+            this.stateEngine.setTargetValue('displacementStrength', 0.1 + this.random() * 0.3);
+            this.stateEngine.setTargetValue('shapeType', this.random());  // 0-1 value, shader handles mapping
+            this.stateEngine.setTargetValue('waveAmplitude', this.random() * 0.2);
             
             // Boost smoothing for faster visual response
             this.visualEngine?.boostSmoothing(25);
@@ -2643,7 +3118,9 @@ class InnerReflectionApp {
         this.currentAnimSpeed = Utils.mapRange(driver, 0, 1, min, max);
     }
 
-    composeHandState(handState) {
+    // Tracked hands plus the mouse/touch hand - the pointer comes with the frame's input
+    // (live or replayed), so an offline render never picks up the live one
+    composeHandState(handState, pointer = null) {
         const maxHands = this.handTracker?.maxHands ?? 2;
         const baseCount = handState?.count || 0;
         const merged = {
@@ -2654,6 +3131,7 @@ class InnerReflectionApp {
             palmFacing: Array.from({ length: maxHands }, (_, i) => handState?.palmFacing?.[i] || false),
             fists: Array.from({ length: maxHands }, (_, i) => handState?.fists?.[i] || 0),
             fingerCounts: Array.from({ length: maxHands }, (_, i) => handState?.fingerCounts?.[i] || 0),
+            pinches: Array.from({ length: maxHands }, (_, i) => handState?.pinches?.[i] || 0),
             allFingersExtended: Array.from({ length: maxHands }, (_, i) => handState?.allFingersExtended?.[i] || false),
             thumbExtended: Array.from({ length: maxHands }, (_, i) => handState?.thumbExtended?.[i] || false),
             thumbsUp: Array.from({ length: maxHands }, (_, i) => handState?.thumbsUp?.[i] || false),
@@ -2663,15 +3141,15 @@ class InnerReflectionApp {
             landmarks: handState?.landmarks || []
         };
         
-        if (this.pointerHand.active) {
+        if (pointer?.active) {
             const slot = merged.count < maxHands ? merged.count : maxHands - 1;
             if (merged.count < maxHands) merged.count += 1;
-            merged.positions[slot] = { x: this.pointerHand.x, y: this.pointerHand.y };
-            merged.velocities[slot] = { x: this.pointerHand.vx, y: this.pointerHand.vy };
-            merged.strengths[slot] = this.pointerHand.strength;
+            merged.positions[slot] = { x: pointer.x, y: pointer.y };
+            merged.velocities[slot] = { x: pointer.vx, y: pointer.vy };
+            merged.strengths[slot] = pointer.strength;
             merged.palmFacing[slot] = true;
             merged.fists[slot] = 0;
-            merged.influence = Math.max(merged.influence, this.pointerHand.strength);
+            merged.influence = Math.max(merged.influence, pointer.strength);
             merged.visibility = 1;
         }
         
@@ -3080,976 +3558,2414 @@ class InnerReflectionApp {
         }
     }
     
-    applyPreset(presetName) {
+    // duration > 0 morphs from the current values instead of jumping
+    applyPreset(presetName, duration = 0, easing = this.presetTransitionEasing) {
         console.log('Applying preset:', presetName);
         
-        const baseState = {
-            colorHue1: 0.5,
-            colorHue2: 0.08,
-            colorHue3: 0.85,
-            colorHue4: 0.35,
-            colorSaturation: 0.7,
-            colorBrightness: 0.55,
-            displacementStrength: 0.5,
-            displacementRadius: 0.7,
-            displacementRings: 0.5,
-            displacementX: 0.5,
-            displacementY: 0.5,
-            displacementChromatic: 0.35,
-            displacementWobble: 0.2,
-            rippleOrigin2Strength: 0.25,
-            rippleOrigin3Strength: 0.18,
-            morphProgress: 0,
-            morphType: 0.1,
-            shapeType: 0.0,
-            waveDelay: 0.5,
-            waveAmplitude: 0.3,
-            waveSpeed: 0.5,
-            edgeSharpness: 0.25,
-            minRadius: 0.06,
-            shapeRotation: 0,
-            rotationSpeed: 0.15,
-            foldAmount: 0.4,
-            invertAmount: 0.2,
-            secondaryWave: 0.35,
-            tertiaryWave: 0.15,
-            blur: 0.15,
-            glow: 0.3,
-            vignette: 0.15,
-            brightnessEvolution: 0.5
-        };
-        
-        const baseManual = {
-            ringDelay: 0.4,
-            ringOverlayStrength: 0.5,
-            ringOverlayWidth: 0.4,
-            parallelStrength: 0.0,
-            parallelZoom: 0.42,
-            parallelZoomDrift: 0.15,
-            parallelSpin: 0.15,
-            parallelThickness: 0.28,
-            parallelPresence: 0.0,
-            blobCount: 8,
-            blobSpread: 0.75,
-            blobScale: 0.95,
-            blobMotion: 0.5,
-            blobBlur: 0.75,
-            blobSmear: 0.6,
-            blobLighten: 0.25,
-            blobInvert: 0.1,
-            blobFade: 0.7,
-            blobWarp: 0.3,
-            blobOffsetX: 0,
-            blobOffsetY: 0
-        };
+        const preset = this.presetLibrary?.get(presetName);
+        if (!preset) return;
         
-        const presets = {
-            // === DRAMATICALLY DIFFERENT PRESETS ===
-            glowingPill: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.33,     // Green
-                    colorHue2: 0.08,     // Orange/red
-                    colorHue3: 0.35,     // Green-yellow
-                    colorHue4: 0.05,     // Red-orange
-                    colorSaturation: 0.95,
-                    colorBrightness: 0.65,
-                    displacementStrength: 0.65,
-                    displacementRadius: 0.55,
-                    displacementRings: 0.12,  // Minimal rings - solid shape
-                    displacementChromatic: 0.35,
-                    displacementWobble: 0.02,
-                    shapeType: 1.0,       // Pill/capsule shape
-                    waveDelay: 0.3,
-                    waveAmplitude: 0.1,
-                    edgeSharpness: 0.45,
-                    blur: 0.35,
-                    glow: 0.65,
-                    vignette: 0.5,
-                    brightnessEvolution: 0.7
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.0,
-                    parallelStrength: 0.0,
-                    parallelPresence: 0.0,
-                    blobCount: 5,
-                    blobSpread: 0.4,
-                    blobScale: 1.3,
-                    blobBlur: 0.95,
-                    blobLighten: 0.45
-                },
-                vignetteShape: 0.65
-            },
-            
-            // Dark sphere on pink/magenta background (ref image 2)
-            darkSphere: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.92,     // Pink/magenta
-                    colorHue2: 0.58,     // Blue-cyan
-                    colorHue3: 0.12,     // Yellow-orange
-                    colorHue4: 0.88,     // Pink
-                    colorSaturation: 0.85,
-                    colorBrightness: 0.62,
-                    displacementStrength: 0.72,
-                    displacementRadius: 0.4,
-                    displacementRings: 0.08,  // Almost no rings
-                    displacementChromatic: 0.55,
-                    displacementWobble: 0.01,
-                    shapeType: 0.0,       // Circle
-                    waveDelay: 0.2,
-                    waveAmplitude: 0.08,
-                    edgeSharpness: 0.35,
-                    blur: 0.25,
-                    glow: 0.5,
-                    vignette: 0.1
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.0,
-                    parallelStrength: 0.0,
-                    blobCount: 6,
-                    blobScale: 1.4,
-                    blobBlur: 0.85,
-                    blobInvert: 0.35
-                },
-                vignetteShape: 0.5
-            },
-            
-            // Iridescent egg on black (ref image 3)
-            iridescentEgg: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.45,     // Cyan
-                    colorHue2: 0.92,     // Magenta
-                    colorHue3: 0.33,     // Green
-                    colorHue4: 0.15,     // Yellow-orange
-                    colorSaturation: 0.95,
-                    colorBrightness: 0.58,
-                    displacementStrength: 0.55,
-                    displacementRadius: 0.65,
-                    displacementRings: 0.15,
-                    displacementChromatic: 0.75,  // Strong chromatic for iridescence
-                    displacementWobble: 0.08,
-                    shapeType: 0.95,      // Near pill shape
-                    waveDelay: 0.4,
-                    waveAmplitude: 0.15,
-                    edgeSharpness: 0.5,
-                    blur: 0.15,
-                    glow: 0.35,
-                    vignette: 0.55
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.15,
-                    parallelStrength: 0.0,
-                    blobCount: 7,
-                    blobScale: 1.1,
-                    blobBlur: 0.7,
-                    blobSmear: 0.8
-                },
-                vignetteShape: 0.7
-            },
-            
-            // Concentric rings tunnel (ref images 14-15, 18)
-            concentricTunnel: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.08,     // Orange
-                    colorHue2: 0.55,     // Cyan
-                    colorHue3: 0.92,     // Magenta
-                    colorHue4: 0.33,     // Green
-                    colorSaturation: 1.0,
-                    colorBrightness: 0.6,
-                    displacementStrength: 0.6,
-                    displacementRadius: 1.0,
-                    displacementRings: 0.85,  // Many rings
-                    displacementChromatic: 0.65,
-                    displacementWobble: 0.05,
-                    shapeType: 0.0,       // Circles
-                    waveDelay: 0.7,
-                    waveAmplitude: 0.35,
-                    edgeSharpness: 0.2,
-                    blur: 0.08,
-                    glow: 0.4,
-                    vignette: 0.15
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.55,
-                    ringOverlayWidth: 0.25,
-                    parallelStrength: 0.0,
-                    blobCount: 8,
-                    blobBlur: 0.6
-                },
-                vignetteShape: 0.5
-            },
-            
-            // Glowing orb with halo (ref image 11 - green circle on purple)
-            glowingOrb: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.52,     // Teal-green
-                    colorHue2: 0.75,     // Purple
-                    colorHue3: 0.45,     // Cyan
-                    colorHue4: 0.7,      // Violet
-                    colorSaturation: 0.85,
-                    colorBrightness: 0.55,
-                    displacementStrength: 0.5,
-                    displacementRadius: 0.5,
-                    displacementRings: 0.2,
-                    displacementChromatic: 0.4,
-                    displacementWobble: 0.03,
-                    shapeType: 0.0,
-                    waveDelay: 0.35,
-                    waveAmplitude: 0.12,
-                    edgeSharpness: 0.55,
-                    blur: 0.4,
-                    glow: 0.7,
-                    vignette: 0.25
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.3,
-                    parallelStrength: 0.0,
-                    blobCount: 5,
-                    blobScale: 1.2,
-                    blobBlur: 0.95,
-                    blobLighten: 0.5
-                },
-                vignetteShape: 0.8
-            },
-            
-            // Warm sunset sphere (ref image 19 - yellow sphere on purple)
-            warmSunset: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.12,     // Yellow-orange
-                    colorHue2: 0.75,     // Purple
-                    colorHue3: 0.05,     // Red
-                    colorHue4: 0.52,     // Cyan
-                    colorSaturation: 0.8,
-                    colorBrightness: 0.6,
-                    displacementStrength: 0.45,
-                    displacementRadius: 0.55,
-                    displacementRings: 0.1,
-                    displacementChromatic: 0.3,
-                    displacementWobble: 0.02,
-                    shapeType: 0.0,
-                    waveDelay: 0.25,
-                    waveAmplitude: 0.08,
-                    edgeSharpness: 0.5,
-                    blur: 0.35,
-                    glow: 0.55,
-                    vignette: 0.2
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.1,
-                    parallelStrength: 0.0,
-                    blobCount: 6,
-                    blobScale: 1.15,
-                    blobBlur: 0.85
-                },
-                vignetteShape: 0.6
-            },
-            
-            // Layered echoes/pyramids (ref image 7 - layered glowing shapes)
-            layeredEchoes: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.03,     // Red-orange
-                    colorHue2: 0.58,     // Cyan
-                    colorHue3: 0.15,     // Yellow
-                    colorHue4: 0.42,     // Green-cyan
-                    colorSaturation: 0.88,
-                    colorBrightness: 0.55,
-                    displacementStrength: 0.4,
-                    displacementRadius: 0.85,
-                    displacementRings: 0.55,
-                    displacementChromatic: 0.45,
-                    displacementWobble: 0.15,
-                    shapeType: 0.45,      // Torus-ish
-                    waveDelay: 0.75,
-                    waveAmplitude: 0.4,
-                    edgeSharpness: 0.35,
-                    blur: 0.2,
-                    glow: 0.45,
-                    vignette: 0.35
-                },
-                manual: {
-                    ...baseManual,
-                    ringDelay: 0.6,
-                    ringOverlayStrength: 0.5,
-                    ringOverlayWidth: 0.4,
-                    parallelStrength: 0.0,
-                    blobCount: 7
-                },
-                vignetteShape: 0.4
-            },
-            
-            // Soft focus abstract (ref image 9 - soft green/teal spiral)
-            softFocus: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.35,     // Green
-                    colorHue2: 0.45,     // Cyan
-                    colorHue3: 0.12,     // Yellow
-                    colorHue4: 0.75,     // Purple
-                    colorSaturation: 0.65,
-                    colorBrightness: 0.65,
-                    displacementStrength: 0.25,
-                    displacementRadius: 0.6,
-                    displacementRings: 0.25,
-                    displacementChromatic: 0.2,
-                    displacementWobble: 0.12,
-                    shapeType: 0.65,      // Spiral-ish
-                    waveDelay: 0.45,
-                    waveAmplitude: 0.2,
-                    edgeSharpness: 0.7,
-                    blur: 0.55,
-                    glow: 0.35,
-                    vignette: 0.15
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.15,
-                    parallelStrength: 0.0,
-                    blobCount: 9,
-                    blobScale: 1.0,
-                    blobBlur: 1.0,
-                    blobSmear: 0.85
-                },
-                vignetteShape: 0.55
-            },
-            
-            // Split/dual sphere (ref images 17, 19 with split effect)
-            dualSphere: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.55,     // Cyan
-                    colorHue2: 0.35,     // Green
-                    colorHue3: 0.75,     // Purple
-                    colorHue4: 0.05,     // Red
-                    colorSaturation: 0.78,
-                    colorBrightness: 0.58,
-                    displacementStrength: 0.55,
-                    displacementRadius: 0.5,
-                    displacementRings: 0.18,
-                    displacementChromatic: 0.5,
-                    displacementWobble: 0.05,
-                    rippleOrigin2Strength: 0.45,  // Second ripple visible
-                    rippleOrigin3Strength: 0.25,
-                    shapeType: 0.0,
-                    waveDelay: 0.4,
-                    waveAmplitude: 0.15,
-                    edgeSharpness: 0.4,
-                    blur: 0.2,
-                    glow: 0.4,
-                    vignette: 0.1
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.25,
-                    parallelStrength: 0.0,
-                    blobCount: 6,
-                    blobScale: 1.1
-                },
-                vignetteShape: 0.5
-            },
-            
-            // === ORIGINAL PRESETS (dramatically different) ===
-            
-            calm: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.55,      // Cyan-blue
-                    colorHue2: 0.48,      // Blue-cyan
-                    colorHue3: 0.62,      // Blue
-                    colorHue4: 0.42,      // Cyan
-                    colorSaturation: 0.35, // Very desaturated
-                    colorBrightness: 0.6,
-                    displacementStrength: 0.22,  // Very gentle
-                    displacementRadius: 0.5,
-                    displacementRings: 0.2,      // Few rings
-                    displacementChromatic: 0.08, // Minimal chromatic
-                    displacementWobble: 0.03,    // Almost no wobble
-                    waveDelay: 0.3,
-                    waveAmplitude: 0.08,         // Very subtle waves
-                    waveSpeed: 0.2,              // Slow
-                    edgeSharpness: 0.6,
-                    rotationSpeed: 0.02,         // Very slow rotation
-                    blur: 0.5,                   // Heavy blur
-                    glow: 0.15,
-                    brightnessEvolution: 0.2     // Stable
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.15,
-                    ringOverlayWidth: 0.5,
-                    ringDelay: 0.2,
-                    blobCount: 5,
-                    blobSpread: 0.4,
-                    blobScale: 0.6,
-                    blobMotion: 0.15,
-                    blobBlur: 1.0,
-                    blobSmear: 0.9,
-                    blobLighten: 0.1
-                },
-                vignetteShape: 0.6
-            },
-            softBlobs: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.85,      // Pink-magenta
-                    colorHue2: 0.75,      // Purple
-                    colorHue3: 0.45,      // Cyan
-                    colorHue4: 0.95,      // Red-pink
-                    colorSaturation: 0.6,
-                    colorBrightness: 0.65,
-                    displacementStrength: 0.12,  // Very weak rings
-                    displacementRadius: 0.35,    // Small area
-                    displacementRings: 0.1,      // Minimal rings
-                    displacementChromatic: 0.15,
-                    displacementWobble: 0.5,     // High wobble for organic feel
-                    waveDelay: 0.8,
-                    waveAmplitude: 0.35,
-                    waveSpeed: 0.35,
-                    edgeSharpness: 0.95,         // Very soft edges
-                    rotationSpeed: 0.08,
-                    blur: 0.8,                   // Very blurry
-                    glow: 0.6,                   // Strong glow
-                    brightnessEvolution: 0.7
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.05,
-                    blobCount: 16,               // Many blobs
-                    blobSpread: 1.0,
-                    blobScale: 1.4,              // Large blobs
-                    blobBlur: 1.0,
-                    blobSmear: 0.95,
-                    blobMotion: 0.8,
-                    blobWarp: 0.6,
-                    blobLighten: 0.5,
-                    blobInvert: 0.3
-                },
-                vignetteShape: 0.7
-            },
-            singleRing: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.08,      // Orange
-                    colorHue2: 0.95,      // Red
-                    colorHue3: 0.12,      // Yellow-orange
-                    colorHue4: 0.02,      // Deep red
-                    colorSaturation: 0.95,
-                    colorBrightness: 0.55,
-                    displacementStrength: 0.95,  // Very strong
-                    displacementRadius: 0.6,
-                    displacementRings: 0.08,     // Almost single ring
-                    displacementChromatic: 0.65,
-                    displacementWobble: 0.02,    // Clean edges
-                    waveDelay: 0.15,
-                    waveAmplitude: 0.5,          // Strong wave
-                    waveSpeed: 0.6,
-                    edgeSharpness: 0.05,         // Very sharp
-                    minRadius: 0.15,             // Hollow center
-                    rotationSpeed: 0.25,
-                    blur: 0.02,                  // Almost no blur
-                    glow: 0.45,
-                    brightnessEvolution: 0.4
-                },
-                manual: {
-                    ...baseManual,
-                    ringDelay: 0.6,
-                    ringOverlayStrength: 0.85,   // Strong overlay
-                    ringOverlayWidth: 0.15,
-                    blobCount: 3,
-                    blobScale: 0.5,
-                    blobBlur: 0.3,
-                    blobMotion: 0.2,
-                    blobLighten: 0.0
-                },
-                vignetteShape: 0.85
-            },
-            multiRings: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.45,      // Cyan
-                    colorHue2: 0.65,      // Blue
-                    colorHue3: 0.85,      // Purple
-                    colorHue4: 0.25,      // Green
-                    colorSaturation: 0.85,
-                    colorBrightness: 0.58,
-                    displacementStrength: 0.7,
-                    displacementRadius: 1.0,     // Full screen
-                    displacementRings: 0.95,     // Maximum rings
-                    displacementChromatic: 0.7,
-                    displacementWobble: 0.15,
-                    waveDelay: 0.85,             // Long delay between rings
-                    waveAmplitude: 0.45,
-                    waveSpeed: 0.7,              // Fast
-                    edgeSharpness: 0.12,
-                    minRadius: 0.02,
-                    rotationSpeed: 0.3,
-                    blur: 0.08,
-                    glow: 0.35
-                },
-                manual: {
-                    ...baseManual,
-                    ringDelay: 0.7,
-                    ringOverlayStrength: 0.6,
-                    ringOverlayWidth: 0.25,
-                    blobCount: 12,
-                    blobSpread: 0.9,
-                    blobMotion: 0.6
-                },
-                vignetteShape: 0.4
-            },
-            chromatic: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.0,       // Red
-                    colorHue2: 0.25,      // Yellow-green
-                    colorHue3: 0.5,       // Cyan
-                    colorHue4: 0.75,      // Purple
-                    colorSaturation: 1.0, // Full saturation
-                    colorBrightness: 0.65,
-                    displacementStrength: 0.85,
-                    displacementRadius: 0.9,
-                    displacementRings: 0.75,
-                    displacementChromatic: 1.0,  // Maximum chromatic
-                    displacementWobble: 0.2,
-                    waveDelay: 0.55,
-                    waveAmplitude: 0.4,
-                    waveSpeed: 0.55,
-                    edgeSharpness: 0.08,
-                    rotationSpeed: 0.35,
-                    blur: 0.05,
-                    glow: 0.5,
-                    brightnessEvolution: 0.65
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.55,
-                    ringOverlayWidth: 0.2,
-                    blobCount: 14,
-                    blobLighten: 0.4,
-                    blobInvert: 0.25,
-                    blobMotion: 0.5
-                },
-                vignetteShape: 0.5
-            },
-            angular: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.12,      // Yellow
-                    colorHue2: 0.92,      // Magenta
-                    colorHue3: 0.35,      // Green
-                    colorHue4: 0.65,      // Blue
-                    colorSaturation: 0.9,
-                    colorBrightness: 0.52,
-                    displacementStrength: 0.65,
-                    displacementRadius: 0.75,
-                    displacementRings: 0.45,
-                    displacementChromatic: 0.45,
-                    displacementWobble: 0.02,    // Very clean
-                    morphProgress: 0.85,
-                    morphType: 0.75,
-                    shapeType: 0.6,              // Angular shapes
-                    waveDelay: 0.4,
-                    waveAmplitude: 0.2,
-                    waveSpeed: 0.4,
-                    edgeSharpness: 0.02,         // Very sharp
-                    rotationSpeed: 0.45,         // Fast rotation
-                    blur: 0.0,                   // No blur
-                    glow: 0.25,
-                    brightnessEvolution: 0.55
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.5,
-                    ringDelay: 0.3,
-                    blobCount: 5,
-                    blobBlur: 0.2,
-                    blobMotion: 0.25
-                },
-                vignetteShape: 0.3
-            },
-            minimal: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.0,       // Greyscale tint
-                    colorHue2: 0.0,
-                    colorHue3: 0.0,
-                    colorHue4: 0.0,
-                    colorSaturation: 0.0, // No color
-                    colorBrightness: 0.75,
-                    displacementStrength: 0.15,
-                    displacementRadius: 0.4,
-                    displacementRings: 0.15,
-                    displacementChromatic: 0.0,  // No chromatic
-                    displacementWobble: 0.0,
-                    waveDelay: 0.2,
-                    waveAmplitude: 0.05,
-                    waveSpeed: 0.15,
-                    edgeSharpness: 0.5,
-                    rotationSpeed: 0.0,          // No rotation
-                    blur: 0.3,
-                    glow: 0.05,
-                    brightnessEvolution: 0.1
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.1,
-                    blobCount: 3,
-                    blobBlur: 0.8,
-                    blobLighten: 0.0,
-                    blobInvert: 0.0,
-                    blobMotion: 0.1
-                },
-                vignetteShape: 0.9
-            },
-            halo: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.15,      // Gold/yellow
-                    colorHue2: 0.08,      // Orange
-                    colorHue3: 0.02,      // Red
-                    colorHue4: 0.18,      // Yellow
-                    colorSaturation: 0.75,
-                    colorBrightness: 0.7,
-                    displacementStrength: 0.75,
-                    displacementRadius: 0.95,
-                    displacementRings: 0.35,
-                    displacementChromatic: 0.5,
-                    displacementWobble: 0.08,
-                    waveDelay: 0.75,
-                    waveAmplitude: 0.4,
-                    waveSpeed: 0.45,
-                    edgeSharpness: 0.15,
-                    minRadius: 0.2,              // Hollow center
-                    rotationSpeed: 0.12,
-                    blur: 0.25,
-                    glow: 0.85,                  // Strong glow
-                    brightnessEvolution: 0.55
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.8,
-                    ringOverlayWidth: 0.2,
-                    ringDelay: 0.65,
-                    blobCount: 10,
-                    blobLighten: 0.6,
-                    blobBlur: 0.95
-                },
-                vignetteShape: 0.75
-            },
-            liquid: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.55,      // Cyan
-                    colorHue2: 0.45,      // Teal
-                    colorHue3: 0.65,      // Blue
-                    colorHue4: 0.35,      // Green
-                    colorSaturation: 0.7,
-                    colorBrightness: 0.6,
-                    displacementStrength: 0.4,
-                    displacementRadius: 0.65,
-                    displacementRings: 0.3,
-                    displacementChromatic: 0.35,
-                    displacementWobble: 0.6,     // High wobble
-                    shapeType: 0.15,
-                    waveDelay: 0.6,
-                    waveAmplitude: 0.5,          // Strong waves
-                    waveSpeed: 0.65,
-                    edgeSharpness: 0.8,          // Soft
-                    rotationSpeed: 0.18,
-                    blur: 0.45,
-                    glow: 0.35,
-                    brightnessEvolution: 0.7
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.2,
-                    blobCount: 15,
-                    blobMotion: 0.95,
-                    blobSmear: 1.0,
-                    blobBlur: 0.95,
-                    blobWarp: 0.7,
-                    blobLighten: 0.45,
-                    blobInvert: 0.3
-                },
-                vignetteShape: 0.55
-            },
-            prism: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.0,       // Red
-                    colorHue2: 0.15,      // Orange-yellow
-                    colorHue3: 0.33,      // Green
-                    colorHue4: 0.66,      // Blue
-                    colorSaturation: 1.0,
-                    colorBrightness: 0.62,
-                    displacementStrength: 0.8,
-                    displacementRadius: 0.85,
-                    displacementRings: 0.6,
-                    displacementChromatic: 0.95, // Very high
-                    shapeType: 0.7,
-                    morphProgress: 0.6,
-                    morphType: 0.85,
-                    waveDelay: 0.5,
-                    waveAmplitude: 0.35,
-                    waveSpeed: 0.5,
-                    edgeSharpness: 0.1,
-                    rotationSpeed: 0.28,
-                    blur: 0.08,
-                    glow: 0.45,
-                    brightnessEvolution: 0.6
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.55,
-                    ringOverlayWidth: 0.25,
-                    parallelStrength: 0.0,
-                    parallelPresence: 0.0,
-                    parallelZoom: 0.7,
-                    parallelSpin: 0.6,
-                    blobCount: 9,
-                    blobLighten: 0.3,
-                    blobInvert: 0.2
-                },
-                vignetteShape: 0.5
-            },
-            nocturne: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.72,      // Deep purple
-                    colorHue2: 0.68,      // Blue-purple
-                    colorHue3: 0.78,      // Violet
-                    colorHue4: 0.65,      // Blue
-                    colorSaturation: 0.25, // Very desaturated
-                    colorBrightness: 0.35, // Dark
-                    displacementStrength: 0.35,
-                    displacementRadius: 0.7,
-                    displacementRings: 0.5,
-                    displacementChromatic: 0.12,
-                    displacementWobble: 0.1,
-                    waveDelay: 0.65,
-                    waveAmplitude: 0.2,
-                    waveSpeed: 0.25,       // Slow
-                    edgeSharpness: 0.4,
-                    rotationSpeed: 0.05,   // Very slow
-                    blur: 0.55,
-                    glow: 0.12,            // Minimal glow
-                    brightnessEvolution: 0.15
-                },
-                manual: {
-                    ...baseManual,
-                    ringOverlayStrength: 0.25,
-                    blobCount: 6,
-                    blobBlur: 0.9,
-                    blobLighten: 0.08,
-                    blobMotion: 0.2,
-                    blobInvert: 0.15
-                },
-                vignetteShape: 0.8
-            },
-            interference: {
-                state: {
-                    ...baseState,
-                    colorHue1: 0.45,      // Cyan
-                    colorHue2: 0.92,      // Magenta
-                    colorHue3: 0.25,      // Green
-                    colorHue4: 0.08,      // Orange
-                    colorSaturation: 0.95,
-                    colorBrightness: 0.58,
-                    displacementStrength: 0.6,
-                    displacementRadius: 0.85,
-                    displacementRings: 0.7,
-                    displacementChromatic: 0.65,
-                    displacementWobble: 0.25,
-                    rippleOrigin2Strength: 0.65, // Strong second ripple
-                    rippleOrigin3Strength: 0.5,  // Strong third ripple
-                    shapeType: 0.4,
-                    waveDelay: 0.45,
-                    waveAmplitude: 0.4,
-                    waveSpeed: 0.6,
-                    edgeSharpness: 0.15,
-                    rotationSpeed: 0.22,
-                    blur: 0.12,
-                    glow: 0.4,
-                    brightnessEvolution: 0.65
-                },
-                manual: {
-                    ...baseManual,
-                    parallelStrength: 0.75,
-                    parallelPresence: 0.8,
-                    parallelZoom: 0.65,
-                    parallelZoomDrift: 0.5,
-                    parallelSpin: 0.65,
-                    parallelThickness: 0.55,
-                    ringOverlayStrength: 0.35,
-                    blobCount: 11,
-                    blobMotion: 0.55
-                },
-                vignetteShape: 0.35
-            }
-        };
+        const stateTargets = {};
+        const manualTargets = {};
         
-        const preset = presets[presetName];
-        if (preset) {
-            if (preset.state) {
-                Object.entries(preset.state).forEach(([key, value]) => {
-                    // Skip vignette - don't include in presets
-                    if (key === 'vignette') return;
-                    const sliderId = this.stateSliderByDimension.get(key);
-                    if (sliderId && this.lockedSliders.has(sliderId)) return;
-                    this.setStateDimensionInstant(key, value);
-                });
-            }
-            
-            if (preset.manual) {
-                Object.entries(preset.manual).forEach(([key, value]) => {
-                    const sliderId = this.manualSliderByKey.get(key);
-                    if (sliderId && this.lockedSliders.has(sliderId)) return;
-                    this.manualVisual[key] = value;
-                });
-            }
-            
-            // Note: vignetteShape is no longer applied from presets
-            
-            // Update slider positions
-            this.updateSliderFromState();
-            this.updateManualSliders();
+        if (preset.state) {
+            Object.entries(preset.state).forEach(([key, value]) => {
+                // Skip vignette - don't include in presets
+                if (key === 'vignette') return;
+                if (this.stateEngine?.dimensions[key] === undefined) return;
+                if (this.isDimensionLocked(key)) return;
+                stateTargets[key] = value;
+            });
         }
-    }
-    
-    // Apply sound preset to audio engine
-    applySoundPreset(presetName) {
-        if (!this.audioEngine) {
-            console.warn('Sound preset: Audio engine not available');
-            return;
+        
+        if (preset.manual) {
+            Object.entries(preset.manual).forEach(([key, value]) => {
+                if (!(key in this.manualVisual)) return;
+                if (this.isManualLocked(key)) return;
+                manualTargets[key] = value;
+            });
         }
-        if (!this.audioEngine.isInitialized) {
-            console.warn('Sound preset: Audio engine not initialized - click somewhere first to enable audio');
+        
+        // Note: vignetteShape is no longer applied from presets
+        
+        // Presets saved with modulation routes bring them along (factory presets leave routes alone)
+        if (preset.modulation && this.modulationMatrix.load(preset.modulation)) {
+            this.renderModulationRoutes();
+        }
+        
+        // The effect stack always follows the preset - presets without one turn every effect
+        // off, so one preset's trails don't carry over into the next
+        const stack = this.visualEngine.effectStack;
+        if (stack && (preset.effects ? stack.load(preset.effects) : stack.resetEffects())) {
+            this.renderEffectStack();
+        }
+        
+        if (duration > 0) {
+            const from = { state: {}, manual: {} };
+            Object.keys(stateTargets).forEach(key => { from.state[key] = this.stateEngine.get(key); });
+            Object.keys(manualTargets).forEach(key => { from.manual[key] = this.manualVisual[key]; });
+            this.presetTransition.start(from, { state: stateTargets, manual: manualTargets }, duration, easing);
+            return;
+        }
+        
+        this.presetTransition.cancel();
+        Object.entries(stateTargets).forEach(([key, value]) => this.setStateDimensionInstant(key, value));
+        Object.assign(this.manualVisual, manualTargets);
+        
+        // Update slider positions
+        this.updateSliderFromState();
+        this.updateManualSliders();
+    }
+    
+    isDimensionLocked(dimension) {
+        const sliderId = this.stateSliderByDimension.get(dimension);
+        return Boolean(sliderId && this.lockedSliders.has(sliderId));
+    }
+    
+    isManualLocked(key) {
+        const sliderId = this.manualSliderByKey.get(key);
+        return Boolean(sliderId && this.lockedSliders.has(sliderId));
+    }
+    
+    // Write the running preset transition into state + manual visuals
+    updatePresetTransition(deltaTime) {
+        const frame = this.presetTransition.update(deltaTime);
+        if (!frame) return;
+        
+        Object.entries(frame.state).forEach(([key, value]) => {
+            if (this.isDimensionLocked(key)) return;
+            this.setStateDimensionInstant(key, value);
+        });
+        Object.entries(frame.manual).forEach(([key, value]) => {
+            if (this.isManualLocked(key)) return;
+            this.manualVisual[key] = value;
+        });
+        
+        // Keep the visual engine's smoothing from lagging behind the curve
+        this.visualEngine?.boostSmoothing(2);
+        
+        if (frame.done) {
+            this.updateManualSliders();
+        }
+    }
+    
+    bindPresetButton(btn) {
+        btn.addEventListener('click', () => {
+            this.applyPreset(btn.dataset.preset, this.presetTransitionTime);
+            this.setActivePreset(btn.dataset.preset);
+        });
+    }
+    
+    setActivePreset(presetId) {
+        this.activePresetId = presetId;
+        document.querySelectorAll('.preset-btn').forEach(b => {
+            b.classList.toggle('active', b.dataset.preset === presetId);
+        });
+        
+        const deleteBtn = document.getElementById('user-preset-delete');
+        if (deleteBtn) {
+            deleteBtn.disabled = !this.presetLibrary.isUserPreset(presetId);
+        }
+    }
+    
+    // =========================================
+    // USER PRESETS
+    // =========================================
+    
+    setupUserPresets() {
+        const nameInput = document.getElementById('user-preset-name');
+        const saveBtn = document.getElementById('user-preset-save');
+        const deleteBtn = document.getElementById('user-preset-delete');
+        const exportBtn = document.getElementById('user-preset-export');
+        const importBtn = document.getElementById('user-preset-import');
+        const fileInput = document.getElementById('user-preset-file');
+        
+        saveBtn?.addEventListener('click', () => {
+            const id = this.saveCurrentAsPreset(nameInput?.value);
+            if (id && nameInput) nameInput.value = '';
+        });
+        nameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveBtn?.click();
+        });
+        deleteBtn?.addEventListener('click', () => {
+            if (!this.presetLibrary.isUserPreset(this.activePresetId)) return;
+            this.presetLibrary.deleteUserPreset(this.activePresetId);
+            this.renderUserPresets();
+            this.setActivePreset(null);
+        });
+        exportBtn?.addEventListener('click', () => this.exportUserPresets());
+        importBtn?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (file) await this.importPresetFile(file);
+        });
+        
+        this.renderUserPresets();
+        this.setActivePreset(this.activePresetId);
+    }
+    
+    renderUserPresets() {
+        const container = document.getElementById('user-preset-buttons');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.presetLibrary.listUserPresets().forEach(({ id, name }) => {
+            const btn = document.createElement('button');
+            btn.className = 'preset-btn';
+            btn.dataset.preset = id;
+            btn.textContent = name;
+            btn.classList.toggle('active', id === this.activePresetId);
+            this.bindPresetButton(btn);
+            container.appendChild(btn);
+        });
+        
+        // Scene rows and the offline render start list user presets as options
+        this.renderSceneList();
+        this.renderOfflinePresetOptions();
+    }
+    
+    // Snapshot current state dimensions + manual visuals into a named user preset
+    saveCurrentAsPreset(name) {
+        const presetName = (name || '').trim() || `Preset ${this.presetLibrary.listUserPresets().length + 1}`;
+        const snapshot = this.presetLibrary.createSnapshot(
+            presetName,
+            this.stateEngine,
+            this.manualVisual,
+            this.vignetteShape,
+            this.modulationMatrix.getSettings(),
+            this.visualEngine.effectStack?.getSettings()
+        );
+        const id = this.presetLibrary.saveUserPreset(snapshot);
+        if (!id) return null;
+        
+        console.log('Saved preset:', presetName);
+        this.renderUserPresets();
+        this.setActivePreset(id);
+        return id;
+    }
+    
+    exportUserPresets() {
+        Utils.downloadBlob('inner-reflection-presets.json', this.presetLibrary.exportJSON());
+    }
+    
+    async importPresetFile(file) {
+        const statusEl = document.getElementById('user-preset-status');
+        try {
+            const { ids, replaced } = this.presetLibrary.importJSON(await file.text());
+            console.log('Imported presets:', ids.length, replaced.length ? `(replaced ${replaced.join(', ')})` : '');
+            if (statusEl) statusEl.textContent = this.describeImport(ids, replaced, 'preset');
+            this.renderUserPresets();
+            this.setActivePreset(this.activePresetId);
+        } catch (e) {
+            console.warn('Preset import failed:', e);
+            if (statusEl) statusEl.textContent = `Import failed: ${e.message}`;
+        }
+    }
+    
+    // "Imported 3 presets · replaced Dusk, Halo"
+    describeImport(ids, replaced, noun) {
+        const text = `Imported ${ids.length} ${noun}${ids.length === 1 ? '' : 's'}`;
+        return replaced.length > 0 ? `${text} · replaced ${replaced.join(', ')}` : text;
+    }
+    
+    // =========================================
+    // USER SOUND PRESETS
+    // =========================================
+    
+    bindSoundPresetButton(btn) {
+        btn.addEventListener('click', () => {
+            this.applySoundPreset(btn.dataset.soundPreset, this.soundTransitionTime);
+        });
+    }
+    
+    setActiveSoundPreset(presetId) {
+        this.activeSoundPresetId = presetId;
+        document.querySelectorAll('.sound-preset-btn').forEach(b => {
+            b.classList.toggle('active', b.dataset.soundPreset === presetId);
+        });
+        
+        const deleteBtn = document.getElementById('user-sound-delete');
+        if (deleteBtn) {
+            deleteBtn.disabled = !this.soundPresetLibrary.isUserPreset(presetId);
+        }
+    }
+    
+    setupUserSoundPresets() {
+        const library = this.soundPresetLibrary;
+        const nameInput = document.getElementById('user-sound-name');
+        const saveBtn = document.getElementById('user-sound-save');
+        const deleteBtn = document.getElementById('user-sound-delete');
+        const exportBtn = document.getElementById('user-sound-export');
+        const importBtn = document.getElementById('user-sound-import');
+        const fileInput = document.getElementById('user-sound-file');
+        
+        saveBtn?.addEventListener('click', () => {
+            const id = this.saveCurrentSound(nameInput?.value);
+            if (id && nameInput) nameInput.value = '';
+        });
+        nameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveBtn?.click();
+        });
+        deleteBtn?.addEventListener('click', () => {
+            if (!library.isUserPreset(this.activeSoundPresetId)) return;
+            library.deleteUserPreset(this.activeSoundPresetId);
+            this.renderUserSoundPresets();
+            this.setActiveSoundPreset(null);
+        });
+        exportBtn?.addEventListener('click', () => {
+            Utils.downloadBlob('inner-reflection-sounds.json', library.exportJSON());
+        });
+        importBtn?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            const statusEl = document.getElementById('user-sound-status');
+            try {
+                const { ids, replaced } = library.importJSON(await file.text());
+                console.log('Imported sound presets:', ids.length, replaced.length ? `(replaced ${replaced.join(', ')})` : '');
+                if (statusEl) statusEl.textContent = this.describeImport(ids, replaced, 'sound');
+                this.renderUserSoundPresets();
+                this.setActiveSoundPreset(this.activeSoundPresetId);
+            } catch (e) {
+                console.warn('Sound preset import failed:', e);
+                if (statusEl) statusEl.textContent = `Import failed: ${e.message}`;
+            }
+        });
+        
+        this.renderUserSoundPresets();
+    }
+    
+    renderUserSoundPresets() {
+        const container = document.getElementById('user-sound-preset-buttons');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.soundPresetLibrary.listUserPresets().forEach(({ id, name }) => {
+            const btn = document.createElement('button');
+            btn.className = 'sound-preset-btn';
+            btn.dataset.soundPreset = id;
+            btn.textContent = name;
+            btn.classList.toggle('active', id === this.activeSoundPresetId);
+            this.bindSoundPresetButton(btn);
+            container.appendChild(btn);
+        });
+        
+        // Scene rows list user sounds as options
+        this.renderSceneList();
+    }
+    
+    // Snapshot every sound parameter of the running engine into a named user preset
+    saveCurrentSound(name) {
+        if (!this.audioEngine?.isInitialized) {
+            console.warn('Sound preset: Start the sound before saving it');
+            return null;
+        }
+        
+        const library = this.soundPresetLibrary;
+        const presetName = (name || '').trim() || `Sound ${library.listUserPresets().length + 1}`;
+        const id = library.saveUserPreset({ name: presetName, ...this.audioEngine.getSoundSettings() });
+        if (!id) return null;
+        
+        console.log('Saved sound preset:', presetName);
+        this.renderUserSoundPresets();
+        this.setActiveSoundPreset(id);
+        return id;
+    }
+    
+    // Move the audio sliders to the values a sound preset sets (others stay put)
+    syncAudioSliders(settings) {
+        const values = {};
+        
+        ['Base', 'Mid', 'High', 'Pad'].forEach((suffix) => {
+            const drone = settings.drones?.[suffix.toLowerCase()];
+            values[`ctrl-drone${suffix}`] = drone?.volume;
+            values[`ctrl-drone${suffix}Filter`] = drone?.filter;
+        });
+        values['ctrl-ambientSub'] = settings.ambient?.subBass?.volume;
+        values['ctrl-ambientBreath'] = settings.ambient?.breath?.volume;
+        values['ctrl-ambientShimmer'] = settings.ambient?.shimmerPad?.volume;
+        
+        const granularSliders = {
+            Vol: 'volume', Size: 'grainSize', Overlap: 'overlap', Speed: 'playbackRate',
+            Filter: 'filterFreq', Q: 'filterQ', Reverb: 'reverbWet', Delay: 'delayWet',
+            DelayTime: 'delayTime', Random: 'randomness', Pitch: 'pitchShift',
+            Position: 'position', Span: 'span', Scan: 'scan'
+        };
+        ['Ambient', 'Choppy', 'Shimmer', 'Deep'].forEach((suffix) => {
+            const layer = settings.granular?.[suffix.toLowerCase()];
+            Object.entries(granularSliders).forEach(([slider, key]) => {
+                values[`ctrl-gran${suffix}${slider}`] = layer?.[key];
+            });
+        });
+        
+        const micSliders = {
+            Volume: 'volume', Filter: 'filterFreq', Reverb: 'reverbWet',
+            Delay: 'delayWet', Delay2: 'delayWet2', Chorus: 'chorusDepth'
+        };
+        Object.entries(micSliders).forEach(([slider, key]) => {
+            values[`ctrl-mic${slider}`] = settings.mic?.[key];
+        });
+        Object.entries(settings.micDelay || {}).forEach(([key, value]) => {
+            values[`ctrl-micDelay${key[0].toUpperCase()}${key.slice(1)}`] = value;
+        });
+        
+        const fx = settings.effects || {};
+        values['ctrl-reverb'] = fx.reverbWet;
+        values['ctrl-masterDelay'] = fx.delayWet;
+        values['ctrl-masterFilter'] = fx.filter;
+        ['reverbDecay', 'delayFeedback', 'chorusRate', 'chorusDepth', 'phaserRate'].forEach((key) => {
+            values[`ctrl-${key}`] = fx[key];
+        });
+        
+        const generative = settings.generative || {};
+        values['ctrl-grainRandomPos'] = generative.grainRandomPosition;
+        values['ctrl-speedDrift'] = generative.speedDrift;
+        values['ctrl-bufferUpdate'] = generative.bufferUpdateRate;
+        values['ctrl-micReactivity'] = generative.micReactivity;
+        
+        Object.entries(values).forEach(([id, value]) => {
+            if (!Number.isFinite(value) || this.lockedSliders.has(id)) return;
+            const slider = document.getElementById(id);
+            const valueSpan = document.getElementById(id.replace('ctrl-', 'val-'));
+            if (!slider) return;
+            slider.value = value;
+            if (valueSpan) valueSpan.textContent = value.toFixed(2);
+        });
+    }
+    
+    // =========================================
+    // SCENE SEQUENCER
+    // =========================================
+    
+    setupSceneSequencer() {
+        const sequencer = this.sceneSequencer;
+        const playBtn = document.getElementById('scene-play');
+        const nextBtn = document.getElementById('scene-next');
+        const addBtn = document.getElementById('scene-add');
+        const modeSelect = document.getElementById('scene-mode');
+        const exportBtn = document.getElementById('scene-export');
+        const importBtn = document.getElementById('scene-import');
+        const fileInput = document.getElementById('scene-file');
+        const list = document.getElementById('scene-list');
+        
+        sequencer.onScene = (scene) => this.playScene(scene);
+        sequencer.onChange = () => this.renderSceneList();
+        
+        playBtn?.addEventListener('click', () => {
+            if (sequencer.isPlaying) {
+                sequencer.stop();
+            } else {
+                sequencer.play();
+            }
+        });
+        nextBtn?.addEventListener('click', () => sequencer.next());
+        addBtn?.addEventListener('click', () => {
+            sequencer.addScene({ visual: this.activePresetId || 'calm' });
+        });
+        modeSelect?.addEventListener('change', () => sequencer.setMode(modeSelect.value));
+        exportBtn?.addEventListener('click', () => {
+            const filename = `${sequencer.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'show'}.json`;
+            Utils.downloadBlob(filename, sequencer.exportJSON());
+        });
+        importBtn?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                sequencer.importJSON(await file.text());
+            } catch (e) {
+                console.warn('Show import failed:', e);
+            }
+        });
+        
+        // Row edits (delegated - rows are re-rendered on every change)
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.scene-row');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            sequencer.updateScene(parseInt(row.dataset.index, 10), { [field]: e.target.value });
+        });
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.scene-row');
+            const action = e.target.dataset.action;
+            if (!row || !action) return;
+            const index = parseInt(row.dataset.index, 10);
+            if (action === 'up') sequencer.moveScene(index, -1);
+            if (action === 'down') sequencer.moveScene(index, 1);
+            if (action === 'remove') sequencer.removeScene(index);
+            if (action === 'go' && sequencer.isPlaying) sequencer.goTo(index);
+        });
+        
+        this.renderSceneList();
+    }
+    
+    playScene(scene) {
+        if (scene.visual && this.presetLibrary.get(scene.visual)) {
+            this.applyPreset(scene.visual, scene.fade);
+            this.setActivePreset(scene.visual);
+        }
+        if (scene.sound && this.audioEngine?.isInitialized) {
+            this.applySoundPreset(scene.sound, Math.max(scene.fade, 0.1));
+        }
+    }
+    
+    getVisualPresetOptions() {
+        const options = [];
+        document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
+            if (!options.some(o => o.id === btn.dataset.preset)) {
+                options.push({ id: btn.dataset.preset, label: btn.textContent.trim() });
+            }
+        });
+        return options;
+    }
+    
+    getSoundPresetOptions() {
+        return Array.from(document.querySelectorAll('.sound-preset-btn'))
+            .map(btn => ({ id: btn.dataset.soundPreset, label: btn.textContent.trim() }));
+    }
+    
+    renderSceneList() {
+        const sequencer = this.sceneSequencer;
+        const list = document.getElementById('scene-list');
+        const playBtn = document.getElementById('scene-play');
+        const modeSelect = document.getElementById('scene-mode');
+        if (playBtn) playBtn.textContent = sequencer.isPlaying ? 'Stop' : 'Play';
+        if (modeSelect) modeSelect.value = sequencer.mode;
+        this.updateSceneStatus();
+        if (!list) return;
+        
+        const buildOptions = (options, selected, emptyLabel) => {
+            const items = emptyLabel ? [`<option value="">${emptyLabel}</option>`] : [];
+            options.forEach(({ id, label }) => {
+                const safeLabel = label.replace(/[<>&"]/g, '');
+                items.push(`<option value="${id}"${id === selected ? ' selected' : ''}>${safeLabel}</option>`);
+            });
+            return items.join('');
+        };
+        const visualOptions = this.getVisualPresetOptions();
+        const soundOptions = this.getSoundPresetOptions();
+        
+        list.innerHTML = sequencer.scenes.map((scene, index) => `
+            <div class="scene-row${index === sequencer.index ? ' active' : ''}" data-index="${index}">
+                <button class="scene-index" data-action="go" title="Jump to scene">${index + 1}</button>
+                <select data-field="visual">${buildOptions(visualOptions, scene.visual)}</select>
+                <select data-field="sound">${buildOptions(soundOptions, scene.sound, 'No sound')}</select>
+                <label>Fade <input type="number" data-field="fade" min="0" step="0.5" value="${scene.fade}"></label>
+                <label>Hold <input type="number" data-field="hold" min="0" step="1" value="${scene.hold}"></label>
+                <span class="scene-row-actions">
+                    <button data-action="up" title="Move up">↑</button>
+                    <button data-action="down" title="Move down">↓</button>
+                    <button data-action="remove" title="Remove">×</button>
+                </span>
+            </div>
+        `).join('');
+    }
+    
+    updateSceneStatus() {
+        const statusEl = document.getElementById('scene-status');
+        if (!statusEl) return;
+        
+        const status = this.sceneSequencer.getStatus();
+        statusEl.textContent = status.isPlaying
+            ? `Scene ${status.index + 1} · ${status.phase} · ${Math.ceil(status.remaining)}s`
+            : `Stopped · ${this.sceneSequencer.scenes.length} scenes`;
+    }
+    
+    async loadShowFromURL() {
+        const showUrl = new URLSearchParams(window.location.search).get('show');
+        if (!showUrl) return;
+        
+        try {
+            const response = await fetch(showUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.sceneSequencer.load(await response.json());
+            this.showAutoplay = true;
+            console.log('InnerReflection: Loaded show', this.sceneSequencer.name);
+        } catch (e) {
+            console.warn('InnerReflection: Could not load show from', showUrl, e);
+        }
+    }
+    
+    // =========================================
+    // MIDI
+    // =========================================
+    
+    setupMidi() {
+        const midi = this.midiManager;
+        const connectBtn = document.getElementById('midi-connect');
+        const inputSelect = document.getElementById('midi-input');
+        const learnBtn = document.getElementById('midi-learn');
+        const list = document.getElementById('midi-mappings');
+        const debugPanel = document.getElementById('debug-panel');
+        
+        midi.onControl = (mapping, value) => this.applyMidiControl(mapping.target, value);
+        midi.onNote = (note, velocity, isOn) => {
+            if (isOn) this.handleInteractionEvent(['note', note, velocity]);
+        };
+        midi.onLearn = () => {
+            this.midiLearnArmed = false;
+            this.renderMidiMappings();
+        };
+        midi.onInputsChanged = () => this.renderMidiInputs();
+        
+        connectBtn?.addEventListener('click', () => this.enableMidi());
+        inputSelect?.addEventListener('change', () => midi.selectInput(inputSelect.value));
+        learnBtn?.addEventListener('click', () => {
+            this.midiLearnArmed = !this.midiLearnArmed;
+            midi.cancelLearn();
+            this.renderMidiMappings();
+        });
+        
+        // In learn mode, clicking a slider arms it instead of moving it
+        const armSlider = (e) => {
+            if (!this.midiLearnArmed) return;
+            const slider = e.target.closest?.('.slider-group input[type="range"]');
+            if (!slider?.id) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (midi.learnTarget === slider.id) return;
+            midi.startLearn(slider.id);
+            this.renderMidiMappings();
+        };
+        debugPanel?.addEventListener('pointerdown', armSlider, true);
+        debugPanel?.addEventListener('mousedown', armSlider, true);
+        
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.midi-mapping');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            midi.updateMapping(row.dataset.target, { [field]: e.target.value });
+        });
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.midi-mapping');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            midi.removeMapping(row.dataset.target);
+            this.renderMidiMappings();
+        });
+        
+        this.renderMidiInputs();
+        this.renderMidiMappings();
+    }
+    
+    async enableMidi() {
+        const enabled = await this.midiManager.init();
+        const statusEl = document.getElementById('midi-status');
+        if (statusEl) {
+            statusEl.textContent = enabled ? 'Connected' : 'MIDI unavailable';
+        }
+        this.renderMidiInputs();
+    }
+    
+    // Drive a debug slider from MIDI - goes through the slider's own input handler
+    applyMidiControl(sliderId, value) {
+        const slider = document.getElementById(sliderId);
+        if (!slider) return;
+        
+        const min = parseFloat(slider.min) || 0;
+        const max = parseFloat(slider.max) || 1;
+        slider.value = min + Utils.clamp(value, 0, 1) * (max - min);
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    getSliderLabel(sliderId) {
+        const label = document.getElementById(sliderId)?.closest('.slider-group')?.querySelector('label');
+        const text = label?.firstChild?.textContent || sliderId.replace('ctrl-', '');
+        return text.replace(':', '').trim();
+    }
+    
+    renderMidiInputs() {
+        const inputSelect = document.getElementById('midi-input');
+        if (!inputSelect) return;
+        
+        const inputs = this.midiManager.listInputs();
+        inputSelect.innerHTML = '<option value="all">All inputs</option>' + inputs.map(input =>
+            `<option value="${input.id}">${input.name.replace(/[<>&"]/g, '')}</option>`
+        ).join('');
+        inputSelect.value = inputs.some(i => i.id === this.midiManager.selectedInputId)
+            ? this.midiManager.selectedInputId
+            : 'all';
+        inputSelect.disabled = !this.midiManager.isEnabled;
+    }
+    
+    renderMidiMappings() {
+        const midi = this.midiManager;
+        const learnBtn = document.getElementById('midi-learn');
+        const list = document.getElementById('midi-mappings');
+        
+        if (learnBtn) {
+            learnBtn.classList.toggle('active', Boolean(this.midiLearnArmed));
+            learnBtn.textContent = this.midiLearnArmed ? 'Done' : 'Learn';
+        }
+        
+        document.querySelectorAll('#debug-panel .slider-group').forEach(group => {
+            const id = group.querySelector('input[type="range"]')?.id;
+            group.classList.toggle('midi-mapped', Boolean(id && midi.getMapping(id)));
+            group.classList.toggle('midi-learning', Boolean(id && id === midi.learnTarget));
+        });
+        document.getElementById('debug-panel')?.classList.toggle('midi-learn-mode', Boolean(this.midiLearnArmed));
+        
+        if (!list) return;
+        const curveOptions = (selected) => Object.keys(midi.curves).map(curve =>
+            `<option value="${curve}"${curve === selected ? ' selected' : ''}>${curve}</option>`
+        ).join('');
+        // Targets come from storage as free text - set as text, never parsed as markup
+        list.innerHTML = midi.mappings.map(mapping => `
+            <div class="midi-mapping">
+                <span class="midi-mapping-name"></span>
+                <span class="midi-mapping-cc">CC${mapping.cc} · ${mapping.channel + 1}</span>
+                <input type="number" data-field="min" min="0" max="1" step="0.05" value="${mapping.min}" title="Range min">
+                <input type="number" data-field="max" min="0" max="1" step="0.05" value="${mapping.max}" title="Range max">
+                <select data-field="curve">${curveOptions(mapping.curve)}</select>
+                <button data-action="remove" title="Remove mapping">×</button>
+            </div>
+        `).join('');
+        Array.from(list.children).forEach((row, i) => {
+            const { target } = midi.mappings[i];
+            row.dataset.target = target;
+            row.querySelector('.midi-mapping-name').textContent = this.getSliderLabel(target);
+        });
+    }
+
+    // =========================================
+    // MODULATION MATRIX
+    // =========================================
+
+    setupModulation() {
+        const matrix = this.modulationMatrix;
+        const list = document.getElementById('mod-routes');
+        const lfoList = document.getElementById('mod-lfos');
+
+        document.getElementById('mod-add')?.addEventListener('click', () => {
+            matrix.addRoute();
+            this.renderModulationRoutes();
+            if (list) list.scrollTop = list.scrollHeight;
+        });
+        document.getElementById('mod-defaults')?.addEventListener('click', () => {
+            matrix.resetToDefaults();
+            this.renderModulationRoutes();
+        });
+        
+        const beatLock = document.getElementById('mod-beat-lock');
+        if (beatLock) {
+            beatLock.checked = this.audioEngine.beatLock;
+            beatLock.addEventListener('change', () => this.audioEngine.setBeatLock(beatLock.checked));
+        }
+
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.mod-route');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+
+            const updated = matrix.updateRoute(Number(row.dataset.id), { [field]: e.target.value });
+            // Re-render to show the clamped value (or the old one if the change was rejected)
+            if (!updated || String(updated[field]) !== e.target.value) {
+                this.renderModulationRoutes();
+            }
+        });
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.mod-route');
+            if (!row || e.target.dataset.action !== 'remove') return;
+            matrix.removeRoute(Number(row.dataset.id));
+            this.renderModulationRoutes();
+        });
+
+        lfoList?.addEventListener('change', (e) => {
+            const row = e.target.closest('.mod-lfo');
+            if (!row) return;
+            const index = Number(row.dataset.index);
+            if (e.target.dataset.field === 'rate') matrix.setLfoRate(index, e.target.value);
+            if (e.target.dataset.field === 'shape') matrix.setLfoShape(index, e.target.value);
+        });
+
+        this.renderModulationRoutes();
+    }
+
+    renderModulationRoutes() {
+        const matrix = this.modulationMatrix;
+        const list = document.getElementById('mod-routes');
+        const lfoList = document.getElementById('mod-lfos');
+        const options = (entries, selected) => entries.map(([value, label]) =>
+            `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+        ).join('');
+
+        if (lfoList) {
+            const shapes = Object.keys(matrix.lfoShapes).map(shape => [shape, shape]);
+            lfoList.innerHTML = matrix.lfos.map((lfo, i) => `
+                <div class="mod-lfo" data-index="${i}">
+                    <span>LFO ${i + 1}</span>
+                    <select data-field="shape">${options(shapes, lfo.shape)}</select>
+                    <input type="number" data-field="rate" min="0.001" max="20" step="0.01" value="${lfo.rate}" title="Rate (Hz)">
+                </div>
+            `).join('');
+        }
+
+        if (!list) return;
+
+        // Sources grouped by input, targets as state dimensions (no aliases) + audio params
+        const groups = {};
+        Object.entries(matrix.sources).forEach(([id, { label, group }]) => {
+            (groups[group] = groups[group] || []).push([id, label]);
+        });
+        const stateTargets = this.getStateDimensionNames().map(name => [`state:${name}`, name]);
+        const audioTargets = Object.entries(matrix.audioTargets).map(([name, label]) => [`audio:${name}`, label]);
+
+        const sourceOptions = (selected) => Object.entries(groups).map(([group, entries]) =>
+            `<optgroup label="${group}">${options(entries, selected)}</optgroup>`
+        ).join('');
+        const targetOptions = (selected) =>
+            `<optgroup label="State">${options(stateTargets, selected)}</optgroup>` +
+            `<optgroup label="Audio">${options(audioTargets, selected)}</optgroup>`;
+        const curves = Object.keys(matrix.curves).map(curve => [curve, curve]);
+        const polarities = [['uni', 'uni'], ['bi', 'bi']];
+
+        list.innerHTML = matrix.routes.map(route => `
+            <div class="mod-route" data-id="${route.id}">
+                <select data-field="source" title="Source">${sourceOptions(route.source)}</select>
+                <select data-field="target" class="mod-route-target" title="Target">${targetOptions(route.target)}</select>
+                <button data-action="remove" title="Remove route">×</button>
+                <input type="number" data-field="amount" min="-2" max="2" step="0.01" value="${route.amount}" title="Amount">
+                <select data-field="curve" title="Curve">${options(curves, route.curve)}</select>
+                <input type="number" data-field="smoothing" min="0" max="0.99" step="0.05" value="${route.smoothing}" title="Smoothing">
+                <select data-field="polarity" title="Polarity">${options(polarities, route.polarity)}</select>
+            </div>
+        `).join('');
+        this.updateModulationStatus();
+    }
+
+    // Highlight routes whose source is live right now, show the tempo the mic locked onto
+    updateModulationStatus() {
+        const beatEl = document.getElementById('mod-beat-status');
+        if (beatEl) {
+            const { bpm, beatConfidence } = this.inputManager.getAudioData();
+            const locked = this.audioEngine.isBeatLocked();
+            beatEl.textContent = bpm > 0
+                ? `Beat: ${bpm.toFixed(1)} BPM · ${Math.round(beatConfidence * 100)}%${locked ? ' · locked' : ''}`
+                : 'Beat: no tempo';
+        }
+        
+        const sources = this.modulationMatrix.sourceValues;
+        document.querySelectorAll('#mod-routes .mod-route').forEach((row) => {
+            const source = row.querySelector('[data-field="source"]')?.value;
+            row.classList.toggle('active', sources[source] !== undefined);
+        });
+    }
+
+    // StateEngine dimensions without their aliases
+    getStateDimensionNames() {
+        const seenIndices = new Set();
+        return Object.entries(this.stateEngine?.dimensions || {}).filter(([, index]) => {
+            if (seenIndices.has(index)) return false;
+            seenIndices.add(index);
+            return true;
+        }).map(([name]) => name);
+    }
+
+    // =========================================
+    // OUTPUT (HDR / TONE MAPPING)
+    // =========================================
+
+    setupOutput() {
+        const visual = this.visualEngine;
+        const hdrToggle = document.getElementById('ctrl-hdr');
+        const toneSelect = document.getElementById('tone-mapping');
+        const ditherToggle = document.getElementById('ctrl-dither');
+
+        // Stored choices override CONFIG.visual.hdr
+        const settings = { ...CONFIG.visual.hdr };
+        try {
+            Object.assign(settings, JSON.parse(localStorage.getItem(this.outputSettingsKey) || '{}'));
+        } catch (e) {
+            console.warn('Could not load output settings', e);
+        }
+        const save = () => {
+            try {
+                localStorage.setItem(this.outputSettingsKey, JSON.stringify(settings));
+            } catch (e) {}
+        };
+
+        visual.setHdr(settings.enabled);
+        visual.setToneMapping(settings.toneMapping);
+        visual.setExposure(settings.exposure);
+        visual.setDither(settings.dither);
+
+        if (hdrToggle) {
+            hdrToggle.checked = visual.hdrActive;
+            hdrToggle.disabled = !visual.hdrSupported;
+            hdrToggle.addEventListener('change', () => {
+                settings.enabled = hdrToggle.checked;
+                visual.setHdr(settings.enabled);
+                save();
+                this.updateOutputStatus();
+            });
+        }
+        if (toneSelect) {
+            toneSelect.value = visual.toneMapping;
+            toneSelect.addEventListener('change', () => {
+                settings.toneMapping = toneSelect.value;
+                visual.setToneMapping(settings.toneMapping);
+                save();
+                this.updateOutputStatus();
+            });
+        }
+        if (ditherToggle) {
+            ditherToggle.checked = Boolean(settings.dither);
+            ditherToggle.addEventListener('change', () => {
+                settings.dither = ditherToggle.checked;
+                visual.setDither(settings.dither);
+                save();
+            });
+        }
+
+        const exposureSlider = document.getElementById('ctrl-exposure');
+        const exposureValue = document.getElementById('val-exposure');
+        if (exposureSlider) exposureSlider.value = settings.exposure;
+        if (exposureValue) exposureValue.textContent = Number(settings.exposure).toFixed(2);
+        this.setupSlider('ctrl-exposure', 'val-exposure', (v) => {
+            settings.exposure = v;
+            visual.setExposure(v);
+            save();
+        });
+
+        this.updateOutputStatus();
+    }
+
+    updateOutputStatus() {
+        const status = document.getElementById('hdr-status');
+        if (!status) return;
+        const visual = this.visualEngine;
+        const precision = visual.hdrActive
+            ? 'Half-float'
+            : (visual.hdrSupported ? '8-bit' : '8-bit (half-float not supported)');
+        const toneMapping = visual.toneMapping === 'none' ? 'clip' : visual.toneMapping.toUpperCase();
+        status.textContent = `${precision} · ${toneMapping}`;
+    }
+
+    // =========================================
+    // QUALITY GOVERNOR
+    // =========================================
+
+    setupQuality() {
+        const governor = this.qualityGovernor;
+        const select = document.getElementById('quality-tier');
+
+        governor.onTierChange = (tier) => {
+            this.visualEngine.setQuality(tier);
+            this.renderQualityLog();
+            this.updateQualityStatus();
+        };
+
+        // A pinned tier survives reloads (projector rigs that are known to struggle)
+        let stored = 'auto';
+        try {
+            stored = localStorage.getItem(this.qualitySettingsKey) || 'auto';
+        } catch (e) {
+            console.warn('Could not load quality setting', e);
+        }
+        if (stored !== 'auto') governor.setOverride(stored);
+
+        if (select) {
+            select.innerHTML = '<option value="auto">Auto</option>' +
+                governor.tiers.map(tier => `<option value="${tier.name}">${tier.name}</option>`).join('');
+            select.value = governor.isAutomatic() ? 'auto' : governor.getTier().name;
+            select.addEventListener('change', () => {
+                governor.setOverride(select.value);
+                try {
+                    localStorage.setItem(this.qualitySettingsKey, select.value);
+                } catch (e) {}
+                this.renderQualityLog();
+                this.updateQualityStatus();
+            });
+        }
+
+        this.renderQualityLog();
+        this.updateQualityStatus();
+    }
+
+    renderQualityLog() {
+        const list = document.getElementById('quality-log');
+        if (!list) return;
+        list.innerHTML = this.qualityGovernor.log.map((entry) => {
+            const time = new Date(entry.time).toLocaleTimeString();
+            const change = entry.from === entry.to ? entry.to : `${entry.from} → ${entry.to}`;
+            return `<div class="quality-log-entry">${time} ${change} · ${entry.reason} · ${entry.fps} fps</div>`;
+        }).join('');
+    }
+
+    updateQualityStatus() {
+        const status = document.getElementById('quality-status');
+        if (!status) return;
+        const governor = this.qualityGovernor;
+        const mode = governor.isAutomatic() ? 'auto' : 'manual';
+        const quality = this.visualEngine.getQuality();
+        status.textContent = `${governor.getTier().name} (${mode}) · ${Math.round(quality.resolution * 100)}% res · ${governor.fps.toFixed(1)} / ${governor.targetFPS} fps`;
+    }
+
+    // =========================================
+    // PROJECTION MAPPING
+    // =========================================
+
+    setupProjection() {
+        const span = this.displaySpan;
+        const projection = this.visualEngine.projection;
+        if (!projection) return;
+
+        // This window's own warp (the main window always shows the whole frame)
+        projection.setStorageKey(this.projectionStorageKey);
+        this.setupProjectionCalibration();
+
+        const modeSelect = document.getElementById('projection-mode');
+        if (modeSelect) {
+            modeSelect.value = projection.warp.mode;
+            modeSelect.addEventListener('change', () => {
+                projection.setMode(modeSelect.value);
+                this.renderCalibration();
+            });
+        }
+        const calibrateButton = document.getElementById('projection-calibrate');
+        calibrateButton?.addEventListener('click', () => {
+            this.setCalibrating(!projection.calibrating);
+            calibrateButton.textContent = projection.calibrating ? 'Done' : 'Calibrate';
+        });
+        document.getElementById('projection-reset')?.addEventListener('click', () => {
+            projection.resetWarp();
+            this.renderCalibration();
+        });
+
+        // Spanning: display windows follow this window's frames
+        span.getSync = () => ({
+            seed: this.sessionSeed,
+            animation: this.visualEngine.getAnimationState(),
+            settings: this.getDisplaySettings()
+        });
+        span.getSettings = () => this.getDisplaySettings();
+        span.onStatusChange = () => this.updateSpanStatus();
+        span.onLayoutChange = () => this.renderSpanDisplays();
+        span.openMain();
+
+        const spanToggle = document.getElementById('ctrl-span');
+        if (spanToggle) {
+            spanToggle.disabled = !span.isSupported();
+            spanToggle.addEventListener('change', () => span.setEnabled(spanToggle.checked));
+        }
+        if (span.layout.enabled) span.setEnabled(true);
+        if (spanToggle) spanToggle.checked = span.enabled;
+
+        const layout = span.layout;
+        ['columns', 'rows'].forEach((key) => {
+            const input = document.getElementById(`span-${key}`);
+            if (!input) return;
+            input.value = layout[key];
+            input.addEventListener('change', () => {
+                span.setLayout({ [key]: input.value });
+                input.value = span.layout[key];
+            });
+        });
+        [
+            ['ctrl-span-overlap', 'val-span-overlap', 'overlap'],
+            ['ctrl-blend-gamma', 'val-blend-gamma', 'gamma'],
+            ['ctrl-blend-curve', 'val-blend-curve', 'curve']
+        ].forEach(([sliderId, valueId, key]) => {
+            const slider = document.getElementById(sliderId);
+            const value = document.getElementById(valueId);
+            if (slider) slider.value = layout[key];
+            if (value) value.textContent = Number(layout[key]).toFixed(2);
+            this.setupSlider(sliderId, valueId, v => span.setLayout({ [key]: v }));
+        });
+
+        document.getElementById('span-open')?.addEventListener('click', () => this.openDisplayWindows());
+
+        const displaySelect = document.getElementById('span-display');
+        const displayCalibrate = document.getElementById('span-calibrate');
+        this.calibratingDisplays = new Set();
+        displayCalibrate?.addEventListener('click', () => {
+            const index = Number(displaySelect?.value);
+            if (!Number.isInteger(index)) return;
+            const enabled = !this.calibratingDisplays.has(index);
+            if (enabled) {
+                this.calibratingDisplays.add(index);
+            } else {
+                this.calibratingDisplays.delete(index);
+            }
+            span.calibrateDisplay(index, enabled);
+            this.renderSpanDisplays();
+        });
+        displaySelect?.addEventListener('change', () => this.renderSpanDisplays());
+
+        this.renderSpanDisplays();
+    }
+
+    // Effect stack, output and quality - everything a display renders like this window
+    getDisplaySettings() {
+        const visual = this.visualEngine;
+        const postUniforms = visual.materials.post.uniforms;
+        return {
+            effects: visual.effectStack.getSettings(),
+            output: {
+                enabled: visual.hdrActive,
+                toneMapping: visual.toneMapping,
+                exposure: postUniforms.uExposure.value,
+                dither: visual.dither
+            },
+            quality: { ...visual.quality }
+        };
+    }
+
+    /**
+     * Send this frame to the display windows (before it's rendered here).
+     * A reset since the last frame (new seed, offline render) resyncs them first.
+     */
+    broadcastFrame(deltaTime, visualState) {
+        const span = this.displaySpan;
+        const visual = this.visualEngine;
+        if (!span.enabled || visual.fixedSize) return;
+
+        if (visual.generation !== this.spanGeneration) {
+            this.spanGeneration = visual.generation;
+            span.sendSync();
+        }
+
+        // Effect params bound to dimensions read them on the display side
+        const dimensions = {};
+        visual.effectStack.getBoundDimensions().forEach((dimension) => {
+            dimensions[dimension] = this.stateEngine.get(dimension);
+        });
+
+        span.sendFrame(deltaTime, visualState, {
+            fadeTarget: visual.startFadeTarget,
+            fastSmoothingFrames: visual.fastSmoothingFrames,
+            dimensions
+        });
+    }
+
+    // One popup per slice (browsers may block all but the first)
+    openDisplayWindows() {
+        let blocked = 0;
+        for (let i = 0; i < this.displaySpan.getDisplayCount(); i++) {
+            const url = new URL(window.location.href);
+            url.search = '';
+            url.searchParams.set('display', String(i));
+            const popup = window.open(url.toString(), `inner-reflection-display-${i}`, 'popup,width=960,height=540');
+            if (!popup) blocked++;
+        }
+        if (blocked > 0) {
+            console.warn(`Projection: ${blocked} display window(s) blocked - allow popups or open ?display=N by hand`);
+        }
+        this.updateSpanStatus(blocked);
+    }
+
+    renderSpanDisplays() {
+        const select = document.getElementById('span-display');
+        const button = document.getElementById('span-calibrate');
+        if (select) {
+            const current = select.value;
+            const count = this.displaySpan.getDisplayCount();
+            select.innerHTML = Array.from({ length: count }, (_, i) => `<option value="${i}">Display ${i + 1}</option>`).join('');
+            if (Number(current) < count) select.value = current;
+        }
+        if (button) {
+            const index = Number(select?.value);
+            button.textContent = this.calibratingDisplays?.has(index) ? 'Done' : 'Calibrate display';
+        }
+        this.updateSpanStatus();
+    }
+
+    updateSpanStatus(blocked = 0) {
+        const status = document.getElementById('span-status');
+        if (!status) return;
+        const span = this.displaySpan;
+        if (!span.isSupported()) {
+            status.textContent = 'Spanning not supported (no BroadcastChannel)';
+            return;
+        }
+        const { columns, rows } = span.layout;
+        const connected = span.getConnectedDisplays();
+        const names = connected.length > 0 ? ` (${connected.map(i => i + 1).join(', ')})` : '';
+        const popups = blocked > 0 ? ` · ${blocked} blocked` : '';
+        status.textContent = `${span.enabled ? 'Spanning' : 'Off'} · ${columns}×${rows} · ` +
+            `${connected.length}/${span.getDisplayCount()} displays${names}${popups}`;
+    }
+
+    // =========================================
+    // PROJECTION CALIBRATION
+    // =========================================
+
+    setupProjectionCalibration() {
+        this.calibrationHandles = [];
+        window.addEventListener('resize', () => this.renderCalibration());
+    }
+
+    setCalibrating(enabled) {
+        const projection = this.visualEngine.projection;
+        projection.setCalibrating(enabled);
+        if (!enabled) projection.save();
+        this.projectionDirty = true;
+        this.renderCalibration();
+    }
+
+    /**
+     * Handles on the warp points plus the warped grid. Display windows also
+     * show their status here until the main window syncs them.
+     */
+    renderCalibration() {
+        const overlay = document.getElementById('projection-calibration');
+        const handles = document.getElementById('projection-handles');
+        const grid = document.getElementById('projection-grid');
+        const hint = document.getElementById('projection-hint');
+        const projection = this.visualEngine?.projection;
+        if (!overlay || !handles || !grid || !projection) return;
+
+        const span = this.displaySpan;
+        const isDisplay = this.displayIndex !== null;
+        const waiting = isDisplay && !span.synced;
+        const outside = isDisplay && this.displayIndex >= span.getDisplayCount();
+        const calibrating = projection.calibrating;
+        overlay.classList.toggle('active', calibrating || waiting || outside);
+
+        const name = isDisplay ? `Display ${this.displayIndex + 1}` : 'Main window';
+        if (hint) {
+            const lines = [];
+            if (outside) {
+                lines.push(`${name} isn't part of the ${span.layout.columns}×${span.layout.rows} span`);
+            } else if (waiting) {
+                lines.push(`${name} · waiting for the main window (enable spanning there)`);
+            }
+            if (calibrating) {
+                const keys = isDisplay ? ' · M mode · R reset · C done' : '';
+                lines.push(`${name} · ${projection.warp.mode === 'mesh' ? 'mesh warp' : 'corner pin'} · drag handles, arrows nudge (shift ×10)${keys}`);
+            }
+            hint.textContent = lines.join(' | ');
+        }
+
+        if (!calibrating) {
+            handles.innerHTML = '';
+            grid.innerHTML = '';
+            this.calibrationHandles = [];
+            return;
+        }
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const { points, size } = projection.warp;
+
+        // Rebuild the handles only when the point count changes (keeps focus while dragging)
+        if (this.calibrationHandles.length !== points.length) {
+            handles.innerHTML = '';
+            this.calibrationHandles = points.map((_, i) => {
+                const handle = document.createElement('div');
+                handle.className = 'projection-handle';
+                handle.tabIndex = 0;
+                this.bindCalibrationHandle(handle, i);
+                handles.appendChild(handle);
+                return handle;
+            });
+        }
+        this.calibrationHandles.forEach((handle, i) => {
+            handle.style.left = `${points[i].x * width}px`;
+            handle.style.top = `${points[i].y * height}px`;
+        });
+
+        // Cell edges (and their midlines) through the warp
+        const lineCount = size * 2;
+        const samples = 24;
+        const polyline = (at) => {
+            const coords = [];
+            for (let s = 0; s <= samples; s++) {
+                const point = at(s / samples);
+                coords.push(`${(point.x * width).toFixed(1)},${(point.y * height).toFixed(1)}`);
+            }
+            return `<polyline points="${coords.join(' ')}"/>`;
+        };
+        const lines = [];
+        for (let i = 0; i <= lineCount; i++) {
+            const t = i / lineCount;
+            lines.push(polyline(u => projection.evaluate(u, t)));
+            lines.push(polyline(v => projection.evaluate(t, v)));
+        }
+        grid.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        grid.innerHTML = lines.join('');
+    }
+
+    bindCalibrationHandle(handle, index) {
+        const projection = this.visualEngine.projection;
+        const move = (x, y) => {
+            projection.movePoint(index, x, y);
+            this.projectionDirty = true;
+            this.renderCalibration();
+        };
+
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            handle.focus();
+            handle.setPointerCapture(e.pointerId);
+            handle.classList.add('dragging');
+        });
+        handle.addEventListener('pointermove', (e) => {
+            if (!handle.hasPointerCapture(e.pointerId)) return;
+            move(e.clientX / window.innerWidth, e.clientY / window.innerHeight);
+        });
+        const release = (e) => {
+            if (!handle.hasPointerCapture(e.pointerId)) return;
+            handle.releasePointerCapture(e.pointerId);
+            handle.classList.remove('dragging');
+            projection.save();
+        };
+        handle.addEventListener('pointerup', release);
+        handle.addEventListener('pointercancel', release);
+
+        // Pixel nudges for the last bit of alignment
+        handle.addEventListener('keydown', (e) => {
+            const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+            if (!steps) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const amount = e.shiftKey ? 10 : 1;
+            const point = projection.warp.points[index];
+            move(point.x + steps[0] * amount / window.innerWidth, point.y + steps[1] * amount / window.innerHeight);
+            projection.save();
+        });
+    }
+
+    // =========================================
+    // DISPLAY WINDOWS (?display=N)
+    // =========================================
+
+    /**
+     * A display window: no input, audio or UI - it renders the frames the main
+     * window broadcasts and shows its slice through its own warp.
+     */
+    async initDisplay() {
+        const index = this.displayIndex;
+        document.body.classList.add('display-window');
+        document.title = `Inner Reflection - Display ${index + 1}`;
+
+        this.canvas = document.getElementById('main-canvas');
+        this.visualEngine = new VisualEngine();
+        await this.visualEngine.init(this.canvas);
+
+        const visual = this.visualEngine;
+        const span = this.displaySpan;
+        visual.projection.setStorageKey(`${this.projectionStorageKey}.display${index}`);
+        visual.effectStack.getDimension = name => this.displayDimensions[name] ?? 0;
+        this.applySpanLayout();
+
+        span.onSync = (sync) => {
+            visual.setSeed(Utils.deriveSeed(sync.seed, 'visual'));
+            visual.setAnimationState(sync.animation);
+            this.applyDisplaySettings(sync.settings);
+            this.projectionDirty = true;
+        };
+        span.onSettings = settings => this.applyDisplaySettings(settings);
+        span.onLayoutChange = () => this.applySpanLayout();
+        span.onCalibrate = enabled => this.setCalibrating(enabled);
+        span.onStatusChange = () => this.renderCalibration();
+
+        this.setupProjectionCalibration();
+        document.addEventListener('keydown', e => this.handleDisplayKeydown(e));
+        window.addEventListener('resize', () => { this.projectionDirty = true; });
+
+        span.openDisplay(index);
+        this.renderCalibration();
+        requestAnimationFrame(this.displayLoop);
+        console.log(`InnerReflection: Display window ${index + 1}`);
+    }
+
+    applySpanLayout() {
+        const span = this.displaySpan;
+        const visual = this.visualEngine;
+        const index = Math.min(this.displayIndex, span.getDisplayCount() - 1);
+        const scale = span.getSpanScale();
+        visual.projection.setRegion(span.getRegion(index));
+        visual.projection.setBlend(span.getBlend(index));
+        visual.setSpanScale(scale.x, scale.y);
+        this.projectionDirty = true;
+        this.renderCalibration();
+    }
+
+    applyDisplaySettings(settings) {
+        if (!settings) return;
+        const visual = this.visualEngine;
+        const stack = visual.effectStack;
+
+        // LUTs are shared through localStorage - pick up ones loaded since this window opened
+        const lut = settings.effects?.effects?.lut?.lut;
+        if (lut && !stack.luts.has(lut)) stack.loadLuts();
+        stack.load(settings.effects, false);
+
+        const output = settings.output || {};
+        visual.setHdr(output.enabled);
+        visual.setToneMapping(output.toneMapping);
+        visual.setExposure(output.exposure);
+        visual.setDither(output.dither);
+
+        visual.setQuality(settings.quality);
+    }
+
+    // Apply every frame received since the last one, draw once
+    displayLoop() {
+        requestAnimationFrame(this.displayLoop);
+        const visual = this.visualEngine;
+
+        const frames = this.displaySpan.takeFrames();
+        frames.forEach(({ deltaTime, state, engine }) => {
+            visual.startFadeTarget = engine.fadeTarget;
+            visual.fastSmoothingFrames = engine.fastSmoothingFrames;
+            this.displayDimensions = engine.dimensions || {};
+            visual.update(deltaTime, state);
+        });
+
+        if (frames.length > 0 || this.projectionDirty) {
+            this.projectionDirty = false;
+            visual.draw();
+        }
+    }
+
+    handleDisplayKeydown(e) {
+        const projection = this.visualEngine.projection;
+        switch (e.key.toLowerCase()) {
+            case 'c':
+                this.setCalibrating(!projection.calibrating);
+                break;
+            case 'm':
+                if (!projection.calibrating) return;
+                projection.setMode(projection.warp.mode === 'mesh' ? 'corner' : 'mesh');
+                this.projectionDirty = true;
+                this.renderCalibration();
+                break;
+            case 'r':
+                if (!projection.calibrating) return;
+                projection.resetWarp();
+                this.projectionDirty = true;
+                this.renderCalibration();
+                break;
+            case 'f':
+                if (document.fullscreenElement) {
+                    Utils.exitFullscreen();
+                } else {
+                    Utils.requestFullscreen();
+                }
+                break;
+        }
+    }
+
+    // =========================================
+    // EFFECT STACK
+    // =========================================
+
+    setupEffectStack() {
+        const stack = this.visualEngine.effectStack;
+        const list = document.getElementById('effect-stack');
+        const fileInput = document.getElementById('effect-lut-file');
+        if (!stack) return;
+
+        // Bound params follow the live state
+        stack.getDimension = name => this.stateEngine.get(name);
+
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.effect-row');
+            const action = e.target.dataset.action;
+            if (!row || (action !== 'up' && action !== 'down')) return;
+            stack.move(row.dataset.effect, action === 'up' ? -1 : 1);
+            this.renderEffectStack();
+        });
+        list?.addEventListener('input', (e) => {
+            const row = e.target.closest('.effect-row');
+            const param = e.target.closest('.effect-param')?.dataset.param;
+            if (!row || !param || e.target.dataset.field !== 'value') return;
+            stack.setParam(row.dataset.effect, param, e.target.value);
+        });
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.effect-row');
+            if (!row) return;
+            const id = row.dataset.effect;
+            const field = e.target.dataset.field;
+            const param = e.target.closest('.effect-param')?.dataset.param;
+
+            if (field === 'enabled') stack.setEnabled(id, e.target.checked);
+            if (field === 'lut') stack.setLut(e.target.value);
+            if (param && field === 'dimension') {
+                stack.setBinding(id, param, e.target.value
+                    ? { ...stack.effects[id].bindings[param], dimension: e.target.value }
+                    : null);
+                this.renderEffectStack();
+            }
+            if (param && (field === 'min' || field === 'max')) {
+                stack.setBinding(id, param, { ...stack.effects[id].bindings[param], [field]: e.target.value });
+                this.renderEffectStack();
+            }
+        });
+
+        document.getElementById('effect-lut-load')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            const statusEl = document.getElementById('effect-lut-status');
+            try {
+                const name = await stack.loadCubeFile(file);
+                stack.setLut(name);
+                this.renderEffectStack();
+                if (statusEl) statusEl.textContent = `Loaded ${name}`;
+            } catch (e) {
+                console.warn('LUT import failed:', e);
+                if (statusEl) statusEl.textContent = `LUT import failed: ${e.message}`;
+            }
+        });
+
+        this.renderEffectStack();
+    }
+
+    renderEffectStack() {
+        const stack = this.visualEngine.effectStack;
+        const list = document.getElementById('effect-stack');
+        if (!stack || !list) return;
+
+        const options = (entries, selected) => entries.map(([value, label]) =>
+            `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`
+        ).join('');
+        const dimensions = [['', 'fixed'], ...this.getStateDimensionNames().map(name => [name, name])];
+        const luts = [['', 'no LUT'], ...stack.listLuts().map(name => [name, name])];
+
+        list.innerHTML = stack.order.map((id) => {
+            const effect = stack.effects[id];
+            const definition = stack.definitions[id];
+            const params = Object.entries(definition.params).map(([name, param]) => {
+                const binding = effect.bindings[name];
+                const range = `min="${param.min}" max="${param.max}" step="${param.step}"`;
+                return `
+                    <div class="effect-param${binding ? ' bound' : ''}" data-param="${name}">
+                        <span>${param.label}</span>
+                        <input type="range" data-field="value" ${range} value="${stack.getValue(id, name)}"${binding ? ' disabled' : ''}>
+                        <select data-field="dimension" title="Follow a state dimension">${options(dimensions, binding?.dimension || '')}</select>
+                        ${binding ? `
+                            <input type="number" data-field="min" ${range} value="${binding.min}" title="Value at 0">
+                            <input type="number" data-field="max" ${range} value="${binding.max}" title="Value at 1">
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="effect-row${effect.enabled ? ' active' : ''}" data-effect="${id}">
+                    <div class="effect-header">
+                        <label><input type="checkbox" data-field="enabled"${effect.enabled ? ' checked' : ''}> ${definition.label}</label>
+                        <button data-action="up" title="Earlier">↑</button>
+                        <button data-action="down" title="Later">↓</button>
+                    </div>
+                    ${id === 'lut' ? `<select data-field="lut" class="effect-lut">${options(luts, effect.lut || '')}</select>` : ''}
+                    ${params}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Bound sliders show the value the state drives them to
+    updateEffectStackStatus() {
+        const stack = this.visualEngine.effectStack;
+        if (!stack) return;
+        document.querySelectorAll('#effect-stack .effect-row').forEach((row) => {
+            const id = row.dataset.effect;
+            row.classList.toggle('active', stack.effects[id]?.enabled);
+            row.querySelectorAll('.effect-param.bound input[data-field="value"]').forEach((input) => {
+                input.value = stack.getValue(id, input.closest('.effect-param').dataset.param);
+            });
+        });
+    }
+
+    // =========================================
+    // TONALITY
+    // =========================================
+
+    setupTonality() {
+        const tonality = this.audioEngine.tonality;
+        const fill = (id, entries) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        };
+        fill('tonality-root', tonality.pitchClassNames.map((name, i) => [i, name]));
+        fill('tonality-scale', Object.keys(tonality.scales).map(name => [name, name]));
+        fill('tonality-tuning', Object.keys(tonality.tunings).map(name => [name, name]));
+        fill('tonality-mode-dimension', [['', 'fixed'], ...this.tonalityModeDimensions.map(name => [name, name])]);
+
+        const bind = (id, read) => {
+            document.getElementById(id)?.addEventListener('change', (e) => {
+                this.audioEngine.setTonality(read(e.target.value));
+                this.syncTonalityControls();
+            });
+        };
+        bind('tonality-root', value => ({ root: Number(value) }));
+        bind('tonality-scale', value => ({ scale: value }));
+        bind('tonality-tuning', value => ({ tuning: value }));
+        bind('tonality-mode-dimension', value => ({ modeDimension: value }));
+        bind('tonality-cents', value => ({
+            customCents: value.split(/[\s,]+/).filter(Boolean).map(Number),
+            tuning: 'custom'
+        }));
+
+        const follow = document.getElementById('ctrl-harmony-follow');
+        if (follow) {
+            follow.checked = this.audioEngine.harmonyFollow;
+            follow.addEventListener('change', () => this.audioEngine.setHarmonyFollow(follow.checked));
+        }
+
+        this.audioEngine.onTonalityChange = () => this.syncTonalityControls();
+        this.syncTonalityControls();
+    }
+
+    syncTonalityControls() {
+        const settings = this.audioEngine.tonality.getSettings();
+        const set = (id, value) => {
+            const el = document.getElementById(id);
+            if (el && document.activeElement !== el) el.value = value;
+        };
+        set('tonality-root', settings.root);
+        set('tonality-scale', settings.scale);
+        set('tonality-tuning', settings.tuning);
+        set('tonality-mode-dimension', settings.modeDimension);
+        set('tonality-cents', settings.customCents.map(value => Math.round(value * 10) / 10).join(' '));
+    }
+
+    // Sung note, the key the pitch tracker hears, and the key the sound is in
+    updateHarmonyStatus() {
+        const statusEl = document.getElementById('harmony-status');
+        if (!statusEl) return;
+
+        const { voiced, pitchNote, keyRoot, keyMode, keyConfidence } = this.inputManager.getAudioData();
+        const tonality = this.audioEngine.tonality;
+        const heard = keyRoot >= 0
+            ? ` · Heard: ${tonality.pitchClassNames[keyRoot]} ${keyMode} ${Math.round(keyConfidence * 100)}%`
+            : '';
+
+        statusEl.textContent = `Voice: ${voiced ? PitchTracker.midiToName(pitchNote) : '-'}${heard}` +
+            ` · Key: ${tonality.getName()}${this.audioEngine.harmonyFromVoice ? ' (voice)' : ''}` +
+            ` · Chord: ${this.audioEngine.chordProgression.getNumeral()}`;
+    }
+
+    // =========================================
+    // SPATIAL
+    // =========================================
+
+    setupSpatial() {
+        const mixer = this.audioEngine.spatialMixer;
+        const labels = {
+            off: 'off',
+            stereo: 'stereo',
+            binaural: 'binaural (HRTF)',
+            multichannel: 'multichannel',
+            auto: 'auto'
+        };
+        const fill = (id, values) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = values.map(value => `<option value="${value}">${labels[value] || value}</option>`).join('');
+        };
+        fill('spatial-mode', mixer.modes);
+        fill('spatial-follow', mixer.follows);
+
+        const bind = (id, read) => {
+            document.getElementById(id)?.addEventListener('change', (e) => {
+                this.audioEngine.setSpatial(read(e.target.value));
+                this.syncSpatialControls();
+            });
+        };
+        bind('spatial-mode', value => ({ mode: value }));
+        bind('spatial-speakers', value => ({ speakerCount: Number(value) }));
+        bind('spatial-follow', value => ({ follow: value }));
+        bind('spatial-spread', value => ({ spread: Number(value) }));
+        bind('spatial-angles', value => ({
+            speakerAngles: value.split(/[\s,]+/).filter(Boolean).map(Number)
+        }));
+
+        this.syncSpatialControls();
+    }
+
+    syncSpatialControls() {
+        const settings = this.audioEngine.spatialMixer.getSettings();
+        const set = (id, value) => {
+            const el = document.getElementById(id);
+            if (el && document.activeElement !== el) el.value = value;
+        };
+        set('spatial-mode', settings.mode);
+        set('spatial-speakers', settings.speakerCount);
+        set('spatial-follow', settings.follow);
+        set('spatial-spread', settings.spread);
+        set('spatial-angles', settings.speakerAngles.join(' '));
+    }
+
+    /**
+     * Anchor points for the spatial mixer in ripple space: the main ripple center and
+     * the two orbiting ripples, or the faces (primary + participant slots) when following faces
+     */
+    getSpatialAnchors(visualState, faceDetected) {
+        const ripples = [
+            { x: visualState.displacementX ?? 0.5, y: visualState.displacementY ?? 0.5 },
+            { x: visualState.rippleOrigin2X, y: visualState.rippleOrigin2Y },
+            { x: visualState.rippleOrigin3X, y: visualState.rippleOrigin3Y }
+        ];
+        if (this.audioEngine.spatialMixer.follow !== 'face') return ripples;
+
+        const face = faceDetected
+            ? {
+                x: ParticipantSlots.toScreenX(this.faceSmoothing.x.value),
+                y: ParticipantSlots.toScreenY(this.faceSmoothing.y.value)
+            }
+            : ripples[0];
+        return [face, ...this.participantSlots.slots.map(slot => (slot.presence > 0.5 ? { x: slot.x, y: slot.y } : face))];
+    }
+
+    updateSpatialStatus() {
+        const statusEl = document.getElementById('spatial-status');
+        if (!statusEl) return;
+
+        const mixer = this.audioEngine.spatialMixer;
+        const { mode, channels, maxChannels } = mixer.getStatus();
+        const requested = mixer.mode === mode ? '' : ` (${mixer.mode})`;
+        statusEl.textContent = `Output: ${mode}${requested} · ${channels} of ${maxChannels} ch` +
+            (mode === 'multichannel' ? ` · ${mixer.getSpeakerAngles().map(Math.round).join(' ')}°` : '');
+    }
+
+    // =========================================
+    // LOOP LIBRARY
+    // =========================================
+
+    setupLoopLibrary() {
+        const library = this.audioEngine.loopLibrary;
+        const list = document.getElementById('loop-list');
+        const fileInput = document.getElementById('loop-file');
+
+        document.getElementById('loop-import')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            for (const file of Array.from(fileInput.files || [])) {
+                try {
+                    await this.audioEngine.importLoopFile(file);
+                } catch (e) {
+                    console.warn(`App: Could not import ${file.name}`, e);
+                }
+            }
+            fileInput.value = '';
+        });
+
+        list?.addEventListener('click', (e) => {
+            const row = e.target.closest('.loop-row');
+            const action = e.target.dataset.action;
+            if (!row || !action) return;
+
+            const loop = library.get(row.dataset.id);
+            if (!loop) return;
+            if (action === 'remove') {
+                this.audioEngine.removeLoop(loop.id);
+            } else {
+                this.audioEngine.updateLoop(loop.id, { [action]: !loop[action] });
+            }
+        });
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.loop-row');
+            if (!row || e.target.dataset.field !== 'stretch') return;
+            this.audioEngine.updateLoop(row.dataset.id, { stretch: Number(e.target.value) });
+        });
+
+        library.onChange = () => {
+            this.renderLoopList();
+            this.syncGranularSources();
+        };
+        this.audioEngine.onLoopAssign = () => {
+            this.renderLoopList();
+            this.syncGranularSources();
+        };
+        this.renderLoopList();
+    }
+
+    renderLoopList() {
+        const list = document.getElementById('loop-list');
+        if (!list) return;
+
+        const library = this.audioEngine.loopLibrary;
+        if (library.loops.length === 0) {
+            list.innerHTML = '<div class="loop-row">No loops yet - make some sound with the mic on</div>';
             return;
         }
-        console.log('Applying sound preset:', presetName);
-        
-        const soundPresets = {
-            // Deep - emphasizes bass and sub frequencies
-            deep: {
-                droneVolumes: { base: -12, mid: -20, high: -28, pad: -15 },
-                droneFilters: { base: 300, mid: 400, high: 1500 },
-                effectSettings: {
-                    reverbWet: 0.6,
-                    delayWet: 0.2,
-                    delayFeedback: 0.4
-                }
-            },
-            
-            // Ethereal - airy, spacious, high harmonics
-            ethereal: {
-                droneVolumes: { base: -24, mid: -18, high: -14, pad: -20 },
-                droneFilters: { base: 150, mid: 1200, high: 4000 },
-                effectSettings: {
-                    reverbWet: 0.8,
-                    delayWet: 0.5,
-                    delayFeedback: 0.6
-                }
-            },
-            
-            // Warm - mid-focused, cozy, rounded
-            warm: {
-                droneVolumes: { base: -16, mid: -14, high: -22, pad: -16 },
-                droneFilters: { base: 250, mid: 600, high: 2000 },
-                effectSettings: {
-                    reverbWet: 0.4,
-                    delayWet: 0.3,
-                    delayFeedback: 0.35
-                }
-            },
+
+        const layers = this.audioEngine.getLoopLayers();
+        const stretches = [0.5, 0.75, 1, 1.5, 2, 4];
+        list.innerHTML = '';
+        library.loops.forEach((loop) => {
+            const row = document.createElement('div');
+            row.className = `loop-row${loop.muted ? ' muted' : ''}`;
+            row.dataset.id = loop.id;
+            row.innerHTML = `
+                <canvas class="loop-wave" width="192" height="40"></canvas>
+                <span class="loop-name"></span>
+                <button data-action="pinned" class="${loop.pinned ? 'active' : ''}" title="Keep when the library is full">pin</button>
+                <button data-action="muted" class="${loop.muted ? 'active' : ''}" title="Take off the granular layers">mute</button>
+                <button data-action="reversed" class="${loop.reversed ? 'active' : ''}" title="Play backwards">rev</button>
+                <select data-field="stretch" title="Time stretch">
+                    ${stretches.map(value => `<option value="${value}"${value === loop.stretch ? ' selected' : ''}>${value}x</option>`).join('')}
+                </select>
+                <button data-action="remove" title="Delete loop">×</button>
+            `;
+            const playing = layers[loop.id] ? ` · ${layers[loop.id].join(', ')}` : '';
+            row.querySelector('.loop-name').textContent =
+                `${loop.name} · ${(loop.buffer.duration * loop.stretch).toFixed(1)}s${playing}`;
+            this.drawLoopWave(row.querySelector('.loop-wave'), loop);
+            list.appendChild(row);
+        });
+    }
+
+    // Per-layer source pickers, file buttons and drop targets on the granular groups
+    setupGranularSources() {
+        const fileInput = document.getElementById('gran-file');
+        let targetLayer = null;
+
+        const load = async (layerName, file) => {
+            if (!file) return;
+            if (!this.audioEngine.granularLayers) {
+                console.warn('App: Start the sound before loading granular files');
+                return;
+            }
+            try {
+                await this.audioEngine.loadGranularFile(layerName, file);
+            } catch (e) {
+                console.warn(`App: Could not load ${file.name}`, e);
+            }
+        };
+
+        document.querySelectorAll('[data-gran-file]').forEach((button) => {
+            button.addEventListener('click', () => {
+                targetLayer = button.dataset.granFile;
+                fileInput?.click();
+            });
+        });
+        fileInput?.addEventListener('change', () => {
+            load(targetLayer, fileInput.files?.[0]);
+            fileInput.value = '';
+        });
+
+        document.querySelectorAll('[data-gran-layer]').forEach((select) => {
+            select.addEventListener('change', () => {
+                this.audioEngine.setGranularSource(select.dataset.granLayer, select.value || null);
+                this.syncGranularSources();
+            });
+        });
+
+        ['ambient', 'choppy', 'shimmer', 'deep'].forEach((layerName) => {
+            const group = document.querySelector(`[data-audio-group="gran-${layerName}"]`);
+            if (!group) return;
+            group.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer?.types.includes('Files')) return;
+                e.preventDefault();
+                group.classList.add('drop-target');
+            });
+            group.addEventListener('dragleave', () => group.classList.remove('drop-target'));
+            group.addEventListener('drop', (e) => {
+                e.preventDefault();
+                group.classList.remove('drop-target');
+                const file = Array.from(e.dataTransfer?.files || []).find(f => f.type.startsWith('audio/'));
+                load(layerName, file);
+            });
+        });
+
+        this.syncGranularSources();
+    }
+
+    syncGranularSources() {
+        const loops = this.audioEngine.loopLibrary.loops;
+        document.querySelectorAll('[data-gran-layer]').forEach((select) => {
+            const layer = this.audioEngine.granularLayers?.[select.dataset.granLayer];
+            select.innerHTML = '<option value="">auto (mic loops)</option>';
+            loops.forEach((loop) => {
+                const option = document.createElement('option');
+                option.value = loop.id;
+                option.textContent = loop.name;
+                select.appendChild(option);
+            });
+            select.value = layer?.locked ? layer.loopId : '';
+        });
+    }
+
+    drawLoopWave(canvas, loop) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const peaks = loop.reversed ? Array.from(loop.peaks).reverse() : loop.peaks;
+        const barWidth = width / peaks.length;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = loop.origin === 'file' ? 'rgba(255, 200, 120, 0.6)' : 'rgba(100, 200, 255, 0.6)';
+        peaks.forEach((peak, i) => {
+            const barHeight = Math.max(1, Math.min(1, peak) * height);
+            ctx.fillRect(i * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 0.5), barHeight);
+        });
+    }
+
+    // =========================================
+    // METERS
+    // =========================================
+    
+    setupMeters() {
+        const modeSelect = document.getElementById('scope-mode');
+        if (modeSelect) modeSelect.value = this.scopeMode;
+        modeSelect?.addEventListener('change', () => {
+            this.scopeMode = modeSelect.value;
+        });
+    }
+    
+    // Taps exist only while the meters can be seen (panel open, sound column shown)
+    updateMeterTaps() {
+        const canvas = document.getElementById('meter-canvas');
+        this.metersVisible = Boolean(canvas?.offsetParent && this.audioEngine?.isPlaying);
+        this.audioEngine?.setMetering(this.metersVisible);
+    }
+    
+    drawMeters(deltaTime) {
+        const meters = this.audioEngine.meters;
+        const meterCanvas = document.getElementById('meter-canvas');
+        const scopeCanvas = document.getElementById('scope-canvas');
+        if (meterCanvas) this.drawLevelMeters(meterCanvas, meters.getLevels(), deltaTime);
+        if (scopeCanvas) this.drawScope(scopeCanvas, meters);
+    }
+    
+    // One bar per tap, -60..0 dB, with a slowly falling peak marker
+    drawLevelMeters(canvas, levels, deltaTime) {
+        const rowHeight = 9;
+        const labelWidth = 72;
+        const height = Math.max(rowHeight, levels.length * rowHeight);
+        if (canvas.height !== height) canvas.height = height;
+        
+        const ctx = canvas.getContext('2d');
+        const barWidth = canvas.width - labelWidth - 2;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '8px monospace';
+        ctx.textBaseline = 'middle';
+        
+        levels.forEach(({ name, db }, i) => {
+            const y = i * rowHeight;
+            const level = Number.isFinite(db) ? Utils.clamp((db + 60) / 60, 0, 1) : 0;
+            const peak = Math.max(level, (this.meterPeaks[name] || 0) - deltaTime * 0.5);
+            this.meterPeaks[name] = peak;
             
-            // Crystal - bright, clear, shimmering
-            crystal: {
-                droneVolumes: { base: -26, mid: -16, high: -12, pad: -22 },
-                droneFilters: { base: 120, mid: 1500, high: 6000 },
-                effectSettings: {
-                    reverbWet: 0.7,
-                    delayWet: 0.6,
-                    delayFeedback: 0.55
-                }
-            },
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+            ctx.fillText(name.replace('granular.', 'gran ').replace('.', ' '), 2, y + rowHeight / 2);
             
-            // Dark - brooding, mysterious, filtered
-            dark: {
-                droneVolumes: { base: -14, mid: -18, high: -30, pad: -12 },
-                droneFilters: { base: 180, mid: 350, high: 800 },
-                effectSettings: {
-                    reverbWet: 0.7,
-                    delayWet: 0.4,
-                    delayFeedback: 0.5
-                }
-            },
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+            ctx.fillRect(labelWidth, y + 1, barWidth, rowHeight - 2);
+            if (db > -6) {
+                ctx.fillStyle = 'rgba(255, 90, 80, 0.85)';
+            } else if (db > -18) {
+                ctx.fillStyle = 'rgba(240, 210, 90, 0.8)';
+            } else {
+                ctx.fillStyle = 'rgba(100, 220, 140, 0.75)';
+            }
+            ctx.fillRect(labelWidth, y + 1, barWidth * level, rowHeight - 2);
             
-            // Breath - organic, pulsing, alive
-            breath: {
-                droneVolumes: { base: -18, mid: -16, high: -20, pad: -14 },
-                droneFilters: { base: 200, mid: 700, high: 2500 },
-                effectSettings: {
-                    reverbWet: 0.5,
-                    delayWet: 0.35,
-                    delayFeedback: 0.45
-                }
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(labelWidth + barWidth * peak - 1, y + 1, 1, rowHeight - 2);
+        });
+    }
+    
+    // Master spectrum (log frequency, -100..0 dB) or waveform
+    drawScope(canvas, meters) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        
+        if (this.scopeMode === 'waveform') {
+            const samples = meters.getWaveform();
+            if (!samples) return;
+            ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
+            ctx.beginPath();
+            for (let x = 0; x < width; x++) {
+                const sample = samples[Math.floor(x / width * samples.length)];
+                const y = (1 - Utils.clamp(sample, -1, 1)) * height / 2;
+                if (x === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+            return;
+        }
+        
+        const bins = meters.getSpectrum();
+        if (!bins) return;
+        const nyquist = Tone.getContext().sampleRate / 2;
+        const minFrequency = 20;
+        ctx.fillStyle = 'rgba(100, 200, 255, 0.6)';
+        for (let x = 0; x < width; x++) {
+            const frequency = minFrequency * Math.pow(nyquist / minFrequency, x / width);
+            const db = bins[Math.min(bins.length - 1, Math.round(frequency / nyquist * (bins.length - 1)))];
+            const level = Number.isFinite(db) ? Utils.clamp((db + 100) / 100, 0, 1) : 0;
+            ctx.fillRect(x, height * (1 - level), 1, height * level);
+        }
+    }
+    
+    // =========================================
+    // SESSION RECORDING
+    // =========================================
+    
+    setupRecorder() {
+        const recorder = this.sessionRecorder;
+        const toggleBtn = document.getElementById('rec-toggle');
+        
+        if (!SessionRecorder.isSupported()) {
+            if (toggleBtn) toggleBtn.disabled = true;
+            const statusEl = document.getElementById('rec-status');
+            if (statusEl) statusEl.textContent = 'Recording not supported in this browser';
+            return;
+        }
+        
+        document.getElementById('rec-resolution')?.addEventListener('change', (e) => {
+            recorder.setOptions({ resolution: e.target.value });
+        });
+        document.getElementById('rec-overlays')?.addEventListener('change', (e) => {
+            // Takes effect immediately - overlays are composited per frame
+            recorder.options.includeOverlays = e.target.checked;
+        });
+        this.setupSlider('ctrl-recBitrate', 'val-recBitrate', (v) => recorder.setOptions({ bitrate: v }), (v) => v.toFixed(0));
+        toggleBtn?.addEventListener('click', () => this.toggleRecording());
+        
+        recorder.onStateChange = (isRecording) => {
+            if (toggleBtn) {
+                toggleBtn.textContent = isRecording ? 'Stop' : 'Record';
+                toggleBtn.classList.toggle('active', isRecording);
             }
+            document.getElementById('rec-resolution')?.toggleAttribute('disabled', isRecording);
+            this.updateRecorderStatus();
         };
+    }
+    
+    async toggleRecording() {
+        const recorder = this.sessionRecorder;
+        
+        if (recorder.isRecording) {
+            const blob = await recorder.stop();
+            this.audioEngine?.releaseRecordingStream();
+            if (blob && blob.size > 0) {
+                Utils.downloadBlob(SessionRecorder.createFilename(), blob, 'video/webm');
+            }
+            this.updateRecorderStatus();
+            return;
+        }
         
-        const preset = soundPresets[presetName];
-        if (!preset) return;
+        const started = recorder.start(this.canvas, {
+            overlays: [this.faceOverlay, this.handOverlay],
+            audioTap: () => this.audioEngine?.createRecordingStream()
+        });
+        if (!started) {
+            this.audioEngine?.releaseRecordingStream();
+            const statusEl = document.getElementById('rec-status');
+            if (statusEl) statusEl.textContent = 'Could not start recording';
+        }
+    }
+    
+    updateRecorderStatus() {
+        const statusEl = document.getElementById('rec-status');
+        if (!statusEl || !SessionRecorder.isSupported()) return;
+        
+        if (this.sessionRecorder.isRecording) {
+            const elapsed = Math.floor(this.sessionRecorder.getElapsed());
+            const { width, height } = this.sessionRecorder.getOutputSize();
+            const time = `${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+            statusEl.textContent = `● REC ${time} · ${width}x${height}`;
+        } else {
+            statusEl.textContent = 'Idle (Shift+R)';
+        }
+    }
+    
+    // =========================================
+    // INPUT RECORDING / REPLAY
+    // =========================================
+    
+    setupInputRecorder() {
+        const recorder = this.inputRecorder;
+        const recordBtn = document.getElementById('input-record');
+        const replayBtn = document.getElementById('input-replay');
+        const exportBtn = document.getElementById('input-export');
+        const importBtn = document.getElementById('input-import');
+        const fileInput = document.getElementById('input-file');
+        const loopToggle = document.getElementById('input-loop');
+        
+        recorder.onEvent = (event) => this.applyInteractionEvent(event);
+        recorder.onReplayEnd = () => this.handlePointerUp();
+        recorder.onChange = () => {
+            if (recordBtn) {
+                recordBtn.textContent = recorder.isRecording ? 'Stop' : 'Record';
+                recordBtn.classList.toggle('active', recorder.isRecording);
+            }
+            if (replayBtn) {
+                replayBtn.textContent = recorder.isReplaying ? 'Stop' : 'Replay';
+                replayBtn.classList.toggle('active', recorder.isReplaying);
+                replayBtn.disabled = !recorder.hasRecording() || recorder.isRecording;
+            }
+            if (exportBtn) exportBtn.disabled = !recorder.recording;
+            this.updateInputRecorderStatus();
+        };
         
-        const rampTime = 1.5;  // Smooth transition time
+        recordBtn?.addEventListener('click', () => {
+            if (recorder.isRecording) {
+                recorder.stopRecording();
+            } else {
+                recorder.startRecording({ seed: this.sessionSeed });
+            }
+        });
+        replayBtn?.addEventListener('click', () => {
+            if (recorder.isReplaying) {
+                recorder.stopReplay();
+                this.handlePointerUp();
+            } else if (recorder.startReplay(Boolean(loopToggle?.checked))) {
+                this.setFaceOverlayVisible(true);
+            }
+        });
+        loopToggle?.addEventListener('change', () => {
+            recorder.loop = loopToggle.checked;
+        });
+        exportBtn?.addEventListener('click', () => {
+            const json = recorder.exportJSON();
+            if (!json) return;
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            Utils.downloadBlob(`inner-reflection-input-${stamp}.json`, json);
+        });
+        importBtn?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                recorder.importJSON(await file.text());
+            } catch (e) {
+                console.warn('Input recording import failed:', e);
+                const statusEl = document.getElementById('input-status');
+                if (statusEl) statusEl.textContent = `Import failed: ${e.message}`;
+            }
+        });
         
-        // Apply drone volumes
-        if (preset.droneVolumes) {
-            Object.entries(preset.droneVolumes).forEach(([drone, volume]) => {
-                if (this.audioEngine.drones && this.audioEngine.drones[drone]) {
-                    console.log(`  Setting ${drone} volume to ${volume} dB`);
-                    this.audioEngine.setDroneVolume(drone, volume, rampTime);
-                }
-            });
+        recorder.onChange();
+    }
+    
+    updateInputRecorderStatus() {
+        const statusEl = document.getElementById('input-status');
+        if (!statusEl) return;
+        
+        const recorder = this.inputRecorder;
+        if (recorder.isRecording) {
+            statusEl.textContent = `● REC ${(recorder.recordTime / 1000).toFixed(1)}s`;
+        } else if (recorder.isReplaying) {
+            const total = recorder.recording.duration / 1000;
+            statusEl.textContent = `Replay ${(recorder.replayTime / 1000).toFixed(1)}s / ${total.toFixed(1)}s`;
+        } else if (recorder.recording) {
+            const seed = recorder.recording.seed !== undefined ? ` · seed ${recorder.recording.seed}` : '';
+            statusEl.textContent = `${recorder.recording.frames.length} frames, ${(recorder.recording.duration / 1000).toFixed(1)}s${seed}`;
+        } else {
+            statusEl.textContent = 'No recording';
         }
+    }
+    
+    // =========================================
+    // SESSION SEED
+    // =========================================
+    
+    setupSessionSeed() {
+        const input = document.getElementById('session-seed');
+        const apply = () => {
+            const seed = Utils.parseSeed(input?.value);
+            if (seed !== null) this.setSessionSeed(seed);
+        };
         
-        // Apply drone filters
-        if (preset.droneFilters) {
-            Object.entries(preset.droneFilters).forEach(([drone, freq]) => {
-                if (this.audioEngine.drones && this.audioEngine.drones[drone]) {
-                    console.log(`  Setting ${drone} filter to ${freq} Hz`);
-                    this.audioEngine.setDroneFilter(drone, freq, rampTime);
-                }
-            });
+        input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') apply();
+        });
+        document.getElementById('session-seed-apply')?.addEventListener('click', apply);
+        document.getElementById('session-seed-new')?.addEventListener('click', () => {
+            this.setSessionSeed(Utils.createSeed());
+        });
+        document.getElementById('session-seed-copy')?.addEventListener('click', () => {
+            const link = window.location.href;
+            navigator.clipboard?.writeText(link).then(
+                () => this.showSeedStatus('Link copied'),
+                () => this.showSeedStatus(link)
+            );
+        });
+        
+        this.updateSeedDisplay();
+    }
+    
+    /**
+     * Restart the generative state from a seed. The audio graph keeps running;
+     * its future random choices follow the new seed.
+     */
+    setSessionSeed(seed) {
+        this.sessionSeed = seed;
+        this.random = Utils.createRandom(Utils.deriveSeed(seed, 'app'));
+        this.presetTransition.cancel();
+        this.stateEngine.reset(Utils.deriveSeed(seed, 'state'));
+        this.audioEngine?.setSeed(Utils.deriveSeed(seed, 'audio'));
+        this.visualEngine.reset(Utils.deriveSeed(seed, 'visual'));
+        if (!this.isRunning) {
+            this.visualEngine.resetToPreview();
         }
         
-        // Apply effect settings
-        if (preset.effectSettings) {
-            const fx = preset.effectSettings;
-            if (fx.reverbWet !== undefined && this.audioEngine.effects?.reverb) {
-                console.log(`  Setting reverb wet to ${fx.reverbWet}`);
-                this.audioEngine.setEffectWet('reverb', fx.reverbWet, rampTime);
+        // Locks live in the state engine, which was just reset
+        this.lockedSliders.forEach((value, sliderId) => this.updateLockedSlider(sliderId, value));
+        this.updateSliderFromState();
+        
+        // Keep the URL shareable: reloading it recreates this session
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', String(seed));
+        window.history.replaceState(null, '', url);
+        
+        this.updateSeedDisplay();
+        console.log('InnerReflection: Session seed', seed);
+    }
+    
+    updateSeedDisplay() {
+        const input = document.getElementById('session-seed');
+        if (input) input.value = String(this.sessionSeed);
+        const renderSeed = document.getElementById('render-seed');
+        if (renderSeed) renderSeed.value = String(this.sessionSeed);
+        this.showSeedStatus(`Seed: ${this.sessionSeed}`);
+    }
+    
+    showSeedStatus(text) {
+        const statusEl = document.getElementById('session-seed-status');
+        if (statusEl) statusEl.textContent = text;
+    }
+    
+    // =========================================
+    // OFFLINE RENDER
+    // =========================================
+    
+    setupOfflineRender() {
+        const renderer = this.offlineRenderer;
+        const startBtn = document.getElementById('render-start');
+        const statusEl = document.getElementById('render-status');
+        
+        this.renderOfflinePresetOptions();
+        
+        startBtn?.addEventListener('click', async () => {
+            if (renderer.isRendering) {
+                renderer.cancel();
+                return;
+            }
+            if (!this.isRunning) {
+                if (statusEl) statusEl.textContent = 'Start the experience first';
+                return;
+            }
+            
+            renderer.setOptions(this.readOfflineRenderOptions());
+            startBtn.textContent = 'Cancel';
+            startBtn.classList.add('active');
+            
+            let result = null;
+            try {
+                result = await renderer.render(this.canvas, {
+                    prepare: (options) => this.prepareOfflineRender(options),
+                    step: (deltaTime) => this.stepFrame(deltaTime, false),
+                    finish: () => this.finishOfflineRender()
+                });
+            } catch (error) {
+                console.error('InnerReflection: Offline render failed', error);
+                if (statusEl) statusEl.textContent = `Failed: ${error.message}`;
             }
-            if (fx.delayWet !== undefined && this.audioEngine.effects?.delay) {
-                console.log(`  Setting delay wet to ${fx.delayWet}`);
-                this.audioEngine.setEffectWet('delay', fx.delayWet, rampTime);
+            
+            startBtn.textContent = 'Render PNG Frames';
+            startBtn.classList.remove('active');
+            if (result && statusEl) {
+                const where = result.folder ? ` to ${result.folder}` : '';
+                statusEl.textContent = `${result.cancelled ? 'Cancelled' : 'Done'}: ${result.frames} frames${where}`;
             }
-            if (fx.delayFeedback !== undefined && this.audioEngine.effects?.delay) {
-                console.log(`  Setting delay feedback to ${fx.delayFeedback}`);
-                this.audioEngine.effects.delay.feedback.rampTo(fx.delayFeedback, rampTime);
+        });
+        
+        renderer.onProgress = (frame, total) => {
+            if (statusEl) statusEl.textContent = `Frame ${frame}/${total} (Esc to cancel)`;
+        };
+    }
+    
+    readOfflineRenderOptions() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) && value > 0 ? value : fallback;
+        };
+        const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+        const seed = Utils.parseSeed(document.getElementById('render-seed')?.value);
+        
+        return {
+            width: even(Utils.clamp(number('render-width', 1920), 16, 8192)),
+            height: even(Utils.clamp(number('render-height', 1080), 16, 8192)),
+            fps: Utils.clamp(Math.round(number('render-fps', 30)), 1, 120),
+            duration: number('render-duration', 10),
+            seed: seed ?? this.sessionSeed,
+            preset: document.getElementById('render-preset')?.value || '',
+            playShow: Boolean(document.getElementById('render-show')?.checked),
+            replayInput: Boolean(document.getElementById('render-input')?.checked) && this.inputRecorder.hasRecording()
+        };
+    }
+    
+    renderOfflinePresetOptions() {
+        const select = document.getElementById('render-preset');
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '<option value="">Start: seeded palette</option>' +
+            this.getVisualPresetOptions().map(({ id, label }) =>
+                `<option value="${id}">Start: ${label}</option>`
+            ).join('');
+        select.value = current;
+    }
+    
+    /**
+     * Put every engine into a reproducible starting state for the given seed.
+     * Slider settings and locks are kept - they are part of the render setup.
+     */
+    prepareOfflineRender({ seed, width, height, preset, playShow, replayInput }) {
+        this.presetTransition.cancel();
+        this.sceneSequencer.stop();
+        this.inputRecorder.stopReplay();
+        this.simulationTime = 0;
+        
+        this.stateEngine.reset(Utils.deriveSeed(seed, 'state'));
+        this.audioEngine?.setSeed(Utils.deriveSeed(seed, 'audio'));
+        this.visualEngine.reset(Utils.deriveSeed(seed, 'visual'));
+        this.visualEngine.setFixedSize(width, height);
+        this.resetFaceResponse();
+        this.modulationMatrix.reset();
+        this.participantSlots.reset();
+        
+        // Locks live in the state engine, which was just reset
+        this.lockedSliders.forEach((value, sliderId) => this.updateLockedSlider(sliderId, value));
+        
+        if (preset) {
+            this.applyPreset(preset, 0);
+        }
+        if (playShow) {
+            this.sceneSequencer.play(0);
+        }
+        if (replayInput) {
+            this.inputRecorder.startReplay(false);
+        }
+    }
+    
+    finishOfflineRender() {
+        this.inputRecorder.stopReplay();
+        this.visualEngine.clearFixedSize();
+        this.lastTime = performance.now();
+        this.updateSliderFromState();
+    }
+    
+    // =========================================
+    // REMOTE CONTROL BRIDGE
+    // =========================================
+    
+    setupControlBridge() {
+        const bridge = this.controlBridge;
+        const toBool = (value) => value === true || value === 1 || value === 'true' || value === '1';
+        
+        bridge.registerCommand('setStateDimension', (name, value) => {
+            this.setStateDimension(name, Number(value));
+            this.updateSliderFromState();
+        });
+        bridge.registerCommand('lockDimension', (name, value) => {
+            this.stateEngine?.lockDimension(name, Number(value ?? this.stateEngine.get(name)));
+        });
+        bridge.registerCommand('unlockDimension', (name) => this.stateEngine?.unlockDimension(name));
+        bridge.registerCommand('applyPreset', (name, duration = this.presetTransitionTime) => {
+            this.applyPreset(name, Number(duration));
+            this.setActivePreset(name);
+        });
+        bridge.registerCommand('applySoundPreset', (name) => this.applySoundPreset(name));
+        bridge.registerCommand('setTonality', (settings) => this.audioEngine.setTonality(settings || {}));
+        bridge.registerCommand('setSpatial', (settings) => {
+            this.audioEngine.setSpatial(settings || {});
+            this.syncSpatialControls();
+        });
+        bridge.registerCommand('setFocus', (active, intensity = 0.8) => {
+            this.stateEngine?.setFocusMode(toBool(active), Number(intensity));
+        });
+        bridge.registerCommand('setMuted', (muted) => this.setMuted(toBool(muted)));
+        bridge.registerCommand('setMultiPerson', (enabled) => this.setMultiPerson(toBool(enabled)));
+        bridge.registerCommand('setBroadcastRate', (rate) => bridge.setBroadcastRate(rate));
+        
+        bridge.getSnapshot = () => this.getRemoteSnapshot();
+        bridge.onStatusChange = (status) => {
+            const statusEl = document.getElementById('bridge-status');
+            const connectBtn = document.getElementById('bridge-connect');
+            if (statusEl) statusEl.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+            if (connectBtn) connectBtn.textContent = bridge.shouldReconnect ? 'Disconnect' : 'Connect';
+        };
+        
+        const urlInput = document.getElementById('bridge-url');
+        if (urlInput && bridge.url) urlInput.value = bridge.url;
+        document.getElementById('bridge-connect')?.addEventListener('click', () => {
+            if (bridge.shouldReconnect) {
+                bridge.disconnect();
+                bridge.onStatusChange('disconnected');
+            } else {
+                this.connectControlBridge(urlInput?.value.trim());
             }
+        });
+        this.setupSlider('ctrl-bridgeRate', 'val-bridgeRate', (v) => bridge.setBroadcastRate(v), (v) => v.toFixed(0));
+    }
+    
+    connectControlBridge(url) {
+        if (!url) return;
+        this.controlBridge.connect(url);
+    }
+    
+    // State sent to remote controllers - plain numbers/booleans only (no landmarks or buffers)
+    getRemoteSnapshot() {
+        const visual = this.stateEngine.getVisualState();
+        this.applyManualVisualParams(visual);
+        
+        const face = this.enabledInputs.faceTracking ? this.faceTracker?.getFaceData() : null;
+        const faceFeatures = {};
+        if (face) {
+            ['detected', 'faceCount', 'faceX', 'faceY', 'faceSize', 'headYaw', 'headPitch', 'headRoll',
+                'eyesOpen', 'blinking', 'gazeX', 'gazeY', 'mouthOpen', 'talking', 'browRaise',
+                'lookingAtScreen', 'engagement'].forEach((key) => {
+                if (face[key] !== undefined) faceFeatures[key] = face[key];
+            });
+        }
+        
+        const hand = this.handTracker?.getHandState();
+        const handFeatures = hand ? {
+            count: hand.count,
+            positions: hand.positions.slice(0, hand.count),
+            strengths: hand.strengths.slice(0, hand.count),
+            fists: hand.fists.slice(0, hand.count),
+            fingerCounts: hand.fingerCounts.slice(0, hand.count),
+            thumbsUp: hand.thumbsUp.slice(0, hand.count),
+            thumbsDown: hand.thumbsDown.slice(0, hand.count)
+        } : { count: 0 };
+        
+        return {
+            visual,
+            audio: this.stateEngine.getAudioState(),
+            face: faceFeatures,
+            hand: handFeatures,
+            focus: this.stateEngine.focusMode.active,
+            muted: this.isMuted
+        };
+    }
+    
+    // Apply sound preset to audio engine (ramped over rampTime seconds)
+    applySoundPreset(presetName, rampTime = 1.5) {
+        if (!this.audioEngine) {
+            console.warn('Sound preset: Audio engine not available');
+            return;
+        }
+        if (!this.audioEngine.isInitialized) {
+            console.warn('Sound preset: Audio engine not initialized - click somewhere first to enable audio');
+            return;
         }
         
-        console.log('Sound preset applied:', presetName);
+        const preset = this.soundPresetLibrary.get(presetName);
+        if (!preset) return;
+        console.log('Applying sound preset:', preset.name);
+        
+        // Sliders follow what the engine applies, default source windows included
+        const settings = this.audioEngine.withGranularDefaults(preset);
+        this.audioEngine.applySoundSettings(settings, rampTime);
+        this.syncAudioSliders(settings);
+        this.syncGranularSources();
+        this.setActiveSoundPreset(presetName);
     }
     
     updateSliderFromState() {
@@ -4119,6 +6035,16 @@ class InnerReflectionApp {
             fpsEl.textContent = `FPS: ${this.fps.toFixed(1)}`;
         }
         
+        this.updateSceneStatus();
+        this.updateRecorderStatus();
+        this.updateInputRecorderStatus();
+        this.updateModulationStatus();
+        this.updateQualityStatus();
+        this.updateEffectStackStatus();
+        this.updateHarmonyStatus();
+        this.updateSpatialStatus();
+        this.updateMeterTaps();
+        
         // Update face tracking status
         const stateEl = document.getElementById('debug-state');
         if (stateEl && this.faceTracker) {
@@ -4201,6 +6127,13 @@ class InnerReflectionApp {
         this.visualEngine?.dispose();
         this.faceTracker?.dispose();
         this.handTracker?.dispose();
+        this.midiManager?.dispose();
+        this.controlBridge?.disconnect();
+        this.displaySpan?.close();
+        if (this.sessionRecorder?.isRecording) {
+            this.sessionRecorder.stop();
+            this.audioEngine?.releaseRecordingStream();
+        }
         
         console.log('InnerReflection: Disposed');
     }
@@ -17,6 +17,10 @@ class AudioEngine {
         
         // Main output
         this.masterGain = null;
+        this.recordingDestination = null;  // MediaStreamDestination while recording
+        
+        // Seeded PRNG for all generative choices (see setSeed)
+        this.random = Math.random;
         
         // Track which parameters are under manual control (sliders)
         // When set, modulateFromState won't override these
@@ -47,10 +51,11 @@ class AudioEngine {
         this.micGain = null;
         
         // === MIC LOOP RECORDING SYSTEM ===
-        // Multiple buffers for layered loop playback
-        this.micLoops = [];
-        this.maxMicLoops = 4;  // Keep up to 4 mic loops
-        this.currentLoopIndex = 0;
+        // Captured (and imported) loops are kept in the loop library (IndexedDB)
+        // and handed to the granular layers (see assignLoop)
+        this.loopLibrary = new LoopLibrary();
+        this.syntheticBuffer = null;       // Fallback granular source when no loop is playable
+        this.onLoopAssign = null;          // (layerName, loop) => {} a granular layer got a new loop
         this.isCapturingLoop = false;
         this.lastLoopCaptureTime = 0;
         this.loopCaptureInterval = 12000;  // Capture new loop every 12 seconds when sound detected
@@ -91,6 +96,52 @@ class AudioEngine {
         this.micDelayEvolution = null;
         this.handDetune = 0;
         
+        // Generative behaviour (see setGenerativeParam)
+        this.generativeParams = {
+            grainRandomPosition: 0,
+            speedDrift: 0,
+            bufferUpdateRate: 15,
+            micReactivity: 0.5
+        };
+        
+        // Sound preset glide for values that aren't audio params (see applySoundSettings)
+        this.soundTransition = null;
+        // Base levels set by presets and sliders - evolution, gestures and state modulation
+        // move the live gains around these (drones keep theirs in drone.volume)
+        this.ambientVolumes = { subBass: -28, breath: -32, shimmerPad: -28 };   // dB
+        this.micVolume = 0.5;
+        this.micReverbWet = 1.0;
+        // Source window a sound preset gets for layers it doesn't set (see withGranularDefaults)
+        this.granularWindowDefaults = { source: null, position: 0, span: 1, scan: 0 };
+        
+        // Beat lock - glitter and chord changes follow music the mic hears (see updateBeatClock)
+        this.beatLock = true;
+        this.beatLockConfidence = 0.5;
+        this.beatClock = { bpm: 0, confidence: 0, beatCount: 0 };
+        this.melodicChordDue = false;
+        this.melodicEventId = null;        // Pending Tone.Transport chord change
+        
+        // Root, scale and tuning shared by every pitched voice (see setTonality)
+        this.tonality = new Tonality();
+        
+        // Melodic pad harmony (drivers come from StateEngine, see setHarmonyDrivers)
+        this.chordProgression = new ChordProgression(this.tonality, () => this.random());
+        this.retuneMinInterval = 12;       // seconds of audio time between automatic retunes (voice, mode dimension)
+        this.lastRetune = -Infinity;       // Tone.now() of the last retune
+        
+        // Voice harmony - the tonality follows the key someone sings in (see updateVoiceHarmony)
+        this.harmonyFollow = true;
+        this.harmonyMinConfidence = 0.5;
+        this.harmonyFromVoice = false;
+        this.tonalityBeforeVoice = null;   // Settings to return to when following stops
+        this.onTonalityChange = null;      // () => {} after every retune
+        
+        // Room placement of drones, granular layers, mic echoes and glitter (see updateSpatial)
+        this.spatialMixer = new SpatialMixer();
+        
+        // Level meters + master scope for the debug panel (see setMetering)
+        this.meters = new AudioMeters();
+        
         // Current state (for smooth transitions)
         this.state = {
             masterVolume: CONFIG.audio.masterVolume,
@@ -152,6 +203,9 @@ class AudioEngine {
             // Start granular layers with synthetic buffer
             this.startGranularLayers();
             
+            // Stored loops take over the granular layers once decoded
+            this.restoreLoops();
+            
             // Start slow evolution timer
             this.startEvolution();
             
@@ -166,7 +220,8 @@ class AudioEngine {
     
     createMasterChain() {
         // Final brick wall limiter - catches any peaks that got through
-        this.limiter = new Tone.Limiter(-1).toDestination();
+        // (the spatial mixer connects it to the output, see below)
+        this.limiter = new Tone.Limiter(-1);
         
         // Soft limiter before the brick wall to avoid harsh limiting artifacts
         this.softLimiter = new Tone.Limiter(-3).connect(this.limiter);
@@ -194,6 +249,24 @@ class AudioEngine {
             frequency: 8000,
             Q: 0.3  // Lower Q to avoid resonant buildup
         }).connect(this.masterGain);
+        
+        // Stereo bed - everything that is not placed in the room (reverb returns, sub, pads)
+        this.bedInput = new Tone.Gain(1);
+        
+        // Placed sources meet the bed at the master filter; the mixer owns the output
+        // (stereo chain, or per-channel dynamics for a speaker ring)
+        this.spatialMixer.init({
+            bed: this.bedInput,
+            mix: this.masterFilter,
+            dynamicsInput: this.preCompGain,
+            dynamics: this.compressor,
+            stereoOutput: this.limiter
+        });
+        
+        // What comes out of the speakers - the mic's pitch tracking pauses while this is
+        // louder than the input, so the drones don't pick the key (see getOutputLevel)
+        this.outputMeter = new Tone.Meter({ normalRange: true, smoothing: 0.8 });
+        this.spatialMixer.output.connect(this.outputMeter);
 
         if (this.isMuted) {
             this.masterGain.gain.value = 0;
@@ -208,7 +281,7 @@ class AudioEngine {
             decay: effectsConfig.reverb.decay,
             preDelay: effectsConfig.reverb.preDelay,
             wet: effectsConfig.reverb.wet
-        }).connect(this.masterFilter);
+        }).connect(this.bedInput);
         
         // Ping-pong delay
         this.effects.delay = new Tone.PingPongDelay({
@@ -247,8 +320,9 @@ class AudioEngine {
         // BASE DRONE - Deep, slow oscillator
         this.drones.base = this.createDroneLayer({
             name: 'base',
+            spatial: { anchor: 0 },
             type: 'fatsawtooth',
-            frequency: droneConfig.base.frequency,
+            frequency: this.tonality.nearestFrequency(droneConfig.base.frequency),
             volume: droneConfig.base.volume,
             filterFreq: droneConfig.base.filterFreq,
             filterQ: droneConfig.base.filterQ,
@@ -261,8 +335,9 @@ class AudioEngine {
         // MID DRONE - Harmonic richness
         this.drones.mid = this.createDroneLayer({
             name: 'mid',
+            spatial: { anchor: 1 },
             type: 'fatsine',
-            frequency: droneConfig.mid.frequency,
+            frequency: this.tonality.nearestFrequency(droneConfig.mid.frequency),
             volume: droneConfig.mid.volume,
             filterFreq: droneConfig.mid.filterFreq,
             filterQ: droneConfig.mid.filterQ,
@@ -275,8 +350,9 @@ class AudioEngine {
         // HIGH DRONE - Shimmer and air
         this.drones.high = this.createDroneLayer({
             name: 'high',
+            spatial: { anchor: 2 },
             type: 'sine',
-            frequency: droneConfig.high.frequency,
+            frequency: this.tonality.nearestFrequency(droneConfig.high.frequency),
             volume: droneConfig.high.volume,
             filterFreq: droneConfig.high.filterFreq,
             filterQ: droneConfig.high.filterQ,
@@ -290,7 +366,9 @@ class AudioEngine {
         this.drones.pad = this.createDroneLayer({
             name: 'pad',
             type: 'triangle',
-            frequency: 82.41, // E2
+            frequency: this.tonality.nearestFrequency(82.41, 7),  // Fifth, E2 at home
+            interval: 7,
+            spatial: { anchor: 0, offset: [0, -0.35] },  // Behind the main ripple
             volume: -18,
             filterFreq: 600,
             filterQ: 1,
@@ -335,23 +413,30 @@ class AudioEngine {
         
         // Auto-panner for stereo width
         const panner = new Tone.AutoPanner({
-            frequency: Utils.random(0.05, 0.15),
+            frequency: Utils.random(0.05, 0.15, this.random),
             depth: 0.3
         }).start();
         
+        // Dry signal is placed in the room, the effects send stays in the bed
+        const spatial = this.spatialMixer.addSource(`drone.${config.name}`, config.spatial);
+        
         // Connect chain
         synth.connect(filter);
         filter.connect(panner);
         panner.connect(gain);
         gain.connect(this.effectsInput);
-        gain.connect(this.dryGain);
+        gain.connect(spatial.input);
+        spatial.output.connect(this.dryGain);
         
         return {
             synth,
             filter,
             gain,
             panner,
+            spatial,
             frequency: config.frequency,
+            homeFrequency: config.frequency,  // Register the tonality root is placed near
+            interval: config.interval || 0,   // Semitones above the root
             volume: config.volume,
             isPlaying: false
         };
@@ -367,17 +452,17 @@ class AudioEngine {
             frequency: 32  // Very low
         });
         const subFilter = new Tone.Filter({ type: 'lowpass', frequency: 50 });
-        const subGain = new Tone.Gain(Tone.dbToGain(-28));  // Reduced
+        const subGain = new Tone.Gain(Tone.dbToGain(this.ambientVolumes.subBass));  // Reduced
         this.ambientLayers.subBass.connect(subFilter);
         subFilter.connect(subGain);
-        subGain.connect(this.masterFilter);
+        subGain.connect(this.bedInput);
         
         // Breath layer - slow filtered noise like breathing
         this.ambientLayers.breath = new Tone.Noise('pink');
         const breathFilter = new Tone.Filter({ type: 'bandpass', frequency: 350, Q: 1.5 });
         const breathLFO = new Tone.LFO({ frequency: 0.06, min: 200, max: 500 }).start();
         breathLFO.connect(breathFilter.frequency);
-        const breathGain = new Tone.Gain(Tone.dbToGain(-32));  // Reduced
+        const breathGain = new Tone.Gain(Tone.dbToGain(this.ambientVolumes.breath));  // Reduced
         const breathEnvLFO = new Tone.LFO({ frequency: 0.04, min: 0, max: 0.35 }).start();
         this.ambientLayers.breath.connect(breathFilter);
         breathFilter.connect(breathGain);
@@ -391,7 +476,7 @@ class AudioEngine {
         });
         const shimmerFilter = new Tone.Filter({ type: 'highpass', frequency: 2500 });
         const shimmerChorus = new Tone.Chorus({ frequency: 0.2, depth: 0.9, wet: 0.7 }).start();
-        const shimmerGain = new Tone.Gain(Tone.dbToGain(-28));  // Reduced
+        const shimmerGain = new Tone.Gain(Tone.dbToGain(this.ambientVolumes.shimmerPad));  // Reduced
         this.ambientLayers.shimmerPad.connect(shimmerFilter);
         shimmerFilter.connect(shimmerChorus);
         shimmerChorus.connect(shimmerGain);
@@ -404,13 +489,22 @@ class AudioEngine {
         });
         const glitterFilter = new Tone.Filter({ type: 'highpass', frequency: 3000, Q: 0.5 });
         const glitterDelay = new Tone.PingPongDelay({ delayTime: 0.25, feedback: 0.4, wet: 0.5 });
-        const glitterReverb = new Tone.Reverb({ decay: 4, wet: 0.8 });
+        const glitterReverb = new Tone.Reverb({ decay: 4, wet: 1 });
         const glitterGain = new Tone.Gain(Tone.dbToGain(-34));
+        const glitterSpatial = this.spatialMixer.addSource('glitter');  // Scattered per sparkle
+        // Sparkles are placed, their reverb tail stays in the bed (same balance as wet 0.8)
+        const glitterMix = this.dryWetGains(0.8);
+        const glitterDry = new Tone.Gain(glitterMix.dry);
+        const glitterSend = new Tone.Gain(glitterMix.wet);
         this.ambientLayers.glitter.connect(glitterFilter);
         glitterFilter.connect(glitterDelay);
-        glitterDelay.connect(glitterReverb);
-        glitterReverb.connect(glitterGain);
-        glitterGain.connect(this.masterFilter);
+        glitterDelay.connect(glitterGain);
+        glitterGain.connect(glitterDry);
+        glitterDry.connect(glitterSpatial.input);
+        glitterSpatial.output.connect(this.masterFilter);
+        glitterGain.connect(glitterSend);
+        glitterSend.connect(glitterReverb);
+        glitterReverb.connect(this.bedInput);
         
         // === NEW: Melodic pad - slow evolving chords ===
         this.ambientLayers.melodicPad = new Tone.PolySynth(Tone.Synth, {
@@ -425,7 +519,7 @@ class AudioEngine {
         melodicFilter.connect(melodicChorus);
         melodicChorus.connect(melodicReverb);
         melodicReverb.connect(melodicGain);
-        melodicGain.connect(this.masterFilter);
+        melodicGain.connect(this.bedInput);
         
         // === NEW: Texture layer - gentle granular-like filtered noise ===
         this.ambientLayers.texture = new Tone.Noise('white');
@@ -576,7 +670,7 @@ class AudioEngine {
         if (!this.micDelayEvolution) {
             const feedbackBase = this.micDelayParams.feedback ?? 0.6;
             this.micDelayEvolution = {
-                nextChangeAt: this.evolutionTime + 10 + Math.random() * 50,
+                nextChangeAt: this.evolutionTime + 10 + this.random() * 50,
                 targetTime: this.micDelayParams.time,
                 targetTime2: this.micDelayParams.time2,
                 currentTime: this.micDelayParams.time,
@@ -599,13 +693,13 @@ class AudioEngine {
             
             const stretchRange = 0.65 * stretchScale;
             const stretchFactor = Utils.clamp(
-                1 + Utils.random(-stretchRange, stretchRange),
+                1 + Utils.random(-stretchRange, stretchRange, this.random),
                 0.3,
                 3.0
             );
             
             const scatterRange = 0.6 * scatterScale;
-            const scatterOffset = Utils.random(-scatterRange, scatterRange);
+            const scatterOffset = Utils.random(-scatterRange, scatterRange, this.random);
             
             const timeOffset = Math.max(0.05, this.micDelayParams.time * 0.6) * driftScale;
             const timeOffset2 = Math.max(0.05, this.micDelayParams.time2 * 0.6) * driftScale;
@@ -614,7 +708,7 @@ class AudioEngine {
             const baseTime2 = this.micDelayParams.time2 * stretchFactor;
             
             this.micDelayEvolution.targetTime = Utils.clamp(
-                baseTime + Utils.random(-timeOffset, timeOffset),
+                baseTime + Utils.random(-timeOffset, timeOffset, this.random),
                 0.05,
                 this.micDelayMaxTime
             );
@@ -622,19 +716,19 @@ class AudioEngine {
             const scatteredTime2 = baseTime2 * (1 + scatterOffset);
             const blendedTime2 = Utils.lerp(baseTime2, scatteredTime2, scatterScale);
             this.micDelayEvolution.targetTime2 = Utils.clamp(
-                blendedTime2 + Utils.random(-timeOffset2, timeOffset2),
+                blendedTime2 + Utils.random(-timeOffset2, timeOffset2, this.random),
                 0.05,
                 this.micDelayMaxTime2
             );
             
             const pitchOffset = 1200 * pitchDriftScale;
             this.micDelayEvolution.targetPitch = this.micDelayParams.pitch +
-                Utils.random(-pitchOffset, pitchOffset);
+                Utils.random(-pitchOffset, pitchOffset, this.random);
             
             const feedbackBase = this.micDelayParams.feedback ?? 0.6;
             const feedbackOffset = 0.25 * feedbackScale;
             const targetFeedback = Utils.clamp(
-                feedbackBase + Utils.random(-feedbackOffset, feedbackOffset),
+                feedbackBase + Utils.random(-feedbackOffset, feedbackOffset, this.random),
                 0.05,
                 0.95
             );
@@ -642,12 +736,12 @@ class AudioEngine {
             
             this.micDelayEvolution.targetFeedback = targetFeedback;
             this.micDelayEvolution.targetFeedback2 = Utils.clamp(
-                targetFeedback * (0.85 + Utils.random(-feedbackSpread, feedbackSpread)),
+                targetFeedback * (0.85 + Utils.random(-feedbackSpread, feedbackSpread, this.random)),
                 0.05,
                 0.95
             );
             
-            this.micDelayEvolution.nextChangeAt = this.evolutionTime + 10 + Math.random() * 50;
+            this.micDelayEvolution.nextChangeAt = this.evolutionTime + 10 + this.random() * 50;
         }
         
         const follow = 0.01;
@@ -755,7 +849,7 @@ class AudioEngine {
                 sample += Math.sin(2 * Math.PI * 220 * t) * 0.15; // Octave
                 sample += Math.sin(2 * Math.PI * 330 * t) * 0.1; // Twelfth
                 // Add some noise texture
-                sample += (Math.random() * 2 - 1) * 0.05;
+                sample += (this.random() * 2 - 1) * 0.05;
                 // Apply envelope to create interesting texture
                 const env = Math.sin(Math.PI * (i / data.length));
                 // Add some amplitude modulation
@@ -765,6 +859,7 @@ class AudioEngine {
         }
         
         const toneBuffer = new Tone.ToneAudioBuffer(buffer);
+        this.syntheticBuffer = toneBuffer;
         await this.setupGranular(toneBuffer);
         console.log('AudioEngine: Synthetic granular buffer created');
     }
@@ -786,11 +881,16 @@ class AudioEngine {
             toneBuffer = audioBuffer;
         }
         
+        // Hand-picked sources and windows survive a rebuild (e.g. the first mic recording)
+        const previousSettings = this.granularLayers ? this.getGranularSettings() : null;
+        
         // Create multiple granular layers with different characteristics
         this.granularLayers = {};
         
         // Layer 1: Slow, stretched grains with lots of reverb
         this.granularLayers.ambient = this.createGranularLayer({
+            name: 'ambient',
+            spatial: { anchor: 1, offset: [-0.15, 0] },
             buffer: toneBuffer,
             grainSize: 0.4,
             overlap: 0.3,
@@ -805,6 +905,8 @@ class AudioEngine {
         
         // Layer 2: Textural layer - gentle variations instead of choppy
         this.granularLayers.choppy = this.createGranularLayer({
+            name: 'choppy',
+            spatial: { anchor: 2, offset: [0.15, 0] },
             buffer: toneBuffer,
             grainSize: 0.25,       // Much larger grains - no clicks
             overlap: 0.15,         // More overlap for smoothness
@@ -819,6 +921,8 @@ class AudioEngine {
         
         // Layer 3: Soft shimmer - no harsh high frequencies
         this.granularLayers.shimmer = this.createGranularLayer({
+            name: 'shimmer',
+            spatial: { anchor: 0, offset: [0, 0.35] },
             buffer: toneBuffer,
             grainSize: 0.3,        // Larger grains
             overlap: 0.2,          // Good overlap
@@ -833,6 +937,8 @@ class AudioEngine {
         
         // Layer 4: Deep, slow grains
         this.granularLayers.deep = this.createGranularLayer({
+            name: 'deep',
+            spatial: { anchor: 0 },
             buffer: toneBuffer,
             grainSize: 0.6,
             overlap: 0.4,
@@ -845,6 +951,10 @@ class AudioEngine {
             delayTime: 0.75
         });
         
+        if (previousSettings) {
+            this.applyGranularSettings(previousSettings);
+        }
+        
         console.log('AudioEngine: Granular layers created');
     }
     
@@ -880,7 +990,7 @@ class AudioEngine {
         
         // Layer-specific reverb
         const reverb = new Tone.Reverb({
-            decay: 4 + Math.random() * 4,
+            decay: 4 + this.random() * 4,
             wet: config.reverbWet
         });
         
@@ -888,15 +998,19 @@ class AudioEngine {
         const gain = new Tone.Gain(Tone.dbToGain(config.volume));
         
         // Panner for stereo spread
-        const panner = new Tone.Panner(Math.random() * 2 - 1);
+        const panner = new Tone.Panner(this.random() * 2 - 1);
+        
+        // Placed in the room (mic loops play through these layers)
+        const spatial = this.spatialMixer.addSource(`granular.${config.name}`, config.spatial);
         
-        // Connect chain: player -> filter -> delay -> reverb -> panner -> gain -> master
+        // Connect chain: player -> filter -> delay -> reverb -> panner -> gain -> spatial -> master
         player.connect(filter);
         filter.connect(delay);
         delay.connect(reverb);
         reverb.connect(panner);
         panner.connect(gain);
-        gain.connect(this.masterFilter);
+        gain.connect(spatial.input);
+        spatial.output.connect(this.masterFilter);
         
         return {
             player,
@@ -905,7 +1019,13 @@ class AudioEngine {
             reverb,
             gain,
             panner,
-            config
+            spatial,
+            config,
+            loopId: null,      // Library loop playing (null = synthetic / raw mic buffer)
+            locked: false,     // Source picked by hand - mic captures leave it alone
+            position: 0,       // Window start, 0-1 through the buffer
+            span: 1,           // Window length, fraction of the buffer
+            scan: 0            // Window drift, buffer passes per minute (negative = backwards)
         };
     }
     
@@ -949,12 +1069,15 @@ class AudioEngine {
         // Mic effects chain - for clear, audible processed mic sound
         this.micEffects = {};
         
-        // Reverb for mic - longer decay, moderate wet for ambience
+        // Reverb for mic - longer decay, on a send (the balance is setMicReverbWet)
         this.micEffects.reverb = new Tone.Reverb({
             decay: 8,        // Longer reverb tail
             preDelay: 0.05,  // Slight pre-delay for clarity
             wet: 1.0         // Wet only
         });
+        this.micEffects.dry = new Tone.Gain(0);
+        this.micEffects.reverbSend = new Tone.Gain(1);
+        this.setMicReverbWet(this.micReverbWet, 0);
         
         // Delay for mic - creates evolving echoes
         this.micEffects.delay = new Tone.FeedbackDelay({
@@ -993,18 +1116,25 @@ class AudioEngine {
         });
         
         // Gain for mic processing
-        this.micEffectsGain = new Tone.Gain(0.5);
+        this.micEffectsGain = new Tone.Gain(this.micVolume);
         
-        // Connect mic -> compressor -> filter -> delays -> pitch shift -> reverb -> gain -> master
+        // Connect mic -> compressor -> filter -> delays -> pitch shift -> gain -> dry / reverb send
         this.micGain.connect(this.micEffects.compressor);
         this.micEffects.compressor.connect(this.micEffects.filter);
         this.micEffects.filter.connect(this.micEffects.delay);
         this.micEffects.filter.connect(this.micEffects.delay2);  // Parallel delays
         this.micEffects.delay.connect(this.micEffects.pitchShift);
         this.micEffects.delay2.connect(this.micEffects.pitchShift);
-        this.micEffects.pitchShift.connect(this.micEffects.reverb);
-        this.micEffects.reverb.connect(this.micEffectsGain);
-        this.micEffectsGain.connect(this.masterFilter);
+        this.micEffects.pitchShift.connect(this.micEffectsGain);
+        
+        // Mic echoes come from where the main ripple is, the reverb tail stays in the bed
+        const micSpatial = this.spatialMixer.addSource('mic', { anchor: 0 });
+        this.micEffectsGain.connect(this.micEffects.dry);
+        this.micEffects.dry.connect(micSpatial.input);
+        micSpatial.output.connect(this.masterFilter);
+        this.micEffectsGain.connect(this.micEffects.reverbSend);
+        this.micEffects.reverbSend.connect(this.micEffects.reverb);
+        this.micEffects.reverb.connect(this.bedInput);
         
         console.log('AudioEngine: Mic processing chain created with reverb and delay');
     }
@@ -1090,7 +1220,7 @@ class AudioEngine {
             await recorder.start();
             
             // Record for 6-10 seconds - longer loops for more recognizable sound
-            const duration = 6000 + Math.random() * 4000;
+            const duration = 6000 + this.random() * 4000;
             
             setTimeout(async () => {
                 try {
@@ -1104,35 +1234,10 @@ class AudioEngine {
                     
                     const arrayBuffer = await recording.arrayBuffer();
                     const audioBuffer = await Tone.getContext().decodeAudioData(arrayBuffer);
-                    const toneBuffer = new Tone.ToneAudioBuffer(audioBuffer);
-                    
-                    // Store this loop
-                    this.micLoops[this.currentLoopIndex] = toneBuffer;
-                    this.currentLoopIndex = (this.currentLoopIndex + 1) % this.maxMicLoops;
                     
-                    // Randomly assign this new buffer to one of the granular layers
-                    if (this.granularLayers) {
-                        const layers = Object.keys(this.granularLayers);
-                        const randomLayer = layers[Math.floor(Math.random() * layers.length)];
-                        const layer = this.granularLayers[randomLayer];
-                        
-                        if (layer?.player && toneBuffer?.duration > 0) {
-                            // Crossfade to new buffer (ramp down, switch, ramp up) - slower for smoothness
-                            const originalGain = layer.gain.gain.value;
-                            layer.gain.gain.rampTo(0, 1.0);  // 1 second fade out
-                            
-                            setTimeout(() => {
-                                try {
-                                    layer.player.buffer = toneBuffer;
-                                    layer.player.loopEnd = toneBuffer.duration;
-                                    layer.gain.gain.rampTo(originalGain, 1.0);  // 1 second fade in
-                                    console.log(`AudioEngine: Mic loop assigned to ${randomLayer} (${toneBuffer.duration.toFixed(1)}s)`);
-                                } catch (e) {
-                                    console.warn('AudioEngine: Failed to assign buffer:', e);
-                                }
-                            }, 1100);  // Wait for fade out
-                        }
-                    }
+                    // Store this loop and hand it to a random granular layer
+                    const loop = await this.loopLibrary.add(audioBuffer, { origin: 'mic' });
+                    this.assignLoop(this.pickGranularLayer(), loop);
                     
                     console.log('AudioEngine: New mic loop captured');
                 } catch (e) {
@@ -1179,9 +1284,11 @@ class AudioEngine {
                 
                 console.log('AudioEngine: Initial mic recording captured for granular (8s)');
                 
-                // Store as first mic loop
-                this.micLoops[0] = toneBuffer;
-                this.currentLoopIndex = 1;
+                // Store as a mic loop (every layer without a hand-picked source plays it for now)
+                const loop = await this.loopLibrary.add(audioBuffer, { origin: 'mic' });
+                Object.values(this.granularLayers || {}).forEach((layer) => {
+                    if (!layer.locked) layer.loopId = loop.id;
+                });
             } catch (e) {
                 console.warn('AudioEngine: Failed to process initial mic recording:', e);
             }
@@ -1228,6 +1335,231 @@ class AudioEngine {
         });
     }
     
+    // =========================================
+    // LOOP LIBRARY
+    // =========================================
+    
+    // Random layer for a new capture (layers with a hand-picked source are skipped)
+    pickGranularLayer() {
+        const layers = Object.keys(this.granularLayers || {}).filter(name => !this.granularLayers[name].locked);
+        return layers[Math.floor(this.random() * layers.length)] || null;
+    }
+    
+    /**
+     * Crossfade a granular layer to a library loop (reversed / stretched as set),
+     * or back to the synthetic buffer when loop is null
+     */
+    assignLoop(layerName, loop) {
+        const layer = this.granularLayers?.[layerName];
+        if (!layer?.player) return;
+        
+        const toneBuffer = loop
+            ? new Tone.ToneAudioBuffer(this.loopLibrary.getPlaybackBuffer(loop))
+            : this.syntheticBuffer;
+        if (!(toneBuffer?.duration > 0)) return;
+        layer.loopId = loop?.id || null;
+        this.onLoopAssign?.(layerName, loop);
+        
+        // Crossfade to new buffer (ramp down, switch, ramp up) - slower for smoothness
+        if (layer.fadeTimeout) {
+            clearTimeout(layer.fadeTimeout);
+        } else {
+            layer.gainBeforeFade = layer.gain.gain.value;
+        }
+        layer.gain.gain.rampTo(0, 1.0);  // 1 second fade out
+        
+        layer.fadeTimeout = setTimeout(() => {
+            layer.fadeTimeout = null;
+            try {
+                layer.player.buffer = toneBuffer;
+                this.applyGranularWindow(layer);
+                layer.gain.gain.rampTo(layer.gainBeforeFade, 1.0);  // 1 second fade in
+                console.log(`AudioEngine: ${loop ? loop.name : 'Synthetic buffer'} assigned to ${layerName} (${toneBuffer.duration.toFixed(1)}s)`);
+            } catch (e) {
+                console.warn('AudioEngine: Failed to assign buffer:', e);
+            }
+        }, 1100);  // Wait for fade out
+    }
+    
+    // Stored loops from earlier sessions, one per layer while there are enough.
+    // Layers that got a capture while these loaded keep it.
+    async restoreLoops() {
+        await this.loopLibrary.load(Tone.getContext().rawContext);
+        
+        const layers = Object.values(this.granularLayers || {});
+        const used = layers.map(layer => layer.loopId).filter(Boolean);
+        Object.keys(this.granularLayers || {}).forEach((layerName) => {
+            const layer = this.granularLayers[layerName];
+            if (layer.locked || layer.loopId) return;
+            const loop = this.loopLibrary.pickPlayable(this.random, used) || this.loopLibrary.pickPlayable(this.random);
+            if (!loop) return;
+            used.push(loop.id);
+            this.assignLoop(layerName, loop);
+        });
+    }
+    
+    // Layers playing a loop that was muted, deleted or changed get a replacement / fresh buffer
+    refreshLoopLayers(id) {
+        const loop = this.loopLibrary.get(id);
+        Object.entries(this.granularLayers || {}).forEach(([layerName, layer]) => {
+            if (layer.loopId !== id) return;
+            if (loop && !loop.muted) {
+                this.assignLoop(layerName, loop);
+            } else {
+                layer.locked = false;
+                this.assignLoop(layerName, this.loopLibrary.pickPlayable(this.random, [id]));
+            }
+        });
+    }
+    
+    // Pin, mute, reverse or stretch a loop (see LoopLibrary.update)
+    async updateLoop(id, changes) {
+        const loop = this.loopLibrary.get(id);
+        if (!loop) return null;
+        const before = `${loop.muted}|${loop.reversed}|${loop.stretch}`;
+        
+        await this.loopLibrary.update(id, changes);
+        if (`${loop.muted}|${loop.reversed}|${loop.stretch}` !== before) {
+            this.refreshLoopLayers(id);
+        }
+        return loop;
+    }
+    
+    async removeLoop(id) {
+        const removed = await this.loopLibrary.remove(id);
+        if (removed) this.refreshLoopLayers(id);
+        return removed;
+    }
+    
+    // Decode an audio file (WAV/MP3/OGG...) into the library and play it on a granular layer
+    async importLoopFile(file) {
+        const audioBuffer = await Tone.getContext().decodeAudioData(await file.arrayBuffer());
+        const loop = await this.loopLibrary.add(audioBuffer, {
+            origin: 'file',
+            name: file.name.replace(/\.[^.]+$/, '')
+        });
+        this.assignLoop(this.pickGranularLayer(), loop);
+        return loop;
+    }
+    
+    // =========================================
+    // GRANULAR SOURCES
+    // =========================================
+    
+    /**
+     * Play a library loop on one layer and keep it there (mic captures go elsewhere).
+     * null hands the layer back to automatic mic loops.
+     */
+    setGranularSource(layerName, loopId) {
+        const layer = this.granularLayers?.[layerName];
+        if (!layer) return false;
+        
+        const loop = loopId ? this.loopLibrary.get(loopId) : null;
+        if (loopId && !loop) {
+            console.warn(`AudioEngine: No loop ${loopId} for ${layerName}`);
+            return false;
+        }
+        
+        const wasLocked = layer.locked;
+        layer.locked = Boolean(loop);
+        if (loop) {
+            this.assignLoop(layerName, loop);
+        } else if (wasLocked) {
+            // Back to mic loops - another one where possible, the synthetic buffer without any
+            const previous = layer.loopId ? [layer.loopId] : [];
+            this.assignLoop(layerName,
+                this.loopLibrary.pickPlayable(this.random, previous) || this.loopLibrary.pickPlayable(this.random));
+        }
+        return true;
+    }
+    
+    // Decode an audio file (WAV/MP3/OGG...) into the library as the source of one layer
+    async loadGranularFile(layerName, file) {
+        if (!this.granularLayers?.[layerName]) return null;
+        
+        const audioBuffer = await Tone.getContext().decodeAudioData(await file.arrayBuffer());
+        const loop = await this.loopLibrary.add(audioBuffer, {
+            origin: 'file',
+            name: file.name.replace(/\.[^.]+$/, '')
+        });
+        await this.loopLibrary.update(loop.id, { pinned: true });  // Chosen on purpose - keep it
+        this.setGranularSource(layerName, loop.id);
+        return loop;
+    }
+    
+    // Loop window (position / span) in seconds on the layer's current buffer
+    applyGranularWindow(layer) {
+        const duration = layer.player?.buffer?.duration;
+        if (!(duration > 0)) return;
+        
+        const length = Math.max(Math.min(duration, layer.player.grainSize * 2), layer.span * duration);
+        const start = layer.position * (duration - length);
+        layer.player.loopStart = start;
+        layer.player.loopEnd = start + length;
+    }
+    
+    // Move scanning windows along their buffers (called every frame)
+    updateGranularScan(deltaTime) {
+        if (!this.granularLayers) return;
+        
+        Object.values(this.granularLayers).forEach((layer) => {
+            if (!layer.scan || layer.span >= 1) return;
+            layer.position = ((layer.position + layer.scan / 60 * deltaTime) % 1 + 1) % 1;
+            this.applyGranularWindow(layer);
+        });
+    }
+    
+    // Per-layer source + window, for sound presets
+    getGranularSettings() {
+        const settings = {};
+        Object.entries(this.granularLayers || {}).forEach(([layerName, layer]) => {
+            settings[layerName] = {
+                source: layer.locked ? layer.loopId : null,
+                position: layer.position,
+                span: layer.span,
+                scan: layer.scan
+            };
+        });
+        return settings;
+    }
+    
+    /**
+     * Sound settings with every layer's source window filled in - what a preset leaves out
+     * goes back to the defaults instead of keeping the previous preset's window
+     */
+    withGranularDefaults(settings = {}) {
+        const granular = { ...settings.granular };
+        Object.keys(this.granularLayers || {}).forEach((layerName) => {
+            granular[layerName] = { ...this.granularWindowDefaults, ...settings.granular?.[layerName] };
+        });
+        return { ...settings, granular };
+    }
+    
+    applyGranularSettings(settings = {}) {
+        Object.entries(settings).forEach(([layerName, layerSettings]) => {
+            if (!this.granularLayers?.[layerName] || !layerSettings) return;
+            
+            if (layerSettings.source !== undefined) {
+                this.setGranularSource(layerName, layerSettings.source);
+            }
+            ['position', 'span', 'scan'].forEach((param) => {
+                if (Number.isFinite(layerSettings[param])) {
+                    this.setGranularParam(layerName, param, layerSettings[param]);
+                }
+            });
+        });
+    }
+    
+    // Granular layer names per loop id (for the loop list)
+    getLoopLayers() {
+        const layers = {};
+        Object.entries(this.granularLayers || {}).forEach(([layerName, layer]) => {
+            if (!layer.loopId) return;
+            (layers[layer.loopId] = layers[layer.loopId] || []).push(layerName);
+        });
+        return layers;
+    }
+    
     // =========================================
     // PLAYBACK CONTROL
     // =========================================
@@ -1288,14 +1620,12 @@ class AudioEngine {
             // Start shimmer pad with evolving chord
             if (this.ambientLayers.shimmerPad) {
                 // Play high ethereal notes
-                const notes = ['C5', 'E5', 'G5', 'B5'];
-                this.ambientLayers.shimmerPad.triggerAttack(notes);
+                this.ambientLayers.shimmerPad.triggerAttack(this.getShimmerNotes());
             }
             
             // Start melodic pad with slow evolving chord
             if (this.ambientLayers.melodicPad) {
-                const melodicNotes = ['E3', 'B3', 'D4', 'G4'];
-                this.ambientLayers.melodicPad.triggerAttack(melodicNotes);
+                this.ambientLayers.melodicPad.triggerAttack(this.chordProgression.reset().frequencies);
                 this.startMelodicEvolution();
             }
             
@@ -1308,55 +1638,144 @@ class AudioEngine {
         }
     }
     
-    // Schedule random glitter sparkles
+    // Schedule random glitter sparkles (beats trigger them instead while beat-locked)
     startGlitterScheduler() {
         if (this.glitterInterval) clearInterval(this.glitterInterval);
         
-        const glitterNotes = ['C6', 'D6', 'E6', 'G6', 'A6', 'C7', 'E7'];
-        
         this.glitterInterval = setInterval(() => {
-            if (!this.isPlaying || !this.ambientLayers?.glitter) return;
+            if (!this.isPlaying || this.isBeatLocked()) return;
             
             // Random chance to play a sparkle (about every 2-5 seconds on average)
-            if (Math.random() < 0.15) {
-                const note = glitterNotes[Math.floor(Math.random() * glitterNotes.length)];
-                const velocity = 0.1 + Math.random() * 0.2;  // Gentle velocity
-                try {
-                    this.ambientLayers.glitter.triggerAttackRelease(note, '4n', undefined, velocity);
-                } catch(e) {}
+            if (this.random() < 0.15) {
+                this.playGlitterSparkle('4n');
             }
         }, 500);
     }
     
-    // Slowly evolve the melodic pad chord
-    startMelodicEvolution() {
-        if (this.melodicEvolutionInterval) clearInterval(this.melodicEvolutionInterval);
-        
-        const chordProgressions = [
-            ['E3', 'B3', 'D4', 'G4'],   // Em7
-            ['A3', 'C4', 'E4', 'G4'],   // Am7
-            ['D3', 'A3', 'C4', 'F4'],   // Dm7
-            ['G3', 'B3', 'D4', 'F4'],   // G7
-            ['C3', 'E3', 'G3', 'B3'],   // Cmaj7
-            ['F3', 'A3', 'C4', 'E4'],   // Fmaj7
-        ];
+    playGlitterSparkle(duration) {
+        if (!this.ambientLayers?.glitter) return;
         
-        let chordIndex = 0;
-        
-        this.melodicEvolutionInterval = setInterval(() => {
+        const glitterNotes = this.tonality.scaleNotes(84, 7, true);  // Pentatonic from C6
+        const note = glitterNotes[Math.floor(this.random() * glitterNotes.length)];
+        const velocity = 0.1 + this.random() * 0.2;  // Gentle velocity
+        this.spatialMixer.scatter('glitter', this.random);
+        try {
+            this.ambientLayers.glitter.triggerAttackRelease(note, duration, undefined, velocity);
+        } catch(e) {}
+    }
+    
+    /**
+     * Slowly evolve the melodic pad chord. Changes are scheduled on Tone.Transport
+     * (sample-accurate), each one booking the next after a ChordProgression duration.
+     */
+    startMelodicEvolution() {
+        this.stopMelodicEvolution();
+        if (Tone.Transport.state !== 'started') {
+            Tone.Transport.start();
+        }
+        this.scheduleNextChord();
+    }
+    
+    stopMelodicEvolution() {
+        if (this.melodicEventId !== null) {
+            Tone.Transport.clear(this.melodicEventId);
+            this.melodicEventId = null;
+        }
+        this.melodicChordDue = false;
+    }
+    
+    scheduleNextChord() {
+        const at = Tone.Transport.seconds + this.chordProgression.getChordDuration();
+        this.melodicEventId = Tone.Transport.scheduleOnce((time) => {
+            this.melodicEventId = null;
             if (!this.isPlaying || !this.ambientLayers?.melodicPad) return;
             
-            try {
-                // Slowly release current and start new chord
-                this.ambientLayers.melodicPad.releaseAll();
-                
-                setTimeout(() => {
-                    if (!this.isPlaying) return;
-                    chordIndex = (chordIndex + 1) % chordProgressions.length;
-                    this.ambientLayers.melodicPad.triggerAttack(chordProgressions[chordIndex]);
-                }, 2000);
-            } catch(e) {}
-        }, 25000);  // Change chord every ~25 seconds
+            // Beat-locked: wait for the next downbeat (see onBeat)
+            if (this.isBeatLocked()) {
+                this.melodicChordDue = true;
+                return;
+            }
+            this.changeMelodicChord(time);
+        }, at);
+    }
+    
+    /**
+     * Move to the next chord at an audio-context time (now if omitted) and book
+     * the one after. Common tones keep sounding; only the moving voices
+     * release and re-attack, so the pad envelopes crossfade them.
+     */
+    changeMelodicChord(time) {
+        this.melodicChordDue = false;
+        const pad = this.ambientLayers?.melodicPad;
+        if (!this.isPlaying || !pad) return;
+        
+        const key = frequency => frequency.toFixed(2);
+        const previous = this.chordProgression.current?.frequencies || [];
+        const next = this.chordProgression.next().frequencies;
+        const held = new Set(next.map(key));
+        const sounding = new Set(previous.map(key));
+        
+        try {
+            const released = previous.filter(frequency => !held.has(key(frequency)));
+            const attacked = next.filter(frequency => !sounding.has(key(frequency)));
+            if (released.length > 0) pad.triggerRelease(released, time);
+            if (attacked.length > 0) pad.triggerAttack(attacked, time);
+        } catch(e) {}
+        
+        this.scheduleNextChord();
+    }
+    
+    // Harmonic rhythm, tension and mood for the melodic pad (0-1 each)
+    setHarmonyDrivers(drivers) {
+        this.chordProgression.setDrivers(drivers);
+    }
+    
+    // III seventh chord from C5 (Cmaj7 in A minor)
+    getShimmerNotes() {
+        return this.tonality.chord(2, 4, 72);
+    }
+    
+    // =========================================
+    // BEAT LOCK
+    // =========================================
+    
+    setBeatLock(enabled) {
+        this.beatLock = Boolean(enabled);
+    }
+    
+    isBeatLocked() {
+        return this.beatLock && this.beatClock.confidence >= this.beatLockConfidence;
+    }
+    
+    /**
+     * Called every frame with InputManager audio data (or null when the mic is off).
+     * Beats landing while locked trigger glitter and pending chord changes;
+     * a chord still waiting when the lock is lost plays right away.
+     */
+    updateBeatClock(audioData) {
+        this.beatClock = {
+            bpm: audioData?.bpm || 0,
+            confidence: audioData?.beatConfidence || 0,
+            beatCount: audioData?.beatCount || 0
+        };
+        
+        if (audioData?.beat && this.isPlaying && this.isBeatLocked()) {
+            this.onBeat(this.beatClock.beatCount);
+        } else if (this.melodicChordDue && !this.isBeatLocked()) {
+            this.changeMelodicChord();
+        }
+    }
+    
+    onBeat(beatCount) {
+        // Sparkles on the beat, short notes so they don't smear at fast tempos
+        if (this.random() < 0.25) {
+            this.playGlitterSparkle('8n');
+        }
+        
+        // Chord changes wait for a downbeat (every 4th beat)
+        if (this.melodicChordDue && beatCount % 4 === 0) {
+            this.changeMelodicChord();
+        }
     }
     
     stopAmbientLayers() {
@@ -1370,7 +1789,7 @@ class AudioEngine {
             if (this.ambientLayers.melodicPad) this.ambientLayers.melodicPad.releaseAll();
             
             if (this.glitterInterval) clearInterval(this.glitterInterval);
-            if (this.melodicEvolutionInterval) clearInterval(this.melodicEvolutionInterval);
+            this.stopMelodicEvolution();
         } catch (e) {}
     }
     
@@ -1392,6 +1811,9 @@ class AudioEngine {
         // Stop granular layers
         this.stopGranularLayers();
         
+        // Silence participant voices (multi-person mode)
+        this.participantVoices?.forEach(voice => voice.gain.gain.rampTo(0, 0.5));
+        
         // Clear buffer update interval
         if (this.bufferUpdateInterval) {
             clearInterval(this.bufferUpdateInterval);
@@ -1408,11 +1830,186 @@ class AudioEngine {
     
     getHarmonicNotes(baseFreq) {
         // Return base note plus harmonics for richer sound
-        return [
+        const notes = [
             baseFreq,
-            baseFreq * 1.5,    // Perfect fifth
-            baseFreq * 2,      // Octave
+            baseFreq * this.tonality.ratio(7),   // Fifth (pure 3:2 in just intonation)
+            baseFreq * 2,                        // Octave
         ];
+        
+        // Following a voice: add the key's third above the octave so the mode is audible
+        if (this.harmonyFromVoice) {
+            notes.push(baseFreq * 2 * this.tonality.ratio(this.tonality.isMinor() ? 3 : 4));
+        }
+        return notes;
+    }
+    
+    // =========================================
+    // TONALITY
+    // =========================================
+    
+    /**
+     * Change root / scale / tuning by hand (UI, sound presets). Takes over from voice following.
+     * Sound presets pass save = false so they don't overwrite the stored tonality.
+     */
+    setTonality(changes, save = true) {
+        this.harmonyFromVoice = false;
+        this.tonalityBeforeVoice = null;
+        if (this.tonality.set(changes, save)) {
+            this.retune();
+        }
+    }
+    
+    // Mode follows a state dimension (Tonality.modeDimension), value 0-1
+    applyModeBrightness(value) {
+        if (!this.isPlaying || Tone.now() - this.lastRetune < this.retuneMinInterval) return;
+        if (this.tonality.applyBrightness(value)) {
+            this.retune();
+        }
+    }
+    
+    /**
+     * Move drones, pads and participant voices to the current tonality. Each drone takes
+     * the root (or its interval) nearest to its home register, so nothing leaps an octave.
+     * Sustained notes are re-voiced, so the envelopes crossfade old and new pitches.
+     * Glitter picks its notes per sparkle and needs no retune.
+     */
+    retune() {
+        this.lastRetune = Tone.now();
+        console.log(`AudioEngine: Tonality -> ${this.tonality.getName()} (${this.tonality.tuning})`);
+        this.onTonalityChange?.();
+        
+        Object.values(this.drones).forEach((drone) => {
+            if (!drone?.synth) return;
+            drone.frequency = this.tonality.nearestFrequency(drone.homeFrequency, drone.interval);
+            if (drone.isPlaying) {
+                drone.synth.releaseAll();
+                drone.synth.triggerAttack(this.getHarmonicNotes(drone.frequency));
+            }
+        });
+        
+        if (!this.isPlaying) return;
+        
+        try {
+            if (this.ambientLayers?.shimmerPad) {
+                this.ambientLayers.shimmerPad.releaseAll();
+                this.ambientLayers.shimmerPad.triggerAttack(this.getShimmerNotes());
+            }
+            if (this.ambientLayers?.melodicPad) {
+                this.ambientLayers.melodicPad.releaseAll();
+                this.ambientLayers.melodicPad.triggerAttack(this.chordProgression.revoice().frequencies);
+            }
+        } catch(e) {}
+        
+        this.participantVoices?.forEach((voice) => {
+            voice.osc.frequency.rampTo(this.getParticipantBaseFrequency() * voice.ratio, 4);
+        });
+    }
+    
+    // =========================================
+    // VOICE HARMONY
+    // =========================================
+    
+    // RMS of the engine's output (0-1), 0 before init
+    getOutputLevel() {
+        const level = this.outputMeter?.getValue();
+        return Number.isFinite(level) ? level : 0;
+    }
+    
+    setHarmonyFollow(enabled) {
+        this.harmonyFollow = Boolean(enabled);
+        if (!this.harmonyFollow && this.harmonyFromVoice) {
+            this.harmonyFromVoice = false;
+            this.tonality.set(this.tonalityBeforeVoice || {}, false);
+            this.tonalityBeforeVoice = null;
+            this.retune();
+        }
+    }
+    
+    /**
+     * Called every frame with InputManager audio data (or null when the mic is off).
+     * Moves the root to the sung key once it is confident (switching between major and
+     * minor only when the current scale has the other third), at most every retuneMinInterval.
+     * When the voice stops the last key is kept.
+     */
+    updateVoiceHarmony(audioData) {
+        if (!this.harmonyFollow || !this.isPlaying || !audioData) return;
+        if (audioData.keyRoot < 0 || !(audioData.keyConfidence >= this.harmonyMinConfidence)) return;
+        
+        const changes = {};
+        if (audioData.keyRoot !== this.tonality.root) changes.root = audioData.keyRoot;
+        if ((audioData.keyMode === 'minor') !== this.tonality.isMinor()) changes.scale = audioData.keyMode;
+        if (Object.keys(changes).length === 0) return;
+        if (Tone.now() - this.lastRetune < this.retuneMinInterval) return;
+        
+        // Voice keys are not saved - the chosen tonality comes back when following stops
+        if (!this.harmonyFromVoice) {
+            this.tonalityBeforeVoice = this.tonality.getSettings();
+        }
+        this.harmonyFromVoice = true;
+        this.tonality.set(changes, false);
+        this.retune();
+    }
+    
+    // =========================================
+    // SPATIAL
+    // =========================================
+    
+    /**
+     * Equal-power dry and send levels for a reverb split off a placed source (the balance
+     * a Tone effect's own wet control gives) - only the dry part is placed in the room.
+     */
+    dryWetGains(wet) {
+        const angle = Utils.clamp(wet, 0, 1) * Math.PI / 2;
+        return { dry: Math.cos(angle), wet: Math.sin(angle) };
+    }
+    
+    // Mode, speakers, follow source, spread (see SpatialMixer settings) - saved
+    setSpatial(changes) {
+        return this.spatialMixer.set(changes);
+    }
+    
+    /**
+     * Called every frame with anchor points in ripple space (0-1, y up = front of the room):
+     * [main ripple / face, ripple 2, ripple 3]. Sources ramp to their new places.
+     */
+    updateSpatial(anchors, deltaTime) {
+        if (!this.isInitialized) return;
+        this.spatialMixer.setAnchors(anchors);
+        this.spatialMixer.update(deltaTime);
+    }
+    
+    // =========================================
+    // METERING
+    // =========================================
+    
+    /**
+     * Tap (or release) the meters. Call again after layers are rebuilt -
+     * taps follow the current gain nodes.
+     */
+    setMetering(enabled) {
+        if (!enabled || !this.isInitialized) {
+            if (this.meters.isActive()) this.meters.dispose();
+            return;
+        }
+        
+        const nodes = { master: this.spatialMixer.output };
+        Object.entries(this.drones).forEach(([name, drone]) => {
+            nodes[`drone.${name}`] = drone.gain;
+        });
+        const ambientGains = {
+            subBass: 'subGain', breath: 'breathGain', shimmerPad: 'shimmerGain',
+            melodicPad: 'melodicGain', glitter: 'glitterGain', texture: 'textureGain'
+        };
+        Object.entries(ambientGains).forEach(([name, key]) => {
+            nodes[`ambient.${name}`] = this.ambientLayers?.[key];
+        });
+        Object.entries(this.granularLayers || {}).forEach(([name, layer]) => {
+            nodes[`granular.${name}`] = layer.gain;
+        });
+        nodes.mic = this.micEffectsGain;
+        
+        this.meters.sync(nodes);
+        this.meters.setScopeSource(this.spatialMixer.output);
     }
     
     // =========================================
@@ -1582,8 +2179,39 @@ class AudioEngine {
         }
     }
     
+    // Route every generative random choice through a seeded generator
+    setSeed(seed) {
+        this.random = Utils.createRandom(seed);
+    }
+    
+    // Tap the final output (after the limiters) as a MediaStream for recording
+    createRecordingStream() {
+        if (!this.spatialMixer.output) return null;
+        this.releaseRecordingStream();
+        try {
+            this.recordingDestination = Tone.getContext().rawContext.createMediaStreamDestination();
+            this.spatialMixer.output.connect(this.recordingDestination);
+            return this.recordingDestination.stream;
+        } catch (error) {
+            console.warn('AudioEngine: Could not create recording stream', error);
+            this.recordingDestination = null;
+            return null;
+        }
+    }
+    
+    releaseRecordingStream() {
+        if (!this.recordingDestination) return;
+        try {
+            this.spatialMixer.output?.disconnect(this.recordingDestination);
+        } catch (e) {
+            // Already disconnected
+        }
+        this.recordingDestination = null;
+    }
+    
     setDroneVolume(droneName, db, rampTime = 0.1) {
         if (this.drones[droneName]) {
+            this.drones[droneName].volume = db;
             this.drones[droneName].gain.gain.rampTo(Tone.dbToGain(db), rampTime);
         }
     }
@@ -1622,6 +2250,63 @@ class AudioEngine {
         }
     }
     
+    // =========================================
+    // PARTICIPANT VOICES (multi-person mode)
+    // =========================================
+    
+    // One soft drone voice per ParticipantSlots slot, an interval above the base drone
+    createParticipantVoices(count) {
+        this.participantVoices = Array.from({ length: count }, () => {
+            const osc = new Tone.FatOscillator({
+                type: 'sine',
+                spread: 12,
+                count: 3,
+                frequency: this.getParticipantBaseFrequency() * 1.5
+            });
+            const filter = new Tone.Filter({ type: 'lowpass', frequency: 600, Q: 0.7 });
+            const panner = new Tone.Panner(0);
+            const gain = new Tone.Gain(0);
+            
+            osc.chain(filter, panner, gain);
+            gain.connect(this.effectsInput);
+            osc.start();
+            return { osc, filter, panner, gain, ratio: 1.5 };
+        });
+        console.log(`AudioEngine: Created ${count} participant voices`);
+    }
+    
+    getParticipantBaseFrequency() {
+        return this.drones.base?.frequency || CONFIG.audio.drones.base.frequency;
+    }
+    
+    /**
+     * Follow the participant slots: presence fades the voice, x pans it,
+     * face size (closeness) and mouth opening brighten it
+     */
+    updateParticipantVoices(slots) {
+        if (!this.isPlaying || !slots?.length) return;
+        if (!this.participantVoices) {
+            if (!slots.some(slot => slot.presence > 0)) return;
+            this.createParticipantVoices(slots.length);
+        }
+        
+        slots.forEach((slot, i) => {
+            const voice = this.participantVoices[i];
+            if (!voice) return;
+            
+            if (voice.ratio !== slot.ratio) {
+                voice.ratio = slot.ratio;
+                voice.osc.frequency.rampTo(this.getParticipantBaseFrequency() * slot.ratio, 2);
+            }
+            
+            const size = Utils.clamp(slot.size, 0, 1);
+            const db = -32 + size * 10 + slot.mouthOpen * 4;
+            voice.gain.gain.rampTo(Tone.dbToGain(db) * slot.presence, 0.3);
+            voice.panner.pan.rampTo(Utils.clamp((slot.x - 0.5) * 1.6, -0.8, 0.8), 0.3);
+            voice.filter.frequency.rampTo(300 + size * 1500 + slot.mouthOpen * 1200, 0.3);
+        });
+    }
+    
     // Per-hand sound control - pitch (cents) and shape (0-1 filter/character)
     applyHandSoundControl(soundName, pitchCents, shapeAmount) {
         if (!this.isPlaying) return;
@@ -1808,14 +2493,15 @@ class AudioEngine {
     // Set hand gesture pitch effect that fades out over time
     applyHandGesturePitch(cents, fadeTime = 5.0) {
         // This creates a new pitch effect that will fade out
-        const clamped = Utils.clamp(cents, -2400, 2400);
-        
         // Apply to a subset of sounds to create variation
-        const targetIndex = Math.floor(Math.random() * 4);
+        const targetIndex = Math.floor(this.random() * 4);
         const droneNames = ['base', 'mid', 'high', 'pad'];
         const drone = this.drones[droneNames[targetIndex]];
         
         if (drone && drone.synth && drone.isPlaying) {
+            // Land on a step of the current scale (in its tuning), counted from the drone's own degree
+            const clamped = this.tonality.quantizeCents(Utils.clamp(cents, -2400, 2400), drone.interval);
+            
             // Set the detune then schedule a fade back
             drone.synth.set({ detune: clamped });
             
@@ -1946,32 +2632,32 @@ class AudioEngine {
         // Randomly shift drone frequencies and filters
         Object.values(this.drones).forEach(drone => {
             if (drone && drone.synth && drone.isPlaying) {
-                const randomDetune = (Math.random() - 0.5) * 400;  // ±200 cents
+                const randomDetune = (this.random() - 0.5) * 400;  // ±200 cents
                 drone.synth.set({ detune: randomDetune });
             }
             if (drone && drone.filter) {
                 const currentFreq = drone.filter.frequency.value;
-                const randomFreq = currentFreq * (0.5 + Math.random());
+                const randomFreq = currentFreq * (0.5 + this.random());
                 drone.filter.frequency.rampTo(Math.max(100, Math.min(8000, randomFreq)), 0.3);
             }
         });
         
         // Randomize effects
         if (this.effects.delay) {
-            this.effects.delay.delayTime.rampTo(0.1 + Math.random() * 0.8, 0.5);
+            this.effects.delay.delayTime.rampTo(0.1 + this.random() * 0.8, 0.5);
         }
         if (this.effects.phaser) {
-            this.effects.phaser.frequency.value = 0.1 + Math.random() * 2;
+            this.effects.phaser.frequency.value = 0.1 + this.random() * 2;
         }
         if (this.effects.chorus) {
-            this.effects.chorus.frequency.value = 0.1 + Math.random() * 3;
+            this.effects.chorus.frequency.value = 0.1 + this.random() * 3;
         }
         
         // Randomize granular playback rates
         if (this.granularLayers) {
             Object.values(this.granularLayers).forEach(layer => {
                 if (layer && layer.player) {
-                    const randomRate = 0.3 + Math.random() * 2.5;
+                    const randomRate = 0.3 + this.random() * 2.5;
                     layer.player.playbackRate = randomRate;
                 }
             });
@@ -2056,15 +2742,19 @@ class AudioEngine {
         
         switch (param) {
             case 'volume':
+                // Config values are the base that toggles, face and speed drift work from
+                layer.config.volume = value;
                 layer.gain.gain.rampTo(Tone.dbToGain(value), rampTime);
                 break;
             case 'grainSize':
+                layer.config.grainSize = value;
                 if (layer.player) layer.player.grainSize = value;
                 break;
             case 'overlap':
                 if (layer.player) layer.player.overlap = value;
                 break;
             case 'playbackRate':
+                layer.config.playbackRate = value;
                 if (layer.player) layer.player.playbackRate = value;
                 break;
             case 'filterFreq':
@@ -2094,6 +2784,17 @@ class AudioEngine {
                     layer.pitchMultiplier = pitchMult;
                 }
                 break;
+            case 'position':
+                layer.position = Utils.clamp(value, 0, 1);
+                this.applyGranularWindow(layer);
+                break;
+            case 'span':
+                layer.span = Utils.clamp(value, 0.01, 1);
+                this.applyGranularWindow(layer);
+                break;
+            case 'scan':
+                layer.scan = value;
+                break;
         }
     }
     
@@ -2180,6 +2881,7 @@ class AudioEngine {
     // Set ambient layer volume
     setAmbientVolume(layerName, db, rampTime = 0.2) {
         if (!this.ambientLayers) return;
+        if (layerName in this.ambientVolumes) this.ambientVolumes[layerName] = db;
         
         switch(layerName) {
             case 'subBass':
@@ -2200,17 +2902,32 @@ class AudioEngine {
         }
     }
     
+    // Mic reverb balance 0-1: echoes placed in the room vs the reverb send (see dryWetGains)
+    setMicReverbWet(value, rampTime = 0.2) {
+        this.micReverbWet = Utils.clamp(value, 0, 1);
+        if (!this.micEffects?.dry) return;
+        const { dry, wet } = this.dryWetGains(this.micReverbWet);
+        if (rampTime > 0) {
+            this.micEffects.dry.gain.rampTo(dry, rampTime);
+            this.micEffects.reverbSend.gain.rampTo(wet, rampTime);
+        } else {
+            this.micEffects.dry.gain.value = dry;
+            this.micEffects.reverbSend.gain.value = wet;
+        }
+    }
+    
     // Set mic processing parameter
     setMicParam(param, value, rampTime = 0.2) {
         switch (param) {
             case 'volume':
+                this.micVolume = value;
                 if (this.micEffectsGain) this.micEffectsGain.gain.rampTo(value, rampTime);
                 break;
             case 'filterFreq':
                 if (this.micEffects?.filter) this.micEffects.filter.frequency.rampTo(value, rampTime);
                 break;
             case 'reverbWet':
-                if (this.micEffects?.reverb) this.micEffects.reverb.wet.rampTo(value, rampTime);
+                this.setMicReverbWet(value, rampTime);
                 break;
             case 'delayWet':
                 if (this.micEffects?.delay) this.micEffects.delay.wet.rampTo(value, rampTime);
@@ -2316,15 +3033,6 @@ class AudioEngine {
     // Set generative behavior parameter
     setGenerativeParam(param, value) {
         // Store generative parameters
-        if (!this.generativeParams) {
-            this.generativeParams = {
-                grainRandomPosition: 0,
-                speedDrift: 0,
-                bufferUpdateRate: 15,
-                micReactivity: 0.5
-            };
-        }
-        
         this.generativeParams[param] = value;
         
         // Apply specific generative behaviors
@@ -2345,7 +3053,7 @@ class AudioEngine {
                         if (layer.player && layer.player.buffer) {
                             const duration = layer.player.buffer.duration;
                             if (value > 0 && duration > 0) {
-                                const randomStart = Math.random() * duration * value;
+                                const randomStart = this.random() * duration * value;
                                 layer.player.loopStart = randomStart;
                                 layer.player.loopEnd = randomStart + duration * (1 - value);
                             }
@@ -2379,10 +3087,11 @@ class AudioEngine {
                     if (this.granularLayers) {
                         const layers = Object.keys(this.granularLayers);
                         if (layers.length > 0) {
-                            const randomLayer = layers[Math.floor(Math.random() * layers.length)];
+                            const randomLayer = layers[Math.floor(this.random() * layers.length)];
                             const layer = this.granularLayers[randomLayer];
                             if (layer && layer.player) {
                                 layer.player.buffer = new Tone.ToneAudioBuffer(audioBuffer);
+                                layer.loopId = null;
                                 console.log(`AudioEngine: Updated ${randomLayer} buffer`);
                             }
                         }
@@ -2460,6 +3169,189 @@ class AudioEngine {
         }
     }
 
+    // =========================================
+    // SOUND SETTINGS
+    // =========================================
+    
+    /**
+     * Everything a sound preset holds, read from the running engine
+     * (see SoundPresetLibrary for the shape). Master volume is left out.
+     * Volumes are the base levels, not the live gains modulation is moving right now.
+     */
+    getSoundSettings() {
+        const round = value => Math.round(value * 1000) / 1000;
+        const settings = {
+            drones: {},
+            ambient: {},
+            granular: {},
+            micDelay: { ...this.micDelayParams },
+            effects: {},
+            generative: { ...this.generativeParams },
+            tonality: {
+                scale: this.tonality.scale,
+                tuning: this.tonality.tuning,
+                customCents: [...this.tonality.customCents]
+            }
+        };
+        
+        Object.entries(this.drones).forEach(([name, drone]) => {
+            settings.drones[name] = {
+                volume: round(drone.volume),
+                filter: round(drone.filter.frequency.value)
+            };
+        });
+        
+        const ambientGains = { subBass: 'subGain', breath: 'breathGain', shimmerPad: 'shimmerGain' };
+        Object.entries(ambientGains).forEach(([name, key]) => {
+            const gainNode = this.ambientLayers?.[key];
+            if (gainNode) settings.ambient[name] = { volume: round(this.ambientVolumes[name]) };
+        });
+        
+        const windows = this.getGranularSettings();
+        Object.entries(this.granularLayers || {}).forEach(([name, layer]) => {
+            settings.granular[name] = {
+                volume: layer.config.volume,
+                grainSize: layer.config.grainSize,
+                overlap: layer.player.overlap,
+                playbackRate: layer.config.playbackRate,
+                filterFreq: round(layer.filter.frequency.value),
+                filterQ: round(layer.filter.Q.value),
+                reverbWet: round(layer.reverb.wet.value),
+                delayWet: round(layer.delay.wet.value),
+                delayTime: round(layer.delay.delayTime.value),
+                randomness: layer.randomness ?? 0,
+                pitchShift: round(1200 * Math.log2(layer.pitchMultiplier || 1)),
+                ...windows[name]
+            };
+        });
+        
+        if (this.micEffects && this.micEffectsGain) {
+            settings.mic = {
+                volume: round(this.micVolume),
+                filterFreq: round(this.micEffects.filter.frequency.value),
+                reverbWet: round(this.micReverbWet),
+                delayWet: round(this.micEffects.delay.wet.value),
+                delayWet2: round(this.micEffects.delay2.wet.value)
+            };
+            if (this.micEffects.chorus) settings.mic.chorusDepth = round(this.micEffects.chorus.depth);
+        }
+        
+        const { reverb, delay, chorus, phaser } = this.effects;
+        if (reverb && delay && chorus && phaser) {
+            settings.effects = {
+                reverbWet: round(reverb.wet.value),
+                delayWet: round(delay.wet.value),
+                delayFeedback: round(delay.feedback.value),
+                reverbDecay: Number(reverb.decay),
+                chorusRate: round(chorus.frequency.value),
+                chorusDepth: round(Number(chorus.depth)),
+                phaserRate: round(phaser.frequency.value),
+                filter: round(this.masterFilter.frequency.value)
+            };
+        }
+        return settings;
+    }
+    
+    /**
+     * Move to a sound preset over rampTime seconds. Audio params ramp on their own;
+     * plain values (grain size, mic delay drift ...) glide in updateSoundTransition.
+     * Sources, scan rates, reverb decay and generative behaviour switch at once.
+     * Source windows the settings leave out reset to granularWindowDefaults.
+     */
+    applySoundSettings(settings = {}, rampTime = 1.5) {
+        settings = this.withGranularDefaults(settings);
+        const current = this.getSoundSettings();
+        const glides = [];
+        const glide = (from, to, apply) => {
+            if (rampTime > 0 && Number.isFinite(from)) {
+                glides.push({ start: from, delta: to - from, apply });
+            } else {
+                apply(to);
+            }
+        };
+        
+        Object.entries(settings.generative || {}).forEach(([param, value]) => {
+            if (this.generativeParams[param] !== value) this.setGenerativeParam(param, value);
+        });
+        
+        Object.entries(settings.drones || {}).forEach(([name, values]) => {
+            if (Number.isFinite(values.volume)) this.setDroneVolume(name, values.volume, rampTime);
+            if (Number.isFinite(values.filter)) this.setDroneFilter(name, values.filter, rampTime);
+        });
+        
+        Object.entries(settings.ambient || {}).forEach(([name, values]) => {
+            if (Number.isFinite(values.volume)) this.setAmbientVolume(name, values.volume, rampTime);
+        });
+        
+        const plainGranular = ['grainSize', 'overlap', 'playbackRate', 'randomness', 'pitchShift', 'position', 'span'];
+        Object.entries(settings.granular || {}).forEach(([name, values]) => {
+            if (!this.granularLayers?.[name]) return;
+            
+            if (values.source !== undefined) this.setGranularSource(name, values.source);
+            Object.entries(values).forEach(([param, value]) => {
+                if (param === 'source' || !Number.isFinite(value)) return;
+                if (plainGranular.includes(param)) {
+                    glide(current.granular[name]?.[param], value, v => this.setGranularParam(name, param, v));
+                } else {
+                    this.setGranularParam(name, param, value, rampTime);
+                }
+            });
+        });
+        
+        Object.entries(settings.mic || {}).forEach(([param, value]) => {
+            if (param === 'chorusDepth') {
+                glide(current.mic?.chorusDepth, value, v => this.setMicParam(param, v));
+            } else {
+                this.setMicParam(param, value, rampTime);
+            }
+        });
+        
+        // micDelayParams key -> setMicParam name
+        const micDelayParams = {
+            time: 'delayTime', time2: 'delayTime2', drift: 'delayDrift', stretch: 'delayStretch',
+            scatter: 'delayScatter', feedback: 'delayFeedback', feedbackDrift: 'delayFeedbackDrift',
+            pitch: 'delayPitch', pitchDrift: 'delayPitchDrift', pitchFlutter: 'delayPitchFlutter',
+            wow: 'delayWow', flutter: 'delayFlutter'
+        };
+        Object.entries(settings.micDelay || {}).forEach(([key, value]) => {
+            const param = micDelayParams[key];
+            if (param) glide(current.micDelay[key], value, v => this.setMicParam(param, v, 0.05));
+        });
+        
+        const fx = settings.effects || {};
+        if (Number.isFinite(fx.reverbWet)) this.setEffectWet('reverb', fx.reverbWet, rampTime);
+        if (Number.isFinite(fx.delayWet)) this.setEffectWet('delay', fx.delayWet, rampTime);
+        if (Number.isFinite(fx.delayFeedback)) this.setGlobalEffect('delayFeedback', fx.delayFeedback, rampTime);
+        if (Number.isFinite(fx.filter)) this.masterFilter?.frequency.rampTo(fx.filter, rampTime);
+        if (Number.isFinite(fx.reverbDecay) && fx.reverbDecay !== current.effects.reverbDecay) {
+            this.setGlobalEffect('reverbDecay', fx.reverbDecay);
+        }
+        ['chorusRate', 'chorusDepth', 'phaserRate'].forEach((param) => {
+            if (Number.isFinite(fx[param])) {
+                glide(current.effects[param], fx[param], v => this.setGlobalEffect(param, v));
+            }
+        });
+        
+        if (settings.tonality) {
+            this.setTonality(settings.tonality, false);
+        }
+        
+        this.soundTransition = glides.length > 0 ? { glides, elapsed: 0, duration: rampTime } : null;
+    }
+    
+    // Advance the plain-value part of a sound preset change (called every frame)
+    updateSoundTransition(deltaTime) {
+        const transition = this.soundTransition;
+        if (!transition) return;
+        
+        transition.elapsed += deltaTime;
+        const t = Math.min(transition.elapsed / transition.duration, 1);
+        const eased = Utils.easing.easeInOutCubic(t);
+        transition.glides.forEach(({ start, delta, apply }) => apply(start + delta * eased));
+        
+        if (t >= 1) this.soundTransition = null;
+    }
+
     // =========================================
     // CLEANUP
     // =========================================
@@ -2496,6 +3388,15 @@ class AudioEngine {
             });
         }
         
+        // Dispose participant voices
+        this.participantVoices?.forEach((voice) => {
+            voice.osc.dispose();
+            voice.filter.dispose();
+            voice.panner.dispose();
+            voice.gain.dispose();
+        });
+        this.participantVoices = null;
+        
         // Dispose mic effects
         if (this.micEffects) {
             Object.values(this.micEffects).forEach(effect => {
@@ -2513,6 +3414,10 @@ class AudioEngine {
         this.masterFilter?.dispose();
         this.compressor?.dispose();
         this.limiter?.dispose();
+        this.bedInput?.dispose();
+        this.outputMeter?.dispose();
+        this.meters.dispose();
+        this.spatialMixer.dispose();
         
         // Clear intervals
         if (this.bufferUpdateInterval) {
@@ -0,0 +1,115 @@
+/**
+ * INNER REFLECTION - Audio Meters
+ *
+ * Level meters and a master scope for balancing the mix during setup.
+ * Each tap is a Tone.Meter (or Analyser) fanned off an existing gain node -
+ * the node keeps all its connections, so the signal path is untouched.
+ *
+ * Taps are only created while someone looks at them (AudioEngine.setMetering)
+ * and are re-pointed when a layer is rebuilt with new nodes.
+ *
+ * Levels: [{ name, db }] in tap order, -Infinity for silence
+ */
+
+class AudioMeters {
+    constructor() {
+        this.smoothing = 0.8;
+        this.scopeSize = 1024;
+
+        this.taps = new Map();         // name -> { node, meter }
+        this.scope = null;             // { node, fft, waveform }
+    }
+
+    isActive() {
+        return this.taps.size > 0 || this.scope !== null;
+    }
+
+    // =========================================
+    // TAPS
+    // =========================================
+
+    /**
+     * Meter every { name: node } given; taps for anything else are removed.
+     * Existing taps on the same node are kept (their smoothing carries on).
+     */
+    sync(nodes) {
+        this.taps.forEach((tap, name) => {
+            if (nodes[name] !== tap.node) this.untap(name);
+        });
+
+        Object.entries(nodes).forEach(([name, node]) => {
+            if (!node || this.taps.has(name)) return;
+            const meter = new Tone.Meter({ smoothing: this.smoothing });
+            node.connect(meter);
+            this.taps.set(name, { node, meter });
+        });
+    }
+
+    untap(name) {
+        const tap = this.taps.get(name);
+        if (!tap) return;
+        try {
+            tap.node.disconnect(tap.meter);
+        } catch (e) {
+            // Node already disposed with its layer
+        }
+        tap.meter.dispose();
+        this.taps.delete(name);
+    }
+
+    setScopeSource(node) {
+        if (this.scope?.node === node) return;
+
+        if (this.scope) {
+            try {
+                this.scope.node.disconnect(this.scope.fft);
+                this.scope.node.disconnect(this.scope.waveform);
+            } catch (e) {
+                // Node already disposed
+            }
+            this.scope.fft.dispose();
+            this.scope.waveform.dispose();
+            this.scope = null;
+        }
+        if (!node) return;
+
+        const fft = new Tone.Analyser({ type: 'fft', size: this.scopeSize, smoothing: this.smoothing });
+        const waveform = new Tone.Analyser({ type: 'waveform', size: this.scopeSize });
+        node.connect(fft);
+        node.connect(waveform);
+        this.scope = { node, fft, waveform };
+    }
+
+    // =========================================
+    // READINGS
+    // =========================================
+
+    getLevels() {
+        const levels = [];
+        this.taps.forEach(({ meter }, name) => {
+            const value = meter.getValue();
+            levels.push({ name, db: Array.isArray(value) ? Math.max(...value) : value });
+        });
+        return levels;
+    }
+
+    // dB per bin, 0 - Nyquist (null without a scope)
+    getSpectrum() {
+        return this.scope ? this.scope.fft.getValue() : null;
+    }
+
+    // -1..1 samples (null without a scope)
+    getWaveform() {
+        return this.scope ? this.scope.waveform.getValue() : null;
+    }
+
+    dispose() {
+        Array.from(this.taps.keys()).forEach(name => this.untap(name));
+        this.setScopeSource(null);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioMeters;
+}
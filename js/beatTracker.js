@@ -0,0 +1,257 @@
+/**
+ * INNER REFLECTION - Beat Tracker
+ *
+ * Follows music playing in the room through the mic spectrum:
+ *   onset      spectral flux (rise in energy per bin) against an adaptive threshold
+ *   tempo      onset intervals scored against candidate beat periods (70-180 BPM)
+ *   phase      a beat oscillator at the estimated tempo, nudged toward each onset
+ *
+ * Output (per frame): { onset, bpm, beatPhase, beatPulse, beat, beatCount, confidence }
+ *   onset       0-1 envelope, jumps on every detected onset
+ *   beatPhase   0-1 position inside the current beat (0 = on the beat)
+ *   beatPulse   0-1 envelope that restarts on each beat, scaled by confidence
+ *   beat        true on the frame a beat lands
+ *   confidence  0-1, how regular the onsets are; falls off when the music stops
+ *
+ * Driven by frame deltas (not wall time) so replays see the same beats.
+ */
+
+class BeatTracker {
+    constructor() {
+        this.minBpm = 70;
+        this.maxBpm = 180;
+        this.maxFrequency = 6000;      // Hz - flux ignores hiss above this
+        this.thresholdWindow = 1.0;    // seconds of flux history for the adaptive threshold
+        this.thresholdScale = 1.5;     // std deviations above the mean that count as an onset
+        this.minFlux = 0.004;          // Ignore onsets in near silence
+        this.minOnsetGap = 0.12;       // seconds
+        this.tempoWindow = 8;          // seconds of onsets used for the tempo estimate
+        this.maxInterval = 2;          // seconds - longest onset pair that votes on tempo
+        this.tempoFollow = 0.2;        // How fast a confirmed tempo glides to new estimates
+        this.tempoSwitchVotes = 3;     // Estimates in a row needed to jump to a new tempo
+        this.phaseCorrection = 0.25;   // Fraction of the phase error fixed per onset
+        this.onsetDecay = 0.1;         // seconds
+        this.pulseDecay = 0.18;        // seconds
+        this.silenceHold = 2;          // seconds without onsets before confidence fades
+
+        this.reset();
+    }
+
+    reset() {
+        this.time = 0;
+        this.previousSpectrum = null;
+        this.fluxHistory = [];         // { time, flux }
+        this.onsetTimes = [];
+        this.lastOnsetTime = -Infinity;
+
+        this.bpm = 0;
+        this.tempoConfidence = 0;
+        this.candidateBpm = 0;
+        this.candidateVotes = 0;
+        this.phase = 0;
+        this.beatCount = 0;
+
+        this.onset = 0;
+        this.pulse = 0;
+        this.state = this.createState();
+    }
+
+    createState() {
+        return { onset: 0, bpm: 0, beatPhase: 0, beatPulse: 0, beat: false, beatCount: 0, confidence: 0 };
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    // =========================================
+    // ANALYSIS
+    // =========================================
+
+    /**
+     * Feed one analyser frame. frequencyData: byte spectrum (AnalyserNode), sampleRate in Hz.
+     */
+    process(frequencyData, sampleRate, deltaTime) {
+        // Nothing new this frame: same state, but a beat only lands once
+        if (!frequencyData || !(deltaTime > 0)) {
+            this.state = { ...this.state, beat: false };
+            return this.state;
+        }
+        this.time += deltaTime;
+
+        const flux = this.computeFlux(frequencyData, sampleRate);
+        const isOnset = this.detectOnset(flux);
+
+        this.onset *= Math.exp(-deltaTime / this.onsetDecay);
+        if (isOnset) {
+            this.onset = 1;
+            this.registerOnset();
+        }
+
+        const beat = this.advancePhase(deltaTime);
+        this.pulse = beat ? 1 : this.pulse * Math.exp(-deltaTime / this.pulseDecay);
+
+        // Regular music keeps confidence up; it fades out once the onsets stop
+        const silence = this.time - this.lastOnsetTime - this.silenceHold;
+        const confidence = this.tempoConfidence * Utils.clamp(1 - silence / this.silenceHold, 0, 1);
+
+        this.state = {
+            onset: this.onset,
+            bpm: confidence > 0 ? this.bpm : 0,
+            beatPhase: this.phase,
+            beatPulse: this.pulse * confidence,
+            beat: beat && confidence > 0,
+            beatCount: this.beatCount,
+            confidence
+        };
+        return this.state;
+    }
+
+    // Positive change in each bin since the last frame, averaged over the band
+    computeFlux(frequencyData, sampleRate) {
+        const nyquist = (sampleRate || 44100) / 2;
+        const binCount = Math.min(frequencyData.length,
+            Math.max(1, Math.floor(this.maxFrequency / nyquist * frequencyData.length)));
+
+        if (!this.previousSpectrum || this.previousSpectrum.length !== binCount) {
+            this.previousSpectrum = new Float32Array(binCount);
+            for (let i = 0; i < binCount; i++) this.previousSpectrum[i] = frequencyData[i];
+            return 0;
+        }
+
+        let flux = 0;
+        for (let i = 0; i < binCount; i++) {
+            const diff = frequencyData[i] - this.previousSpectrum[i];
+            if (diff > 0) flux += diff;
+            this.previousSpectrum[i] = frequencyData[i];
+        }
+        return flux / binCount / 255;
+    }
+
+    detectOnset(flux) {
+        const cutoff = this.time - this.thresholdWindow;
+        while (this.fluxHistory.length > 0 && this.fluxHistory[0].time < cutoff) {
+            this.fluxHistory.shift();
+        }
+
+        let isOnset = false;
+        if (this.fluxHistory.length >= 8) {
+            const count = this.fluxHistory.length;
+            const mean = this.fluxHistory.reduce((sum, entry) => sum + entry.flux, 0) / count;
+            const variance = this.fluxHistory.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / count;
+            const threshold = mean + this.thresholdScale * Math.sqrt(variance);
+
+            isOnset = flux > threshold &&
+                flux > this.minFlux &&
+                this.time - this.lastOnsetTime >= this.minOnsetGap;
+        }
+
+        this.fluxHistory.push({ time: this.time, flux });
+        return isOnset;
+    }
+
+    // =========================================
+    // TEMPO + PHASE
+    // =========================================
+
+    registerOnset() {
+        this.lastOnsetTime = this.time;
+        this.onsetTimes.push(this.time);
+        const cutoff = this.time - this.tempoWindow;
+        while (this.onsetTimes.length > 0 && this.onsetTimes[0] < cutoff) {
+            this.onsetTimes.shift();
+        }
+
+        this.updateTempo();
+
+        // Pull the beat oscillator toward the onset (onsets should land on phase 0)
+        if (this.bpm > 0) {
+            const error = this.phase < 0.5 ? this.phase : this.phase - 1;
+            this.phase -= error * this.phaseCorrection * this.tempoConfidence;
+        }
+    }
+
+    updateTempo() {
+        const estimate = this.estimateTempo();
+        if (!estimate) return;
+
+        this.tempoConfidence = estimate.confidence;
+        if (this.bpm === 0) {
+            this.bpm = estimate.bpm;
+            return;
+        }
+
+        // Small drifts glide; a different tempo has to win a few estimates in a row
+        if (Math.abs(estimate.bpm - this.bpm) / this.bpm < 0.06) {
+            this.bpm += (estimate.bpm - this.bpm) * this.tempoFollow;
+            this.candidateVotes = 0;
+        } else if (Math.abs(estimate.bpm - this.candidateBpm) / estimate.bpm < 0.06) {
+            this.candidateVotes++;
+            if (this.candidateVotes >= this.tempoSwitchVotes) {
+                this.bpm = estimate.bpm;
+                this.candidateVotes = 0;
+            }
+        } else {
+            this.candidateBpm = estimate.bpm;
+            this.candidateVotes = 1;
+        }
+    }
+
+    /**
+     * Score every candidate tempo by how many onset intervals are whole multiples
+     * of its beat period. Mild preference for ~120 BPM settles half/double ambiguity.
+     */
+    estimateTempo() {
+        const onsets = this.onsetTimes;
+        if (onsets.length < 4) return null;
+
+        const intervals = [];
+        for (let i = 0; i < onsets.length; i++) {
+            for (let j = i + 1; j < onsets.length; j++) {
+                const interval = onsets[j] - onsets[i];
+                if (interval > this.maxInterval) break;
+                intervals.push(interval);
+            }
+        }
+        if (intervals.length < 3) return null;
+
+        let best = null;
+        for (let bpm = this.minBpm; bpm <= this.maxBpm; bpm += 0.5) {
+            const period = 60 / bpm;
+            let fit = 0;
+            intervals.forEach((interval) => {
+                const beats = interval / period;
+                const offset = beats - Math.round(beats);
+                if (Math.round(beats) >= 1) {
+                    fit += Math.exp(-(offset * offset) / 0.005);
+                }
+            });
+            fit /= intervals.length;
+
+            const score = fit * (1 - 0.1 * Math.abs(Math.log2(bpm / 120)));
+            if (!best || score > best.score) {
+                best = { bpm, fit, score };
+            }
+        }
+
+        // Random onsets still fit any period about a third of the time
+        return { bpm: best.bpm, confidence: Utils.clamp((best.fit - 0.4) / 0.45, 0, 1) };
+    }
+
+    // Returns true when the oscillator crosses a beat this frame
+    advancePhase(deltaTime) {
+        if (this.bpm <= 0) return false;
+
+        this.phase += deltaTime * this.bpm / 60;
+        if (this.phase < 1) return false;
+
+        this.phase %= 1;
+        this.beatCount++;
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BeatTracker;
+}
@@ -0,0 +1,228 @@
+/**
+ * INNER REFLECTION - Chord Progression
+ *
+ * Generative harmony for the melodic pad: a Markov chain over scale degrees
+ * weighted by functional harmony (tonic -> subdominant -> dominant -> tonic),
+ * with voice leading between chords.
+ *
+ * Drivers (0-1, usually StateEngine dimensions, see setDrivers):
+ *   speed    harmonic rhythm - slow: ~30s per chord, fast: ~6s
+ *   tension  more dominant-function moves, fewer returns home, richer chords (7ths, 9ths)
+ *   mood     warm favours chords with a major third, cold ones with a minor third
+ *
+ * Chords are built from the shared Tonality (degrees are scale steps, so a new
+ * root/scale/tuning just re-voices the current degree). Randomness comes from the
+ * caller's seeded PRNG.
+ */
+
+class ChordProgression {
+    constructor(tonality, random = Math.random) {
+        this.tonality = tonality;
+        this.random = random;
+
+        // Degree -> next degree weights for 7-note scales (0 = I, 4 = V, 5 = vi ...)
+        this.transitions = {
+            0: { 3: 3, 4: 3, 5: 2, 1: 2, 2: 1 },    // I   -> IV V vi ii iii
+            1: { 4: 4, 6: 1, 2: 1 },                // ii  -> V
+            2: { 5: 3, 3: 2, 1: 1 },                // iii -> vi IV ii
+            3: { 4: 3, 0: 2, 1: 2, 6: 1 },          // IV  -> V I ii vii
+            4: { 0: 5, 5: 2, 3: 1 },                // V   -> I, deceptive vi, IV
+            5: { 1: 3, 3: 3, 4: 1, 2: 1 },          // vi  -> ii IV
+            6: { 0: 4, 2: 1, 5: 1 }                 // vii -> I
+        };
+        this.dominantDegrees = [1, 4, 6];
+
+        // Voicing ranges (MIDI)
+        this.bassRange = [43, 55];     // G2 - G3
+        this.upperRange = [55, 76];    // G3 - E5
+
+        this.minDuration = 6;          // seconds per chord at full speed
+        this.maxDuration = 32;         // ... at zero speed
+
+        this.drivers = { speed: 0.3, tension: 0.3, mood: 0.5 };
+        this.current = null;           // { degree, size, midis, frequencies }
+    }
+
+    setDrivers(drivers = {}) {
+        ['speed', 'tension', 'mood'].forEach((key) => {
+            if (Number.isFinite(drivers[key])) {
+                this.drivers[key] = Utils.clamp(drivers[key], 0, 1);
+            }
+        });
+    }
+
+    // Start again on the tonic in close position from C3
+    reset() {
+        const size = this.getChordSize();
+        const midis = [];
+        this.getChordPitchClasses(0, size).forEach((pitchClass) => {
+            let midi = 48 + ((pitchClass - 48) % 12 + 12) % 12;
+            while (midis.length > 0 && midi <= midis[midis.length - 1]) midi += 12;
+            midis.push(midi);
+        });
+        this.current = this.createChord(0, size, midis);
+        return this.current;
+    }
+
+    // =========================================
+    // PROGRESSION
+    // =========================================
+
+    next() {
+        if (!this.current) return this.reset();
+
+        const degree = this.chooseDegree(this.current.degree);
+        const size = this.getChordSize();
+        const midis = this.voiceLead(this.getChordPitchClasses(degree, size), this.current.midis);
+        this.current = this.createChord(degree, size, midis);
+        return this.current;
+    }
+
+    // Same degree, new tonality (or chord size) - voice-led from the old notes
+    revoice() {
+        if (!this.current) return this.reset();
+
+        const { degree } = this.current;
+        const midis = this.voiceLead(this.getChordPitchClasses(degree, this.current.size), this.current.midis);
+        this.current = this.createChord(degree, this.current.size, midis);
+        return this.current;
+    }
+
+    /**
+     * Seconds until the next change: speed sets the average, with some
+     * jitter so the rhythm doesn't feel metronomic
+     */
+    getChordDuration() {
+        const base = this.maxDuration + (this.minDuration - this.maxDuration) * this.drivers.speed;
+        return base * (0.75 + this.random() * 0.5);
+    }
+
+    chooseDegree(from) {
+        const count = this.tonality.getIntervals().length;
+        const { tension, mood } = this.drivers;
+
+        // Non-diatonic scales (pentatonic, whole tone) step forward through the scale instead
+        const table = count === 7
+            ? this.transitions[from]
+            : { [(from + 1) % count]: 1, [(from + 2) % count]: 2, [(from + 3) % count]: 2, 0: 1 };
+
+        const candidates = Object.entries(table)
+            .map(([degree, weight]) => [Number(degree), weight])
+            .filter(([degree]) => degree !== from)
+            .map(([degree, weight]) => {
+                let scaled = weight;
+                if (count === 7 && this.dominantDegrees.includes(degree)) scaled *= 1 + tension * 2;
+                if (degree === 0) scaled *= 1 - tension * 0.6;
+                scaled *= this.hasMajorThird(degree) ? 0.5 + mood : 1.5 - mood;
+                return [degree, scaled];
+            });
+
+        const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+        let pick = this.random() * total;
+        for (const [degree, weight] of candidates) {
+            pick -= weight;
+            if (pick <= 0) return degree;
+        }
+        return candidates[candidates.length - 1]?.[0] ?? 0;
+    }
+
+    // Triads when calm, sevenths in between, ninths when tense
+    getChordSize() {
+        const { tension } = this.drivers;
+        if (tension < 0.25) return 3;
+        if (tension < 0.7) return 4;
+        return 5;
+    }
+
+    // =========================================
+    // CHORDS
+    // =========================================
+
+    // Semitones of each chord tone above the chord root (stacked scale thirds)
+    getChordSteps(degree, size) {
+        const intervals = this.tonality.getIntervals();
+        const count = intervals.length;
+        const rootStep = ((degree % count) + count) % count;
+
+        const steps = [];
+        for (let i = 0; i < size; i++) {
+            const step = rootStep + i * 2;
+            steps.push(intervals[step % count] + Math.floor(step / count) * 12 - intervals[rootStep]);
+        }
+        return steps;
+    }
+
+    getChordPitchClasses(degree, size) {
+        const intervals = this.tonality.getIntervals();
+        const rootStep = ((degree % intervals.length) + intervals.length) % intervals.length;
+        const rootClass = this.tonality.root + intervals[rootStep];
+        return this.getChordSteps(degree, size).map(step => (rootClass + step) % 12);
+    }
+
+    hasMajorThird(degree) {
+        return this.getChordSteps(degree, 2)[1] === 4;
+    }
+
+    /**
+     * Root in the bass (closest to the previous bass), upper tones each take the
+     * octave closest to a previous upper voice - common tones stay put
+     */
+    voiceLead(pitchClasses, previous) {
+        const place = (pitchClass, target, [low, high]) => {
+            let best = null;
+            for (let midi = low; midi <= high; midi++) {
+                if (((midi % 12) + 12) % 12 !== pitchClass) continue;
+                if (best === null || Math.abs(midi - target) < Math.abs(best - target)) best = midi;
+            }
+            return best;
+        };
+
+        const [rootClass, ...upperClasses] = pitchClasses;
+        const bass = place(rootClass, previous[0] ?? 48, this.bassRange);
+
+        // Each upper tone moves to whichever previous upper voice it is closest to
+        const previousUpper = previous.length > 1 ? previous.slice(1) : [62];
+        const upper = upperClasses.map((pitchClass) => {
+            let best = null;
+            previousUpper.forEach((target) => {
+                const candidate = place(pitchClass, target, this.upperRange);
+                if (best === null || Math.abs(candidate - target) < best.distance) {
+                    best = { candidate, distance: Math.abs(candidate - target) };
+                }
+            });
+            return best.candidate;
+        });
+
+        // Two tones landing on the same note: push the later one up an octave
+        const midis = [bass];
+        upper.sort((a, b) => a - b).forEach((midi) => {
+            let note = midi;
+            while (midis.includes(note)) note += 12;
+            midis.push(note);
+        });
+        return midis.sort((a, b) => a - b);
+    }
+
+    createChord(degree, size, midis) {
+        return {
+            degree,
+            size,
+            midis,
+            frequencies: midis.map(midi => this.tonality.midiToFrequency(midi))
+        };
+    }
+
+    // Roman numeral for the debug panel (upper case = major third)
+    getNumeral(chord = this.current) {
+        if (!chord) return '-';
+        const numerals = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii'];
+        const numeral = numerals[chord.degree] || String(chord.degree + 1);
+        const suffix = { 3: '', 4: '7', 5: '9' }[chord.size] || '';
+        return `${this.hasMajorThird(chord.degree) ? numeral.toUpperCase() : numeral}${suffix}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChordProgression;
+}
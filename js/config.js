@@ -49,7 +49,17 @@ const CONFIG = {
             blur: 0.5,                // Global blur amount
             glow: 0.3,                // Glow intensity
             vignette: 0.4,            // Edge darkening
-            saturation: 1.2           // Color saturation boost
+            saturation: 1.2,          // Color saturation boost
+            bloomLevels: 5,           // Bloom mip chain depth (each level half the size)
+            blurPixels: 3             // Blur tap spacing at full blur, px (the original 3x3 kernel)
+        },
+        
+        // Render target precision + output transform
+        hdr: {
+            enabled: false,           // Half-float targets, opt-in (falls back to 8-bit where unsupported)
+            toneMapping: 'none',      // 'none' (clip), 'aces', 'reinhard', 'agx'
+            exposure: 1.0,            // Scene exposure before tone mapping
+            dither: true              // 8-bit dither in the post pass
         },
         
         // Particle/fluid system (optional enhancement)
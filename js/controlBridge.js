@@ -0,0 +1,160 @@
+/**
+ * INNER REFLECTION - Control Bridge
+ *
+ * WebSocket link for external show control (lighting desks, TouchDesigner, ...).
+ * Connects to the local relay in bridge/relay.js, which converts OSC <-> WebSocket.
+ *
+ * Protocol (JSON text frames):
+ *   in:  { type: 'command', command: 'setStateDimension', args: ['blur', 0.3] }
+ *   out: { type: 'hello', role: 'app', commands: [...] }
+ *        { type: 'state', time, visual, audio, face, hand }   (at broadcastRate Hz)
+ *        { type: 'error', command, message }
+ *
+ * Commands are registered by the app, so the bridge itself knows nothing about
+ * the engines.
+ */
+
+class ControlBridge {
+    constructor() {
+        this.url = null;
+        this.socket = null;
+        this.isConnected = false;
+        this.shouldReconnect = false;
+        this.reconnectDelay = 3000;
+        this.reconnectTimer = null;
+
+        // State broadcast
+        this.broadcastRate = 10;       // Hz, 0 = off
+        this.lastBroadcast = 0;
+        this.getSnapshot = null;       // () => { visual, audio, face, hand }
+
+        this.commands = new Map();
+
+        // Callbacks
+        this.onStatusChange = null;    // (status) => {}
+    }
+
+    // =========================================
+    // CONNECTION
+    // =========================================
+
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.shouldReconnect = true;
+        this.openSocket();
+    }
+
+    openSocket() {
+        if (!this.url) return;
+
+        try {
+            this.socket = new WebSocket(this.url);
+        } catch (error) {
+            console.warn('ControlBridge: Invalid bridge URL', this.url, error);
+            this.setStatus('error');
+            return;
+        }
+
+        this.setStatus('connecting');
+
+        this.socket.onopen = () => {
+            this.isConnected = true;
+            this.setStatus('connected');
+            this.send({ type: 'hello', role: 'app', commands: Array.from(this.commands.keys()) });
+            console.log('ControlBridge: Connected to', this.url);
+        };
+
+        this.socket.onmessage = (event) => this.handleMessage(event.data);
+
+        this.socket.onclose = () => {
+            this.isConnected = false;
+            this.socket = null;
+            this.setStatus('disconnected');
+            if (this.shouldReconnect) {
+                this.reconnectTimer = setTimeout(() => this.openSocket(), this.reconnectDelay);
+            }
+        };
+
+        this.socket.onerror = () => {
+            // onclose follows and handles reconnecting
+        };
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.setStatus('disconnected');
+        }
+    }
+
+    setStatus(status) {
+        this.onStatusChange?.(status);
+    }
+
+    send(message) {
+        if (!this.isConnected || !this.socket) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    // =========================================
+    // COMMANDS
+    // =========================================
+
+    registerCommand(name, handler) {
+        this.commands.set(name, handler);
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+        if (message?.type !== 'command') return;
+
+        const handler = this.commands.get(message.command);
+        if (!handler) {
+            this.send({ type: 'error', command: message.command, message: 'Unknown command' });
+            return;
+        }
+
+        try {
+            handler(...(Array.isArray(message.args) ? message.args : []));
+        } catch (error) {
+            console.warn('ControlBridge: Command failed', message.command, error);
+            this.send({ type: 'error', command: message.command, message: String(error.message || error) });
+        }
+    }
+
+    setBroadcastRate(rate) {
+        this.broadcastRate = Utils.clamp(Number(rate) || 0, 0, 60);
+    }
+
+    // =========================================
+    // UPDATE LOOP
+    // =========================================
+
+    update(time) {
+        if (!this.isConnected || !this.getSnapshot || this.broadcastRate <= 0) return;
+        if (time - this.lastBroadcast < 1000 / this.broadcastRate) return;
+
+        this.lastBroadcast = time;
+        this.send({ type: 'state', time: Math.round(time), ...this.getSnapshot() });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ControlBridge;
+}
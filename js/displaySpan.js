@@ -0,0 +1,346 @@
+/**
+ * INNER REFLECTION - Display Span
+ *
+ * Splits one render across several browser windows (one per projector).
+ * The main window runs the experience; display windows (?display=N) only render.
+ * Every window renders the whole frame from the same visual state and shows its
+ * own slice, so overlapping edges match exactly and can be blended.
+ *
+ * Layout: columns x rows slices, neighbours overlap by `overlap` (fraction of a slice).
+ * Display N is column N % columns, row floor(N / columns).
+ *
+ * Protocol (BroadcastChannel, same origin only):
+ *   display -> main: { type: 'hello', index }          (on open and after a missed frame, at most every syncRequestInterval)
+ *                    { type: 'presence', index }       (every presenceInterval)
+ *   main -> display: { type: 'sync', frame, sync }     (seed, animation state, settings)
+ *                    { type: 'frame', frame, deltaTime, state, engine }
+ *                    { type: 'settings', settings }    (effect stack, output, quality)
+ *                    { type: 'layout', layout }
+ *                    { type: 'calibrate', index, enabled }
+ *
+ * state holds the StateEngine.getVisualState() values that changed since the previous frame
+ * (all of them after a sync, null when nothing changed) - displays merge them into their copy.
+ * engine is what the visual state doesn't carry (fade target, smoothing boost, dimensions
+ * bound in the effect stack).
+ * Frames are numbered; a display that misses one asks for a fresh sync.
+ * The engines are reached through callbacks, like ControlBridge.
+ */
+
+class DisplaySpan {
+    constructor() {
+        this.channelName = 'innerReflection.span';
+        this.storageKey = 'innerReflection.span';
+        this.presenceInterval = 2000;  // ms
+        this.presenceTimeout = 5000;
+        this.maxQueue = 240;           // frames a display may fall behind before resyncing
+        this.syncRequestInterval = 2000;  // ms between a display's resync requests
+
+        this.layout = this.loadLayout();
+        this.enabled = false;          // main: broadcasting frames (see setEnabled)
+        this.role = null;              // 'main' | 'display'
+        this.index = null;             // display windows only
+        this.channel = null;
+
+        this.frame = 0;
+        this.displays = new Map();     // index -> last seen (main)
+        this.queue = [];               // pending frames (display)
+        this.state = {};               // last sent (main) / merged (display) visual state
+        this.synced = false;
+        this.lastSyncRequest = -Infinity;
+        this.lastSettings = null;
+        this.presenceTimer = null;
+
+        // Callbacks
+        this.getSync = null;           // () => { seed, animation, settings }  (main)
+        this.getSettings = null;       // () => settings  (main)
+        this.onSync = null;            // (sync) => {}  (display)
+        this.onSettings = null;        // (settings) => {}  (display)
+        this.onLayoutChange = null;    // (layout) => {}
+        this.onCalibrate = null;       // (enabled) => {}  (display)
+        this.onStatusChange = null;    // () => {}
+    }
+
+    isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    // =========================================
+    // CHANNEL
+    // =========================================
+
+    openMain() {
+        if (!this.open('main')) return;
+        this.presenceTimer = setInterval(() => this.pruneDisplays(), this.presenceInterval);
+    }
+
+    openDisplay(index) {
+        if (!this.open('display')) return;
+        this.index = index;
+        this.send({ type: 'hello', index });
+        this.presenceTimer = setInterval(() => {
+            this.send({ type: 'presence', index });
+        }, this.presenceInterval);
+    }
+
+    open(role) {
+        if (!this.isSupported()) {
+            console.warn('DisplaySpan: BroadcastChannel not supported');
+            return false;
+        }
+        this.close();
+        this.role = role;
+        this.channel = new BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+        return true;
+    }
+
+    close() {
+        clearInterval(this.presenceTimer);
+        this.presenceTimer = null;
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    send(message) {
+        this.channel?.postMessage(message);
+    }
+
+    handleMessage(message) {
+        if (!message || typeof message !== 'object') return;
+
+        if (this.role === 'main') {
+            const index = message.index;
+            if (!Number.isInteger(index) || index < 0 || index >= this.getDisplayCount()) return;
+            if (message.type === 'hello' || message.type === 'presence') {
+                const known = this.displays.has(message.index);
+                this.displays.set(message.index, Date.now());
+                if (message.type === 'hello') this.sendSync();
+                if (!known) this.onStatusChange?.();
+            }
+            return;
+        }
+
+        switch (message.type) {
+            case 'sync':
+                this.synced = true;
+                this.frame = message.frame;
+                this.queue = [];
+                this.state = {};
+                this.onSync?.(message.sync);
+                this.onStatusChange?.();
+                break;
+
+            case 'frame':
+                if (!this.synced) return;
+                if (message.frame !== this.frame + 1) {
+                    this.requestSync();
+                    return;
+                }
+                if (this.queue.length >= this.maxQueue && this.requestSync()) return;
+                this.frame = message.frame;
+                if (message.state) this.state = { ...this.state, ...message.state };
+                this.queue.push({ ...message, state: this.state });
+                // Still behind while a resync is held back - drop the oldest frame
+                if (this.queue.length > this.maxQueue) this.queue.shift();
+                break;
+
+            case 'settings':
+                this.onSettings?.(message.settings);
+                break;
+
+            case 'layout':
+                this.layout = this.normalizeLayout(message.layout);
+                this.onLayoutChange?.(this.layout);
+                break;
+
+            case 'calibrate':
+                if (message.index === this.index) this.onCalibrate?.(message.enabled);
+                break;
+        }
+    }
+
+    // =========================================
+    // MAIN WINDOW
+    // =========================================
+
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled) && this.role === 'main';
+        this.layout.enabled = this.enabled;
+        this.saveLayout();
+        if (this.enabled) this.sendSync();
+        this.onStatusChange?.();
+    }
+
+    pruneDisplays() {
+        const now = Date.now();
+        let changed = false;
+        this.displays.forEach((seen, index) => {
+            if (now - seen > this.presenceTimeout) {
+                this.displays.delete(index);
+                changed = true;
+            }
+        });
+        if (changed) this.onStatusChange?.();
+    }
+
+    getConnectedDisplays() {
+        return Array.from(this.displays.keys()).sort((a, b) => a - b);
+    }
+
+    sendSync() {
+        if (!this.enabled || !this.getSync) return;
+        const sync = this.getSync();
+        this.lastSettings = JSON.stringify(sync.settings ?? null);
+        this.state = {};               // the next frame carries the whole state
+        this.send({ type: 'sync', frame: this.frame, sync });
+    }
+
+    /**
+     * Broadcast one frame (main window, before VisualEngine.render).
+     * Only state values that changed are sent; settings are compared every 30 frames
+     * and sent when they changed.
+     */
+    sendFrame(deltaTime, state, engine) {
+        if (!this.enabled || this.displays.size === 0) return;
+
+        let changes = null;
+        Object.keys(state).forEach((key) => {
+            if (state[key] === this.state[key]) return;
+            changes = changes || {};
+            changes[key] = state[key];
+        });
+        this.state = state;
+
+        this.frame++;
+        this.send({ type: 'frame', frame: this.frame, deltaTime, state: changes, engine });
+
+        if (this.frame % 30 === 0 && this.getSettings) {
+            const settings = this.getSettings();
+            const json = JSON.stringify(settings);
+            if (json !== this.lastSettings) {
+                this.lastSettings = json;
+                this.send({ type: 'settings', settings });
+            }
+        }
+    }
+
+    setLayout(layout) {
+        this.layout = this.normalizeLayout({ ...this.layout, ...layout });
+        this.saveLayout();
+        this.send({ type: 'layout', layout: this.layout });
+        this.onLayoutChange?.(this.layout);
+    }
+
+    calibrateDisplay(index, enabled) {
+        this.send({ type: 'calibrate', index, enabled });
+    }
+
+    // =========================================
+    // DISPLAY WINDOWS
+    // =========================================
+
+    // Returns false while the last request is too recent (frames keep coming meanwhile)
+    requestSync() {
+        const now = Date.now();
+        if (now - this.lastSyncRequest < this.syncRequestInterval) return false;
+        this.lastSyncRequest = now;
+
+        this.synced = false;
+        this.queue = [];
+        this.send({ type: 'hello', index: this.index });
+        this.onStatusChange?.();
+        return true;
+    }
+
+    // Frames received since the last call, oldest first
+    takeFrames() {
+        const frames = this.queue;
+        this.queue = [];
+        return frames;
+    }
+
+    // =========================================
+    // LAYOUT
+    // =========================================
+
+    getDisplayCount() {
+        return this.layout.columns * this.layout.rows;
+    }
+
+    // Size of the whole render in slices (overlaps counted once)
+    getSpanScale() {
+        const { columns, rows, overlap } = this.layout;
+        return {
+            x: columns - (columns - 1) * overlap,
+            y: rows - (rows - 1) * overlap
+        };
+    }
+
+    /**
+     * The part of the frame display `index` shows, top-left origin: { x, y, width, height }
+     */
+    getRegion(index) {
+        const { columns, overlap } = this.layout;
+        const scale = this.getSpanScale();
+        const col = index % columns;
+        const row = Math.floor(index / columns);
+        return {
+            x: col * (1 - overlap) / scale.x,
+            y: row * (1 - overlap) / scale.y,
+            width: 1 / scale.x,
+            height: 1 / scale.y
+        };
+    }
+
+    // Edge ramps where a neighbour overlaps (fractions of the slice)
+    getBlend(index) {
+        const { columns, rows, overlap, gamma, curve } = this.layout;
+        const col = index % columns;
+        const row = Math.floor(index / columns);
+        return {
+            left: col > 0 ? overlap : 0,
+            right: col < columns - 1 ? overlap : 0,
+            top: row > 0 ? overlap : 0,
+            bottom: row < rows - 1 ? overlap : 0,
+            gamma,
+            curve
+        };
+    }
+
+    normalizeLayout(layout = {}) {
+        const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+        return {
+            columns: Utils.clamp(Math.round(number(layout.columns, 2)), 1, 8),
+            rows: Utils.clamp(Math.round(number(layout.rows, 1)), 1, 4),
+            overlap: Utils.clamp(number(layout.overlap, 0.1), 0, 0.5),
+            gamma: Utils.clamp(number(layout.gamma, 2.2), 1, 3),
+            curve: Utils.clamp(number(layout.curve, 2), 1, 4),
+            enabled: layout.enabled === true    // main window spanning on start
+        };
+    }
+
+    loadLayout() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return this.normalizeLayout(raw ? JSON.parse(raw) : {});
+        } catch (e) {
+            console.warn('DisplaySpan: Could not load layout', e);
+            return this.normalizeLayout();
+        }
+    }
+
+    saveLayout() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.layout));
+        } catch (e) {
+            console.warn('DisplaySpan: Could not save layout', e);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DisplaySpan;
+}
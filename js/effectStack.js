@@ -0,0 +1,660 @@
+/**
+ * INNER REFLECTION - Effect Stack
+ *
+ * Optional full-frame passes that run after post-processing, in a configurable order.
+ *
+ * Effects:
+ *   feedback   frame trails - the previous output (zoomed, rotated, hue-shifted) under the new frame
+ *   pixelSort  luminance-keyed pixel sorting - pixels above the threshold sort by brightness
+ *              along rows or columns, a few odd-even passes per frame, so streaks grow over time
+ *   lut        3D LUT colour grading loaded from .cube files
+ *
+ * Settings: { order: [id], effects: { id: { enabled, params, bindings, lut } } }
+ *   params     { name: value } within the ranges in this.definitions
+ *   bindings   { name: { dimension, min, max } } - the param follows a StateEngine dimension
+ *              (0-1 mapped onto min..max) instead of its fixed value
+ *   lut        name of a loaded LUT (lut effect only)
+ *
+ * Settings persist to localStorage and travel with visual presets.
+ * Loaded LUTs are kept in localStorage too (where they fit), at 16 bits per channel,
+ * and upload as half-float textures where supported so grading doesn't band.
+ */
+
+class EffectStack {
+    constructor(renderer, camera, targetOptions) {
+        this.renderer = renderer;
+        this.camera = camera;
+        this.targetOptions = targetOptions;
+
+        this.storageKey = 'innerReflection.effectStack';
+        this.lutStorageKey = 'innerReflection.luts';
+
+        this.definitions = {
+            feedback: {
+                label: 'Feedback Trails',
+                params: {
+                    amount:   { label: 'Amount',    min: 0,     max: 0.98, step: 0.01,  value: 0.85 },
+                    zoom:     { label: 'Zoom',      min: -0.05, max: 0.05, step: 0.001, value: 0.01 },
+                    rotation: { label: 'Rotate',    min: -0.05, max: 0.05, step: 0.001, value: 0 },
+                    hueShift: { label: 'Hue Shift', min: -0.05, max: 0.05, step: 0.001, value: 0 }
+                }
+            },
+            pixelSort: {
+                label: 'Pixel Sort',
+                params: {
+                    threshold:  { label: 'Threshold', min: 0, max: 1,  step: 0.01, value: 0.55 },
+                    iterations: { label: 'Passes',    min: 1, max: 24, step: 1,    value: 8 },
+                    direction:  { label: 'Direction', min: 0, max: 1,  step: 1,    value: 0 },    // 0 = columns, 1 = rows
+                    refresh:    { label: 'Refresh',   min: 0, max: 1,  step: 0.01, value: 0.08 }
+                }
+            },
+            lut: {
+                label: 'LUT Grade',
+                params: {
+                    amount: { label: 'Amount', min: 0, max: 1, step: 0.01, value: 1 }
+                }
+            }
+        };
+
+        this.order = Object.keys(this.definitions);
+        this.effects = this.createDefaultEffects();
+        this.values = {};              // id -> { param: value } resolved this frame (bindings applied)
+        this.boundDimensions = null;   // getBoundDimensions cache
+        this.luts = new Map();         // name -> { size, domainMin, domainMax, texture, values }
+        this.maxLutSize = 64;          // LUT_3D_SIZE limit (the texture is size² wide)
+
+        // Callbacks
+        this.getDimension = null;      // (name) => 0-1, for bindings
+
+        this.width = 1;
+        this.height = 1;
+        this.frame = 0;
+        this.historyValid = { feedback: false, pixelSort: false };
+        this.dither = { amount: 0, seed: 0 };   // applied to the output pass only (see setDither)
+
+        this.materials = {
+            feedback: Shaders.createFeedbackMaterial(),
+            pixelSortSeed: Shaders.createPixelSortSeedMaterial(),
+            pixelSort: Shaders.createPixelSortMaterial(),
+            lut: Shaders.createLutMaterial()
+        };
+
+        this.scene = new THREE.Scene();
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.materials.feedback);
+        this.scene.add(this.mesh);
+
+        // Sorting must not blend neighbouring pixels
+        const nearest = { ...targetOptions, minFilter: THREE.NearestFilter, magFilter: THREE.NearestFilter };
+        this.targets = {
+            chain: [this.createTarget(targetOptions), this.createTarget(targetOptions)],
+            feedback: [this.createTarget(targetOptions), this.createTarget(targetOptions)],
+            pixelSort: [this.createTarget(nearest), this.createTarget(nearest)]
+        };
+        this.feedbackIndex = 0;        // target holding the last feedback frame
+        this.sortIndex = 0;            // target holding the last sorted frame
+
+        this.loadLuts();
+        this.loadSettings();
+    }
+
+    createTarget(options) {
+        return new THREE.WebGLRenderTarget(1, 1, options);
+    }
+
+    createDefaultEffects() {
+        const effects = {};
+        Object.entries(this.definitions).forEach(([id, definition]) => {
+            const params = {};
+            Object.entries(definition.params).forEach(([name, { value }]) => { params[name] = value; });
+            effects[id] = { enabled: false, params, bindings: {} };
+        });
+        effects.lut.lut = null;
+        return effects;
+    }
+
+    // =========================================
+    // EDITING
+    // =========================================
+
+    setEnabled(id, enabled) {
+        if (!this.effects[id]) return;
+        this.effects[id].enabled = Boolean(enabled);
+        this.historyValid[id] = false;
+        this.saveSettings();
+    }
+
+    setParam(id, name, value) {
+        const definition = this.definitions[id]?.params[name];
+        if (!definition || !Number.isFinite(Number(value))) return;
+        this.effects[id].params[name] = Utils.clamp(Number(value), definition.min, definition.max);
+        this.saveSettings();
+    }
+
+    /**
+     * Bind a param to a state dimension ({ dimension, min, max }), or unbind with null.
+     * min/max default to the param's full range.
+     */
+    setBinding(id, name, binding) {
+        const definition = this.definitions[id]?.params[name];
+        if (!definition) return;
+        this.boundDimensions = null;
+
+        const normalized = binding ? this.normalizeBinding(binding, definition) : null;
+        if (normalized) {
+            this.effects[id].bindings[name] = normalized;
+        } else {
+            delete this.effects[id].bindings[name];
+        }
+        this.saveSettings();
+    }
+
+    // Move an effect earlier (-1) or later (+1) in the stack
+    move(id, offset) {
+        const index = this.order.indexOf(id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.order.length) return;
+        this.order.splice(index, 1);
+        this.order.splice(target, 0, id);
+        this.saveSettings();
+    }
+
+    setLut(name) {
+        this.effects.lut.lut = name && this.luts.has(name) ? name : null;
+        this.saveSettings();
+    }
+
+    isActive() {
+        return this.getActiveEffects().length > 0;
+    }
+
+    getActiveEffects() {
+        return this.order.filter((id) => {
+            const effect = this.effects[id];
+            if (!effect.enabled) return false;
+            return id !== 'lut' || this.luts.has(effect.lut);
+        });
+    }
+
+    // Param values with bindings applied (what the last frame used)
+    getValue(id, name) {
+        return this.values[id]?.[name] ?? this.effects[id]?.params[name];
+    }
+
+    // =========================================
+    // BINDINGS
+    // =========================================
+
+    // Every dimension a param is bound to (cached until the bindings change)
+    getBoundDimensions() {
+        if (!this.boundDimensions) {
+            const dimensions = new Set();
+            Object.values(this.effects).forEach((effect) => {
+                Object.values(effect.bindings).forEach(({ dimension }) => dimensions.add(dimension));
+            });
+            this.boundDimensions = [...dimensions];
+        }
+        return this.boundDimensions;
+    }
+
+    resolveParams(id) {
+        const { params, bindings } = this.effects[id];
+        const values = { ...params };
+        if (this.getDimension) {
+            Object.entries(bindings).forEach(([name, { dimension, min, max }]) => {
+                const amount = this.getDimension(dimension);
+                if (Number.isFinite(amount)) values[name] = min + (max - min) * Utils.clamp(amount, 0, 1);
+            });
+        }
+        this.values[id] = values;
+        return values;
+    }
+
+    // =========================================
+    // RENDER
+    // =========================================
+
+    setSize(width, height) {
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+        Object.values(this.targets).forEach((pair) => {
+            pair.forEach(target => target.setSize(this.width, this.height));
+        });
+        this.reset();
+    }
+
+    // Reallocate every target with a new texture type (HDR on/off) - history is lost
+    setTextureType(type) {
+        this.targetOptions = { ...this.targetOptions, type };
+        Object.values(this.targets).forEach((pair) => {
+            pair.forEach((target) => {
+                target.texture.type = type;
+                target.dispose();
+            });
+        });
+        this.reset();
+    }
+
+    // Forget trails and sorted pixels (new seed, resize)
+    reset() {
+        this.historyValid.feedback = false;
+        this.historyValid.pixelSort = false;
+        this.frame = 0;
+    }
+
+    renderPass(material, target) {
+        this.mesh.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Dither the output pass when it writes the screen (VisualEngine decides -
+     * off when a later stage, e.g. projection, takes the output)
+     */
+    setDither(enabled, seed = 0) {
+        this.dither.amount = enabled ? 1 : 0;
+        this.dither.seed = seed;
+    }
+
+    // The last pass of the stack; buffers feeding the next frame stay undithered
+    renderOutput(material, output) {
+        const uniforms = material.uniforms;
+        uniforms.uDither.value = this.dither.amount;
+        uniforms.uDitherSeed.value = this.dither.seed;
+        this.renderPass(material, output);
+        uniforms.uDither.value = 0;
+    }
+
+    /**
+     * Run the enabled effects over the source target; the last one draws into
+     * output (null = screen)
+     */
+    render(source, output = null) {
+        const active = this.getActiveEffects();
+        let input = source;
+
+        active.forEach((id, i) => {
+            const values = this.resolveParams(id);
+            // Only the last effect draws into output; the others hand a target on
+            const last = i === active.length - 1;
+
+            if (id === 'feedback') input = this.renderFeedback(input, values, last, output);
+            if (id === 'pixelSort') input = this.renderPixelSort(input, values, last, output);
+            if (id === 'lut') {
+                const target = last ? output : this.targets.chain[input === this.targets.chain[0] ? 1 : 0];
+                input = this.renderLut(input, values, target, last);
+            }
+        });
+        this.frame++;
+    }
+
+    // Returns the target the next effect should read
+    renderFeedback(input, values, last, output) {
+        const uniforms = this.materials.feedback.uniforms;
+        const [read, write] = [this.feedbackIndex, 1 - this.feedbackIndex];
+
+        uniforms.uTexture.value = input.texture;
+        uniforms.uHistory.value = this.targets.feedback[read].texture;
+        uniforms.uResolution.value.set(this.width, this.height);
+        uniforms.uAmount.value = this.historyValid.feedback ? values.amount : 0;
+        uniforms.uZoom.value = values.zoom;
+        uniforms.uRotation.value = values.rotation;
+        uniforms.uHueShift.value = values.hueShift;
+
+        // The trail is kept for the next frame; drawing the output is a second, identical pass
+        this.renderPass(this.materials.feedback, this.targets.feedback[write]);
+        this.feedbackIndex = write;
+        this.historyValid.feedback = true;
+
+        if (last) this.renderOutput(this.materials.feedback, output);
+        return this.targets.feedback[write];
+    }
+
+    renderPixelSort(input, values, last, output) {
+        const sorted = this.targets.pixelSort;
+        const seed = this.materials.pixelSortSeed.uniforms;
+        const sort = this.materials.pixelSort.uniforms;
+
+        seed.uTexture.value = input.texture;
+        seed.uHistory.value = sorted[this.sortIndex].texture;
+        seed.uThreshold.value = values.threshold;
+        seed.uRefresh.value = this.historyValid.pixelSort ? values.refresh : 1;
+        this.sortIndex = 1 - this.sortIndex;
+        this.renderPass(this.materials.pixelSortSeed, sorted[this.sortIndex]);
+        this.historyValid.pixelSort = true;
+
+        const iterations = Math.max(1, Math.round(values.iterations));
+        sort.uTexelSize.value.set(1 / this.width, 1 / this.height);
+        sort.uDirection.value.set(values.direction >= 0.5 ? 1 : 0, values.direction >= 0.5 ? 0 : 1);
+        sort.uThreshold.value = values.threshold;
+
+        for (let pass = 0; pass < iterations; pass++) {
+            sort.uTexture.value = sorted[this.sortIndex].texture;
+            sort.uParity.value = (this.frame * iterations + pass) % 2;
+            this.sortIndex = 1 - this.sortIndex;
+            this.renderPass(this.materials.pixelSort, sorted[this.sortIndex]);
+
+            // The final pass also draws the output when this is the end of the stack
+            if (last && pass === iterations - 1) {
+                this.renderOutput(this.materials.pixelSort, output);
+            }
+        }
+        return sorted[this.sortIndex];
+    }
+
+    renderLut(input, values, target, last = false) {
+        const lut = this.luts.get(this.effects.lut.lut);
+        const uniforms = this.materials.lut.uniforms;
+
+        uniforms.uTexture.value = input.texture;
+        uniforms.uLut.value = lut.texture;
+        uniforms.uLutSize.value = lut.size;
+        uniforms.uDomainMin.value.fromArray(lut.domainMin);
+        uniforms.uDomainMax.value.fromArray(lut.domainMax);
+        uniforms.uAmount.value = values.amount;
+        if (last) {
+            this.renderOutput(this.materials.lut, target);
+        } else {
+            this.renderPass(this.materials.lut, target);
+        }
+        return target;
+    }
+
+    // =========================================
+    // LUTS
+    // =========================================
+
+    /**
+     * Parse an Adobe/Resolve .cube file (3D only).
+     * Returns { title, size, domainMin, domainMax, data } with data as RGB floats, red fastest.
+     * Sizes above maxSize are rejected (the texture is size² pixels wide).
+     */
+    static parseCube(text, maxSize = 64) {
+        let title = '';
+        let size = 0;
+        let domainMin = [0, 0, 0];
+        let domainMax = [1, 1, 1];
+        const data = [];
+
+        text.split(/\r?\n/).forEach((line) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const [keyword, ...rest] = trimmed.split(/\s+/);
+            if (keyword === 'TITLE') {
+                title = trimmed.slice(5).trim().replace(/^"|"$/g, '');
+            } else if (keyword === 'LUT_3D_SIZE') {
+                size = parseInt(rest[0], 10);
+            } else if (keyword === 'LUT_1D_SIZE') {
+                throw new Error('1D LUTs are not supported');
+            } else if (keyword === 'DOMAIN_MIN') {
+                domainMin = rest.slice(0, 3).map(Number);
+            } else if (keyword === 'DOMAIN_MAX') {
+                domainMax = rest.slice(0, 3).map(Number);
+            } else if (/^[-+.\d]/.test(keyword)) {
+                data.push(Number(keyword), Number(rest[0]), Number(rest[1]));
+            }
+        });
+
+        if (!Number.isInteger(size) || size < 2) {
+            throw new Error('Missing or invalid LUT_3D_SIZE');
+        }
+        if (size > maxSize) {
+            throw new Error(`LUT_3D_SIZE ${size} is too large (${maxSize} max)`);
+        }
+        if (data.length !== size * size * size * 3) {
+            throw new Error(`Expected ${size * size * size} LUT entries, found ${Math.floor(data.length / 3)}`);
+        }
+        if (![...data, ...domainMin, ...domainMax].every(Number.isFinite) ||
+            domainMin.some((value, i) => value >= domainMax[i])) {
+            throw new Error('Invalid LUT values');
+        }
+        return { title, size, domainMin, domainMax, data: Float32Array.from(data) };
+    }
+
+    /**
+     * Read a .cube file and add it to the library. Returns the LUT name.
+     */
+    async loadCubeFile(file) {
+        const cube = EffectStack.parseCube(await file.text(), this.maxLutSize);
+        const name = cube.title || file.name.replace(/\.cube$/i, '');
+        const values = new Uint16Array(cube.data.length);
+        cube.data.forEach((value, i) => { values[i] = Math.round(Utils.clamp(value, 0, 1) * 65535); });
+
+        this.addLut(name, { size: cube.size, domainMin: cube.domainMin, domainMax: cube.domainMax, values });
+        this.saveLuts();
+        console.log(`EffectStack: Loaded LUT ${name} (${cube.size}³)`);
+        return name;
+    }
+
+    /**
+     * Add a LUT from 16-bit values (RGB, red fastest, 0-65535).
+     * Throws when the texture would be wider than the GPU allows.
+     */
+    addLut(name, { size, domainMin, domainMax, values }) {
+        // Blue slices side by side: x = red + blue * size, y = green
+        const width = size * size;
+        const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+        if (width > maxTextureSize) {
+            throw new Error(`LUT ${name} (${size}³) needs a ${width} px texture, this GPU allows ${maxTextureSize} px`);
+        }
+
+        // Half floats keep the 16-bit precision through filtering, 8-bit is the fallback
+        const halfFloat = this.supportsHalfFloatLuts();
+        const rgba = halfFloat ? new Uint16Array(width * size * 4) : new Uint8Array(width * size * 4);
+        const toHalfFloat = EffectStack.createHalfFloatEncoder();
+        const encode = halfFloat
+            ? value => toHalfFloat(value / 65535)
+            : value => Math.round(value / 257);
+        const one = encode(65535);
+        for (let i = 0; i < size * size * size; i++) {
+            const r = i % size;
+            const g = Math.floor(i / size) % size;
+            const b = Math.floor(i / (size * size));
+            const offset = (g * width + b * size + r) * 4;
+            rgba[offset] = encode(values[i * 3]);
+            rgba[offset + 1] = encode(values[i * 3 + 1]);
+            rgba[offset + 2] = encode(values[i * 3 + 2]);
+            rgba[offset + 3] = one;
+        }
+
+        const type = halfFloat ? THREE.HalfFloatType : THREE.UnsignedByteType;
+        const texture = new THREE.DataTexture(rgba, width, size, THREE.RGBAFormat, type);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+
+        this.luts.get(name)?.texture.dispose();
+        this.luts.set(name, { size, domainMin, domainMax, texture, values });
+    }
+
+    // Linear filtering of half-float textures is core in WebGL2, an extension in WebGL1
+    supportsHalfFloatLuts() {
+        const { capabilities, extensions } = this.renderer;
+        return capabilities.isWebGL2 ||
+            (extensions.has('OES_texture_half_float') && extensions.has('OES_texture_half_float_linear'));
+    }
+
+    // (value) => IEEE half-float bits, as THREE.DataUtils.toHalfFloat in later three.js
+    static createHalfFloatEncoder() {
+        const floatView = new Float32Array(1);
+        const int32View = new Int32Array(floatView.buffer);
+        return (value) => {
+            floatView[0] = value;
+            const x = int32View[0];
+            let bits = (x >> 16) & 0x8000;
+            let m = (x >> 12) & 0x07ff;
+            const e = (x >> 23) & 0xff;
+
+            if (e < 103) return bits;
+            if (e > 142) {
+                bits |= 0x7c00;
+                bits |= ((e === 255) ? 0 : 1) && (x & 0x007fffff);
+                return bits;
+            }
+            if (e < 113) {
+                m |= 0x0800;
+                bits |= (m >> (114 - e)) + ((m >> (113 - e)) & 1);
+                return bits;
+            }
+            bits |= ((e - 112) << 10) | (m >> 1);
+            bits += m & 1;
+            return bits;
+        };
+    }
+
+    listLuts() {
+        return Array.from(this.luts.keys());
+    }
+
+    loadLuts() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.lutStorageKey) || '{}');
+            Object.entries(stored).forEach(([name, lut]) => {
+                const binary = atob(lut.data);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+                // 16-bit little endian; LUTs saved before that are 8-bit
+                const count = lut.size ** 3 * 3;
+                const values = new Uint16Array(count);
+                if (lut.bits === 16 && bytes.length === count * 2) {
+                    for (let i = 0; i < count; i++) values[i] = bytes[i * 2] | (bytes[i * 2 + 1] << 8);
+                } else if (!lut.bits && bytes.length === count) {
+                    for (let i = 0; i < count; i++) values[i] = bytes[i] * 257;
+                } else {
+                    return;
+                }
+
+                try {
+                    this.addLut(name, { size: lut.size, domainMin: lut.domainMin, domainMax: lut.domainMax, values });
+                } catch (e) {
+                    console.warn(`EffectStack: Skipped LUT ${name}`, e);
+                }
+            });
+        } catch (e) {
+            console.warn('EffectStack: Could not load LUTs', e);
+        }
+    }
+
+    saveLuts() {
+        const stored = {};
+        this.luts.forEach(({ size, domainMin, domainMax, values }, name) => {
+            const bytes = new Uint8Array(values.length * 2);
+            values.forEach((value, i) => {
+                bytes[i * 2] = value & 0xff;
+                bytes[i * 2 + 1] = value >> 8;
+            });
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            stored[name] = { size, domainMin, domainMax, bits: 16, data: btoa(binary) };
+        });
+        try {
+            localStorage.setItem(this.lutStorageKey, JSON.stringify(stored));
+        } catch (e) {
+            console.warn('EffectStack: Could not save LUTs (kept for this session)', e);
+        }
+    }
+
+    // =========================================
+    // SETTINGS
+    // =========================================
+
+    normalizeBinding(raw, definition) {
+        if (!raw || typeof raw.dimension !== 'string' || !raw.dimension) return null;
+        const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+        return {
+            dimension: raw.dimension,
+            min: Utils.clamp(number(raw.min, definition.min), definition.min, definition.max),
+            max: Utils.clamp(number(raw.max, definition.max), definition.min, definition.max)
+        };
+    }
+
+    getSettings() {
+        const effects = {};
+        Object.entries(this.effects).forEach(([id, effect]) => {
+            effects[id] = {
+                enabled: effect.enabled,
+                params: { ...effect.params },
+                bindings: Utils.deepClone(effect.bindings)
+            };
+            if (id === 'lut') effects[id].lut = effect.lut;
+        });
+        return { order: [...this.order], effects };
+    }
+
+    /**
+     * Replace the stack. Unknown effects and params are dropped, missing ones reset
+     * to their defaults (so a preset fully describes the stack).
+     */
+    load(settings, save = true) {
+        if (!settings || typeof settings !== 'object' || !settings.effects) return false;
+
+        const ids = Object.keys(this.definitions);
+        const order = Array.isArray(settings.order) ? settings.order.filter(id => ids.includes(id)) : [];
+        this.order = [...new Set([...order, ...ids])];
+
+        this.effects = this.createDefaultEffects();
+        this.boundDimensions = null;
+        Object.entries(this.effects).forEach(([id, effect]) => {
+            const raw = settings.effects[id];
+            if (!raw || typeof raw !== 'object') return;
+
+            effect.enabled = raw.enabled === true;
+            Object.entries(this.definitions[id].params).forEach(([name, definition]) => {
+                const value = Number(raw.params?.[name]);
+                if (Number.isFinite(value)) effect.params[name] = Utils.clamp(value, definition.min, definition.max);
+
+                const binding = this.normalizeBinding(raw.bindings?.[name], definition);
+                if (binding) effect.bindings[name] = binding;
+            });
+            // A LUT that isn't loaded here stays named, the effect just doesn't run
+            if (id === 'lut' && typeof raw.lut === 'string') effect.lut = raw.lut;
+        });
+
+        this.reset();
+        if (save) this.saveSettings();
+        return true;
+    }
+
+    // Default stack, every effect off (presets without effects)
+    resetEffects(save = true) {
+        return this.load({ order: [], effects: {} }, save);
+    }
+
+    loadSettings() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? this.load(JSON.parse(raw), false) : false;
+        } catch (e) {
+            console.warn('EffectStack: Could not load settings', e);
+            return false;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        } catch (e) {
+            console.warn('EffectStack: Could not save settings', e);
+        }
+    }
+
+    // =========================================
+    // CLEANUP
+    // =========================================
+
+    dispose() {
+        Object.values(this.targets).forEach(pair => pair.forEach(target => target.dispose()));
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.luts.forEach(({ texture }) => texture.dispose());
+        this.mesh.geometry.dispose();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EffectStack;
+}
@@ -35,6 +35,13 @@
  * ATTENTION:
  * - lookingAtScreen: Confidence that user is looking at screen (0-1)
  * - engagement: Overall engagement score based on features (0-1)
+ * 
+ * PARTICIPANTS:
+ * - participants: Every tracked face with a stable id across frames, oldest first
+ *   ({ id, faceX, faceY, faceSize, mouthOpen, visible }). Lost faces keep their id
+ *   for participantHoldTime so brief occlusions don't hand out a new identity.
+ * - In multi-person mode the features above follow the oldest participant
+ *   instead of blending every face into one weighted average.
  */
 
 class FaceTracker {
@@ -48,6 +55,13 @@ class FaceTracker {
         this.camera = null;
         this.useFaceMesh = false;
         this.maxFaces = 2;
+        this.multiPerson = false;
+        
+        // Participant identities (see updateParticipants)
+        this.participants = [];
+        this.nextParticipantId = 1;
+        this.participantMatchDistance = 0.2;   // Max center jump between detections (normalized)
+        this.participantHoldTime = 800;        // ms a lost face keeps its identity
         
         // Video element
         this.videoElement = null;
@@ -191,6 +205,12 @@ class FaceTracker {
         }
     }
     
+    // Multi-person: features follow the oldest participant instead of a blend of all faces
+    setMultiPerson(enabled) {
+        this.multiPerson = Boolean(enabled);
+        console.log(`FaceTracker: Multi-person mode ${this.multiPerson ? 'on' : 'off'}`);
+    }
+    
     async initFallback(videoElement) {
         // Fallback to basic Face Detection
         if (typeof FaceDetection === 'undefined') {
@@ -303,7 +323,13 @@ class FaceTracker {
         
         // Calculate features for each face, then combine
         const featuresList = faces.map((face) => this.extractAllFeatures(face));
-        const combinedFeatures = this.combineFeatures(featuresList);
+        const participants = this.updateParticipants(featuresList, now);
+        
+        // Multi-person: the oldest visible participant is the primary control (no average needed)
+        const primary = participants.find(p => p.visible);
+        const combinedFeatures = this.multiPerson && primary
+            ? { ...featuresList[primary.featureIndex], faces: this.listFaces(featuresList) }
+            : this.combineFeatures(featuresList);
         
         // Apply smoothing
         const smoothed = this.smoothFeatures(combinedFeatures);
@@ -316,6 +342,7 @@ class FaceTracker {
             detected: true,
             faceCount: featuresList.length,
             faces: combinedFeatures.faces || [],
+            participants: this.getParticipants(),
             
             // Position & Size
             faceX: smoothed.faceX,
@@ -384,7 +411,6 @@ class FaceTracker {
         
         const combined = {};
         let totalWeight = 0;
-        const faces = [];
         
         featuresList.forEach((feat) => {
             const weight = Math.max(0.05, feat.faceSize || 0.3);
@@ -392,11 +418,6 @@ class FaceTracker {
             keys.forEach((key) => {
                 combined[key] = (combined[key] || 0) + (feat[key] || 0) * weight;
             });
-            faces.push({
-                faceX: feat.faceX,
-                faceY: feat.faceY,
-                faceSize: feat.faceSize
-            });
         });
         
         if (totalWeight <= 0) {
@@ -407,10 +428,82 @@ class FaceTracker {
             combined[key] /= totalWeight;
         });
         
-        combined.faces = faces;
+        combined.faces = this.listFaces(featuresList);
         return combined;
     }
     
+    // Position and size of every face
+    listFaces(featuresList) {
+        return featuresList.map(({ faceX, faceY, faceSize }) => ({ faceX, faceY, faceSize }));
+    }
+    
+    // =========================================
+    // PARTICIPANT IDENTITY
+    // =========================================
+    
+    /**
+     * Match this detection's faces to known participants (closest pairs first).
+     * Unmatched faces become new participants; participants unseen for longer
+     * than participantHoldTime are dropped. Returns the list, oldest first.
+     */
+    updateParticipants(featuresList, now) {
+        const pairs = [];
+        this.participants.forEach((participant) => {
+            featuresList.forEach((features, featureIndex) => {
+                const distance = Utils.distance(participant.faceX, participant.faceY, features.faceX, features.faceY);
+                // Bigger (closer) faces move further per frame
+                const reach = Math.max(this.participantMatchDistance, participant.faceSize * 0.75);
+                if (distance <= reach) {
+                    pairs.push({ participant, featureIndex, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+        
+        const matchedFaces = new Set();
+        const matchedParticipants = new Set();
+        pairs.forEach(({ participant, featureIndex }) => {
+            if (matchedFaces.has(featureIndex) || matchedParticipants.has(participant)) return;
+            matchedFaces.add(featureIndex);
+            matchedParticipants.add(participant);
+            this.assignParticipantFeatures(participant, featuresList[featureIndex], featureIndex, now);
+        });
+        
+        this.participants.forEach((participant) => {
+            if (!matchedParticipants.has(participant)) {
+                participant.visible = false;
+                participant.featureIndex = -1;
+            }
+        });
+        this.participants = this.participants.filter(p => p.visible || now - p.lastSeen <= this.participantHoldTime);
+        
+        featuresList.forEach((features, featureIndex) => {
+            if (matchedFaces.has(featureIndex)) return;
+            const participant = { id: this.nextParticipantId++, since: now };
+            this.assignParticipantFeatures(participant, features, featureIndex, now);
+            this.participants.push(participant);
+        });
+        
+        return this.participants;
+    }
+    
+    assignParticipantFeatures(participant, features, featureIndex, now) {
+        participant.faceX = features.faceX;
+        participant.faceY = features.faceY;
+        participant.faceSize = features.faceSize;
+        participant.mouthOpen = features.mouthOpen;
+        participant.featureIndex = featureIndex;
+        participant.visible = true;
+        participant.lastSeen = now;
+    }
+    
+    // Plain copies for faceData (recorded and replayed by InputRecorder)
+    getParticipants() {
+        return this.participants.map(({ id, faceX, faceY, faceSize, mouthOpen, visible }) => ({
+            id, faceX, faceY, faceSize, mouthOpen, visible
+        }));
+    }
+    
     extractAllFeatures(landmarks) {
         const lm = this.landmarks;
         
@@ -744,6 +837,10 @@ class FaceTracker {
     handleNoFace() {
         this.faceDetectedCount = 0;
         this.faceLostCount++;
+        this.updateParticipants([], performance.now());
+        if (this.faceData) {
+            this.faceData.participants = this.getParticipants();
+        }
         
         if (this.faceLostCount === this.faceThreshold) {
             this.faceData = null;
@@ -770,6 +867,7 @@ class FaceTracker {
                 detected: false,
                 faceCount: 0,
                 faces: [],
+                participants: [],
                 faceX: this.smoothers.faceX.getValue(),
                 faceY: this.smoothers.faceY.getValue(),
                 faceSize: this.smoothers.faceSize.getValue(),
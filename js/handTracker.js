@@ -32,6 +32,7 @@ class HandTracker {
             palmFacing: Array.from({ length: this.maxHands }, () => false),
             fists: Array.from({ length: this.maxHands }, () => 0),
             fingerCounts: Array.from({ length: this.maxHands }, () => 0),
+            pinches: Array.from({ length: this.maxHands }, () => 0),  // Thumb tip to index tip, 1 = touching
             allFingersExtended: Array.from({ length: this.maxHands }, () => false),  // All 5 fingers spread
             thumbExtended: Array.from({ length: this.maxHands }, () => false),  // Thumb is extended
             thumbsUp: Array.from({ length: this.maxHands }, () => false),
@@ -131,6 +132,7 @@ class HandTracker {
                 this.handState.palmFacing[i] = false;
                 this.handState.fists[i] = 0;
                 this.handState.fingerCounts[i] = 0;
+                this.handState.pinches[i] = 0;
                 this.handState.allFingersExtended[i] = false;
                 this.handState.thumbExtended[i] = false;
                 this.handState.thumbsUp[i] = false;
@@ -165,6 +167,10 @@ class HandTracker {
             const fist = Utils.clamp(1 - avgTipDist / (palmSpan * 1.7), 0, 1);
             this.handState.fists[i] = fist;
             
+            // Pinch - thumb and index tips closing relative to palm size
+            const pinchDist = Utils.distance(hand[4].x, hand[4].y, hand[8].x, hand[8].y);
+            this.handState.pinches[i] = Utils.clamp((0.9 - pinchDist / palmSpan) / 0.7, 0, 1);
+            
             // Count extended fingers (1-4, not counting thumb for finger count)
             // Finger is extended if tip is far from palm base
             const fingerInfo = this.countExtendedFingers(hand, palmCenter, palmSpan);
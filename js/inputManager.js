@@ -26,6 +26,8 @@ class InputManager {
         this.micStream = null;
         this.frequencyData = null;
         this.timeDomainData = null;
+        this.floatTimeDomainData = null;
+        this.lastAnalysisTime = null;   // audioContext.currentTime of the previous analysis
         
         // Processed audio values (smoothed)
         this.audio = {
@@ -36,6 +38,12 @@ class InputManager {
             pitch: Utils.createSmoother(0, 0.85)
         };
         
+        // Onsets, tempo and beat phase of music in the room
+        this.beatTracker = new BeatTracker();
+        
+        // Sung/hummed note and the key it suggests
+        this.pitchTracker = new PitchTracker();
+        
         // Camera
         this.videoElement = null;
         this.cameraStream = null;
@@ -166,7 +174,11 @@ class InputManager {
             // Create data arrays
             this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
             this.timeDomainData = new Uint8Array(this.analyser.fftSize);
+            this.floatTimeDomainData = new Float32Array(this.analyser.fftSize);
             
+            this.beatTracker.reset();
+            this.pitchTracker.reset();
+            this.lastAnalysisTime = null;
             this.enabled.microphone = true;
             this.permissions.microphone = 'granted';
             
@@ -183,6 +195,12 @@ class InputManager {
     analyzeMicrophone() {
         if (!this.enabled.microphone || !this.analyser) return;
         
+        // Audio time since the last analysis - the analyser runs on the audio clock,
+        // whatever the frame rate (0 on the first call or while the context is suspended)
+        const now = this.audioContext.currentTime;
+        const elapsed = this.lastAnalysisTime === null ? 0 : now - this.lastAnalysisTime;
+        this.lastAnalysisTime = now;
+        
         // Get frequency data
         this.analyser.getByteFrequencyData(this.frequencyData);
         this.analyser.getByteTimeDomainData(this.timeDomainData);
@@ -224,25 +242,47 @@ class InputManager {
         }
         this.audio.treble.update(trebleSum / (trebleEnd - trebleStart) / 255);
         
+        // Both trackers skip frames without elapsed audio time
+        this.beatTracker.process(this.frequencyData, this.audioContext.sampleRate, elapsed);
+        
+        // Pitch needs the full-resolution waveform, not the byte copy
+        this.analyser.getFloatTimeDomainData(this.floatTimeDomainData);
+        this.pitchTracker.process(this.floatTimeDomainData, this.audioContext.sampleRate, elapsed);
+        
         // Call callback if set
         if (this.onAudioData) {
-            this.onAudioData({
-                volume: this.audio.volume.getValue(),
-                bass: this.audio.bass.getValue(),
-                mid: this.audio.mid.getValue(),
-                treble: this.audio.treble.getValue(),
-                frequencyData: this.frequencyData,
-                timeDomainData: this.timeDomainData
-            });
+            this.onAudioData(this.getAudioData());
         }
     }
     
+    // RMS (0-1) of the app's own sound. Pitch detection ignores mic input quieter than this,
+    // so the drones coming back through the speakers don't set the key.
+    setPlaybackLevel(level) {
+        this.pitchTracker.maskLevel = level || 0;
+    }
+
     getAudioData() {
+        const beat = this.enabled.microphone ? this.beatTracker.getState() : this.beatTracker.createState();
+        const pitch = this.enabled.microphone ? this.pitchTracker.getState() : this.pitchTracker.createState();
         return {
             volume: this.audio.volume.getValue(),
             bass: this.audio.bass.getValue(),
             mid: this.audio.mid.getValue(),
             treble: this.audio.treble.getValue(),
+            onset: beat.onset,
+            bpm: beat.bpm,
+            beatPhase: beat.beatPhase,
+            beatPulse: beat.beatPulse,
+            beat: beat.beat,
+            beatCount: beat.beatCount,
+            beatConfidence: beat.confidence,
+            pitchFrequency: pitch.frequency,
+            pitchNote: pitch.note,
+            pitchClarity: pitch.clarity,
+            voiced: pitch.voiced,
+            keyRoot: pitch.keyRoot,
+            keyMode: pitch.keyMode,
+            keyConfidence: pitch.keyConfidence,
             frequencyData: this.frequencyData,
             timeDomainData: this.timeDomainData
         };
@@ -644,7 +684,7 @@ class InputManager {
     // =========================================
     
     update() {
-        // Analyze microphone data
+        // Analyze microphone data (timed by the audio clock, see analyzeMicrophone)
         if (this.enabled.microphone) {
             this.analyzeMicrophone();
         }
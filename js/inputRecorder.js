@@ -0,0 +1,247 @@
+/**
+ * INNER REFLECTION - Input Recorder
+ *
+ * Records every interaction stream per frame and replays it later without a
+ * camera or microphone (debugging face/hand mappings, regression runs,
+ * offline renders driven by a real performance).
+ *
+ * Streams (per frame, stored only when they change):
+ *   x: enabled inputs   a: mic levels        m: motion
+ *   f: face features    h: hand state        g: touch gestures
+ *   p: pointer hand
+ * Events (piano keys, mouse moves, MIDI notes) are stored with the frame they
+ * happened in. Numbers are rounded to keep files small; raw face landmarks and
+ * audio spectra are left out.
+ *
+ * File: { format: 'inner-reflection-input', version, seed, duration, frames: [{ t, ...streams, e }] }
+ */
+
+class InputRecorder {
+    constructor() {
+        this.fileFormat = 'inner-reflection-input';
+        this.fileVersion = 1;
+        this.precision = 4;            // Decimal places kept for numbers
+        this.streamKeys = ['x', 'a', 'm', 'f', 'h', 'g', 'p'];
+
+        // Recording
+        this.isRecording = false;
+        this.frames = [];
+        this.recordTime = 0;           // ms, advanced by frame deltas (not wall time)
+        this.lastEncoded = {};
+        this.pendingEvents = [];
+        this.recordingMeta = {};
+
+        // Replay
+        this.recording = null;
+        this.isReplaying = false;
+        this.loop = false;
+        this.replayIndex = 0;
+        this.replayTime = 0;
+        this.replayStreams = {};
+
+        // Callbacks
+        this.onEvent = null;           // (event) => {} during replay
+        this.onReplayEnd = null;       // () => {}
+        this.onChange = null;          // () => {} status changed
+    }
+
+    // =========================================
+    // RECORDING
+    // =========================================
+
+    startRecording(meta = {}) {
+        if (this.isReplaying) this.stopReplay();
+
+        this.isRecording = true;
+        this.frames = [];
+        this.recordTime = 0;
+        this.lastEncoded = {};
+        this.pendingEvents = [];
+        this.recordingMeta = { ...meta, created: new Date().toISOString() };
+        console.log('InputRecorder: Recording started');
+        this.onChange?.();
+    }
+
+    recordEvent(event) {
+        if (!this.isRecording) return;
+        this.pendingEvents.push(InputRecorder.compact(event, this.precision));
+    }
+
+    /**
+     * Store one frame. streams: { x, a, m, f, h, g, p } (any may be omitted)
+     */
+    recordFrame(deltaTime, streams) {
+        if (!this.isRecording) return;
+
+        this.recordTime += deltaTime * 1000;
+        const frame = { t: Math.round(this.recordTime) };
+
+        this.streamKeys.forEach((key) => {
+            if (streams[key] === undefined) return;
+            const value = InputRecorder.compact(streams[key], this.precision);
+            const encoded = JSON.stringify(value);
+            if (encoded !== this.lastEncoded[key]) {
+                frame[key] = value;
+                this.lastEncoded[key] = encoded;
+            }
+        });
+
+        if (this.pendingEvents.length > 0) {
+            frame.e = this.pendingEvents;
+            this.pendingEvents = [];
+        }
+
+        this.frames.push(frame);
+    }
+
+    stopRecording() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        this.recording = {
+            format: this.fileFormat,
+            version: this.fileVersion,
+            ...this.recordingMeta,
+            duration: Math.round(this.recordTime),
+            frames: this.frames
+        };
+        this.frames = [];
+        console.log(`InputRecorder: Recorded ${this.recording.frames.length} frames ` +
+            `(${(this.recording.duration / 1000).toFixed(1)}s)`);
+        this.onChange?.();
+        return this.recording;
+    }
+
+    /**
+     * Round numbers, flatten typed arrays and drop undefined/functions
+     */
+    static compact(value, precision = 4) {
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return 0;
+            const factor = Math.pow(10, precision);
+            return Math.round(value * factor) / factor;
+        }
+        if (typeof value === 'boolean' || typeof value === 'string' || value === null) {
+            return value;
+        }
+        if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+            return Array.from(value, item => InputRecorder.compact(item, precision));
+        }
+        if (typeof value === 'object') {
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (item === undefined || typeof item === 'function') return;
+                result[key] = InputRecorder.compact(item, precision);
+            });
+            return result;
+        }
+        return null;
+    }
+
+    // =========================================
+    // REPLAY
+    // =========================================
+
+    hasRecording() {
+        return Boolean(this.recording && this.recording.frames.length > 0);
+    }
+
+    startReplay(loop = this.loop) {
+        if (!this.hasRecording()) return false;
+        if (this.isRecording) this.stopRecording();
+
+        this.loop = loop;
+        this.isReplaying = true;
+        this.replayIndex = 0;
+        this.replayTime = 0;
+        this.replayStreams = {};
+        console.log('InputRecorder: Replay started');
+        this.onChange?.();
+        return true;
+    }
+
+    stopReplay() {
+        if (!this.isReplaying) return;
+        this.isReplaying = false;
+        this.replayStreams = {};
+        this.onChange?.();
+    }
+
+    /**
+     * Advance replay time by deltaTime (seconds). Applies every frame up to the
+     * new time, fires its events, and returns the current streams (or null once finished).
+     */
+    advance(deltaTime) {
+        if (!this.isReplaying) return null;
+
+        const frames = this.recording.frames;
+        this.replayTime += deltaTime * 1000;
+
+        while (this.replayIndex < frames.length && frames[this.replayIndex].t <= this.replayTime) {
+            const frame = frames[this.replayIndex];
+            this.streamKeys.forEach((key) => {
+                if (frame[key] !== undefined) this.replayStreams[key] = frame[key];
+            });
+            frame.e?.forEach(event => this.onEvent?.(event));
+            this.replayIndex++;
+        }
+
+        if (this.replayIndex >= frames.length) {
+            if (this.loop) {
+                // Keep the last streams so the loop seam doesn't jump to "nothing"
+                this.replayIndex = 0;
+                this.replayTime = 0;
+            } else {
+                const last = { ...this.replayStreams };
+                this.stopReplay();
+                this.onReplayEnd?.();
+                return last;
+            }
+        }
+
+        return this.replayStreams;
+    }
+
+    getProgress() {
+        if (!this.isReplaying || !this.recording?.duration) return 0;
+        return Utils.clamp(this.replayTime / this.recording.duration, 0, 1);
+    }
+
+    // =========================================
+    // FILES
+    // =========================================
+
+    exportJSON() {
+        if (!this.recording) return null;
+        return JSON.stringify(this.recording);
+    }
+
+    importJSON(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        if (!data || data.format !== this.fileFormat || !Array.isArray(data.frames)) {
+            throw new Error('Not an input recording');
+        }
+        if (data.version > this.fileVersion) {
+            console.warn('InputRecorder: Recording is from a newer version, replay may be incomplete');
+        }
+
+        const frames = data.frames.filter(frame => frame && Number.isFinite(frame.t));
+        if (frames.length === 0) {
+            throw new Error('Recording has no frames');
+        }
+
+        if (this.isReplaying) this.stopReplay();
+        this.recording = {
+            ...data,
+            frames,
+            duration: Number.isFinite(data.duration) ? data.duration : frames[frames.length - 1].t
+        };
+        this.onChange?.();
+        return this.recording;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputRecorder;
+}
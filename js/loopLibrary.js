@@ -0,0 +1,364 @@
+/**
+ * INNER REFLECTION - Loop Library
+ *
+ * Keeps captured mic loops (and imported audio files) across reloads so the
+ * granular layers can keep playing them. Loops are stored in IndexedDB as WAV.
+ *
+ * Loop: { id, name, origin, created, pinned, muted, reversed, stretch, buffer, peaks }
+ *   origin    'mic' | 'file'
+ *   pinned    never dropped when the library is full
+ *   muted     kept, but not handed to the granular layers
+ *   reversed  played backwards
+ *   stretch   length factor (0.5 = half as long, 2 = twice as long), pitch unchanged
+ *   buffer    decoded AudioBuffer (as captured - reverse/stretch are applied on playback)
+ *   peaks     Float32Array of 0-1 levels for the waveform display
+ *
+ * Newest loops come first. Past maxLoops the oldest unpinned loop is dropped.
+ */
+
+class LoopLibrary {
+    constructor() {
+        this.dbName = 'innerReflection';
+        this.storeName = 'loops';
+        this.maxLoops = 12;
+        this.maxDuration = 30;         // seconds - longer imports are trimmed
+        this.peakCount = 96;
+        this.stretchGrain = 0.08;      // seconds per overlap-add grain
+
+        this.loops = [];
+        this.db = null;
+        this.playbackCache = new Map();    // id -> { key, buffer } (reversed / stretched copies)
+
+        // Callbacks
+        this.onChange = null;          // () => {} loops added, changed or removed
+
+        this.nextId = Date.now();
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // =========================================
+    // LOOPS
+    // =========================================
+
+    /**
+     * Add a decoded AudioBuffer. Returns the new loop.
+     */
+    async add(audioBuffer, { origin = 'mic', name = '' } = {}) {
+        const buffer = this.trim(audioBuffer);
+        const loop = {
+            id: `loop-${this.nextId++}`,
+            name: name || `${origin === 'mic' ? 'Mic' : 'File'} ${new Date().toLocaleTimeString()}`,
+            origin,
+            created: Date.now(),
+            pinned: false,
+            muted: false,
+            reversed: false,
+            stretch: 1,
+            buffer,
+            peaks: LoopLibrary.computePeaks(buffer, this.peakCount)
+        };
+
+        this.loops.unshift(loop);
+        const dropped = this.evict();
+        await this.save(loop, true);
+        await Promise.all(dropped.map(old => this.deleteRecord(old.id)));
+
+        this.onChange?.();
+        return loop;
+    }
+
+    /**
+     * Change name, pinned, muted, reversed or stretch. Returns the loop (or null).
+     */
+    async update(id, changes = {}) {
+        const loop = this.get(id);
+        if (!loop) return null;
+
+        ['pinned', 'muted', 'reversed'].forEach((key) => {
+            if (typeof changes[key] === 'boolean') loop[key] = changes[key];
+        });
+        if (Number.isFinite(changes.stretch)) {
+            loop.stretch = Utils.clamp(changes.stretch, 0.25, 4);
+        }
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            loop.name = changes.name.trim();
+        }
+
+        await this.save(loop, false);
+        this.onChange?.();
+        return loop;
+    }
+
+    async remove(id) {
+        const index = this.loops.findIndex(loop => loop.id === id);
+        if (index < 0) return false;
+
+        this.loops.splice(index, 1);
+        this.playbackCache.delete(id);
+        await this.deleteRecord(id);
+        this.onChange?.();
+        return true;
+    }
+
+    get(id) {
+        return this.loops.find(loop => loop.id === id) || null;
+    }
+
+    getPlayable() {
+        return this.loops.filter(loop => !loop.muted);
+    }
+
+    pickPlayable(random = Math.random, exclude = []) {
+        const candidates = this.getPlayable().filter(loop => !exclude.includes(loop.id));
+        if (candidates.length === 0) return null;
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+
+    // Drop the oldest unpinned loops beyond maxLoops (returns them)
+    evict() {
+        const dropped = [];
+        while (this.loops.length > this.maxLoops) {
+            const index = this.loops.map(loop => loop.pinned).lastIndexOf(false);
+            if (index < 0) break;
+            dropped.push(...this.loops.splice(index, 1));
+        }
+        dropped.forEach(loop => this.playbackCache.delete(loop.id));
+        return dropped;
+    }
+
+    trim(audioBuffer) {
+        const maxLength = Math.floor(this.maxDuration * audioBuffer.sampleRate);
+        if (audioBuffer.length <= maxLength) return audioBuffer;
+
+        const trimmed = new AudioBuffer({
+            numberOfChannels: audioBuffer.numberOfChannels,
+            length: maxLength,
+            sampleRate: audioBuffer.sampleRate
+        });
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            trimmed.copyToChannel(audioBuffer.getChannelData(channel).subarray(0, maxLength), channel);
+        }
+        return trimmed;
+    }
+
+    // =========================================
+    // PLAYBACK
+    // =========================================
+
+    /**
+     * The loop as the granular layers should hear it: reversed and/or
+     * time-stretched copy (cached until the loop changes)
+     */
+    getPlaybackBuffer(loop) {
+        if (!loop.reversed && loop.stretch === 1) return loop.buffer;
+
+        const key = `${loop.reversed}|${loop.stretch}`;
+        const cached = this.playbackCache.get(loop.id);
+        if (cached?.key === key) return cached.buffer;
+
+        const source = loop.buffer;
+        const grain = Math.max(64, Math.round(this.stretchGrain * source.sampleRate));
+        const channels = [];
+        for (let channel = 0; channel < source.numberOfChannels; channel++) {
+            let data = source.getChannelData(channel);
+            if (loop.stretch !== 1) data = LoopLibrary.stretch(data, loop.stretch, grain);
+            if (loop.reversed) data = Float32Array.from(data).reverse();
+            channels.push(data);
+        }
+
+        const buffer = new AudioBuffer({
+            numberOfChannels: channels.length,
+            length: channels[0].length,
+            sampleRate: source.sampleRate
+        });
+        channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+
+        this.playbackCache.set(loop.id, { key, buffer });
+        return buffer;
+    }
+
+    /**
+     * Overlap-add time stretch: Hann grains read at 1/factor the rate they are
+     * written, so the length changes and the pitch does not
+     */
+    static stretch(samples, factor, grain) {
+        const length = Math.max(grain, Math.round(samples.length * factor));
+        const output = new Float32Array(length);
+        const hop = Math.floor(grain / 2);
+
+        const window = new Float32Array(grain);
+        for (let i = 0; i < grain; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / grain);
+        }
+
+        for (let outStart = 0; outStart < length; outStart += hop) {
+            const inStart = Math.min(Math.round(outStart / factor), Math.max(0, samples.length - grain));
+            for (let i = 0; i < grain && outStart + i < length; i++) {
+                output[outStart + i] += (samples[inStart + i] || 0) * window[i];
+            }
+        }
+        return output;
+    }
+
+    // Peak level per slice, all channels
+    static computePeaks(audioBuffer, count) {
+        const peaks = new Float32Array(count);
+        const slice = Math.max(1, Math.floor(audioBuffer.length / count));
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < count; i++) {
+                let peak = peaks[i];
+                const end = Math.min(data.length, (i + 1) * slice);
+                for (let j = i * slice; j < end; j++) {
+                    const value = Math.abs(data[j]);
+                    if (value > peak) peak = value;
+                }
+                peaks[i] = peak;
+            }
+        }
+        return peaks;
+    }
+
+    // =========================================
+    // WAV
+    // =========================================
+
+    // 16-bit PCM WAV
+    static encodeWav(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        const length = audioBuffer.length;
+        const dataSize = length * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);                                   // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = [];
+        for (let channel = 0; channel < channels; channel++) {
+            data.push(audioBuffer.getChannelData(channel));
+        }
+        let offset = 44;
+        for (let i = 0; i < length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Utils.clamp(data[channel][i], -1, 1);
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+        return view.buffer;
+    }
+
+    // =========================================
+    // STORAGE
+    // =========================================
+
+    async open() {
+        if (this.db || !LoopLibrary.isSupported()) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    // Run one request in a transaction on the loop store
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = makeRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Restore stored loops, decoded with the given AudioContext. Loops added while
+     * these decode are kept (merged by id, newest first).
+     */
+    async load(context) {
+        try {
+            const records = await this.request('readonly', store => store.getAll()) || [];
+            const loops = [];
+            for (const record of records) {
+                try {
+                    const buffer = await context.decodeAudioData(await record.wav.arrayBuffer());
+                    const { wav, ...meta } = record;
+                    loops.push({ ...meta, buffer, peaks: LoopLibrary.computePeaks(buffer, this.peakCount) });
+                } catch (e) {
+                    console.warn(`LoopLibrary: Could not decode ${record.name}`, e);
+                }
+            }
+
+            const known = new Set(this.loops.map(loop => loop.id));
+            this.loops = [...this.loops, ...loops.filter(loop => !known.has(loop.id))]
+                .sort((a, b) => b.created - a.created);
+            const dropped = this.evict();
+            await Promise.all(dropped.map(old => this.deleteRecord(old.id)));
+            this.nextId = Math.max(this.nextId, Date.now());
+            console.log(`LoopLibrary: Restored ${loops.length} loops`);
+            this.onChange?.();
+        } catch (e) {
+            console.warn('LoopLibrary: Could not load loops', e);
+        }
+        return this.loops;
+    }
+
+    /**
+     * Store a loop. withAudio re-encodes the WAV; otherwise only the settings change.
+     */
+    async save(loop, withAudio) {
+        try {
+            const { buffer, peaks, ...meta } = loop;
+            let wav;
+            if (withAudio) {
+                wav = new Blob([LoopLibrary.encodeWav(buffer)], { type: 'audio/wav' });
+            } else {
+                wav = (await this.request('readonly', store => store.get(loop.id)))?.wav;
+                if (!wav) return;
+            }
+            await this.request('readwrite', store => store.put({ ...meta, wav }));
+        } catch (e) {
+            console.warn('LoopLibrary: Could not save loop', e);
+        }
+    }
+
+    async deleteRecord(id) {
+        try {
+            await this.request('readwrite', store => store.delete(id));
+        } catch (e) {
+            console.warn('LoopLibrary: Could not delete loop', e);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoopLibrary;
+}
@@ -0,0 +1,248 @@
+/**
+ * INNER REFLECTION - MIDI Manager
+ *
+ * Web MIDI input for live performance, alongside InputManager.
+ * - Lists available MIDI inputs (all inputs or a single selected one)
+ * - MIDI learn: the next CC received binds to the armed control target
+ * - CC mappings carry a range (min/max, 0-1 of the target) and a response curve
+ * - Notes are forwarded as note on/off events (the app maps them to key-style influences)
+ * - Mappings persist to localStorage
+ *
+ * init() takes the navigator to use, so a mocked requestMIDIAccess can be passed in.
+ */
+
+class MidiManager {
+    constructor() {
+        this.storageKey = 'innerReflection.midiMappings';
+
+        this.access = null;
+        this.isEnabled = false;
+        this.selectedInputId = 'all';
+
+        // { target, channel, cc, min, max, curve }
+        this.mappings = [];
+        this.learnTarget = null;
+
+        // Response curves for normalized 0-1 CC values
+        this.curves = {
+            linear: v => v,
+            exponential: v => v * v,
+            logarithmic: v => Math.sqrt(v),
+            scurve: v => Utils.easing.easeInOutQuad(v)
+        };
+
+        // Callbacks
+        this.onControl = null;       // (mapping, value 0-1) => {}
+        this.onNote = null;          // (note, velocity 0-1, isOn) => {}
+        this.onLearn = null;         // (mapping) => {}
+        this.onInputsChanged = null; // (inputs) => {}
+
+        this._handleMessage = this.handleMessage.bind(this);
+        this.loadMappings();
+    }
+
+    // =========================================
+    // INITIALIZATION
+    // =========================================
+
+    async init(nav = navigator) {
+        if (this.isEnabled) return true;
+
+        if (!nav || typeof nav.requestMIDIAccess !== 'function') {
+            console.warn('MidiManager: Web MIDI not supported');
+            return false;
+        }
+
+        try {
+            this.access = await nav.requestMIDIAccess({ sysex: false });
+            this.access.onstatechange = () => this.refreshInputs();
+            this.isEnabled = true;
+            this.refreshInputs();
+            console.log('MidiManager: Enabled with', this.listInputs().length, 'inputs');
+            return true;
+        } catch (error) {
+            console.warn('MidiManager: MIDI access denied:', error);
+            return false;
+        }
+    }
+
+    refreshInputs() {
+        if (!this.access) return;
+
+        this.access.inputs.forEach((input) => {
+            input.onmidimessage = this._handleMessage;
+        });
+
+        this.onInputsChanged?.(this.listInputs());
+    }
+
+    listInputs() {
+        if (!this.access) return [];
+
+        const inputs = [];
+        this.access.inputs.forEach((input) => {
+            inputs.push({
+                id: input.id,
+                name: input.name || 'MIDI Input',
+                manufacturer: input.manufacturer || '',
+                state: input.state
+            });
+        });
+        return inputs;
+    }
+
+    selectInput(inputId) {
+        this.selectedInputId = inputId || 'all';
+    }
+
+    // =========================================
+    // MESSAGE HANDLING
+    // =========================================
+
+    handleMessage(event) {
+        const sourceId = event.target?.id ?? event.currentTarget?.id;
+        if (this.selectedInputId !== 'all' && sourceId !== this.selectedInputId) return;
+
+        const [status, data1 = 0, data2 = 0] = event.data || [];
+        const type = status & 0xf0;
+        const channel = status & 0x0f;
+
+        if (type === 0xb0) {
+            this.handleControlChange(channel, data1, data2);
+        } else if (type === 0x90 && data2 > 0) {
+            this.onNote?.(data1, data2 / 127, true);
+        } else if (type === 0x80 || type === 0x90) {
+            this.onNote?.(data1, 0, false);
+        }
+    }
+
+    handleControlChange(channel, cc, value) {
+        if (this.learnTarget) {
+            this.learn(channel, cc);
+            return;
+        }
+
+        const normalized = value / 127;
+        this.mappings.forEach((mapping) => {
+            if (mapping.channel !== channel || mapping.cc !== cc) return;
+            this.onControl?.(mapping, this.applyCurve(normalized, mapping));
+        });
+    }
+
+    applyCurve(normalized, mapping) {
+        const curve = this.curves[mapping.curve] || this.curves.linear;
+        const shaped = curve(Utils.clamp(normalized, 0, 1));
+        return mapping.min + (mapping.max - mapping.min) * shaped;
+    }
+
+    // =========================================
+    // MIDI LEARN
+    // =========================================
+
+    startLearn(target) {
+        this.learnTarget = target;
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    learn(channel, cc) {
+        const target = this.learnTarget;
+        this.learnTarget = null;
+
+        // One control per target, one target per CC
+        const previous = this.mappings.find(m => m.target === target);
+        this.mappings = this.mappings.filter(m => m.target !== target && !(m.channel === channel && m.cc === cc));
+
+        const mapping = {
+            target,
+            channel,
+            cc,
+            min: previous?.min ?? 0,
+            max: previous?.max ?? 1,
+            curve: previous?.curve ?? 'linear'
+        };
+        this.mappings.push(mapping);
+        this.saveMappings();
+
+        console.log(`MidiManager: Learned CC ${cc} (ch ${channel + 1}) -> ${target}`);
+        this.onLearn?.(mapping);
+    }
+
+    // =========================================
+    // MAPPINGS
+    // =========================================
+
+    getMapping(target) {
+        return this.mappings.find(m => m.target === target) || null;
+    }
+
+    updateMapping(target, changes) {
+        const mapping = this.getMapping(target);
+        if (!mapping) return;
+
+        if (changes.min !== undefined) mapping.min = Utils.clamp(Number(changes.min) || 0, 0, 1);
+        if (changes.max !== undefined) mapping.max = Utils.clamp(Number(changes.max) || 0, 0, 1);
+        if (changes.curve !== undefined && this.curves[changes.curve]) mapping.curve = changes.curve;
+        this.saveMappings();
+    }
+
+    removeMapping(target) {
+        this.mappings = this.mappings.filter(m => m.target !== target);
+        this.saveMappings();
+    }
+
+    /**
+     * A stored mapping is only kept when every field is usable:
+     * channel 0-15, cc 0-127, min/max within 0-1 and a known curve
+     */
+    isValidMapping(m) {
+        return Boolean(m) && typeof m.target === 'string' &&
+            Number.isInteger(m.channel) && m.channel >= 0 && m.channel <= 15 &&
+            Number.isInteger(m.cc) && m.cc >= 0 && m.cc <= 127 &&
+            [m.min, m.max].every(v => Number.isFinite(v) && v >= 0 && v <= 1) &&
+            typeof m.curve === 'string' && Object.prototype.hasOwnProperty.call(this.curves, m.curve);
+    }
+
+    loadMappings() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const stored = raw ? JSON.parse(raw) : [];
+            const valid = Array.isArray(stored) ? stored.filter(m => this.isValidMapping(m)) : [];
+            if (Array.isArray(stored) && valid.length < stored.length) {
+                console.warn(`MidiManager: Dropped ${stored.length - valid.length} invalid mappings`);
+            }
+            this.mappings = valid.map(({ target, channel, cc, min, max, curve }) => ({ target, channel, cc, min, max, curve }));
+        } catch (e) {
+            this.mappings = [];
+        }
+    }
+
+    saveMappings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.mappings));
+        } catch (e) {}
+    }
+
+    // =========================================
+    // CLEANUP
+    // =========================================
+
+    dispose() {
+        if (this.access) {
+            this.access.inputs.forEach((input) => {
+                input.onmidimessage = null;
+            });
+            this.access.onstatechange = null;
+        }
+        this.access = null;
+        this.isEnabled = false;
+        console.log('MidiManager: Disposed');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiManager;
+}
@@ -0,0 +1,406 @@
+/**
+ * INNER REFLECTION - Modulation Matrix
+ *
+ * Routes any input source to any state dimension or audio parameter.
+ * Replaces the hard-coded mic / face / motion mappings that used to live in StateEngine.
+ * The default routes reproduce those mappings and add three beat routes (wave pulse and
+ * speed), so an untouched matrix differs from the old behaviour once the mic locks onto
+ * a steady tempo - with no tempo the beat sources are absent and the rest is unchanged.
+ *
+ * Route: { source, target, amount, curve, smoothing, polarity }
+ *   source     mic bands, sung pitch, onsets/beat (BeatTracker), face features, hand pinch/fist/fingers, tilt/shake, LFOs
+ *   target     'state:<dimension>'  pushes the dimension (added to its influence every frame)
+ *              'audio:<param>'      offsets a normalized AudioEngine parameter directly
+ *   amount     signed scale (negative inverts)
+ *   curve      response curve applied to the source magnitude (same names as MIDI mappings)
+ *   smoothing  0 = instant, 0.99 = very slow (one-pole, per route)
+ *   polarity   'uni' maps the source to 0..1, 'bi' to -1..1
+ *
+ * Sources the app didn't provide this frame (face lost, mic off) fade to zero.
+ * Routes + LFO rates persist to localStorage and travel with user presets.
+ */
+
+class ModulationMatrix {
+    constructor() {
+        this.storageKey = 'innerReflection.modulation';
+
+        // Native range of every source: bipolar sources are -1..1, the rest 0..1
+        this.sources = {
+            micVolume:       { label: 'Mic Volume',      group: 'Mic' },
+            micBass:         { label: 'Mic Bass',        group: 'Mic' },
+            micMid:          { label: 'Mic Mid',         group: 'Mic' },
+            micTreble:       { label: 'Mic Treble',      group: 'Mic' },
+            voicePitch:      { label: 'Voice Pitch',     group: 'Mic' },
+            micOnset:        { label: 'Onset',           group: 'Beat' },
+            beatPulse:       { label: 'Beat Pulse',      group: 'Beat' },
+            beatPhase:       { label: 'Beat Phase',      group: 'Beat' },
+            tempo:           { label: 'Tempo',           group: 'Beat' },
+            headYaw:         { label: 'Head Yaw',        group: 'Face', bipolar: true },
+            headPitch:       { label: 'Head Pitch',      group: 'Face', bipolar: true },
+            headRoll:        { label: 'Head Roll',       group: 'Face', bipolar: true },
+            eyesOpen:        { label: 'Eyes Open',       group: 'Face' },
+            eyeAsymmetry:    { label: 'Wink',            group: 'Face', bipolar: true },
+            gazeX:           { label: 'Gaze X',          group: 'Face', bipolar: true },
+            gazeY:           { label: 'Gaze Y',          group: 'Face', bipolar: true },
+            mouthOpenness:   { label: 'Mouth Open',      group: 'Face' },
+            mouthWidth:      { label: 'Smile',           group: 'Face' },
+            browRaise:       { label: 'Brow Raise',      group: 'Face' },
+            browFurrow:      { label: 'Brow Furrow',     group: 'Face' },
+            lookingAtScreen: { label: 'Looking At Screen', group: 'Face' },
+            engagement:      { label: 'Engagement',      group: 'Face' },
+            handPinch:       { label: 'Hand Pinch',      group: 'Hand' },
+            handFist:        { label: 'Hand Fist',       group: 'Hand' },
+            handFingers:     { label: 'Finger Count',    group: 'Hand' },
+            tiltX:           { label: 'Tilt X',          group: 'Motion', bipolar: true },
+            tiltY:           { label: 'Tilt Y',          group: 'Motion', bipolar: true },
+            shake:           { label: 'Shake',           group: 'Motion' },
+            lfo1:            { label: 'LFO 1',           group: 'LFO', bipolar: true },
+            lfo2:            { label: 'LFO 2',           group: 'LFO', bipolar: true },
+            lfo3:            { label: 'LFO 3',           group: 'LFO', bipolar: true }
+        };
+
+        // Normalized fields of StateEngine.getAudioState() that routes may offset
+        this.audioTargets = {
+            audioVolume:     'Master Volume',
+            audioBass:       'Base Drone',
+            audioMid:        'Mid Drone',
+            audioHigh:       'High Drone',
+            audioFilterBase: 'Base Filter',
+            audioFilterMid:  'Mid Filter',
+            audioFilterHigh: 'High Filter',
+            audioReverb:     'Reverb',
+            audioDelay:      'Delay'
+        };
+
+        // Response curves for normalized 0-1 magnitudes
+        this.curves = {
+            linear: v => v,
+            exponential: v => v * v,
+            logarithmic: v => Math.sqrt(v),
+            scurve: v => Utils.easing.easeInOutQuad(v)
+        };
+
+        this.lfoShapes = {
+            sine: phase => Math.sin(phase * Math.PI * 2),
+            triangle: phase => 1 - Math.abs(((phase * 4 + 1) % 4) - 2),
+            saw: phase => phase * 2 - 1
+        };
+
+        this.routes = [];
+        this.lfos = [];
+        this.nextRouteId = 1;
+
+        // Runtime
+        this.lfoPhases = [];
+        this.routeValues = new Map();  // route id -> smoothed output
+        this.sourceValues = {};
+        this.output = { state: {}, audio: {} };
+
+        // Callbacks
+        this.onChange = null;          // () => {} routes or LFOs edited
+
+        if (!this.loadSettings()) {
+            this.resetToDefaults(false);
+        }
+    }
+
+    // =========================================
+    // DEFAULTS
+    // =========================================
+
+    /**
+     * The mappings StateEngine used to apply directly (mic strength 0.15, face 0.1), plus the beat routes.
+     * Features that were centred on 0.5 (eyes, attention) use bipolar routes at half the amount.
+     */
+    createDefaultRoutes() {
+        const routes = [];
+        const add = (source, target, amount, polarity) => {
+            const bipolar = Boolean(this.sources[source]?.bipolar);
+            routes.push({ source, target: `state:${target}`, amount, polarity: polarity || (bipolar ? 'bi' : 'uni') });
+        };
+
+        // Mic - volume drives intensity, bands drive displacement, drones and effects
+        add('micVolume', 'overallIntensity', 0.12);
+        add('micVolume', 'overallChaos', 0.045);
+        add('micVolume', 'colorVibrance', 0.03);
+        add('micVolume', 'reverbAmount', 0.0375);
+        add('micBass', 'displacementStrength', 0.09);
+        add('micBass', 'droneBaseVolume', 0.06);
+        add('micBass', 'displacementRadius', 0.045);
+        add('micMid', 'filterCutoff', 0.075);
+        add('micMid', 'granularDensity', 0.06);
+        add('micMid', 'droneMidVolume', 0.045);
+        add('micMid', 'delayAmount', 0.03);
+        add('micTreble', 'glow', 0.075);
+        add('micTreble', 'droneHighVolume', 0.06);
+        add('micTreble', 'delayAmount', 0.015);
+        add('micTreble', 'chorusAmount', 0.0225);
+
+        // Beat - rings pulse on the beat, waves follow the tempo
+        add('beatPulse', 'waveAmplitude', 0.08);
+        add('beatPulse', 'displacementStrength', 0.04);
+        add('tempo', 'waveSpeed', 0.1);
+
+        // Head rotation
+        add('headYaw', 'displacementX', 0.19);
+        add('headYaw', 'shapeRotation', 0.05);
+        add('headPitch', 'displacementY', 0.15);
+        add('headPitch', 'glow', -0.07);
+        add('headPitch', 'filterCutoff', -0.09);
+        add('headRoll', 'shapeRotation', 0.08);
+        add('headRoll', 'displacementRotation', 0.06);
+
+        // Eyes + gaze
+        add('eyesOpen', 'overallIntensity', 0.06, 'bi');
+        add('eyesOpen', 'displacementStrength', 0.05, 'bi');
+        add('eyeAsymmetry', 'displacementX', 0.08);
+        add('eyeAsymmetry', 'gradientOffsetX', 0.06);
+        add('gazeX', 'displacementX', 0.12);
+        add('gazeY', 'displacementY', 0.1);
+
+        // Mouth
+        add('mouthOpenness', 'overallChaos', 0.15);
+        add('mouthOpenness', 'granularDensity', 0.12);
+        add('mouthOpenness', 'reverbAmount', 0.08);
+        add('mouthOpenness', 'displacementStrength', 0.08);
+        add('mouthWidth', 'droneHighVolume', 0.06);
+        add('mouthWidth', 'glow', 0.05);
+
+        // Brows
+        add('browRaise', 'displacementRadius', 0.12);
+        add('browRaise', 'glow', 0.08);
+        add('browRaise', 'overallIntensity', 0.06);
+        add('browFurrow', 'droneBaseVolume', 0.08);
+        add('browFurrow', 'displacementStrength', 0.08);
+        add('browFurrow', 'filterResonance', 0.05);
+
+        // Attention - looking at the screen calms things down
+        add('lookingAtScreen', 'overallChaos', -0.04, 'bi');
+        add('engagement', 'overallIntensity', 0.04, 'bi');
+
+        // Device motion
+        add('tiltX', 'gradientOffsetX', 0.05);
+        add('tiltY', 'gradientOffsetY', 0.05);
+        add('shake', 'overallChaos', 0.1);
+
+        return routes;
+    }
+
+    createDefaultLfos() {
+        return [
+            { shape: 'sine', rate: 0.05 },
+            { shape: 'triangle', rate: 0.13 },
+            { shape: 'sine', rate: 0.31 }
+        ];
+    }
+
+    resetToDefaults(save = true) {
+        this.load({ routes: this.createDefaultRoutes(), lfos: this.createDefaultLfos() }, save);
+    }
+
+    // =========================================
+    // ROUTES
+    // =========================================
+
+    normalizeRoute(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (!this.sources[raw.source] || !this.isValidTarget(raw.target)) return null;
+
+        const number = (value, fallback) => (Number.isFinite(Number(value)) ? Number(value) : fallback);
+        return {
+            source: raw.source,
+            target: raw.target,
+            amount: Utils.clamp(number(raw.amount, 0.1), -2, 2),
+            curve: this.curves[raw.curve] ? raw.curve : 'linear',
+            smoothing: Utils.clamp(number(raw.smoothing, 0), 0, 0.99),
+            polarity: raw.polarity === 'bi' ? 'bi' : 'uni'
+        };
+    }
+
+    isValidTarget(target) {
+        if (typeof target !== 'string') return false;
+        const [type, name] = target.split(':');
+        if (type === 'state') return Boolean(name);
+        if (type === 'audio') return Object.prototype.hasOwnProperty.call(this.audioTargets, name);
+        return false;
+    }
+
+    addRoute(route = {}) {
+        const source = route.source || 'lfo1';
+        const normalized = this.normalizeRoute({
+            target: 'state:glow',
+            amount: 0.05,
+            polarity: this.sources[source]?.bipolar ? 'bi' : 'uni',
+            ...route,
+            source
+        });
+        if (!normalized) return null;
+
+        normalized.id = this.nextRouteId++;
+        this.routes.push(normalized);
+        this.saveSettings();
+        return normalized;
+    }
+
+    updateRoute(id, changes) {
+        const index = this.routes.findIndex(route => route.id === id);
+        if (index < 0) return null;
+
+        const updated = this.normalizeRoute({ ...this.routes[index], ...changes });
+        if (!updated) return null;
+
+        updated.id = id;
+        this.routes[index] = updated;
+        this.saveSettings();
+        return updated;
+    }
+
+    removeRoute(id) {
+        this.routes = this.routes.filter(route => route.id !== id);
+        this.routeValues.delete(id);
+        this.saveSettings();
+    }
+
+    setLfoRate(index, rate) {
+        if (!this.lfos[index]) return;
+        this.lfos[index].rate = Utils.clamp(Number(rate) || 0, 0.001, 20);
+        this.saveSettings();
+    }
+
+    setLfoShape(index, shape) {
+        if (!this.lfos[index] || !this.lfoShapes[shape]) return;
+        this.lfos[index].shape = shape;
+        this.saveSettings();
+    }
+
+    // =========================================
+    // PROCESSING
+    // =========================================
+
+    /**
+     * Back to the start of the LFO cycles with no smoothed values held over
+     * (offline renders start from here so they stay reproducible)
+     */
+    reset() {
+        this.lfoPhases = this.lfos.map(() => 0);
+        this.routeValues.clear();
+        this.sourceValues = {};
+        this.output = { state: {}, audio: {} };
+    }
+
+    /**
+     * Run every route for this frame.
+     * sources: { sourceId: value } for whatever is live this frame (LFOs are added here).
+     * Returns { state: { dimension: influence }, audio: { param: offset } }.
+     */
+    update(deltaTime, sources = {}) {
+        this.lfos.forEach((lfo, i) => {
+            const phase = ((this.lfoPhases[i] || 0) + deltaTime * lfo.rate) % 1;
+            this.lfoPhases[i] = phase;
+            sources[`lfo${i + 1}`] = (this.lfoShapes[lfo.shape] || this.lfoShapes.sine)(phase);
+        });
+        this.sourceValues = sources;
+
+        const state = {};
+        const audio = {};
+        const frames = deltaTime * 60;
+
+        this.routes.forEach((route) => {
+            const raw = sources[route.source];
+            const target = raw === undefined ? 0 : this.shape(route, raw) * route.amount;
+
+            // One-pole smoothing, frame-rate independent
+            const previous = this.routeValues.get(route.id) ?? 0;
+            const follow = route.smoothing > 0 ? 1 - Math.pow(route.smoothing, frames) : 1;
+            const value = previous + (target - previous) * follow;
+            this.routeValues.set(route.id, value);
+            if (value === 0) return;
+
+            const [type, name] = route.target.split(':');
+            const bucket = type === 'audio' ? audio : state;
+            bucket[name] = (bucket[name] || 0) + value;
+        });
+
+        this.output = { state, audio };
+        return this.output;
+    }
+
+    // Source value -> curve -> polarity
+    shape(route, value) {
+        const bipolarSource = Boolean(this.sources[route.source]?.bipolar);
+        const curve = this.curves[route.curve] || this.curves.linear;
+
+        if (route.polarity === 'bi') {
+            const signed = Utils.clamp(bipolarSource ? value : value * 2 - 1, -1, 1);
+            return Math.sign(signed) * curve(Math.abs(signed));
+        }
+        const unipolar = Utils.clamp(bipolarSource ? (value + 1) / 2 : value, 0, 1);
+        return curve(unipolar);
+    }
+
+    // Add this frame's audio offsets to a StateEngine.getAudioState() object
+    applyAudioOffsets(audioState) {
+        Object.entries(this.output.audio).forEach(([param, offset]) => {
+            if (typeof audioState[param] !== 'number') return;
+            audioState[param] = Utils.clamp(audioState[param] + offset, 0, 1);
+        });
+        return audioState;
+    }
+
+    // =========================================
+    // SETTINGS
+    // =========================================
+
+    getSettings() {
+        return {
+            routes: this.routes.map(({ id, ...route }) => ({ ...route })),
+            lfos: this.lfos.map(lfo => ({ ...lfo }))
+        };
+    }
+
+    /**
+     * Replace routes (and LFOs if given). Invalid routes are dropped.
+     */
+    load(settings, save = true) {
+        if (!settings || !Array.isArray(settings.routes)) return false;
+
+        this.nextRouteId = 1;
+        this.routes = settings.routes
+            .map(route => this.normalizeRoute(route))
+            .filter(Boolean)
+            .map(route => ({ id: this.nextRouteId++, ...route }));
+
+        const defaults = this.createDefaultLfos();
+        const lfos = Array.isArray(settings.lfos) ? settings.lfos : this.lfos;
+        this.lfos = defaults.map((fallback, i) => ({
+            shape: this.lfoShapes[lfos[i]?.shape] ? lfos[i].shape : fallback.shape,
+            rate: Number.isFinite(lfos[i]?.rate) ? Utils.clamp(lfos[i].rate, 0.001, 20) : fallback.rate
+        }));
+
+        this.reset();
+        if (save) this.saveSettings();
+        return true;
+    }
+
+    loadSettings() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? this.load(JSON.parse(raw), false) : false;
+        } catch (e) {
+            console.warn('ModulationMatrix: Could not load routes', e);
+            return false;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        } catch (e) {}
+        this.onChange?.();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModulationMatrix;
+}
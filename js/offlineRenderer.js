@@ -0,0 +1,143 @@
+/**
+ * INNER REFLECTION - Offline Renderer
+ *
+ * Deterministic frame-by-frame render for film output.
+ *
+ * Drives the app with a virtual clock (fixed 1/fps timestep, no wall time),
+ * so the same seed and settings always produce the same image sequence.
+ * Each frame is encoded as PNG at a fixed resolution independent of the window
+ * and written to a folder (File System Access API) or downloaded one by one.
+ *
+ * The app supplies the hooks:
+ *   prepare(options)           reset engines with options.seed, fix the canvas size
+ *   step(deltaTime, time)      advance one frame and render it (time in ms)
+ *   finish()                   restore live rendering
+ */
+
+class OfflineRenderer {
+    constructor() {
+        this.options = {
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            duration: 10,      // seconds
+            seed: 1
+        };
+
+        this.isRendering = false;
+        this.cancelRequested = false;
+        this.frame = 0;
+        this.totalFrames = 0;
+
+        // Callbacks
+        this.onProgress = null;    // (frame, totalFrames) => {}
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    getTotalFrames() {
+        return Math.max(1, Math.round(this.options.duration * this.options.fps));
+    }
+
+    static canWriteFolder() {
+        return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+    }
+
+    static getFrameName(seed, index) {
+        return `inner-reflection-${seed}-${String(index).padStart(6, '0')}.png`;
+    }
+
+    // =========================================
+    // RENDERING
+    // =========================================
+
+    /**
+     * Render the whole sequence. Resolves with { frames, cancelled, folder }
+     * or null if the user dismissed the folder picker.
+     */
+    async render(canvas, { prepare, step, finish }) {
+        if (this.isRendering) return null;
+
+        // Ask for the output folder first - the picker needs the click's user activation
+        let directory = null;
+        if (OfflineRenderer.canWriteFolder()) {
+            try {
+                directory = await window.showDirectoryPicker({ id: 'inner-reflection-frames', mode: 'readwrite' });
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                console.warn('OfflineRenderer: Folder access failed, downloading frames instead', error);
+            }
+        }
+
+        const { fps, seed } = this.options;
+        const deltaTime = 1 / fps;
+        this.totalFrames = this.getTotalFrames();
+        this.frame = 0;
+        this.cancelRequested = false;
+        this.isRendering = true;
+
+        console.log(`OfflineRenderer: Rendering ${this.totalFrames} frames at ` +
+            `${this.options.width}x${this.options.height}, ${fps} fps, seed ${seed}`);
+
+        try {
+            prepare(this.options);
+
+            while (this.frame < this.totalFrames && !this.cancelRequested) {
+                step(deltaTime, this.frame * deltaTime * 1000);
+
+                // toBlob snapshots the drawing buffer synchronously, right after the render
+                const blob = await this.capture(canvas);
+                await this.writeFrame(directory, OfflineRenderer.getFrameName(seed, this.frame), blob);
+
+                this.frame++;
+                this.onProgress?.(this.frame, this.totalFrames);
+            }
+        } finally {
+            this.isRendering = false;
+            finish();
+        }
+
+        const cancelled = this.cancelRequested;
+        console.log(`OfflineRenderer: ${cancelled ? 'Cancelled after' : 'Finished'} ${this.frame} frames`);
+        return { frames: this.frame, cancelled, folder: directory?.name || null };
+    }
+
+    cancel() {
+        if (this.isRendering) {
+            this.cancelRequested = true;
+        }
+    }
+
+    capture(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG encoding failed'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    async writeFrame(directory, name, blob) {
+        if (directory) {
+            const handle = await directory.getFileHandle(name, { create: true });
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            return;
+        }
+
+        // Fallback: one download per frame, paced so the browser keeps up
+        Utils.downloadBlob(name, blob, 'image/png');
+        await Utils.wait(120);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineRenderer;
+}
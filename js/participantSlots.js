@@ -0,0 +1,129 @@
+/**
+ * INNER REFLECTION - Participant Slots
+ *
+ * Multi-person mode: hands each tracked face (FaceTracker participants) its own
+ * secondary ripple origin, color accent and drone voice.
+ *
+ * The oldest visible participant is the primary and keeps driving the main
+ * displacement center through the usual face path; the next ones take the
+ * ripple 2 / ripple 3 slots. Slots fade in when someone arrives and fade out
+ * after they leave; a newcomer can take over a fading slot, in which case the
+ * ripple glides from the old position to the new one instead of jumping.
+ *
+ * Everything advances with the frame delta, so replays and offline renders
+ * produce the same handoffs.
+ */
+
+class ParticipantSlots {
+    constructor(slotCount = 2) {
+        this.fadeInTime = 1.5;     // seconds
+        this.fadeOutTime = 2.5;
+        this.followRate = 3;       // Position glide (per second)
+
+        // Drone voice intervals over the base drone, picked per participant id
+        this.voiceRatios = [1.5, 2, 2.5, 3, 4 / 3];
+
+        this.slots = Array.from({ length: slotCount }, () => this.createSlot());
+        this.primaryId = null;
+    }
+
+    createSlot() {
+        return {
+            id: null,
+            active: false,
+            presence: 0,           // 0-1 fade
+            x: 0.5,
+            y: 0.5,
+            size: 0.3,
+            mouthOpen: 0,
+            hue: 0,
+            color: [1, 1, 1],
+            ratio: 1.5
+        };
+    }
+
+    reset() {
+        this.slots = this.slots.map(() => this.createSlot());
+        this.primaryId = null;
+    }
+
+    /**
+     * Advance one frame. participants: FaceTracker participants (oldest first), or [] when no face input.
+     */
+    update(participants, deltaTime) {
+        const visible = (participants || []).filter(p => p.visible !== false);
+        this.primaryId = visible[0]?.id ?? null;
+        const others = visible.slice(1);
+
+        this.slots.forEach((slot) => {
+            slot.active = others.some(p => p.id === slot.id);
+        });
+
+        // Newcomers take an empty slot first, then the most faded inactive one
+        others.forEach((participant) => {
+            if (this.slots.some(slot => slot.id === participant.id)) return;
+            const free = this.slots.find(slot => slot.id === null) ||
+                this.slots.filter(slot => !slot.active).sort((a, b) => a.presence - b.presence)[0];
+            if (!free) return;
+
+            const wasEmpty = free.id === null;
+            this.assign(free, participant.id);
+            if (wasEmpty) {
+                // Nothing to glide from - start where the face is
+                free.x = ParticipantSlots.toScreenX(participant.faceX);
+                free.y = ParticipantSlots.toScreenY(participant.faceY);
+            }
+        });
+
+        const follow = Utils.clamp(deltaTime * this.followRate, 0, 1);
+        this.slots.forEach((slot) => {
+            const participant = others.find(p => p.id === slot.id);
+            if (participant) {
+                slot.active = true;
+                slot.presence = Math.min(1, slot.presence + deltaTime / this.fadeInTime);
+                slot.x += (ParticipantSlots.toScreenX(participant.faceX) - slot.x) * follow;
+                slot.y += (ParticipantSlots.toScreenY(participant.faceY) - slot.y) * follow;
+                slot.size += ((participant.faceSize ?? 0.3) - slot.size) * follow;
+                slot.mouthOpen += ((participant.mouthOpen ?? 0) - slot.mouthOpen) * follow;
+            } else {
+                slot.active = false;
+                slot.presence = Math.max(0, slot.presence - deltaTime / this.fadeOutTime);
+                slot.mouthOpen *= 1 - follow;
+                if (slot.presence === 0) slot.id = null;
+            }
+        });
+
+        return this.slots;
+    }
+
+    assign(slot, id) {
+        slot.id = id;
+        // Golden-angle hues keep neighbouring ids far apart on the color wheel
+        slot.hue = (id * 0.618034) % 1;
+        const { r, g, b } = Utils.hslToRgb(slot.hue, 0.75, 0.6);
+        slot.color = [r / 255, g / 255, b / 255];
+        slot.ratio = this.voiceRatios[id % this.voiceRatios.length];
+    }
+
+    hasPresence() {
+        return this.slots.some(slot => slot.presence > 0);
+    }
+
+    getColor(id) {
+        return this.slots.find(slot => slot.id === id)?.color || null;
+    }
+
+    // Camera space -> screen space (the camera image is mirrored, uv y points up)
+    static toScreenX(faceX = 0.5) {
+        return 1 - faceX;
+    }
+
+    static toScreenY(faceY = 0.5) {
+        return 1 - faceY;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParticipantSlots;
+}
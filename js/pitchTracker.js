@@ -0,0 +1,220 @@
+/**
+ * INNER REFLECTION - Pitch Tracker
+ *
+ * Hears what someone hums or sings into the mic:
+ *   pitch   YIN on the time-domain signal (downsampled 2x, 70-1000 Hz)
+ *   note    the sung note, once it has been held for a moment
+ *   key     pitch-class histogram of held notes (slow decay) correlated
+ *           with the Krumhansl-Kessler major/minor key profiles
+ *
+ * Output (per frame): { frequency, note, clarity, voiced, keyRoot, keyMode, keyConfidence }
+ *   note           MIDI number (fractional), 0 when unvoiced
+ *   keyRoot        pitch class 0-11 (0 = C), -1 until a key has been heard
+ *   keyMode        'major' | 'minor'
+ *   keyConfidence  0-1
+ *
+ * Driven by frame deltas (not wall time) so replays estimate the same key.
+ * Input quieter than maskLevel (the app's own output, see InputManager.setPlaybackLevel)
+ * counts as silence - otherwise the mic would hear the drones and follow its own key.
+ */
+
+class PitchTracker {
+    constructor() {
+        this.minFrequency = 70;
+        this.maxFrequency = 1000;
+        this.threshold = 0.15;         // YIN dip threshold (lower = stricter)
+        this.minLevel = 0.01;          // RMS below this counts as silence
+        this.maskLevel = 0;            // RMS of the speakers - input must be louder to count
+        this.noteHoldTime = 0.2;       // seconds inside one semitone before a note counts
+        this.keyMemory = 20;           // seconds for the key histogram to halve
+
+        // Krumhansl-Kessler key profiles (tonic first)
+        this.profiles = {
+            major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+            minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = null;
+        this.difference = null;
+        this.heldNote = 0;
+        this.heldTime = 0;
+        this.histogram = new Array(12).fill(0);
+        this.key = { root: -1, mode: 'major', confidence: 0 };
+        this.state = this.createState();
+    }
+
+    createState() {
+        return { frequency: 0, note: 0, clarity: 0, voiced: false, keyRoot: -1, keyMode: 'major', keyConfidence: 0 };
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    static frequencyToMidi(frequency) {
+        return 69 + 12 * Math.log2(frequency / 440);
+    }
+
+    static midiToName(midi) {
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const rounded = Math.round(midi);
+        return `${names[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+    }
+
+    // =========================================
+    // ANALYSIS
+    // =========================================
+
+    /**
+     * Feed one analyser frame. samples: Float32Array time-domain signal (-1..1).
+     */
+    process(samples, sampleRate, deltaTime) {
+        if (!samples || !(deltaTime > 0)) return this.state;
+
+        const detected = this.detectPitch(samples, sampleRate || 44100);
+        const note = detected ? PitchTracker.frequencyToMidi(detected.frequency) : 0;
+
+        // A note has to stay within a semitone for a moment before it shapes the key
+        if (detected && this.heldNote > 0 && Math.abs(note - this.heldNote) < 0.5) {
+            this.heldTime += deltaTime;
+            this.heldNote += (note - this.heldNote) * 0.3;
+        } else {
+            this.heldNote = note;
+            this.heldTime = 0;
+        }
+
+        const held = detected && this.heldTime >= this.noteHoldTime;
+        this.updateKey(held ? this.heldNote : 0, detected?.clarity || 0, deltaTime);
+
+        this.state = {
+            frequency: detected?.frequency || 0,
+            note: held ? this.heldNote : 0,
+            clarity: detected?.clarity || 0,
+            voiced: Boolean(held),
+            keyRoot: this.key.root,
+            keyMode: this.key.mode,
+            keyConfidence: this.key.confidence
+        };
+        return this.state;
+    }
+
+    /**
+     * YIN: cumulative mean normalized difference, first dip under the threshold,
+     * parabolic interpolation. Returns { frequency, clarity } or null.
+     */
+    detectPitch(samples, sampleRate) {
+        // Average pairs of samples - halves the work, voice pitch stays well below Nyquist
+        const rate = sampleRate / 2;
+        const length = Math.floor(samples.length / 2);
+        if (!this.buffer || this.buffer.length !== length) {
+            this.buffer = new Float32Array(length);
+        }
+
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            const value = (samples[i * 2] + samples[i * 2 + 1]) / 2;
+            this.buffer[i] = value;
+            energy += value * value;
+        }
+        const level = Math.sqrt(energy / length);
+        if (level < this.minLevel || level < this.maskLevel) return null;
+
+        const minTau = Math.max(2, Math.floor(rate / this.maxFrequency));
+        const maxTau = Math.min(Math.floor(length / 2), Math.ceil(rate / this.minFrequency));
+        const window = length - maxTau;
+        if (maxTau <= minTau || window <= 0) return null;
+
+        if (!this.difference || this.difference.length !== maxTau + 1) {
+            this.difference = new Float32Array(maxTau + 1);
+        }
+        const diff = this.difference;
+        const buffer = this.buffer;
+
+        diff[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= maxTau; tau++) {
+            let sum = 0;
+            for (let i = 0; i < window; i++) {
+                const delta = buffer[i] - buffer[i + tau];
+                sum += delta * delta;
+            }
+            runningSum += sum;
+            diff[tau] = runningSum > 0 ? sum * tau / runningSum : 1;
+        }
+
+        let tau = minTau;
+        while (tau < maxTau && diff[tau] >= this.threshold) tau++;
+        if (tau >= maxTau) return null;
+        while (tau + 1 < maxTau && diff[tau + 1] < diff[tau]) tau++;
+
+        // Under the threshold, so clarity > 1 - threshold
+        const clarity = 1 - diff[tau];
+
+        // Parabolic interpolation around the dip
+        const left = diff[tau - 1];
+        const right = diff[tau + 1];
+        const curvature = left + right - 2 * diff[tau];
+        const offset = curvature > 0 ? (left - right) / (2 * curvature) : 0;
+
+        return { frequency: rate / (tau + offset), clarity };
+    }
+
+    // =========================================
+    // KEY
+    // =========================================
+
+    updateKey(note, clarity, deltaTime) {
+        const decay = Math.pow(0.5, deltaTime / this.keyMemory);
+        for (let i = 0; i < 12; i++) this.histogram[i] *= decay;
+
+        if (note > 0) {
+            const pitchClass = ((Math.round(note) % 12) + 12) % 12;
+            this.histogram[pitchClass] += clarity * deltaTime;
+            this.key = this.estimateKey();
+        }
+    }
+
+    // Best of the 24 rotated profiles; confidence from its lead over the runner-up
+    estimateKey() {
+        const total = this.histogram.reduce((sum, value) => sum + value, 0);
+        if (total <= 0) return { root: -1, mode: 'major', confidence: 0 };
+
+        const scores = [];
+        Object.entries(this.profiles).forEach(([mode, profile]) => {
+            for (let root = 0; root < 12; root++) {
+                const rotated = this.histogram.map((_, i) => profile[(i - root + 12) % 12]);
+                scores.push({ root, mode, score: PitchTracker.correlation(this.histogram, rotated) });
+            }
+        });
+        scores.sort((a, b) => b.score - a.score);
+
+        // A couple of seconds of singing before the key is trusted at all
+        const evidence = Utils.clamp(total / 3, 0, 1);
+        const lead = Utils.clamp((scores[0].score - scores[1].score) * 5 + scores[0].score * 0.5, 0, 1);
+        return { root: scores[0].root, mode: scores[0].mode, confidence: lead * evidence };
+    }
+
+    static correlation(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        let numerator = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            numerator += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+        const denominator = Math.sqrt(varianceA * varianceB);
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PitchTracker;
+}
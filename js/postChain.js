@@ -0,0 +1,223 @@
+/**
+ * INNER REFLECTION - Post Chain
+ *
+ * Blur and bloom for the post-processing pass, rendered at reduced resolution
+ * so their cost stays flat on large (4K projector) outputs.
+ *
+ * Blur:  separable Gaussian (horizontal then vertical) with the spread and mix of the
+ *        original 3x3 post blur (taps blur * 3 px apart, mixed in at blur * 0.5).
+ *        Small radii run at full resolution with only the taps they need,
+ *        wider ones at half or quarter resolution.
+ * Bloom: soft-knee threshold into half resolution, then a dual-Kawase mip chain -
+ *        downsample through CONFIG.visual.effects.bloomLevels levels and add
+ *        each level back on the way up. Glow lowers the threshold and raises
+ *        the intensity, blur widens the spread.
+ *
+ * render() returns the textures and mix amounts for the post material.
+ */
+
+class PostChain {
+    constructor(renderer, camera, targetOptions) {
+        this.renderer = renderer;
+        this.camera = camera;
+        this.targetOptions = targetOptions;
+
+        this.levels = CONFIG.visual.effects.bloomLevels ?? 5;
+        this.blurPixels = CONFIG.visual.effects.blurPixels ?? 3;    // 3x3 tap spacing at blur = 1, px
+        this.fullResRadius = 4;        // px - below this the blur stays at full resolution
+        this.maxTaps = 16;             // texels per Gaussian pass before dropping to quarter resolution
+        this.blurTaps = 8;             // samples each side per Gaussian pass (1-8, see setBlurTaps)
+
+        this.width = 1;
+        this.height = 1;
+
+        this.materials = {
+            blur: Shaders.createGaussianBlurMaterial(),
+            prefilter: Shaders.createBloomPrefilterMaterial(),
+            down: Shaders.createKawaseDownMaterial(),
+            up: Shaders.createKawaseUpMaterial()
+        };
+
+        // One fullscreen quad, material swapped per pass
+        this.scene = new THREE.Scene();
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.materials.blur);
+        this.scene.add(this.mesh);
+
+        this.targets = {
+            blurFull: [this.createTarget(), this.createTarget()],
+            blurHalf: [this.createTarget(), this.createTarget()],
+            blurQuarter: [this.createTarget(), this.createTarget()],
+            down: [],
+            up: []
+        };
+        for (let i = 0; i < this.levels; i++) {
+            this.targets.down.push(this.createTarget());
+            if (i < this.levels - 1) this.targets.up.push(this.createTarget());
+        }
+
+        this.black = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1, THREE.RGBAFormat);
+        this.black.needsUpdate = true;
+    }
+
+    createTarget() {
+        return new THREE.WebGLRenderTarget(1, 1, this.targetOptions);
+    }
+
+    // =========================================
+    // SIZE
+    // =========================================
+
+    setSize(width, height) {
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+
+        const scaled = (shift) => [
+            Math.max(2, this.width >> shift),
+            Math.max(2, this.height >> shift)
+        ];
+
+        this.targets.blurFull.forEach(target => target.setSize(...scaled(0)));
+        this.targets.blurHalf.forEach(target => target.setSize(...scaled(1)));
+        this.targets.blurQuarter.forEach(target => target.setSize(...scaled(2)));
+        this.targets.down.forEach((target, i) => target.setSize(...scaled(i + 1)));
+        this.targets.up.forEach((target, i) => target.setSize(...scaled(i + 1)));
+    }
+
+    // Fewer taps blur just as wide, with coarser steps
+    setBlurTaps(taps) {
+        this.blurTaps = Utils.clamp(Math.round(taps), 1, 8);
+    }
+
+    // Reallocate every target with a new texture type (HDR on/off)
+    setTextureType(type) {
+        this.targetOptions = { ...this.targetOptions, type };
+        const { blurFull, blurHalf, blurQuarter, down, up } = this.targets;
+        [...blurFull, ...blurHalf, ...blurQuarter, ...down, ...up].forEach((target) => {
+            target.texture.type = type;
+            target.dispose();
+        });
+    }
+
+    // =========================================
+    // RENDER
+    // =========================================
+
+    renderPass(material, target) {
+        this.mesh.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Run blur and bloom on the source target.
+     * blur, glow: 0-1 (the smoothed visual state)
+     * Returns { blurTexture, blurMix, bloomTexture, bloomIntensity }
+     */
+    render(source, { blur = 0, glow = 0 } = {}) {
+        const result = {
+            blurTexture: source.texture,
+            blurMix: 0,
+            bloomTexture: this.black,
+            bloomIntensity: 0
+        };
+
+        const blurTexture = this.renderBlur(source, blur);
+        if (blurTexture) {
+            result.blurTexture = blurTexture;
+            result.blurMix = Utils.clamp(blur * 0.5, 0, 1);
+        }
+
+        if (glow > 0.001) {
+            const spread = 0.6 + Utils.clamp(blur, 0, 1) * 0.4;
+            result.bloomTexture = this.renderBloom(source, glow, spread);
+
+            // Every level adds up to spread^level - keep the total brightness in check
+            let total = 0;
+            for (let i = 0; i < this.levels; i++) total += Math.pow(spread, i);
+            result.bloomIntensity = glow * 2 / total;
+        }
+        return result;
+    }
+
+    // Two Gaussian passes; null when the radius is under half a pixel
+    renderBlur(source, amount) {
+        // A 1-2-1 kernel with taps d px apart spreads like a Gaussian with sigma d / sqrt(2);
+        // the Gaussian pass reaches out to 2.5 sigma
+        const sigma = amount * this.blurPixels * Math.SQRT1_2;
+        const radius = sigma * 2.5;
+        if (radius < 0.5) return null;
+
+        // Radius in texels of the chosen resolution
+        const scale = radius < this.fullResRadius ? 1 : (radius > this.maxTaps * 1.5 ? 4 : 2);
+        const [ping, pong] = scale === 1 ? this.targets.blurFull
+            : scale === 2 ? this.targets.blurHalf : this.targets.blurQuarter;
+        const texelRadius = Math.max(Math.min(radius / scale, this.maxTaps), 1);
+
+        // Taps at most a texel apart are enough - small radii need only a couple
+        const uniforms = this.materials.blur.uniforms;
+        uniforms.uRadius.value = texelRadius;
+        uniforms.uTaps.value = Math.min(this.blurTaps, Math.ceil(texelRadius));
+
+        uniforms.uTexture.value = source.texture;
+        uniforms.uTexelSize.value.set(1 / ping.width, 1 / ping.height);
+        uniforms.uDirection.value.set(1, 0);
+        this.renderPass(this.materials.blur, ping);
+
+        uniforms.uTexture.value = ping.texture;
+        uniforms.uDirection.value.set(0, 1);
+        this.renderPass(this.materials.blur, pong);
+
+        return pong.texture;
+    }
+
+    renderBloom(source, glow, spread) {
+        const { down, up } = this.targets;
+
+        // Brighter glow lets more of the image into the bloom
+        const threshold = 0.9 - Utils.clamp(glow, 0, 1) * 0.4;
+        const prefilter = this.materials.prefilter.uniforms;
+        prefilter.uTexture.value = source.texture;
+        prefilter.uTexelSize.value.set(1 / this.width, 1 / this.height);
+        prefilter.uThreshold.value = threshold;
+        prefilter.uKnee.value = threshold * 0.5;
+        this.renderPass(this.materials.prefilter, down[0]);
+
+        const downUniforms = this.materials.down.uniforms;
+        for (let i = 1; i < down.length; i++) {
+            downUniforms.uTexture.value = down[i - 1].texture;
+            downUniforms.uTexelSize.value.set(1 / down[i - 1].width, 1 / down[i - 1].height);
+            this.renderPass(this.materials.down, down[i]);
+        }
+
+        // Walk back up: each level plus the blurred level below it
+        const upUniforms = this.materials.up.uniforms;
+        upUniforms.uSpread.value = spread;
+        for (let i = up.length - 1; i >= 0; i--) {
+            const lower = i === up.length - 1 ? down[i + 1] : up[i + 1];
+            upUniforms.uTexture.value = lower.texture;
+            upUniforms.uBase.value = down[i].texture;
+            // Half a texel of the output, so the tent reaches one output texel out
+            upUniforms.uTexelSize.value.set(0.5 / up[i].width, 0.5 / up[i].height);
+            this.renderPass(this.materials.up, up[i]);
+        }
+
+        return up.length > 0 ? up[0].texture : down[0].texture;
+    }
+
+    // =========================================
+    // CLEANUP
+    // =========================================
+
+    dispose() {
+        const { blurHalf, blurQuarter, down, up } = this.targets;
+        [...blurHalf, ...blurQuarter, ...down, ...up].forEach(target => target.dispose());
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.mesh.geometry.dispose();
+        this.black.dispose();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostChain;
+}
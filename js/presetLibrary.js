@@ -0,0 +1,1003 @@
+/**
+ * INNER REFLECTION - Preset Library
+ * 
+ * Named visual presets ("wingle words") for the debug panel.
+ * Factory and user presets share one schema:
+ *   { name, state: { dimension: value }, manual: { manualVisual key: value }, vignetteShape, modulation, effects }
+ * modulation (user presets only) holds ModulationMatrix routes + LFOs, validated when loaded.
+ * effects holds EffectStack settings (order, enabled passes, params, bindings), validated when loaded;
+ * presets without it run with every effect off.
+ * 
+ * User presets are snapshots of the current StateEngine + manual visual values.
+ * They persist to localStorage and can be exported/imported as JSON files
+ * (shared with the other library through UserPresetStore).
+ */
+
+class PresetLibrary {
+    constructor() {
+        // StateEngine dimensions captured in a snapshot (audio dimensions are left to sound presets)
+        this.visualDimensions = [
+            'colorHue1', 'colorHue2', 'colorHue3', 'colorHue4',
+            'colorSaturation', 'colorBrightness',
+            'gradientSpeed', 'gradientScale', 'gradientComplexity',
+            'colorContrast', 'colorWarmth',
+            'displacementX', 'displacementY', 'displacementStrength', 'displacementRadius',
+            'displacementRings', 'displacementWobble', 'displacementChromatic',
+            'rippleOrigin2Strength', 'rippleOrigin3Strength',
+            'morphProgress', 'morphType',
+            'blur', 'glow', 'vignette',
+            'saturationPost', 'brightnessPost', 'contrastPost', 'noiseAmount', 'brightnessEvolution',
+            'shapeType', 'waveDelay', 'waveAmplitude', 'waveSpeed', 'edgeSharpness', 'minRadius',
+            'shapeRotation', 'rotationSpeed',
+            'foldAmount', 'invertAmount', 'secondaryWave', 'tertiaryWave'
+        ];
+        
+        this.builtin = {};
+        Object.entries(this.createBuiltinPresets()).forEach(([id, preset]) => {
+            this.builtin[id] = this.normalizePreset({ name: id, ...preset });
+        });
+        
+        // Saved presets - ids, localStorage and files
+        this.store = new UserPresetStore({
+            storageKey: 'innerReflection.userPresets',
+            fileFormat: 'inner-reflection-presets',
+            fileVersion: 1,
+            slugFallback: 'preset',
+            noun: 'presets',
+            logName: 'PresetLibrary',
+            normalize: raw => this.normalizePreset(raw)
+        });
+    }
+    
+    // =========================================
+    // FACTORY PRESETS
+    // =========================================
+    
+    createBuiltinPresets() {
+        const baseState = {
+            colorHue1: 0.5,
+            colorHue2: 0.08,
+            colorHue3: 0.85,
+            colorHue4: 0.35,
+            colorSaturation: 0.7,
+            colorBrightness: 0.55,
+            displacementStrength: 0.5,
+            displacementRadius: 0.7,
+            displacementRings: 0.5,
+            displacementX: 0.5,
+            displacementY: 0.5,
+            displacementChromatic: 0.35,
+            displacementWobble: 0.2,
+            rippleOrigin2Strength: 0.25,
+            rippleOrigin3Strength: 0.18,
+            morphProgress: 0,
+            morphType: 0.1,
+            shapeType: 0.0,
+            waveDelay: 0.5,
+            waveAmplitude: 0.3,
+            waveSpeed: 0.5,
+            edgeSharpness: 0.25,
+            minRadius: 0.06,
+            shapeRotation: 0,
+            rotationSpeed: 0.15,
+            foldAmount: 0.4,
+            invertAmount: 0.2,
+            secondaryWave: 0.35,
+            tertiaryWave: 0.15,
+            blur: 0.15,
+            glow: 0.3,
+            vignette: 0.15,
+            brightnessEvolution: 0.5
+        };
+        
+        const baseManual = {
+            ringDelay: 0.4,
+            ringOverlayStrength: 0.5,
+            ringOverlayWidth: 0.4,
+            parallelStrength: 0.0,
+            parallelZoom: 0.42,
+            parallelZoomDrift: 0.15,
+            parallelSpin: 0.15,
+            parallelThickness: 0.28,
+            parallelPresence: 0.0,
+            blobCount: 8,
+            blobSpread: 0.75,
+            blobScale: 0.95,
+            blobMotion: 0.5,
+            blobBlur: 0.75,
+            blobSmear: 0.6,
+            blobLighten: 0.25,
+            blobInvert: 0.1,
+            blobFade: 0.7,
+            blobWarp: 0.3,
+            blobOffsetX: 0,
+            blobOffsetY: 0
+        };
+        
+        return {
+            // === DRAMATICALLY DIFFERENT PRESETS ===
+            glowingPill: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.33,     // Green
+                    colorHue2: 0.08,     // Orange/red
+                    colorHue3: 0.35,     // Green-yellow
+                    colorHue4: 0.05,     // Red-orange
+                    colorSaturation: 0.95,
+                    colorBrightness: 0.65,
+                    displacementStrength: 0.65,
+                    displacementRadius: 0.55,
+                    displacementRings: 0.12,  // Minimal rings - solid shape
+                    displacementChromatic: 0.35,
+                    displacementWobble: 0.02,
+                    shapeType: 1.0,       // Pill/capsule shape
+                    waveDelay: 0.3,
+                    waveAmplitude: 0.1,
+                    edgeSharpness: 0.45,
+                    blur: 0.35,
+                    glow: 0.65,
+                    vignette: 0.5,
+                    brightnessEvolution: 0.7
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.0,
+                    parallelStrength: 0.0,
+                    parallelPresence: 0.0,
+                    blobCount: 5,
+                    blobSpread: 0.4,
+                    blobScale: 1.3,
+                    blobBlur: 0.95,
+                    blobLighten: 0.45
+                },
+                vignetteShape: 0.65
+            },
+            
+            // Dark sphere on pink/magenta background (ref image 2)
+            darkSphere: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.92,     // Pink/magenta
+                    colorHue2: 0.58,     // Blue-cyan
+                    colorHue3: 0.12,     // Yellow-orange
+                    colorHue4: 0.88,     // Pink
+                    colorSaturation: 0.85,
+                    colorBrightness: 0.62,
+                    displacementStrength: 0.72,
+                    displacementRadius: 0.4,
+                    displacementRings: 0.08,  // Almost no rings
+                    displacementChromatic: 0.55,
+                    displacementWobble: 0.01,
+                    shapeType: 0.0,       // Circle
+                    waveDelay: 0.2,
+                    waveAmplitude: 0.08,
+                    edgeSharpness: 0.35,
+                    blur: 0.25,
+                    glow: 0.5,
+                    vignette: 0.1
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.0,
+                    parallelStrength: 0.0,
+                    blobCount: 6,
+                    blobScale: 1.4,
+                    blobBlur: 0.85,
+                    blobInvert: 0.35
+                },
+                vignetteShape: 0.5
+            },
+            
+            // Iridescent egg on black (ref image 3)
+            iridescentEgg: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.45,     // Cyan
+                    colorHue2: 0.92,     // Magenta
+                    colorHue3: 0.33,     // Green
+                    colorHue4: 0.15,     // Yellow-orange
+                    colorSaturation: 0.95,
+                    colorBrightness: 0.58,
+                    displacementStrength: 0.55,
+                    displacementRadius: 0.65,
+                    displacementRings: 0.15,
+                    displacementChromatic: 0.75,  // Strong chromatic for iridescence
+                    displacementWobble: 0.08,
+                    shapeType: 0.95,      // Near pill shape
+                    waveDelay: 0.4,
+                    waveAmplitude: 0.15,
+                    edgeSharpness: 0.5,
+                    blur: 0.15,
+                    glow: 0.35,
+                    vignette: 0.55
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.15,
+                    parallelStrength: 0.0,
+                    blobCount: 7,
+                    blobScale: 1.1,
+                    blobBlur: 0.7,
+                    blobSmear: 0.8
+                },
+                vignetteShape: 0.7
+            },
+            
+            // Concentric rings tunnel (ref images 14-15, 18)
+            concentricTunnel: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.08,     // Orange
+                    colorHue2: 0.55,     // Cyan
+                    colorHue3: 0.92,     // Magenta
+                    colorHue4: 0.33,     // Green
+                    colorSaturation: 1.0,
+                    colorBrightness: 0.6,
+                    displacementStrength: 0.6,
+                    displacementRadius: 1.0,
+                    displacementRings: 0.85,  // Many rings
+                    displacementChromatic: 0.65,
+                    displacementWobble: 0.05,
+                    shapeType: 0.0,       // Circles
+                    waveDelay: 0.7,
+                    waveAmplitude: 0.35,
+                    edgeSharpness: 0.2,
+                    blur: 0.08,
+                    glow: 0.4,
+                    vignette: 0.15
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.55,
+                    ringOverlayWidth: 0.25,
+                    parallelStrength: 0.0,
+                    blobCount: 8,
+                    blobBlur: 0.6
+                },
+                vignetteShape: 0.5
+            },
+            
+            // Glowing orb with halo (ref image 11 - green circle on purple)
+            glowingOrb: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.52,     // Teal-green
+                    colorHue2: 0.75,     // Purple
+                    colorHue3: 0.45,     // Cyan
+                    colorHue4: 0.7,      // Violet
+                    colorSaturation: 0.85,
+                    colorBrightness: 0.55,
+                    displacementStrength: 0.5,
+                    displacementRadius: 0.5,
+                    displacementRings: 0.2,
+                    displacementChromatic: 0.4,
+                    displacementWobble: 0.03,
+                    shapeType: 0.0,
+                    waveDelay: 0.35,
+                    waveAmplitude: 0.12,
+                    edgeSharpness: 0.55,
+                    blur: 0.4,
+                    glow: 0.7,
+                    vignette: 0.25
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.3,
+                    parallelStrength: 0.0,
+                    blobCount: 5,
+                    blobScale: 1.2,
+                    blobBlur: 0.95,
+                    blobLighten: 0.5
+                },
+                vignetteShape: 0.8
+            },
+            
+            // Warm sunset sphere (ref image 19 - yellow sphere on purple)
+            warmSunset: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.12,     // Yellow-orange
+                    colorHue2: 0.75,     // Purple
+                    colorHue3: 0.05,     // Red
+                    colorHue4: 0.52,     // Cyan
+                    colorSaturation: 0.8,
+                    colorBrightness: 0.6,
+                    displacementStrength: 0.45,
+                    displacementRadius: 0.55,
+                    displacementRings: 0.1,
+                    displacementChromatic: 0.3,
+                    displacementWobble: 0.02,
+                    shapeType: 0.0,
+                    waveDelay: 0.25,
+                    waveAmplitude: 0.08,
+                    edgeSharpness: 0.5,
+                    blur: 0.35,
+                    glow: 0.55,
+                    vignette: 0.2
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.1,
+                    parallelStrength: 0.0,
+                    blobCount: 6,
+                    blobScale: 1.15,
+                    blobBlur: 0.85
+                },
+                vignetteShape: 0.6
+            },
+            
+            // Layered echoes/pyramids (ref image 7 - layered glowing shapes)
+            layeredEchoes: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.03,     // Red-orange
+                    colorHue2: 0.58,     // Cyan
+                    colorHue3: 0.15,     // Yellow
+                    colorHue4: 0.42,     // Green-cyan
+                    colorSaturation: 0.88,
+                    colorBrightness: 0.55,
+                    displacementStrength: 0.4,
+                    displacementRadius: 0.85,
+                    displacementRings: 0.55,
+                    displacementChromatic: 0.45,
+                    displacementWobble: 0.15,
+                    shapeType: 0.45,      // Torus-ish
+                    waveDelay: 0.75,
+                    waveAmplitude: 0.4,
+                    edgeSharpness: 0.35,
+                    blur: 0.2,
+                    glow: 0.45,
+                    vignette: 0.35
+                },
+                manual: {
+                    ...baseManual,
+                    ringDelay: 0.6,
+                    ringOverlayStrength: 0.5,
+                    ringOverlayWidth: 0.4,
+                    parallelStrength: 0.0,
+                    blobCount: 7
+                },
+                vignetteShape: 0.4,
+                // Slow zooming trails; longer echoes the more the waves lag
+                effects: {
+                    order: ['feedback', 'pixelSort', 'lut'],
+                    effects: {
+                        feedback: {
+                            enabled: true,
+                            params: { amount: 0.8, zoom: 0.006, rotation: 0.002, hueShift: 0.004 },
+                            bindings: { amount: { dimension: 'waveDelay', min: 0.6, max: 0.92 } }
+                        }
+                    }
+                }
+            },
+            
+            // Soft focus abstract (ref image 9 - soft green/teal spiral)
+            softFocus: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.35,     // Green
+                    colorHue2: 0.45,     // Cyan
+                    colorHue3: 0.12,     // Yellow
+                    colorHue4: 0.75,     // Purple
+                    colorSaturation: 0.65,
+                    colorBrightness: 0.65,
+                    displacementStrength: 0.25,
+                    displacementRadius: 0.6,
+                    displacementRings: 0.25,
+                    displacementChromatic: 0.2,
+                    displacementWobble: 0.12,
+                    shapeType: 0.65,      // Spiral-ish
+                    waveDelay: 0.45,
+                    waveAmplitude: 0.2,
+                    edgeSharpness: 0.7,
+                    blur: 0.55,
+                    glow: 0.35,
+                    vignette: 0.15
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.15,
+                    parallelStrength: 0.0,
+                    blobCount: 9,
+                    blobScale: 1.0,
+                    blobBlur: 1.0,
+                    blobSmear: 0.85
+                },
+                vignetteShape: 0.55
+            },
+            
+            // Split/dual sphere (ref images 17, 19 with split effect)
+            dualSphere: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.55,     // Cyan
+                    colorHue2: 0.35,     // Green
+                    colorHue3: 0.75,     // Purple
+                    colorHue4: 0.05,     // Red
+                    colorSaturation: 0.78,
+                    colorBrightness: 0.58,
+                    displacementStrength: 0.55,
+                    displacementRadius: 0.5,
+                    displacementRings: 0.18,
+                    displacementChromatic: 0.5,
+                    displacementWobble: 0.05,
+                    rippleOrigin2Strength: 0.45,  // Second ripple visible
+                    rippleOrigin3Strength: 0.25,
+                    shapeType: 0.0,
+                    waveDelay: 0.4,
+                    waveAmplitude: 0.15,
+                    edgeSharpness: 0.4,
+                    blur: 0.2,
+                    glow: 0.4,
+                    vignette: 0.1
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.25,
+                    parallelStrength: 0.0,
+                    blobCount: 6,
+                    blobScale: 1.1
+                },
+                vignetteShape: 0.5
+            },
+            
+            // === ORIGINAL PRESETS (dramatically different) ===
+            
+            calm: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.55,      // Cyan-blue
+                    colorHue2: 0.48,      // Blue-cyan
+                    colorHue3: 0.62,      // Blue
+                    colorHue4: 0.42,      // Cyan
+                    colorSaturation: 0.35, // Very desaturated
+                    colorBrightness: 0.6,
+                    displacementStrength: 0.22,  // Very gentle
+                    displacementRadius: 0.5,
+                    displacementRings: 0.2,      // Few rings
+                    displacementChromatic: 0.08, // Minimal chromatic
+                    displacementWobble: 0.03,    // Almost no wobble
+                    waveDelay: 0.3,
+                    waveAmplitude: 0.08,         // Very subtle waves
+                    waveSpeed: 0.2,              // Slow
+                    edgeSharpness: 0.6,
+                    rotationSpeed: 0.02,         // Very slow rotation
+                    blur: 0.5,                   // Heavy blur
+                    glow: 0.15,
+                    brightnessEvolution: 0.2     // Stable
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.15,
+                    ringOverlayWidth: 0.5,
+                    ringDelay: 0.2,
+                    blobCount: 5,
+                    blobSpread: 0.4,
+                    blobScale: 0.6,
+                    blobMotion: 0.15,
+                    blobBlur: 1.0,
+                    blobSmear: 0.9,
+                    blobLighten: 0.1
+                },
+                vignetteShape: 0.6
+            },
+            softBlobs: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.85,      // Pink-magenta
+                    colorHue2: 0.75,      // Purple
+                    colorHue3: 0.45,      // Cyan
+                    colorHue4: 0.95,      // Red-pink
+                    colorSaturation: 0.6,
+                    colorBrightness: 0.65,
+                    displacementStrength: 0.12,  // Very weak rings
+                    displacementRadius: 0.35,    // Small area
+                    displacementRings: 0.1,      // Minimal rings
+                    displacementChromatic: 0.15,
+                    displacementWobble: 0.5,     // High wobble for organic feel
+                    waveDelay: 0.8,
+                    waveAmplitude: 0.35,
+                    waveSpeed: 0.35,
+                    edgeSharpness: 0.95,         // Very soft edges
+                    rotationSpeed: 0.08,
+                    blur: 0.8,                   // Very blurry
+                    glow: 0.6,                   // Strong glow
+                    brightnessEvolution: 0.7
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.05,
+                    blobCount: 16,               // Many blobs
+                    blobSpread: 1.0,
+                    blobScale: 1.4,              // Large blobs
+                    blobBlur: 1.0,
+                    blobSmear: 0.95,
+                    blobMotion: 0.8,
+                    blobWarp: 0.6,
+                    blobLighten: 0.5,
+                    blobInvert: 0.3
+                },
+                vignetteShape: 0.7
+            },
+            singleRing: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.08,      // Orange
+                    colorHue2: 0.95,      // Red
+                    colorHue3: 0.12,      // Yellow-orange
+                    colorHue4: 0.02,      // Deep red
+                    colorSaturation: 0.95,
+                    colorBrightness: 0.55,
+                    displacementStrength: 0.95,  // Very strong
+                    displacementRadius: 0.6,
+                    displacementRings: 0.08,     // Almost single ring
+                    displacementChromatic: 0.65,
+                    displacementWobble: 0.02,    // Clean edges
+                    waveDelay: 0.15,
+                    waveAmplitude: 0.5,          // Strong wave
+                    waveSpeed: 0.6,
+                    edgeSharpness: 0.05,         // Very sharp
+                    minRadius: 0.15,             // Hollow center
+                    rotationSpeed: 0.25,
+                    blur: 0.02,                  // Almost no blur
+                    glow: 0.45,
+                    brightnessEvolution: 0.4
+                },
+                manual: {
+                    ...baseManual,
+                    ringDelay: 0.6,
+                    ringOverlayStrength: 0.85,   // Strong overlay
+                    ringOverlayWidth: 0.15,
+                    blobCount: 3,
+                    blobScale: 0.5,
+                    blobBlur: 0.3,
+                    blobMotion: 0.2,
+                    blobLighten: 0.0
+                },
+                vignetteShape: 0.85
+            },
+            multiRings: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.45,      // Cyan
+                    colorHue2: 0.65,      // Blue
+                    colorHue3: 0.85,      // Purple
+                    colorHue4: 0.25,      // Green
+                    colorSaturation: 0.85,
+                    colorBrightness: 0.58,
+                    displacementStrength: 0.7,
+                    displacementRadius: 1.0,     // Full screen
+                    displacementRings: 0.95,     // Maximum rings
+                    displacementChromatic: 0.7,
+                    displacementWobble: 0.15,
+                    waveDelay: 0.85,             // Long delay between rings
+                    waveAmplitude: 0.45,
+                    waveSpeed: 0.7,              // Fast
+                    edgeSharpness: 0.12,
+                    minRadius: 0.02,
+                    rotationSpeed: 0.3,
+                    blur: 0.08,
+                    glow: 0.35
+                },
+                manual: {
+                    ...baseManual,
+                    ringDelay: 0.7,
+                    ringOverlayStrength: 0.6,
+                    ringOverlayWidth: 0.25,
+                    blobCount: 12,
+                    blobSpread: 0.9,
+                    blobMotion: 0.6
+                },
+                vignetteShape: 0.4
+            },
+            chromatic: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.0,       // Red
+                    colorHue2: 0.25,      // Yellow-green
+                    colorHue3: 0.5,       // Cyan
+                    colorHue4: 0.75,      // Purple
+                    colorSaturation: 1.0, // Full saturation
+                    colorBrightness: 0.65,
+                    displacementStrength: 0.85,
+                    displacementRadius: 0.9,
+                    displacementRings: 0.75,
+                    displacementChromatic: 1.0,  // Maximum chromatic
+                    displacementWobble: 0.2,
+                    waveDelay: 0.55,
+                    waveAmplitude: 0.4,
+                    waveSpeed: 0.55,
+                    edgeSharpness: 0.08,
+                    rotationSpeed: 0.35,
+                    blur: 0.05,
+                    glow: 0.5,
+                    brightnessEvolution: 0.65
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.55,
+                    ringOverlayWidth: 0.2,
+                    blobCount: 14,
+                    blobLighten: 0.4,
+                    blobInvert: 0.25,
+                    blobMotion: 0.5
+                },
+                vignetteShape: 0.5
+            },
+            angular: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.12,      // Yellow
+                    colorHue2: 0.92,      // Magenta
+                    colorHue3: 0.35,      // Green
+                    colorHue4: 0.65,      // Blue
+                    colorSaturation: 0.9,
+                    colorBrightness: 0.52,
+                    displacementStrength: 0.65,
+                    displacementRadius: 0.75,
+                    displacementRings: 0.45,
+                    displacementChromatic: 0.45,
+                    displacementWobble: 0.02,    // Very clean
+                    morphProgress: 0.85,
+                    morphType: 0.75,
+                    shapeType: 0.6,              // Angular shapes
+                    waveDelay: 0.4,
+                    waveAmplitude: 0.2,
+                    waveSpeed: 0.4,
+                    edgeSharpness: 0.02,         // Very sharp
+                    rotationSpeed: 0.45,         // Fast rotation
+                    blur: 0.0,                   // No blur
+                    glow: 0.25,
+                    brightnessEvolution: 0.55
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.5,
+                    ringDelay: 0.3,
+                    blobCount: 5,
+                    blobBlur: 0.2,
+                    blobMotion: 0.25
+                },
+                vignetteShape: 0.3
+            },
+            minimal: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.0,       // Greyscale tint
+                    colorHue2: 0.0,
+                    colorHue3: 0.0,
+                    colorHue4: 0.0,
+                    colorSaturation: 0.0, // No color
+                    colorBrightness: 0.75,
+                    displacementStrength: 0.15,
+                    displacementRadius: 0.4,
+                    displacementRings: 0.15,
+                    displacementChromatic: 0.0,  // No chromatic
+                    displacementWobble: 0.0,
+                    waveDelay: 0.2,
+                    waveAmplitude: 0.05,
+                    waveSpeed: 0.15,
+                    edgeSharpness: 0.5,
+                    rotationSpeed: 0.0,          // No rotation
+                    blur: 0.3,
+                    glow: 0.05,
+                    brightnessEvolution: 0.1
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.1,
+                    blobCount: 3,
+                    blobBlur: 0.8,
+                    blobLighten: 0.0,
+                    blobInvert: 0.0,
+                    blobMotion: 0.1
+                },
+                vignetteShape: 0.9
+            },
+            halo: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.15,      // Gold/yellow
+                    colorHue2: 0.08,      // Orange
+                    colorHue3: 0.02,      // Red
+                    colorHue4: 0.18,      // Yellow
+                    colorSaturation: 0.75,
+                    colorBrightness: 0.7,
+                    displacementStrength: 0.75,
+                    displacementRadius: 0.95,
+                    displacementRings: 0.35,
+                    displacementChromatic: 0.5,
+                    displacementWobble: 0.08,
+                    waveDelay: 0.75,
+                    waveAmplitude: 0.4,
+                    waveSpeed: 0.45,
+                    edgeSharpness: 0.15,
+                    minRadius: 0.2,              // Hollow center
+                    rotationSpeed: 0.12,
+                    blur: 0.25,
+                    glow: 0.85,                  // Strong glow
+                    brightnessEvolution: 0.55
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.8,
+                    ringOverlayWidth: 0.2,
+                    ringDelay: 0.65,
+                    blobCount: 10,
+                    blobLighten: 0.6,
+                    blobBlur: 0.95
+                },
+                vignetteShape: 0.75
+            },
+            liquid: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.55,      // Cyan
+                    colorHue2: 0.45,      // Teal
+                    colorHue3: 0.65,      // Blue
+                    colorHue4: 0.35,      // Green
+                    colorSaturation: 0.7,
+                    colorBrightness: 0.6,
+                    displacementStrength: 0.4,
+                    displacementRadius: 0.65,
+                    displacementRings: 0.3,
+                    displacementChromatic: 0.35,
+                    displacementWobble: 0.6,     // High wobble
+                    shapeType: 0.15,
+                    waveDelay: 0.6,
+                    waveAmplitude: 0.5,          // Strong waves
+                    waveSpeed: 0.65,
+                    edgeSharpness: 0.8,          // Soft
+                    rotationSpeed: 0.18,
+                    blur: 0.45,
+                    glow: 0.35,
+                    brightnessEvolution: 0.7
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.2,
+                    blobCount: 15,
+                    blobMotion: 0.95,
+                    blobSmear: 1.0,
+                    blobBlur: 0.95,
+                    blobWarp: 0.7,
+                    blobLighten: 0.45,
+                    blobInvert: 0.3
+                },
+                vignetteShape: 0.55
+            },
+            prism: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.0,       // Red
+                    colorHue2: 0.15,      // Orange-yellow
+                    colorHue3: 0.33,      // Green
+                    colorHue4: 0.66,      // Blue
+                    colorSaturation: 1.0,
+                    colorBrightness: 0.62,
+                    displacementStrength: 0.8,
+                    displacementRadius: 0.85,
+                    displacementRings: 0.6,
+                    displacementChromatic: 0.95, // Very high
+                    shapeType: 0.7,
+                    morphProgress: 0.6,
+                    morphType: 0.85,
+                    waveDelay: 0.5,
+                    waveAmplitude: 0.35,
+                    waveSpeed: 0.5,
+                    edgeSharpness: 0.1,
+                    rotationSpeed: 0.28,
+                    blur: 0.08,
+                    glow: 0.45,
+                    brightnessEvolution: 0.6
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.55,
+                    ringOverlayWidth: 0.25,
+                    parallelStrength: 0.0,
+                    parallelPresence: 0.0,
+                    parallelZoom: 0.7,
+                    parallelSpin: 0.6,
+                    blobCount: 9,
+                    blobLighten: 0.3,
+                    blobInvert: 0.2
+                },
+                vignetteShape: 0.5
+            },
+            nocturne: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.72,      // Deep purple
+                    colorHue2: 0.68,      // Blue-purple
+                    colorHue3: 0.78,      // Violet
+                    colorHue4: 0.65,      // Blue
+                    colorSaturation: 0.25, // Very desaturated
+                    colorBrightness: 0.35, // Dark
+                    displacementStrength: 0.35,
+                    displacementRadius: 0.7,
+                    displacementRings: 0.5,
+                    displacementChromatic: 0.12,
+                    displacementWobble: 0.1,
+                    waveDelay: 0.65,
+                    waveAmplitude: 0.2,
+                    waveSpeed: 0.25,       // Slow
+                    edgeSharpness: 0.4,
+                    rotationSpeed: 0.05,   // Very slow
+                    blur: 0.55,
+                    glow: 0.12,            // Minimal glow
+                    brightnessEvolution: 0.15
+                },
+                manual: {
+                    ...baseManual,
+                    ringOverlayStrength: 0.25,
+                    blobCount: 6,
+                    blobBlur: 0.9,
+                    blobLighten: 0.08,
+                    blobMotion: 0.2,
+                    blobInvert: 0.15
+                },
+                vignetteShape: 0.8
+            },
+            interference: {
+                state: {
+                    ...baseState,
+                    colorHue1: 0.45,      // Cyan
+                    colorHue2: 0.92,      // Magenta
+                    colorHue3: 0.25,      // Green
+                    colorHue4: 0.08,      // Orange
+                    colorSaturation: 0.95,
+                    colorBrightness: 0.58,
+                    displacementStrength: 0.6,
+                    displacementRadius: 0.85,
+                    displacementRings: 0.7,
+                    displacementChromatic: 0.65,
+                    displacementWobble: 0.25,
+                    rippleOrigin2Strength: 0.65, // Strong second ripple
+                    rippleOrigin3Strength: 0.5,  // Strong third ripple
+                    shapeType: 0.4,
+                    waveDelay: 0.45,
+                    waveAmplitude: 0.4,
+                    waveSpeed: 0.6,
+                    edgeSharpness: 0.15,
+                    rotationSpeed: 0.22,
+                    blur: 0.12,
+                    glow: 0.4,
+                    brightnessEvolution: 0.65
+                },
+                manual: {
+                    ...baseManual,
+                    parallelStrength: 0.75,
+                    parallelPresence: 0.8,
+                    parallelZoom: 0.65,
+                    parallelZoomDrift: 0.5,
+                    parallelSpin: 0.65,
+                    parallelThickness: 0.55,
+                    ringOverlayStrength: 0.35,
+                    blobCount: 11,
+                    blobMotion: 0.55
+                },
+                vignetteShape: 0.35
+            }
+        };
+    }
+    
+    // =========================================
+    // LOOKUP
+    // =========================================
+    
+    get(id) {
+        return this.store.get(id) || this.builtin[id] || null;
+    }
+    
+    isUserPreset(id) {
+        return this.store.has(id);
+    }
+    
+    listUserPresets() {
+        return this.store.list();
+    }
+    
+    // =========================================
+    // SNAPSHOTS
+    // =========================================
+    
+    /**
+     * Capture the current visual state as a preset object
+     */
+    createSnapshot(name, stateEngine, manualVisual, vignetteShape, modulation = null, effects = null) {
+        const state = {};
+        if (stateEngine) {
+            this.visualDimensions.forEach((dimension) => {
+                if (stateEngine.dimensions[dimension] === undefined) return;
+                state[dimension] = stateEngine.get(dimension);
+            });
+        }
+        
+        return this.normalizePreset({
+            name,
+            state,
+            manual: { ...manualVisual },
+            vignetteShape,
+            modulation,
+            effects
+        });
+    }
+    
+    /**
+     * Validate a preset-like object and strip anything that isn't a finite number
+     */
+    normalizePreset(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name) return null;
+        
+        const pickNumbers = (source) => {
+            const result = {};
+            if (!source || typeof source !== 'object') return result;
+            Object.entries(source).forEach(([key, value]) => {
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    result[key] = value;
+                }
+            });
+            return result;
+        };
+        
+        const preset = {
+            name,
+            state: pickNumbers(raw.state),
+            manual: pickNumbers(raw.manual)
+        };
+        if (typeof raw.vignetteShape === 'number' && Number.isFinite(raw.vignetteShape)) {
+            preset.vignetteShape = raw.vignetteShape;
+        }
+        
+        // Modulation routes are checked by ModulationMatrix.load - only keep the plain-object shape here
+        const modulation = raw.modulation;
+        if (modulation && typeof modulation === 'object' && Array.isArray(modulation.routes)) {
+            preset.modulation = {
+                routes: modulation.routes.filter(route => route && typeof route === 'object'),
+                lfos: Array.isArray(modulation.lfos) ? modulation.lfos.filter(lfo => lfo && typeof lfo === 'object') : []
+            };
+        }
+        
+        // Effect settings are checked by EffectStack.load
+        const effects = raw.effects;
+        if (effects && typeof effects === 'object' && effects.effects && typeof effects.effects === 'object') {
+            preset.effects = {
+                order: Array.isArray(effects.order) ? effects.order.filter(id => typeof id === 'string') : [],
+                effects: effects.effects
+            };
+        }
+        return preset;
+    }
+    
+    // =========================================
+    // USER PRESETS (see UserPresetStore)
+    // =========================================
+    
+    // Saving under an existing name overwrites that preset
+    saveUserPreset(preset) {
+        return this.store.save(preset);
+    }
+    
+    deleteUserPreset(id) {
+        return this.store.remove(id);
+    }
+    
+    // Any presets by id, factory ones included (default: every user preset)
+    exportJSON(ids = this.store.list().map(({ id }) => id)) {
+        return this.store.exportJSON(ids.map(id => this.get(id)).filter(Boolean));
+    }
+    
+    // Returns { ids, replaced }, see UserPresetStore.importJSON
+    importJSON(text) {
+        return this.store.importJSON(text);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetLibrary;
+}
@@ -0,0 +1,159 @@
+/**
+ * INNER REFLECTION - Preset Transition
+ *
+ * Morphs every state dimension and manual visual value from where it is now
+ * to a preset's values over a fixed duration, using a Utils.easing curve.
+ *
+ * Shape changes don't sweep through the in-between shader shapes. The old
+ * shape is held while the displacement shader's morph layer
+ * (uMorphType / uMorphProgress) fades the new shape in. During the settle
+ * tail the new shape takes over and the morph layer fades back out.
+ *
+ * The engine only computes values. The app writes them into the StateEngine
+ * and manualVisual each frame.
+ */
+
+class PresetTransition {
+    constructor() {
+        this.active = null;
+
+        // Hue dimensions wrap, so they take the short way around the color wheel
+        this.circularDimensions = new Set(['colorHue1', 'colorHue2', 'colorHue3', 'colorHue4']);
+
+        // getVisualState() scales shapeType 0-1 to shader shapes 0-12
+        this.shapeScale = 12;
+
+        // Fraction of the duration spent handing the morph layer back to the base shape
+        this.shapeSettleRatio = 0.2;
+    }
+
+    // =========================================
+    // CONTROL
+    // =========================================
+
+    /**
+     * Start a transition.
+     * from/to: { state: { dimension: value }, manual: { key: value } }
+     */
+    start(from, to, duration, easing = 'easeInOutCubic') {
+        const state = {};
+        Object.entries(to.state || {}).forEach(([key, target]) => {
+            const start = from.state?.[key] ?? target;
+            let delta = target - start;
+            if (this.circularDimensions.has(key)) {
+                delta = ((delta % 1) + 1.5) % 1 - 0.5;
+            }
+            state[key] = { start, delta };
+        });
+
+        const manual = {};
+        Object.entries(to.manual || {}).forEach(([key, target]) => {
+            const start = from.manual?.[key] ?? target;
+            manual[key] = { start, delta: target - start };
+        });
+
+        // Shape changes go through the morph layer instead of the shapeType sweep
+        let shape = null;
+        if (state.shapeType && Math.abs(state.shapeType.delta) > 0.001) {
+            shape = {
+                from: state.shapeType.start,
+                to: state.shapeType.start + state.shapeType.delta
+            };
+            delete state.shapeType;
+        }
+
+        this.active = {
+            state,
+            manual,
+            shape,
+            duration: Math.max(duration, 0.001),
+            elapsed: 0,
+            ease: Utils.easing[easing] || Utils.easing.easeInOutCubic
+        };
+    }
+
+    cancel() {
+        this.active = null;
+    }
+
+    isActive() {
+        return this.active !== null;
+    }
+
+    // =========================================
+    // UPDATE
+    // =========================================
+
+    /**
+     * Advance the transition and return this frame's values:
+     * { state, manual, done }, or null when idle
+     */
+    update(deltaTime) {
+        const transition = this.active;
+        if (!transition) return null;
+
+        transition.elapsed += deltaTime;
+        const t = Math.min(transition.elapsed / transition.duration, 1);
+        const eased = transition.ease(t);
+
+        const state = {};
+        Object.entries(transition.state).forEach(([key, { start, delta }]) => {
+            state[key] = start + delta * eased;
+        });
+
+        const manual = {};
+        Object.entries(transition.manual).forEach(([key, { start, delta }]) => {
+            manual[key] = start + delta * eased;
+        });
+
+        if (transition.shape) {
+            const shape = this.getShapePhase(t);
+            state.shapeType = shape.settling ? transition.shape.to : transition.shape.from;
+        }
+
+        const done = t >= 1;
+        if (done) {
+            this.active = null;
+        }
+
+        return { state, manual, done };
+    }
+
+    /**
+     * Shader morph override for the current frame ({ from, to, progress } in
+     * shader shape units), or null when no shape change is in progress
+     */
+    getShapeMorph() {
+        const transition = this.active;
+        if (!transition?.shape) return null;
+
+        const t = Math.min(transition.elapsed / transition.duration, 1);
+        const phase = this.getShapePhase(t);
+        return {
+            from: transition.shape.from * this.shapeScale,
+            to: transition.shape.to * this.shapeScale,
+            progress: phase.progress,
+            settling: phase.settling
+        };
+    }
+
+    // Morph in over the main part, then fade the morph layer out once the base shape has switched
+    getShapePhase(t) {
+        const settleStart = 1 - this.shapeSettleRatio;
+        if (t < settleStart) {
+            return {
+                progress: Utils.easing.easeInOutCubic(t / settleStart),
+                settling: false
+            };
+        }
+        return {
+            progress: 1 - Utils.easing.easeInOutCubic((t - settleStart) / this.shapeSettleRatio),
+            settling: true
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetTransition;
+}
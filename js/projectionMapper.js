@@ -0,0 +1,322 @@
+/**
+ * INNER REFLECTION - Projection Mapper
+ *
+ * Output stage after the post pass for projecting onto non-rectangular surfaces.
+ * While active, VisualEngine renders the finished frame into this.target and
+ * render() draws it to the screen through a warp mesh.
+ *
+ * Warp (points in screen fractions, 0,0 = top left, row by row):
+ *   corner - four corner pins, perspective correct (keystone)
+ *   mesh   - meshSize x meshSize cells, Catmull-Rom through the points (curved surfaces)
+ *
+ * region: the part of the frame this window shows (DisplaySpan slices), top-left origin
+ * blend:  { left, right, top, bottom } edge ramps (fraction of the region) where an
+ *         overlapping projector takes over, shaped by gamma and curve
+ *
+ * The warp persists per window (see setStorageKey).
+ */
+
+class ProjectionMapper {
+    constructor(renderer, camera, targetOptions) {
+        this.renderer = renderer;
+        this.camera = camera;
+        this.targetOptions = targetOptions;
+
+        this.storageKey = null;
+        this.segments = 32;            // mesh subdivisions per axis
+        this.meshSize = 4;             // cells per axis in mesh mode
+
+        this.warp = this.createWarp('corner');
+        this.region = { x: 0, y: 0, width: 1, height: 1 };
+        this.blend = { left: 0, right: 0, top: 0, bottom: 0, gamma: 2.2, curve: 2 };
+        this.calibrating = false;      // keeps the stage on while handles are shown
+        this.dither = { amount: 0, seed: 0 };   // the warp pass writes the screen (see setDither)
+
+        this.target = new THREE.WebGLRenderTarget(1, 1, this.targetOptions);
+        this.material = Shaders.createWarpMaterial();
+
+        this.geometry = this.createGeometry();
+        this.scene = new THREE.Scene();
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        this.scene.add(this.mesh);
+        this.updateGeometry();
+    }
+
+    // =========================================
+    // WARP
+    // =========================================
+
+    createWarp(mode) {
+        const size = mode === 'mesh' ? this.meshSize : 1;
+        const points = [];
+        for (let row = 0; row <= size; row++) {
+            for (let col = 0; col <= size; col++) {
+                points.push({ x: col / size, y: row / size });
+            }
+        }
+        return { mode, size, points };
+    }
+
+    isIdentity() {
+        const { size, points } = this.warp;
+        return points.every((point, i) => (
+            Math.abs(point.x - (i % (size + 1)) / size) < 1e-4 &&
+            Math.abs(point.y - Math.floor(i / (size + 1)) / size) < 1e-4
+        ));
+    }
+
+    isActive() {
+        const { x, y, width, height } = this.region;
+        const { left, right, top, bottom } = this.blend;
+        const cropped = x !== 0 || y !== 0 || width !== 1 || height !== 1;
+        return this.calibrating || cropped || left + right + top + bottom > 0 || !this.isIdentity();
+    }
+
+    /**
+     * Switch between corner pin and mesh warp; the current shape carries over
+     */
+    setMode(mode) {
+        if (mode !== 'corner' && mode !== 'mesh') return;
+        if (mode === this.warp.mode) return;
+
+        const next = this.createWarp(mode);
+        next.points = next.points.map((_, i) => {
+            const u = (i % (next.size + 1)) / next.size;
+            const v = Math.floor(i / (next.size + 1)) / next.size;
+            return this.evaluate(u, v);
+        });
+        this.warp = next;
+        this.updateGeometry();
+        this.save();
+    }
+
+    movePoint(index, x, y) {
+        const point = this.warp.points[index];
+        if (!point) return;
+        point.x = Utils.clamp(x, -0.5, 1.5);
+        point.y = Utils.clamp(y, -0.5, 1.5);
+        this.updateGeometry();
+    }
+
+    resetWarp() {
+        this.warp = this.createWarp(this.warp.mode);
+        this.updateGeometry();
+        this.save();
+    }
+
+    setRegion(region) {
+        this.region = { ...this.region, ...region };
+    }
+
+    setBlend(blend) {
+        this.blend = { ...this.blend, ...blend };
+    }
+
+    setCalibrating(enabled) {
+        this.calibrating = Boolean(enabled);
+    }
+
+    setDither(enabled, seed = 0) {
+        this.dither.amount = enabled ? 1 : 0;
+        this.dither.seed = seed;
+    }
+
+    /**
+     * Screen position (fractions, top-left origin) of the output point u, v (0-1)
+     */
+    evaluate(u, v) {
+        const { mode, size, points } = this.warp;
+        if (mode === 'corner') {
+            return ProjectionMapper.mapQuad(points[0], points[1], points[3], points[2], u, v);
+        }
+
+        // Catmull-Rom along each of the four nearest rows, then across them
+        const stride = size + 1;
+        const gx = Utils.clamp(u, 0, 1) * size;
+        const gy = Utils.clamp(v, 0, 1) * size;
+        const col = Math.min(Math.floor(gx), size - 1);
+        const row = Math.min(Math.floor(gy), size - 1);
+        const point = (c, r) => points[Utils.clamp(r, 0, size) * stride + Utils.clamp(c, 0, size)];
+
+        const rows = [-1, 0, 1, 2].map((offset) => {
+            const r = row + offset;
+            return ProjectionMapper.catmullRom(
+                point(col - 1, r), point(col, r), point(col + 1, r), point(col + 2, r), gx - col
+            );
+        });
+        return ProjectionMapper.catmullRom(...rows, gy - row);
+    }
+
+    /**
+     * Perspective map of the unit square onto the quad tl, tr, br, bl (Heckbert)
+     */
+    static mapQuad(tl, tr, br, bl, u, v) {
+        const dx1 = tr.x - br.x;
+        const dx2 = bl.x - br.x;
+        const dx3 = tl.x - tr.x + br.x - bl.x;
+        const dy1 = tr.y - br.y;
+        const dy2 = bl.y - br.y;
+        const dy3 = tl.y - tr.y + br.y - bl.y;
+
+        let g = 0;
+        let h = 0;
+        const det = dx1 * dy2 - dx2 * dy1;
+        if ((dx3 !== 0 || dy3 !== 0) && Math.abs(det) > 1e-9) {
+            g = (dx3 * dy2 - dx2 * dy3) / det;
+            h = (dx1 * dy3 - dx3 * dy1) / det;
+        }
+
+        const a = tr.x - tl.x + g * tr.x;
+        const b = bl.x - tl.x + h * bl.x;
+        const d = tr.y - tl.y + g * tr.y;
+        const e = bl.y - tl.y + h * bl.y;
+        const w = g * u + h * v + 1;
+        return {
+            x: (a * u + b * v + tl.x) / w,
+            y: (d * u + e * v + tl.y) / w
+        };
+    }
+
+    static catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const blend = (a, b, c, d) => 0.5 * (
+            2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3
+        );
+        return {
+            x: blend(p0.x, p1.x, p2.x, p3.x),
+            y: blend(p0.y, p1.y, p2.y, p3.y)
+        };
+    }
+
+    // =========================================
+    // MESH
+    // =========================================
+
+    createGeometry() {
+        const n = this.segments;
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array((n + 1) * (n + 1) * 3);
+        const uvs = new Float32Array((n + 1) * (n + 1) * 2);
+        const indices = [];
+
+        for (let row = 0; row <= n; row++) {
+            for (let col = 0; col <= n; col++) {
+                const i = row * (n + 1) + col;
+                uvs[i * 2] = col / n;
+                uvs[i * 2 + 1] = 1 - row / n;
+                if (row < n && col < n) {
+                    indices.push(i, i + n + 1, i + 1, i + 1, i + n + 1, i + n + 2);
+                }
+            }
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+
+    // Screen fractions -> clip space
+    updateGeometry() {
+        const n = this.segments;
+        const position = this.geometry.attributes.position;
+        for (let row = 0; row <= n; row++) {
+            for (let col = 0; col <= n; col++) {
+                const point = this.evaluate(col / n, row / n);
+                position.setXYZ(row * (n + 1) + col, point.x * 2 - 1, 1 - point.y * 2, 0);
+            }
+        }
+        position.needsUpdate = true;
+        this.geometry.computeBoundingSphere();
+    }
+
+    // =========================================
+    // RENDER
+    // =========================================
+
+    setSize(width, height) {
+        this.target.setSize(Math.max(1, width), Math.max(1, height));
+    }
+
+    setTextureType(type) {
+        this.targetOptions = { ...this.targetOptions, type };
+        this.target.texture.type = type;
+        this.target.dispose();
+    }
+
+    // Draw this.target to the screen through the warp
+    render() {
+        const { x, y, width, height } = this.region;
+        const { left, right, top, bottom, gamma, curve } = this.blend;
+        const uniforms = this.material.uniforms;
+        uniforms.uTexture.value = this.target.texture;
+        uniforms.uRegion.value.set(x, 1 - y - height, width, height);
+        uniforms.uBlend.value.set(left, right, top, bottom);
+        uniforms.uBlendGamma.value = Math.max(0.1, gamma);
+        uniforms.uBlendCurve.value = Math.max(0.1, curve);
+        uniforms.uDither.value = this.dither.amount;
+        uniforms.uDitherSeed.value = this.dither.seed;
+
+        this.renderer.setRenderTarget(null);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    // =========================================
+    // PERSISTENCE
+    // =========================================
+
+    // Every window keeps its own warp (one per projector)
+    setStorageKey(key) {
+        this.storageKey = key;
+        this.load();
+    }
+
+    load() {
+        if (!this.storageKey) return false;
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const stored = raw ? JSON.parse(raw) : null;
+            if (!stored) return false;
+
+            const warp = this.createWarp(stored.mode === 'mesh' ? 'mesh' : 'corner');
+            if (!Array.isArray(stored.points) || stored.points.length !== warp.points.length) return false;
+            if (!stored.points.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y))) return false;
+
+            warp.points = stored.points.map(p => ({ x: p.x, y: p.y }));
+            this.warp = warp;
+            this.updateGeometry();
+            return true;
+        } catch (e) {
+            console.warn('ProjectionMapper: Could not load warp', e);
+            return false;
+        }
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                mode: this.warp.mode,
+                points: this.warp.points
+            }));
+        } catch (e) {
+            console.warn('ProjectionMapper: Could not save warp', e);
+        }
+    }
+
+    // =========================================
+    // CLEANUP
+    // =========================================
+
+    dispose() {
+        this.target.dispose();
+        this.material.dispose();
+        this.geometry.dispose();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectionMapper;
+}
@@ -0,0 +1,180 @@
+/**
+ * INNER REFLECTION - Quality Governor
+ *
+ * Holds CONFIG.performance.targetFPS by stepping through quality tiers.
+ * Each tier scales the render target resolution, blur taps, particle count
+ * and displacement ring count (applied by VisualEngine.setQuality).
+ *
+ * Hysteresis:
+ *   - drop a tier after downDelay seconds below the target (minus downMargin)
+ *   - climb a tier after upDelay seconds at the target (minus upMargin)
+ *   - a tier that was just dropped can't be re-entered for failCooldown seconds
+ *   - measurements right after a change (resize, shader warm-up) are ignored
+ *   - a drop that doesn't raise the frame rate (vsync-capped display, CPU bound)
+ *     is undone and the governor holds for holdTime seconds
+ *
+ * A manual tier (setOverride) switches adaptation off.
+ * Every change is logged: { time, from, to, reason, fps }
+ */
+
+class QualityGovernor {
+    constructor(targetFPS = 60) {
+        this.targetFPS = targetFPS;
+
+        // Highest quality first
+        this.tiers = [
+            { name: 'ultra',   resolution: 1,    blurTaps: 8, particles: 1,    rings: 1 },
+            { name: 'high',    resolution: 0.85, blurTaps: 6, particles: 0.75, rings: 1 },
+            { name: 'medium',  resolution: 0.7,  blurTaps: 5, particles: 0.5,  rings: 0.85 },
+            { name: 'low',     resolution: 0.55, blurTaps: 4, particles: 0.25, rings: 0.7 },
+            { name: 'minimal', resolution: 0.4,  blurTaps: 3, particles: 0,    rings: 0.55 }
+        ];
+
+        this.downMargin = 0.1;         // fraction of the target
+        this.upMargin = 0.03;
+        this.downDelay = 2;            // seconds
+        this.upDelay = 8;
+        this.settleTime = 1.5;
+        this.failCooldown = 30;
+        this.holdTime = 30;
+        this.minGain = 0.03;           // a drop has to win at least 3% fps
+        this.maxLogEntries = 50;
+
+        this.tier = 0;
+        this.override = null;          // tier index, null = automatic
+        this.log = [];
+
+        // Callbacks
+        this.onTierChange = null;      // (tier, entry) => {}
+
+        this.reset();
+    }
+
+    // Forget measurements (keeps the tier, log and override)
+    reset() {
+        this.time = 0;
+        this.fps = this.targetFPS;
+        this.belowTime = 0;
+        this.aboveTime = 0;
+        this.settleUntil = this.settleTime;
+        this.holdUntil = 0;
+        this.failedAt = {};            // tier index -> time it was dropped from
+        this.pendingCheck = null;      // { from, fpsBefore } - judged once settled
+    }
+
+    getTier() {
+        return this.tiers[this.tier];
+    }
+
+    isAutomatic() {
+        return this.override === null;
+    }
+
+    // =========================================
+    // MANUAL OVERRIDE
+    // =========================================
+
+    /**
+     * Pin a tier (index or name), or null / 'auto' to adapt again
+     */
+    setOverride(tier) {
+        if (tier === null || tier === 'auto') {
+            if (this.override === null) return;    // already adapting
+            this.override = null;
+            this.reset();
+            this.addLog(this.tier, this.tier, 'automatic');
+            return;
+        }
+
+        const index = typeof tier === 'string' ? this.tiers.findIndex(t => t.name === tier) : Number(tier);
+        if (!this.tiers[index]) return;
+        this.override = index;
+        this.setTier(index, 'manual');
+    }
+
+    // =========================================
+    // UPDATE
+    // =========================================
+
+    /**
+     * Feed one frame's duration (seconds). Returns the new tier when it changed, else null.
+     */
+    update(deltaTime) {
+        if (!(deltaTime > 0)) return null;
+        this.time += deltaTime;
+
+        // About one second of smoothing, independent of the frame rate
+        const smoothing = Utils.clamp(deltaTime, 0, 1);
+        this.fps += (1 / deltaTime - this.fps) * smoothing;
+
+        if (this.override !== null || this.time < this.settleUntil) return null;
+
+        // A fresh drop gets judged as soon as it settled
+        if (this.pendingCheck) {
+            const { from, fpsBefore } = this.pendingCheck;
+            this.pendingCheck = null;
+            if (this.fps < fpsBefore * (1 + this.minGain) && this.fps < this.targetFPS * (1 - this.downMargin)) {
+                this.holdUntil = this.time + this.holdTime;
+                delete this.failedAt[from];
+                return this.setTier(from, 'no gain');
+            }
+        }
+        if (this.time < this.holdUntil) return null;
+
+        if (this.fps < this.targetFPS * (1 - this.downMargin)) {
+            this.belowTime += deltaTime;
+            this.aboveTime = 0;
+        } else if (this.fps >= this.targetFPS * (1 - this.upMargin)) {
+            this.aboveTime += deltaTime;
+            this.belowTime = 0;
+        } else {
+            this.belowTime = 0;
+            this.aboveTime = 0;
+        }
+
+        if (this.belowTime >= this.downDelay && this.tier < this.tiers.length - 1) {
+            const from = this.tier;
+            this.failedAt[from] = this.time;
+            this.pendingCheck = { from, fpsBefore: this.fps };
+            return this.setTier(from + 1, 'slow');
+        }
+
+        if (this.aboveTime >= this.upDelay && this.tier > 0) {
+            const failed = this.failedAt[this.tier - 1];
+            if (failed !== undefined && this.time - failed < this.failCooldown) return null;
+            return this.setTier(this.tier - 1, 'headroom');
+        }
+        return null;
+    }
+
+    setTier(index, reason) {
+        const from = this.tier;
+        this.tier = index;
+        this.belowTime = 0;
+        this.aboveTime = 0;
+        this.settleUntil = this.time + this.settleTime;
+
+        const entry = this.addLog(from, index, reason);
+        console.log(`QualityGovernor: ${this.tiers[from].name} -> ${this.tiers[index].name} (${reason}, ${entry.fps} fps)`);
+        this.onTierChange?.(this.getTier(), entry);
+        return this.getTier();
+    }
+
+    addLog(from, to, reason) {
+        const entry = {
+            time: Date.now(),
+            from: this.tiers[from].name,
+            to: this.tiers[to].name,
+            reason,
+            fps: Math.round(this.fps * 10) / 10
+        };
+        this.log.unshift(entry);
+        if (this.log.length > this.maxLogEntries) this.log.pop();
+        return entry;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityGovernor;
+}
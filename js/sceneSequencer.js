@@ -0,0 +1,225 @@
+/**
+ * INNER REFLECTION - Scene Sequencer
+ *
+ * Timeline of scenes for long-running / unattended installations.
+ * Each scene names a visual preset and (optionally) a sound preset,
+ * a crossfade time into the scene and a hold time once it has arrived:
+ *   { visual, sound, fade, hold }   (times in seconds)
+ *
+ * The sequencer only keeps time - the app listens to onScene and performs
+ * the actual preset crossfade. Shows serialize to JSON and can be loaded
+ * at startup with ?show=<url-to-show.json>.
+ */
+
+class SceneSequencer {
+    constructor() {
+        this.fileFormat = 'inner-reflection-show';
+        this.fileVersion = 1;
+
+        // Show
+        this.name = 'Untitled Show';
+        this.mode = 'loop';            // 'loop' or 'pingpong'
+        this.scenes = [];
+        this.defaultFade = 8;
+        this.defaultHold = 30;
+
+        // Playback
+        this.isPlaying = false;
+        this.index = -1;
+        this.direction = 1;
+        this.elapsed = 0;
+
+        // Callbacks
+        this.onScene = null;           // (scene, index) => {}
+        this.onChange = null;          // Show edited or playback state changed
+    }
+
+    // =========================================
+    // SCENE LIST
+    // =========================================
+
+    normalizeScene(raw = {}) {
+        const toSeconds = (value, fallback) => {
+            const num = Number(value);
+            return Number.isFinite(num) && num >= 0 ? num : fallback;
+        };
+        return {
+            visual: typeof raw.visual === 'string' && raw.visual ? raw.visual : null,
+            sound: typeof raw.sound === 'string' && raw.sound ? raw.sound : null,
+            fade: toSeconds(raw.fade, this.defaultFade),
+            hold: toSeconds(raw.hold, this.defaultHold)
+        };
+    }
+
+    addScene(scene) {
+        this.scenes.push(this.normalizeScene(scene));
+        this.notifyChange();
+        return this.scenes.length - 1;
+    }
+
+    updateScene(index, changes) {
+        if (!this.scenes[index]) return;
+        this.scenes[index] = this.normalizeScene({ ...this.scenes[index], ...changes });
+        this.notifyChange();
+    }
+
+    removeScene(index) {
+        if (!this.scenes[index]) return;
+        this.scenes.splice(index, 1);
+
+        if (this.scenes.length === 0) {
+            this.stop();
+            return;
+        }
+        if (index < this.index) {
+            this.index--;
+        } else if (index === this.index) {
+            // Current scene removed - the one that shifted into its slot plays now
+            this.goTo(Math.min(index, this.scenes.length - 1));
+            return;
+        }
+        this.notifyChange();
+    }
+
+    moveScene(index, offset) {
+        const target = index + offset;
+        if (!this.scenes[index] || target < 0 || target >= this.scenes.length) return;
+
+        const [scene] = this.scenes.splice(index, 1);
+        this.scenes.splice(target, 0, scene);
+
+        if (this.index === index) {
+            this.index = target;
+        } else if (this.index === target) {
+            this.index = index;
+        }
+        this.notifyChange();
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'pingpong' ? 'pingpong' : 'loop';
+        this.notifyChange();
+    }
+
+    // =========================================
+    // PLAYBACK
+    // =========================================
+
+    play(startIndex = 0) {
+        if (this.scenes.length === 0) return false;
+        this.isPlaying = true;
+        this.direction = 1;
+        this.goTo(startIndex);
+        return true;
+    }
+
+    stop() {
+        this.isPlaying = false;
+        this.index = -1;
+        this.elapsed = 0;
+        this.notifyChange();
+    }
+
+    next() {
+        if (!this.isPlaying) return;
+        this.goTo(this.getNextIndex());
+    }
+
+    goTo(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+
+        this.index = index;
+        this.elapsed = 0;
+        this.onScene?.(scene, index);
+        this.notifyChange();
+    }
+
+    getNextIndex() {
+        const count = this.scenes.length;
+        if (count < 2) return 0;
+
+        if (this.mode === 'pingpong') {
+            let next = this.index + this.direction;
+            if (next < 0 || next >= count) {
+                this.direction *= -1;
+                next = this.index + this.direction;
+            }
+            return next;
+        }
+
+        return (this.index + 1) % count;
+    }
+
+    update(deltaTime) {
+        if (!this.isPlaying) return;
+
+        const scene = this.scenes[this.index];
+        if (!scene) {
+            this.stop();
+            return;
+        }
+
+        this.elapsed += deltaTime;
+        if (this.elapsed >= scene.fade + scene.hold) {
+            this.next();
+        }
+    }
+
+    getStatus() {
+        const scene = this.scenes[this.index];
+        if (!this.isPlaying || !scene) {
+            return { isPlaying: false, index: -1, phase: 'stopped', remaining: 0 };
+        }
+        const phase = this.elapsed < scene.fade ? 'fade' : 'hold';
+        return {
+            isPlaying: true,
+            index: this.index,
+            phase,
+            remaining: Math.max(0, scene.fade + scene.hold - this.elapsed)
+        };
+    }
+
+    notifyChange() {
+        this.onChange?.();
+    }
+
+    // =========================================
+    // SERIALIZATION
+    // =========================================
+
+    toJSON() {
+        return {
+            format: this.fileFormat,
+            version: this.fileVersion,
+            name: this.name,
+            mode: this.mode,
+            scenes: this.scenes.map(scene => ({ ...scene }))
+        };
+    }
+
+    load(data) {
+        if (!data || !Array.isArray(data.scenes)) {
+            throw new Error('Show has no scene list');
+        }
+
+        this.stop();
+        this.name = typeof data.name === 'string' && data.name ? data.name : 'Untitled Show';
+        this.mode = data.mode === 'pingpong' ? 'pingpong' : 'loop';
+        this.scenes = data.scenes.map(scene => this.normalizeScene(scene));
+        this.notifyChange();
+    }
+
+    exportJSON() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    importJSON(text) {
+        this.load(JSON.parse(text));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneSequencer;
+}
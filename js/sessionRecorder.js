@@ -0,0 +1,216 @@
+/**
+ * INNER REFLECTION - Session Recorder
+ *
+ * Records the main canvas together with the generated audio to WebM.
+ *
+ * Frames are copied onto a 2D compositing canvas right after each render, so the
+ * output resolution can differ from the screen and the face/hand overlay canvases
+ * (separate DOM elements) can optionally be burned in. Audio comes from a
+ * MediaStreamDestination tapped off the AudioEngine master chain.
+ */
+
+class SessionRecorder {
+    constructor() {
+        this.options = {
+            resolution: 'native',      // 'native' | '2160' | '1080' | '720' | '480' (output height)
+            bitrate: 12,               // Mbps
+            fps: 30,
+            includeOverlays: false
+        };
+
+        this.isRecording = false;
+        this.startTime = 0;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.canvas = null;
+        this.ctx = null;
+        this.sourceCanvas = null;
+        this.overlays = [];            // Canvases drawn on top when includeOverlays is set
+        this.audioTap = null;          // () => MediaStream | null
+        this.audioStream = null;
+
+        // Callbacks
+        this.onStateChange = null;     // (isRecording) => {}
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    // Best WebM flavour the browser can encode
+    static getMimeType() {
+        const candidates = [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm'
+        ];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    setOptions(options) {
+        if (this.isRecording) {
+            console.warn('SessionRecorder: Options apply to the next recording');
+        }
+        this.options = { ...this.options, ...options };
+    }
+
+    // =========================================
+    // RECORDING
+    // =========================================
+
+    start(sourceCanvas, { overlays = [], audioTap = null } = {}) {
+        if (this.isRecording) return false;
+        if (!SessionRecorder.isSupported()) {
+            console.warn('SessionRecorder: MediaRecorder/captureStream not supported');
+            return false;
+        }
+
+        this.sourceCanvas = sourceCanvas;
+        this.overlays = overlays.filter(Boolean);
+        this.audioTap = audioTap;
+
+        const { width, height } = this.getOutputSize();
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+        this.captureFrame();
+
+        const stream = this.canvas.captureStream(this.options.fps);
+        this.audioStream = this.audioTap?.() || null;
+        this.audioStream?.getAudioTracks().forEach(track => stream.addTrack(track));
+
+        const mimeType = SessionRecorder.getMimeType();
+        try {
+            this.mediaRecorder = new MediaRecorder(stream, {
+                mimeType: mimeType || undefined,
+                videoBitsPerSecond: Math.round(this.options.bitrate * 1000000),
+                audioBitsPerSecond: 192000
+            });
+        } catch (error) {
+            console.warn('SessionRecorder: Could not create MediaRecorder', error);
+            this.cleanup();
+            return false;
+        }
+
+        this.chunks = [];
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start(1000);
+
+        this.isRecording = true;
+        this.startTime = performance.now();
+        this.onStateChange?.(true);
+        console.log(`SessionRecorder: Recording ${width}x${height} @ ${this.options.bitrate} Mbps (${mimeType || 'default'})`);
+        return true;
+    }
+
+    // Resolves with the finished WebM blob
+    stop() {
+        if (!this.isRecording || !this.mediaRecorder) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            const recorder = this.mediaRecorder;
+            recorder.onstop = () => {
+                const blob = new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' });
+                this.chunks = [];
+                this.cleanup();
+                console.log(`SessionRecorder: Stopped (${(blob.size / 1048576).toFixed(1)} MB)`);
+                resolve(blob);
+            };
+            recorder.stop();
+            this.isRecording = false;
+            this.onStateChange?.(false);
+        });
+    }
+
+    cleanup() {
+        this.audioStream?.getTracks().forEach(track => track.stop());
+        this.audioStream = null;
+        this.mediaRecorder = null;
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    getElapsed() {
+        return this.isRecording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    static createFilename(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        return `inner-reflection-${stamp}.webm`;
+    }
+
+    // =========================================
+    // FRAME COMPOSITING
+    // =========================================
+
+    getOutputSize() {
+        const sourceWidth = this.sourceCanvas?.width || window.innerWidth;
+        const sourceHeight = this.sourceCanvas?.height || window.innerHeight;
+        const targetHeight = parseInt(this.options.resolution, 10);
+
+        if (!targetHeight) {
+            return { width: sourceWidth, height: sourceHeight };
+        }
+
+        // Keep the screen aspect; encoders want even dimensions
+        const width = Math.round(targetHeight * sourceWidth / sourceHeight / 2) * 2;
+        return { width, height: targetHeight };
+    }
+
+    // Call right after the WebGL render so the drawing buffer is still valid
+    captureFrame() {
+        if (!this.ctx || !this.sourceCanvas) return;
+
+        const { width, height } = this.canvas;
+        this.ctx.drawImage(this.sourceCanvas, 0, 0, width, height);
+
+        if (this.options.includeOverlays) {
+            this.drawOverlays();
+        }
+    }
+
+    drawOverlays() {
+        const sourceRect = this.sourceCanvas.getBoundingClientRect();
+        if (!sourceRect.width || !sourceRect.height) return;
+
+        const scaleX = this.canvas.width / sourceRect.width;
+        const scaleY = this.canvas.height / sourceRect.height;
+
+        this.overlays.forEach((overlay) => {
+            const wrap = overlay.parentElement || overlay;
+            const style = window.getComputedStyle(wrap);
+            const opacity = parseFloat(style.opacity);
+            if (style.display === 'none' || style.visibility === 'hidden' || !(opacity > 0)) return;
+
+            const rect = overlay.getBoundingClientRect();
+            if (!rect.width || !rect.height) return;
+
+            this.ctx.save();
+            this.ctx.globalAlpha = opacity;
+            this.ctx.drawImage(
+                overlay,
+                (rect.left - sourceRect.left) * scaleX,
+                (rect.top - sourceRect.top) * scaleY,
+                rect.width * scaleX,
+                rect.height * scaleY
+            );
+            this.ctx.restore();
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRecorder;
+}
@@ -6,7 +6,9 @@
  * Architecture:
  * 1. Gradient Shader - Creates flowing multi-color background using fractal noise
  * 2. Displacement Shader - Applies refraction effects with 11 shape modes
- * 3. Post-Processing Shader - Final color grading, blur, and grain
+ * 3. Post Chain Shaders - Separable Gaussian blur, bloom prefilter, dual-Kawase mip chain
+ * 4. Post-Processing Shader - Blur / bloom composite, color grading, tone mapping, grain, dither
+ * 5. Effect Stack Shaders - Feedback trails, pixel sorting, 3D LUT grading (EffectStack)
  * 
  * Key Features:
  * - Aspect ratio preservation (no stretching)
@@ -19,8 +21,28 @@
  * 0: Circles, 1: Torus, 2: Linear bands, 3: Skewed lines, 4: Cylinder,
  * 5: Sphere, 6: Hyperboloid, 7: Spiral, 8: Parallel planes, 9: Conic,
  * 10: Moebius, 11: Pill/Capsule
+ *
+ * Dither: every pass that can be the last one before the screen (post, effect stack,
+ * projection warp) includes DITHER_CHUNK. The engine turns uDither on only for the
+ * pass that actually writes the 8-bit framebuffer.
  */
 
+// Triangular dither of one 8-bit step - breaks up banding in slow gradients.
+// uDither 0/1, uDitherSeed (0-1) moves the pattern every frame.
+const DITHER_CHUNK = `
+        uniform float uDither;
+        uniform float uDitherSeed;
+        
+        float ditherHash(vec2 p) {
+            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+        
+        vec3 dither(vec3 color) {
+            vec2 coord = gl_FragCoord.xy + uDitherSeed * 61.0;
+            return color + (ditherHash(coord) + ditherHash(coord + 17.31) - 1.0) / 255.0 * uDither;
+        }
+`;
+
 const Shaders = {
     // =========================================
     // GRADIENT BACKGROUND SHADER
@@ -534,6 +556,8 @@ const Shaders = {
         uniform float uRipple2Strength;
         uniform vec2 uRipple3Center;
         uniform float uRipple3Strength;
+        uniform vec4 uRipple2Tint;      // rgb accent + amount (multi-person participants)
+        uniform vec4 uRipple3Tint;
         
         // Shape and style parameters
         uniform float uShapeType;       // 0-11: circles, torus, linear, skewed, cylinder, sphere, hyperboloid, spiral, parallel, conic, moebius, pill
@@ -1297,10 +1321,133 @@ const Shaders = {
             
             vec3 color = vec3(r, g, b);
             
+            // Participant accents - lighten toward each ripple's color where its rings move the image
+            if (uRipple2Tint.a > 0.001) {
+                float reach2 = exp(-length(uvCorrected - center2) * 3.5);
+                float rings2 = 0.4 + 0.6 * clamp(length(disp2) * 10.0, 0.0, 1.0);
+                color = mix(color, max(color, uRipple2Tint.rgb), uRipple2Tint.a * reach2 * rings2 * 0.6);
+            }
+            if (uRipple3Tint.a > 0.001) {
+                float reach3 = exp(-length(uvCorrected - center3) * 3.5);
+                float rings3 = 0.4 + 0.6 * clamp(length(disp3) * 10.0, 0.0, 1.0);
+                color = mix(color, max(color, uRipple3Tint.rgb), uRipple3Tint.a * reach3 * rings3 * 0.6);
+            }
+            
             gl_FragColor = vec4(color, 1.0);
         }
     `,
     
+    // =========================================
+    // POST CHAIN SHADERS
+    // Blur and bloom run on downsampled targets, so their cost doesn't
+    // grow with the output resolution (see PostChain)
+    // =========================================
+    
+    // One direction of a separable Gaussian - up to 17 taps (uTaps each side) spread over uRadius texels
+    gaussianBlurFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform vec2 uTexelSize;
+        uniform vec2 uDirection;
+        uniform float uRadius;
+        uniform float uTaps;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            const int MAX_TAPS = 8;
+            float taps = clamp(uTaps, 1.0, float(MAX_TAPS));
+            float sigma = max(uRadius, 0.001) / 2.5;
+            vec2 stepUv = uDirection * uTexelSize * uRadius / taps;
+            
+            vec3 sum = texture2D(uTexture, vUv).rgb;
+            float total = 1.0;
+            for (int i = 1; i <= MAX_TAPS; i++) {
+                if (float(i) > taps) break;
+                float x = float(i) * uRadius / taps;
+                float weight = exp(-0.5 * x * x / (sigma * sigma));
+                sum += texture2D(uTexture, vUv + stepUv * float(i)).rgb * weight;
+                sum += texture2D(uTexture, vUv - stepUv * float(i)).rgb * weight;
+                total += weight * 2.0;
+            }
+            
+            gl_FragColor = vec4(sum / total, 1.0);
+        }
+    `,
+    
+    // Half-size box downsample keeping only what is brighter than the threshold (soft knee)
+    bloomPrefilterFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform vec2 uTexelSize;
+        uniform float uThreshold;
+        uniform float uKnee;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 color = (
+                texture2D(uTexture, vUv + vec2(-0.5, -0.5) * uTexelSize).rgb +
+                texture2D(uTexture, vUv + vec2(0.5, -0.5) * uTexelSize).rgb +
+                texture2D(uTexture, vUv + vec2(-0.5, 0.5) * uTexelSize).rgb +
+                texture2D(uTexture, vUv + vec2(0.5, 0.5) * uTexelSize).rgb
+            ) * 0.25;
+            
+            float brightness = max(color.r, max(color.g, color.b));
+            float soft = clamp(brightness - uThreshold + uKnee, 0.0, 2.0 * uKnee);
+            soft = soft * soft / (4.0 * uKnee + 0.00001);
+            float contribution = max(soft, brightness - uThreshold) / max(brightness, 0.00001);
+            
+            gl_FragColor = vec4(color * contribution, 1.0);
+        }
+    `,
+    
+    // Dual-Kawase downsample: centre + four diagonal taps
+    kawaseDownFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform vec2 uTexelSize;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 sum = texture2D(uTexture, vUv).rgb * 4.0;
+            sum += texture2D(uTexture, vUv + vec2(-1.0, -1.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(1.0, -1.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(-1.0, 1.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(1.0, 1.0) * uTexelSize).rgb;
+            gl_FragColor = vec4(sum / 8.0, 1.0);
+        }
+    `,
+    
+    // Dual-Kawase upsample (8-tap tent) of the smaller level, added onto this level
+    kawaseUpFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform sampler2D uBase;
+        uniform vec2 uTexelSize;
+        uniform float uSpread;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 sum = texture2D(uTexture, vUv + vec2(-2.0, 0.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(2.0, 0.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(0.0, -2.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(0.0, 2.0) * uTexelSize).rgb;
+            sum += texture2D(uTexture, vUv + vec2(-1.0, -1.0) * uTexelSize).rgb * 2.0;
+            sum += texture2D(uTexture, vUv + vec2(1.0, -1.0) * uTexelSize).rgb * 2.0;
+            sum += texture2D(uTexture, vUv + vec2(-1.0, 1.0) * uTexelSize).rgb * 2.0;
+            sum += texture2D(uTexture, vUv + vec2(1.0, 1.0) * uTexelSize).rgb * 2.0;
+            
+            gl_FragColor = vec4(texture2D(uBase, vUv).rgb + sum / 12.0 * uSpread, 1.0);
+        }
+    `,
+    
     // =========================================
     // POST-PROCESSING SHADER
     // Enhanced with film grain and noise
@@ -1319,10 +1466,12 @@ const Shaders = {
         precision highp float;
         
         uniform sampler2D uTexture;
+        uniform sampler2D uBlurTexture;
+        uniform sampler2D uBloomTexture;
         uniform float uTime;
         uniform vec2 uResolution;
-        uniform float uBlur;
-        uniform float uGlow;
+        uniform float uBlurMix;
+        uniform float uBloomIntensity;
         uniform float uVignette;
         uniform float uVignetteShape;
         uniform float uSaturation;
@@ -1330,6 +1479,9 @@ const Shaders = {
         uniform float uContrast;
         uniform float uNoiseAmount;
         uniform float uFilmGrain;
+        uniform float uToneMapping;     // 0 = none (clip), 1 = ACES, 2 = Reinhard, 3 = AgX
+        uniform float uExposure;
+        ${DITHER_CHUNK}
         
         varying vec2 vUv;
         
@@ -1338,27 +1490,50 @@ const Shaders = {
             return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
         }
         
-        // Gaussian blur approximation
-        vec3 blur(sampler2D tex, vec2 uv, vec2 resolution, float amount) {
-            vec3 result = vec3(0.0);
-            vec2 pixel = 1.0 / resolution;
-            
-            // 9-tap blur
-            float weights[9];
-            weights[0] = 0.0625; weights[1] = 0.125; weights[2] = 0.0625;
-            weights[3] = 0.125;  weights[4] = 0.25;  weights[5] = 0.125;
-            weights[6] = 0.0625; weights[7] = 0.125; weights[8] = 0.0625;
-            
-            int idx = 0;
-            for (int y = -1; y <= 1; y++) {
-                for (int x = -1; x <= 1; x++) {
-                    vec2 offset = vec2(float(x), float(y)) * pixel * amount * 3.0;
-                    result += texture2D(tex, uv + offset).rgb * weights[idx];
-                    idx++;
-                }
-            }
-            
-            return result;
+        // === TONE MAPPING ===
+        // Operators take linear light and return display values (0-1)
+        
+        // ACES filmic (Stephen Hill's RRT + ODT fit)
+        vec3 toneMapAces(vec3 color) {
+            const mat3 inputMat = mat3(0.59719, 0.07600, 0.02840, 0.35458, 0.90834, 0.13383, 0.04823, 0.01566, 0.83777);
+            const mat3 outputMat = mat3(1.60475, -0.10208, -0.00327, -0.53108, 1.10813, -0.07276, -0.07367, -0.00605, 1.07602);
+            color = inputMat * (color / 0.6);
+            vec3 a = color * (color + 0.0245786) - 0.000090537;
+            vec3 b = color * (0.983729 * color + 0.4329510) + 0.238081;
+            color = outputMat * (a / b);
+            return pow(clamp(color, 0.0, 1.0), vec3(1.0 / 2.2));
+        }
+        
+        // Extended Reinhard on luminance, white point at 4
+        vec3 toneMapReinhard(vec3 color) {
+            float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+            float mapped = luminance * (1.0 + luminance / 16.0) / (1.0 + luminance);
+            color *= mapped / max(luminance, 0.0001);
+            return pow(clamp(color, 0.0, 1.0), vec3(1.0 / 2.2));
+        }
+        
+        // AgX (minimal fit) - its contrast curve already outputs display values
+        vec3 toneMapAgx(vec3 color) {
+            const mat3 agxMat = mat3(0.842479, 0.042328, 0.042376, 0.078434, 0.878469, 0.078434, 0.079224, 0.079166, 0.879143);
+            const mat3 agxMatInv = mat3(1.196879, -0.052897, -0.052972, -0.098021, 1.151903, -0.098043, -0.099030, -0.098961, 1.151074);
+            const float minEv = -12.47393;
+            const float maxEv = 4.026069;
+            
+            color = agxMat * max(color, vec3(1e-10));
+            color = (clamp(log2(color), minEv, maxEv) - minEv) / (maxEv - minEv);
+            vec3 x2 = color * color;
+            vec3 x4 = x2 * x2;
+            color = 15.5 * x4 * x2 - 40.14 * x4 * color + 31.96 * x4 - 6.868 * x2 * color + 0.4298 * x2 + 0.1191 * color - 0.00232;
+            return clamp(agxMatInv * color, 0.0, 1.0);
+        }
+        
+        // Graded colors are display values - linearize, expose, map back
+        vec3 toneMap(vec3 color) {
+            if (uToneMapping < 0.5) return color;
+            vec3 linear = pow(max(color, vec3(0.0)), vec3(2.2)) * uExposure;
+            if (uToneMapping < 1.5) return toneMapAces(linear);
+            if (uToneMapping < 2.5) return toneMapReinhard(linear);
+            return toneMapAgx(linear);
         }
         
         // Saturation adjustment
@@ -1375,17 +1550,11 @@ const Shaders = {
         void main() {
             vec2 uv = vUv;
             
-            // Get blurred version
-            vec3 blurred = blur(uTexture, uv, uResolution, uBlur);
+            // Blur and bloom come from the post chain (downsampled, see PostChain)
             vec3 original = texture2D(uTexture, uv).rgb;
-            
-            // Mix based on blur amount
-            vec3 color = mix(original, blurred, clamp(uBlur * 0.5, 0.0, 1.0));
-            
-            // Subtle glow (bloom effect from bright areas) - reduced
-            vec3 glowColor = blur(uTexture, uv, uResolution, uBlur * 3.0);
-            float luminance = dot(glowColor, vec3(0.299, 0.587, 0.114));
-            color += glowColor * smoothstep(0.5, 1.0, luminance) * uGlow * 0.5;
+            vec3 blurred = texture2D(uBlurTexture, uv).rgb;
+            vec3 color = mix(original, blurred, uBlurMix);
+            color += texture2D(uBloomTexture, uv).rgb * uBloomIntensity;
             
             // Color adjustments - apply saturation BOOST before brightness
             // This keeps colors vivid even when brightness increases
@@ -1401,6 +1570,9 @@ const Shaders = {
             // Boost saturation slightly to counteract any wash-out
             color = adjustSaturation(color, 1.0 + (brightFactor - 1.0) * 0.3);
             
+            // Over-bright values roll off instead of clipping (HDR targets keep them above 1)
+            color = toneMap(color);
+            
             // === VIGNETTE - adjustable from rectangle → pill → circle ===
             // uVignette controls amount (0 = none, 0.5 = edges black, 1 = deep inward)
             // uVignetteShape controls geometry (0 = rectangle, 0.5 = pill, 1 = circle)
@@ -1442,6 +1614,9 @@ const Shaders = {
             float grain = hash(uv * uResolution * 0.5 + fract(uTime * 60.0) * 100.0);
             color *= 1.0 + (grain - 0.5) * uFilmGrain * 0.5;
             
+            // Only when this pass writes the screen (see DITHER_CHUNK)
+            color = dither(color);
+            
             // Ensure valid range
             color = clamp(color, 0.0, 1.0);
             
@@ -1449,6 +1624,175 @@ const Shaders = {
         }
     `,
     
+    // =========================================
+    // EFFECT STACK SHADERS
+    // Optional passes after post-processing (see EffectStack)
+    // =========================================
+    
+    // Frame feedback: the previous output, zoomed / rotated / hue-shifted, mixed under the new frame
+    feedbackFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform sampler2D uHistory;
+        uniform vec2 uResolution;
+        uniform float uAmount;
+        uniform float uZoom;
+        uniform float uRotation;
+        uniform float uHueShift;
+        ${DITHER_CHUNK}
+        varying vec2 vUv;
+        
+        // Hue rotation in YIQ space
+        vec3 shiftHue(vec3 color, float shift) {
+            const mat3 toYiq = mat3(0.299, 0.596, 0.211, 0.587, -0.274, -0.523, 0.114, -0.322, 0.312);
+            const mat3 toRgb = mat3(1.0, 1.0, 1.0, 0.956, -0.272, -1.106, 0.621, -0.647, 1.703);
+            vec3 yiq = toYiq * color;
+            float angle = shift * 6.28318;
+            float c = cos(angle);
+            float s = sin(angle);
+            yiq.yz = vec2(yiq.y * c - yiq.z * s, yiq.y * s + yiq.z * c);
+            return toRgb * yiq;
+        }
+        
+        void main() {
+            float aspect = uResolution.x / uResolution.y;
+            vec2 p = (vUv - 0.5) * vec2(aspect, 1.0);
+            float c = cos(uRotation);
+            float s = sin(uRotation);
+            p = mat2(c, s, -s, c) * p / (1.0 + uZoom);
+            vec2 historyUv = p / vec2(aspect, 1.0) + 0.5;
+            
+            vec3 current = texture2D(uTexture, vUv).rgb;
+            vec3 history = shiftHue(texture2D(uHistory, historyUv).rgb, uHueShift);
+            
+            // Outside the previous frame there is nothing to trail
+            float inside = step(0.0, historyUv.x) * step(historyUv.x, 1.0) * step(0.0, historyUv.y) * step(historyUv.y, 1.0);
+            vec3 color = mix(current, clamp(history, 0.0, 1.0), uAmount * inside);
+            
+            gl_FragColor = vec4(dither(color), 1.0);
+        }
+    `,
+    
+    // Pixel sort, step 1: keyed pixels keep their sorted state, refreshed from the new frame
+    pixelSortSeedFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform sampler2D uHistory;
+        uniform float uThreshold;
+        uniform float uRefresh;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 source = texture2D(uTexture, vUv).rgb;
+            vec3 previous = texture2D(uHistory, vUv).rgb;
+            float keyed = step(uThreshold, dot(source, vec3(0.299, 0.587, 0.114)));
+            gl_FragColor = vec4(mix(source, mix(previous, source, uRefresh), keyed), 1.0);
+        }
+    `,
+    
+    // Pixel sort, step 2: one odd-even transposition pass along uDirection.
+    // Neighbouring pixels above the luminance threshold swap so brightness ascends.
+    pixelSortFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform vec2 uTexelSize;
+        uniform vec2 uDirection;
+        uniform float uParity;
+        uniform float uThreshold;
+        ${DITHER_CHUNK}
+        varying vec2 vUv;
+        
+        void main() {
+            float index = floor(dot(vUv / uTexelSize, uDirection));
+            float first = step(mod(index + uParity, 2.0), 0.5);
+            vec2 partnerUv = vUv + uDirection * uTexelSize * (first * 2.0 - 1.0);
+            
+            vec4 self = texture2D(uTexture, vUv);
+            vec4 partner = texture2D(uTexture, partnerUv);
+            float selfLuma = dot(self.rgb, vec3(0.299, 0.587, 0.114));
+            float partnerLuma = dot(partner.rgb, vec3(0.299, 0.587, 0.114));
+            
+            bool inside = partnerUv.x >= 0.0 && partnerUv.x <= 1.0 && partnerUv.y >= 0.0 && partnerUv.y <= 1.0;
+            bool keyed = inside && selfLuma >= uThreshold && partnerLuma >= uThreshold;
+            
+            // The first of the pair keeps the darker pixel, the second the brighter one
+            bool swap = keyed && (first > 0.5 ? selfLuma > partnerLuma : selfLuma < partnerLuma);
+            vec4 color = swap ? partner : self;
+            gl_FragColor = vec4(dither(color.rgb), color.a);
+        }
+    `,
+    
+    // 3D LUT grading - the cube is stored as uLutSize slices of blue side by side
+    lutFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform sampler2D uLut;
+        uniform float uLutSize;
+        uniform vec3 uDomainMin;
+        uniform vec3 uDomainMax;
+        uniform float uAmount;
+        ${DITHER_CHUNK}
+        varying vec2 vUv;
+        
+        vec3 sampleSlice(vec3 cell, float slice) {
+            vec2 uv = vec2(
+                (slice * uLutSize + cell.r + 0.5) / (uLutSize * uLutSize),
+                (cell.g + 0.5) / uLutSize
+            );
+            return texture2D(uLut, uv).rgb;
+        }
+        
+        void main() {
+            vec3 color = texture2D(uTexture, vUv).rgb;
+            vec3 cell = clamp((color - uDomainMin) / (uDomainMax - uDomainMin), 0.0, 1.0) * (uLutSize - 1.0);
+            
+            float slice = floor(cell.b);
+            float nextSlice = min(slice + 1.0, uLutSize - 1.0);
+            vec3 graded = mix(sampleSlice(cell, slice), sampleSlice(cell, nextSlice), cell.b - slice);
+            
+            gl_FragColor = vec4(dither(mix(color, graded, uAmount)), 1.0);
+        }
+    `,
+    
+    // Projection output - the warp mesh samples its region of the frame,
+    // edges shared with an overlapping projector ramp down (gamma corrected)
+    warpFragment: `
+        precision highp float;
+        
+        uniform sampler2D uTexture;
+        uniform vec4 uRegion;       // x, y, width, height of the frame (uv)
+        uniform vec4 uBlend;        // left, right, top, bottom ramp widths (fraction of the region)
+        uniform float uBlendGamma;
+        uniform float uBlendCurve;
+        ${DITHER_CHUNK}
+        varying vec2 vUv;
+        
+        float edgeRamp(float distance, float width) {
+            if (width <= 0.0) return 1.0;
+            float x = clamp(distance / width, 0.0, 1.0);
+            // S-curve: both projectors add up to one across the overlap
+            float curve = x < 0.5
+                ? 0.5 * pow(2.0 * x, uBlendCurve)
+                : 1.0 - 0.5 * pow(2.0 * (1.0 - x), uBlendCurve);
+            // Light output follows value^gamma
+            return pow(curve, 1.0 / uBlendGamma);
+        }
+        
+        void main() {
+            vec3 color = texture2D(uTexture, uRegion.xy + vUv * uRegion.zw).rgb;
+            float mask = edgeRamp(vUv.x, uBlend.x)
+                * edgeRamp(1.0 - vUv.x, uBlend.y)
+                * edgeRamp(1.0 - vUv.y, uBlend.z)
+                * edgeRamp(vUv.y, uBlend.w);
+            gl_FragColor = vec4(dither(color * mask), 1.0);
+        }
+    `,
+    
     // =========================================
     // PARTICLE / FLUID SHADER
     // =========================================
@@ -1587,6 +1931,8 @@ const Shaders = {
                 uRipple2Strength: { value: 0.3 },
                 uRipple3Center: { value: new THREE.Vector2(0.7, 0.7) },
                 uRipple3Strength: { value: 0.2 },
+                uRipple2Tint: { value: new THREE.Vector4(1, 1, 1, 0) },
+                uRipple3Tint: { value: new THREE.Vector4(1, 1, 1, 0) },
                 
                 // Shape and style (0-11 different modes)
                 uShapeType: { value: 0 },
@@ -1635,21 +1981,176 @@ const Shaders = {
         return new THREE.ShaderMaterial({
             uniforms: {
                 uTexture: { value: null },
+                uBlurTexture: { value: null },
+                uBloomTexture: { value: null },
                 uTime: { value: 0 },
                 uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-                uBlur: { value: 0.2 },
-                uGlow: { value: 0.15 },
+                uBlurMix: { value: 0 },
+                uBloomIntensity: { value: 0 },
                 uVignette: { value: 0 },
                 uVignetteShape: { value: 0.5 },  // 0 = rectangular, 1 = oval
                 uSaturation: { value: 1.1 },
                 uBrightness: { value: 0.85 },  // Darker
                 uContrast: { value: 1.05 },
                 uNoiseAmount: { value: 0.008 },
-                uFilmGrain: { value: 0.015 }
+                uFilmGrain: { value: 0.015 },
+                uToneMapping: { value: 0 },
+                uExposure: { value: 1 },
+                uDither: { value: 1 },
+                uDitherSeed: { value: 0 }
             },
             vertexShader: this.postVertex,
             fragmentShader: this.postFragment
         });
+    },
+    
+    createGaussianBlurMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uTexelSize: { value: new THREE.Vector2(1, 1) },
+                uDirection: { value: new THREE.Vector2(1, 0) },
+                uRadius: { value: 1 },
+                uTaps: { value: 8 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.gaussianBlurFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createBloomPrefilterMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uTexelSize: { value: new THREE.Vector2(1, 1) },
+                uThreshold: { value: 0.8 },
+                uKnee: { value: 0.4 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.bloomPrefilterFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createKawaseDownMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uTexelSize: { value: new THREE.Vector2(1, 1) }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.kawaseDownFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createKawaseUpMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uBase: { value: null },
+                uTexelSize: { value: new THREE.Vector2(1, 1) },
+                uSpread: { value: 1 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.kawaseUpFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createFeedbackMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uHistory: { value: null },
+                uResolution: { value: new THREE.Vector2(1, 1) },
+                uAmount: { value: 0.8 },
+                uZoom: { value: 0 },
+                uRotation: { value: 0 },
+                uHueShift: { value: 0 },
+                uDither: { value: 0 },
+                uDitherSeed: { value: 0 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.feedbackFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createPixelSortSeedMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uHistory: { value: null },
+                uThreshold: { value: 0.6 },
+                uRefresh: { value: 0.1 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.pixelSortSeedFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createPixelSortMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uTexelSize: { value: new THREE.Vector2(1, 1) },
+                uDirection: { value: new THREE.Vector2(0, 1) },
+                uParity: { value: 0 },
+                uThreshold: { value: 0.6 },
+                uDither: { value: 0 },
+                uDitherSeed: { value: 0 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.pixelSortFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createLutMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uLut: { value: null },
+                uLutSize: { value: 2 },
+                uDomainMin: { value: new THREE.Vector3(0, 0, 0) },
+                uDomainMax: { value: new THREE.Vector3(1, 1, 1) },
+                uAmount: { value: 1 },
+                uDither: { value: 0 },
+                uDitherSeed: { value: 0 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.lutFragment,
+            depthTest: false,
+            depthWrite: false
+        });
+    },
+    
+    createWarpMaterial() {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uTexture: { value: null },
+                uRegion: { value: new THREE.Vector4(0, 0, 1, 1) },
+                uBlend: { value: new THREE.Vector4(0, 0, 0, 0) },
+                uBlendGamma: { value: 2.2 },
+                uBlendCurve: { value: 2 },
+                uDither: { value: 0 },
+                uDitherSeed: { value: 0 }
+            },
+            vertexShader: this.postVertex,
+            fragmentShader: this.warpFragment,
+            depthTest: false,
+            depthWrite: false
+        });
     }
 };
 
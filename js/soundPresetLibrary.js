@@ -0,0 +1,242 @@
+/**
+ * INNER REFLECTION - Sound Preset Library
+ *
+ * Named sound presets ("sound moods") for the debug panel.
+ * Factory and user presets share one schema (every section optional):
+ *   {
+ *     name,
+ *     drones:     { base | mid | high | pad: { volume (dB), filter (Hz) } },
+ *     ambient:    { subBass | breath | shimmerPad: { volume (dB) } },
+ *     granular:   { ambient | choppy | shimmer | deep: { volume, grainSize, overlap, playbackRate,
+ *                   filterFreq, filterQ, reverbWet, delayWet, delayTime, randomness, pitchShift,
+ *                   position, span, scan, source (loop library id, null = mic loops) } },
+ *     mic:        { volume, filterFreq, reverbWet, delayWet, delayWet2, chorusDepth },
+ *     micDelay:   AudioEngine.micDelayParams keys (time, time2, drift, feedback, pitch ...),
+ *     effects:    { reverbWet, delayWet, delayFeedback, reverbDecay, chorusRate, chorusDepth,
+ *                   phaserRate, filter },
+ *     generative: AudioEngine.generativeParams keys (grainRandomPosition, speedDrift ...),
+ *     tonality:   { scale, tuning, customCents } (the root is left to the room / voice)
+ *   }
+ * Granular source windows (source, position, span, scan) a preset leaves out go back to
+ * the defaults when it is applied (see AudioEngine.withGranularDefaults).
+ *
+ * User presets are snapshots of AudioEngine.getSoundSettings(). They persist to
+ * localStorage and can be exported/imported as JSON files
+ * (shared with the other library through UserPresetStore).
+ */
+
+class SoundPresetLibrary {
+    constructor() {
+        // Sections of { key: number }
+        this.flatSections = ['mic', 'micDelay', 'effects', 'generative'];
+        // Sections of { name: { key: number } }
+        this.nestedSections = ['drones', 'ambient', 'granular'];
+
+        this.builtin = {};
+        Object.entries(this.createBuiltinPresets()).forEach(([id, preset]) => {
+            this.builtin[id] = this.normalizePreset({ name: id, ...preset });
+        });
+
+        // Saved presets - ids, localStorage and files
+        this.store = new UserPresetStore({
+            storageKey: 'innerReflection.userSoundPresets',
+            fileFormat: 'inner-reflection-sound-presets',
+            fileVersion: 1,
+            slugFallback: 'sound',
+            noun: 'sound presets',
+            logName: 'SoundPresetLibrary',
+            normalize: raw => this.normalizePreset(raw)
+        });
+    }
+
+    // =========================================
+    // FACTORY PRESETS
+    // =========================================
+
+    createBuiltinPresets() {
+        return {
+            // Deep - emphasizes bass and sub frequencies
+            deep: {
+                drones: {
+                    base: { volume: -12, filter: 300 },
+                    mid: { volume: -20, filter: 400 },
+                    high: { volume: -28, filter: 1500 },
+                    pad: { volume: -15 }
+                },
+                effects: { reverbWet: 0.6, delayWet: 0.2, delayFeedback: 0.4 },
+                tonality: { scale: 'minor', tuning: 'just' }
+            },
+
+            // Ethereal - airy, spacious, high harmonics
+            ethereal: {
+                drones: {
+                    base: { volume: -24, filter: 150 },
+                    mid: { volume: -18, filter: 1200 },
+                    high: { volume: -14, filter: 4000 },
+                    pad: { volume: -20 }
+                },
+                effects: { reverbWet: 0.8, delayWet: 0.5, delayFeedback: 0.6 },
+                tonality: { scale: 'lydian', tuning: 'just' }
+            },
+
+            // Warm - mid-focused, cozy, rounded
+            warm: {
+                drones: {
+                    base: { volume: -16, filter: 250 },
+                    mid: { volume: -14, filter: 600 },
+                    high: { volume: -22, filter: 2000 },
+                    pad: { volume: -16 }
+                },
+                effects: { reverbWet: 0.4, delayWet: 0.3, delayFeedback: 0.35 },
+                tonality: { scale: 'dorian', tuning: 'equal' }
+            },
+
+            // Crystal - bright, clear, shimmering
+            crystal: {
+                drones: {
+                    base: { volume: -26, filter: 120 },
+                    mid: { volume: -16, filter: 1500 },
+                    high: { volume: -12, filter: 6000 },
+                    pad: { volume: -22 }
+                },
+                effects: { reverbWet: 0.7, delayWet: 0.6, delayFeedback: 0.55 },
+                tonality: { scale: 'pentatonicMajor', tuning: 'just' }
+            },
+
+            // Dark - brooding, mysterious, filtered
+            dark: {
+                drones: {
+                    base: { volume: -14, filter: 180 },
+                    mid: { volume: -18, filter: 350 },
+                    high: { volume: -30, filter: 800 },
+                    pad: { volume: -12 }
+                },
+                effects: { reverbWet: 0.7, delayWet: 0.4, delayFeedback: 0.5 },
+                tonality: { scale: 'phrygian', tuning: 'equal' }
+            },
+
+            // Breath - organic, pulsing, alive
+            breath: {
+                drones: {
+                    base: { volume: -18, filter: 200 },
+                    mid: { volume: -16, filter: 700 },
+                    high: { volume: -20, filter: 2500 },
+                    pad: { volume: -14 }
+                },
+                effects: { reverbWet: 0.5, delayWet: 0.35, delayFeedback: 0.45 },
+                tonality: { scale: 'minor', tuning: 'equal' },
+                // Narrow windows that slowly breathe through the source
+                granular: {
+                    ambient: { span: 0.35, scan: 1.5 },
+                    deep: { span: 0.5, scan: -0.8 }
+                }
+            }
+        };
+    }
+
+    // =========================================
+    // LOOKUP
+    // =========================================
+
+    get(id) {
+        return this.store.get(id) || this.builtin[id] || null;
+    }
+
+    isUserPreset(id) {
+        return this.store.has(id);
+    }
+
+    listUserPresets() {
+        return this.store.list();
+    }
+
+    // =========================================
+    // VALIDATION
+    // =========================================
+
+    /**
+     * Validate a preset-like object and strip anything that isn't a finite number
+     * (apart from granular sources and tonality names)
+     */
+    normalizePreset(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name) return null;
+
+        const pickNumbers = (source) => {
+            const result = {};
+            if (!source || typeof source !== 'object') return result;
+            Object.entries(source).forEach(([key, value]) => {
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    result[key] = value;
+                }
+            });
+            return result;
+        };
+
+        const preset = { name };
+        this.flatSections.forEach((section) => {
+            const values = pickNumbers(raw[section]);
+            if (Object.keys(values).length > 0) preset[section] = values;
+        });
+        this.nestedSections.forEach((section) => {
+            const source = raw[section];
+            if (!source || typeof source !== 'object') return;
+
+            const entries = {};
+            Object.entries(source).forEach(([key, values]) => {
+                const picked = pickNumbers(values);
+                // Granular layers may name a library loop to play
+                if (section === 'granular' && (typeof values?.source === 'string' || values?.source === null)) {
+                    picked.source = values.source;
+                }
+                if (Object.keys(picked).length > 0) entries[key] = picked;
+            });
+            if (Object.keys(entries).length > 0) preset[section] = entries;
+        });
+
+        // Scale / tuning names are checked by Tonality.set
+        const tonality = raw.tonality;
+        if (tonality && typeof tonality === 'object') {
+            const picked = {};
+            ['scale', 'tuning'].forEach((key) => {
+                if (typeof tonality[key] === 'string') picked[key] = tonality[key];
+            });
+            if (Array.isArray(tonality.customCents) && tonality.customCents.length === 12 &&
+                tonality.customCents.every(value => Number.isFinite(value))) {
+                picked.customCents = [...tonality.customCents];
+            }
+            if (Object.keys(picked).length > 0) preset.tonality = picked;
+        }
+        return preset;
+    }
+
+    // =========================================
+    // USER PRESETS (see UserPresetStore)
+    // =========================================
+
+    // Saving under an existing name overwrites that preset
+    saveUserPreset(preset) {
+        return this.store.save(preset);
+    }
+
+    deleteUserPreset(id) {
+        return this.store.remove(id);
+    }
+
+    // Any presets by id, factory ones included (default: every user preset)
+    exportJSON(ids = this.store.list().map(({ id }) => id)) {
+        return this.store.exportJSON(ids.map(id => this.get(id)).filter(Boolean));
+    }
+
+    // Returns { ids, replaced }, see UserPresetStore.importJSON
+    importJSON(text) {
+        return this.store.importJSON(text);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoundPresetLibrary;
+}
@@ -0,0 +1,494 @@
+/**
+ * INNER REFLECTION - Spatial Mixer
+ *
+ * Places sound sources (drones, granular layers, mic echoes, glitter) in the
+ * room and renders them to the available outputs:
+ *   off           sources pass straight through (plain stereo mix)
+ *   stereo        equal-power left/right panning
+ *   binaural      HRTF panning for headphones
+ *   multichannel  pairwise constant-power panning over a ring of N speakers,
+ *                 one Web Audio output channel per speaker (discrete)
+ *   auto          multichannel when the device has more than two channels, else binaural
+ *
+ * Positions are anchors in ripple space (0-1, x right, y up - the top of the
+ * screen is the front of the room), supplied by the app each frame from the
+ * ripple origins or the tracked faces. Each source follows one anchor plus a
+ * fixed offset; glitter-style voices get a fresh position per note (scatter).
+ *
+ * The stereo bed (reverb returns, sub, pads) is spread over the ring. In
+ * multichannel mode the master dynamics run per channel, since the stereo
+ * compressor / limiters would fold the ring back down to two channels.
+ *
+ * Settings persist to localStorage:
+ *   { mode, speakerCount, speakerAngles, follow, spread }
+ *   speakerAngles  degrees clockwise from the front, one per output channel
+ *                  ([] = even ring starting front-left)
+ *   follow         'ripples' | 'face' | 'fixed'
+ */
+
+class SpatialMixer {
+    constructor() {
+        this.storageKey = 'innerReflection.spatial';
+
+        this.modes = ['off', 'stereo', 'binaural', 'multichannel', 'auto'];
+        this.follows = ['ripples', 'face', 'fixed'];
+
+        this.mode = 'off';
+        this.speakerCount = 4;
+        this.speakerAngles = [];
+        this.follow = 'ripples';
+        this.spread = 0.2;             // 0 = point sources, 1 = every speaker equally
+
+        this.radius = 3;               // metres from the listener (binaural)
+        this.minDistance = 0.3;        // fraction of the radius - keeps HRTF sources out of the head
+        this.updateInterval = 0.05;    // seconds between position updates (ramped in between)
+        this.fixedAnchors = [{ x: 0.5, y: 0.5 }, { x: 0.2, y: 0.7 }, { x: 0.8, y: 0.3 }];
+
+        this.sources = {};             // name -> { input, output, anchor, offset, pin, nodes, ... }
+        this.anchors = this.fixedAnchors;
+        this.sinceUpdate = 0;
+
+        // Routing (built in init)
+        this.master = null;
+        this.output = null;
+        this.routeNodes = [];
+        this.activeMode = null;
+        this.channels = 2;
+
+        // Callbacks
+        this.onModeChange = null;      // (mode, channels) => {} after the routing was rebuilt
+
+        this.loadSettings();
+    }
+
+    static getMaxChannels() {
+        try {
+            return Tone.getContext().rawContext.destination.maxChannelCount || 2;
+        } catch (e) {
+            return 2;
+        }
+    }
+
+    // =========================================
+    // SETTINGS
+    // =========================================
+
+    /**
+     * Apply a partial settings object. Returns true if anything changed.
+     */
+    set(changes = {}, save = true) {
+        const before = JSON.stringify(this.getSettings());
+        const routingBefore = this.getRoutingKey();
+
+        if (this.modes.includes(changes.mode)) {
+            this.mode = changes.mode;
+        }
+        if (Number.isFinite(changes.speakerCount)) {
+            this.speakerCount = Utils.clamp(Math.round(changes.speakerCount), 2, 32);
+        }
+        if (Array.isArray(changes.speakerAngles) &&
+            changes.speakerAngles.every(value => Number.isFinite(Number(value)))) {
+            this.speakerAngles = changes.speakerAngles.map(Number);
+        }
+        if (this.follows.includes(changes.follow)) {
+            this.follow = changes.follow;
+        }
+        if (Number.isFinite(changes.spread)) {
+            this.spread = Utils.clamp(changes.spread, 0, 1);
+        }
+
+        const changed = JSON.stringify(this.getSettings()) !== before;
+        if (changed && save) this.saveSettings();
+
+        // Follow and spread only move sources; mode and speakers rebuild the routing
+        if (changed && this.output) {
+            if (this.getRoutingKey() !== routingBefore) {
+                this.applyMode();
+            } else {
+                this.placeAll(0.1);
+            }
+        }
+        return changed;
+    }
+
+    getRoutingKey() {
+        return `${this.mode}|${this.speakerCount}|${this.speakerAngles.join(',')}`;
+    }
+
+    getSettings() {
+        return {
+            mode: this.mode,
+            speakerCount: this.speakerCount,
+            speakerAngles: [...this.speakerAngles],
+            follow: this.follow,
+            spread: this.spread
+        };
+    }
+
+    loadSettings() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (!raw) return false;
+            this.set(JSON.parse(raw), false);
+            return true;
+        } catch (e) {
+            console.warn('SpatialMixer: Could not load settings', e);
+            return false;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        } catch (e) {
+            console.warn('SpatialMixer: Could not save settings', e);
+        }
+    }
+
+    // 'auto' and unavailable channel counts resolve to what the device can play
+    resolveMode() {
+        const maxChannels = SpatialMixer.getMaxChannels();
+        if (this.mode === 'auto') {
+            return maxChannels > 2 ? 'multichannel' : 'binaural';
+        }
+        if (this.mode === 'multichannel' && maxChannels <= 2) {
+            console.warn('SpatialMixer: Output has only 2 channels, using binaural');
+            return 'binaural';
+        }
+        return this.mode;
+    }
+
+    // Speaker angles (degrees, clockwise from the front) for the active channel count
+    getSpeakerAngles(channels = this.channels) {
+        if (this.speakerAngles.length === channels) return [...this.speakerAngles];
+        return Array.from({ length: channels }, (_, i) => -180 / channels + i * 360 / channels);
+    }
+
+    getStatus() {
+        return {
+            mode: this.activeMode || 'off',
+            channels: this.channels,
+            maxChannels: SpatialMixer.getMaxChannels()
+        };
+    }
+
+    // =========================================
+    // ROUTING
+    // =========================================
+
+    /**
+     * Take over the end of the master chain. master: {
+     *   bed            stereo input for everything that is not placed
+     *   mix            where placed sources and the bed meet (master filter)
+     *   dynamicsInput  last node before the stereo dynamics
+     *   dynamics       stereo compressor (dynamicsInput -> dynamics ... stereoOutput)
+     *   stereoOutput   final stereo limiter
+     * }
+     */
+    init(master) {
+        this.master = master;
+        this.output = new Tone.Gain(1).toDestination();
+        this.applyMode();
+    }
+
+    applyMode() {
+        if (!this.output) return;
+
+        const mode = this.resolveMode();
+        const channels = mode === 'multichannel'
+            ? Math.min(this.speakerCount, SpatialMixer.getMaxChannels())
+            : 2;
+        if (mode === 'multichannel' && channels < this.speakerCount) {
+            console.warn(`SpatialMixer: Output has ${channels} channels, ${this.speakerCount} speakers requested`);
+        }
+
+        this.activeMode = mode;
+        this.channels = channels;
+        this.setDestinationChannels(channels);
+        this.buildMasterRouting();
+        Object.values(this.sources).forEach(source => this.buildSource(source));
+
+        console.log(`SpatialMixer: ${mode} (${channels} ch)`);
+        this.onModeChange?.(mode, channels);
+    }
+
+    setDestinationChannels(channels) {
+        try {
+            const destination = Tone.getContext().rawContext.destination;
+            destination.channelCount = channels;
+            destination.channelInterpretation = channels > 2 ? 'discrete' : 'speakers';
+        } catch (e) {
+            console.warn('SpatialMixer: Could not set output channel count', e);
+        }
+    }
+
+    buildMasterRouting() {
+        const { bed, mix, dynamicsInput, dynamics, stereoOutput } = this.master;
+        this.routeNodes.forEach(node => node.dispose());
+        this.routeNodes = [];
+        [bed, dynamicsInput, stereoOutput].forEach(node => node.disconnect());
+
+        if (this.activeMode !== 'multichannel') {
+            bed.connect(mix);
+            dynamicsInput.connect(dynamics);
+            stereoOutput.connect(this.output);
+            return;
+        }
+
+        const channels = this.channels;
+        const angles = this.getSpeakerAngles(channels);
+
+        // Bed: left channel to the speakers on the left, right to the right
+        const bedSplit = new Tone.Split({ channels: 2 });
+        const bedMerge = new Tone.Merge({ channels });
+        bed.connect(bedSplit);
+        const norm = Math.sqrt(2 / channels);
+        angles.forEach((angle, channel) => {
+            const side = Math.sin(angle * Math.PI / 180);
+            [(1 - side) / 2, (1 + side) / 2].forEach((weight, input) => {
+                const gain = new Tone.Gain(Math.sqrt(weight) * norm);
+                bedSplit.connect(gain, input);
+                gain.connect(bedMerge, 0, channel);
+                this.routeNodes.push(gain);
+            });
+        });
+        bedMerge.connect(mix);
+
+        // Dynamics per channel: compressor + limiter like the stereo chain
+        const split = new Tone.Split({ channels });
+        const merge = new Tone.Merge({ channels });
+        dynamicsInput.connect(split);
+        for (let channel = 0; channel < channels; channel++) {
+            const compressor = new Tone.Compressor({
+                threshold: -18, ratio: 12, attack: 0.003, release: 0.15, knee: 6
+            });
+            const limiter = new Tone.Limiter(-1);
+            split.connect(compressor, channel);
+            compressor.connect(limiter);
+            limiter.connect(merge, 0, channel);
+            this.routeNodes.push(compressor, limiter);
+        }
+        merge.connect(this.output);
+        this.routeNodes.push(bedSplit, bedMerge, split, merge);
+    }
+
+    // =========================================
+    // SOURCES
+    // =========================================
+
+    /**
+     * Register a placeable source. Connect audio into source.input and
+     * source.output to where it should be mixed (replaces a source of the same name).
+     */
+    addSource(name, { anchor = 0, offset = [0, 0] } = {}) {
+        this.removeSource(name);
+
+        const source = {
+            name,
+            anchor,
+            offset,
+            pin: null,                 // { x, y } while scattered
+            input: new Tone.Gain(1),
+            output: new Tone.Gain(1),
+            nodes: [],
+            panner: null,
+            gains: null,
+            position: null
+        };
+        this.sources[name] = source;
+        if (this.output) this.buildSource(source);
+        return source;
+    }
+
+    removeSource(name) {
+        const source = this.sources[name];
+        if (!source) return;
+        source.nodes.forEach(node => node.dispose());
+        source.input.dispose();
+        source.output.dispose();
+        delete this.sources[name];
+    }
+
+    buildSource(source) {
+        source.input.disconnect();
+        source.nodes.forEach(node => node.dispose());
+        source.nodes = [];
+        source.panner = null;
+        source.gains = null;
+        source.position = null;
+
+        switch (this.activeMode) {
+            case 'stereo':
+                source.panner = new Tone.Panner(0);
+                source.nodes.push(source.panner);
+                break;
+            case 'binaural':
+                source.panner = new Tone.Panner3D({
+                    panningModel: 'HRTF',
+                    distanceModel: 'inverse',
+                    refDistance: this.radius,
+                    rolloffFactor: 0.5
+                });
+                source.nodes.push(source.panner);
+                break;
+            case 'multichannel': {
+                const merge = new Tone.Merge({ channels: this.channels });
+                source.gains = Array.from({ length: this.channels }, (_, channel) => {
+                    const gain = new Tone.Gain(0);
+                    source.input.connect(gain);
+                    gain.connect(merge, 0, channel);
+                    return gain;
+                });
+                merge.connect(source.output);
+                source.nodes.push(...source.gains, merge);
+                break;
+            }
+            default:
+                source.input.connect(source.output);
+        }
+
+        if (source.panner) {
+            source.input.connect(source.panner);
+            source.panner.connect(source.output);
+        }
+        this.placeSource(source, 0);
+    }
+
+    // =========================================
+    // POSITIONS
+    // =========================================
+
+    // Anchor points in ripple space: [{ x, y }, ...] (ignored when following 'fixed')
+    setAnchors(anchors) {
+        if (Array.isArray(anchors) && anchors.length > 0) {
+            this.anchors = anchors;
+        }
+    }
+
+    update(deltaTime) {
+        if (!this.activeMode || this.activeMode === 'off') return;
+        this.sinceUpdate += deltaTime;
+        if (this.sinceUpdate < this.updateInterval) return;
+
+        const rampTime = Math.min(this.sinceUpdate, 0.25);
+        this.sinceUpdate = 0;
+        Object.values(this.sources).forEach(source => this.placeSource(source, rampTime));
+    }
+
+    // Re-place every source even if it did not move (spread or follow changed)
+    placeAll(rampTime) {
+        Object.values(this.sources).forEach((source) => {
+            source.position = null;
+            this.placeSource(source, rampTime);
+        });
+    }
+
+    /**
+     * Give a source a new spot around a random anchor, held until the next scatter
+     * (one position per glitter note instead of following the anchor)
+     */
+    scatter(name, random = Math.random, radius = 0.35) {
+        const source = this.sources[name];
+        if (!source || (!source.panner && !source.gains)) return;
+
+        const anchors = this.follow === 'fixed' ? this.fixedAnchors : this.anchors;
+        const anchor = anchors[Math.floor(random() * anchors.length)] || { x: 0.5, y: 0.5 };
+        const angle = random() * Math.PI * 2;
+        const distance = Math.sqrt(random()) * radius;
+        source.pin = {
+            x: Utils.clamp(anchor.x + Math.cos(angle) * distance, 0, 1),
+            y: Utils.clamp(anchor.y + Math.sin(angle) * distance, 0, 1)
+        };
+        this.placeSource(source, 0.02);
+    }
+
+    getSourcePosition(source) {
+        if (source.pin) return source.pin;
+
+        const anchors = this.follow === 'fixed' ? this.fixedAnchors : this.anchors;
+        const anchor = anchors[source.anchor % anchors.length] || { x: 0.5, y: 0.5 };
+        return {
+            x: Utils.clamp(anchor.x + source.offset[0], 0, 1),
+            y: Utils.clamp(anchor.y + source.offset[1], 0, 1)
+        };
+    }
+
+    placeSource(source, rampTime) {
+        if (!source.panner && !source.gains) return;
+
+        const { x, y } = this.getSourcePosition(source);
+        if (source.position &&
+            Math.abs(source.position.x - x) < 0.002 && Math.abs(source.position.y - y) < 0.002) {
+            return;
+        }
+        source.position = { x, y };
+
+        // Room coordinates: x right, y front, -1..1
+        const roomX = x * 2 - 1;
+        const roomY = y * 2 - 1;
+        const distance = Utils.clamp(Math.hypot(roomX, roomY), 0, 1);
+        const azimuth = Math.atan2(roomX, roomY);
+        const ramp = Math.max(rampTime, 0.005);
+
+        if (this.activeMode === 'stereo') {
+            source.panner.pan.rampTo(Utils.clamp(roomX * (1 - this.spread), -1, 1), ramp);
+        } else if (this.activeMode === 'binaural') {
+            // Web Audio listener faces -z
+            const radius = Math.max(distance, this.minDistance) * this.radius;
+            source.panner.positionX.rampTo(Math.sin(azimuth) * radius, ramp);
+            source.panner.positionZ.rampTo(-Math.cos(azimuth) * radius, ramp);
+        } else if (source.gains) {
+            this.getSpeakerGains(azimuth, distance).forEach((gain, channel) => {
+                source.gains[channel]?.gain.rampTo(gain, ramp);
+            });
+        }
+    }
+
+    /**
+     * Constant-power gains for the speaker pair around the azimuth (radians),
+     * blended toward every speaker near the middle of the room and by spread.
+     * Squared gains always sum to 1.
+     */
+    getSpeakerGains(azimuth, distance, channels = this.channels) {
+        const wrap = degrees => ((degrees % 360) + 360) % 360;
+        const speakers = this.getSpeakerAngles(channels)
+            .map((angle, channel) => ({ angle: wrap(angle), channel }))
+            .sort((a, b) => a.angle - b.angle);
+        const target = wrap(azimuth * 180 / Math.PI);
+
+        const pair = new Array(channels).fill(0);
+        if (speakers.length === 1) {
+            pair[speakers[0].channel] = 1;
+        } else {
+            let index = speakers.findIndex(speaker => speaker.angle > target) - 1;
+            if (index < 0) index = speakers.length - 1;
+            const from = speakers[index];
+            const to = speakers[(index + 1) % speakers.length];
+            const span = wrap(to.angle - from.angle) || 360;
+            const t = Utils.clamp(wrap(target - from.angle) / span, 0, 1);
+            pair[from.channel] += Math.cos(t * Math.PI / 2) ** 2;
+            pair[to.channel] += Math.sin(t * Math.PI / 2) ** 2;
+        }
+
+        const diffuse = Utils.clamp(Math.max(this.spread, 1 - distance), 0, 1);
+        return pair.map(power => Math.sqrt((1 - diffuse) * power + diffuse / channels));
+    }
+
+    // =========================================
+    // CLEANUP
+    // =========================================
+
+    dispose() {
+        Object.keys(this.sources).forEach(name => this.removeSource(name));
+        this.routeNodes.forEach(node => node.dispose());
+        this.routeNodes = [];
+        this.output?.dispose();
+        this.output = null;
+        this.activeMode = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialMixer;
+}
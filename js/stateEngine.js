@@ -8,6 +8,7 @@
  * - Each dimension has: current value, target value, velocity, drift direction
  * - Dimensions are interconnected via a sparse connection matrix
  * - External inputs (keyboard, mouse, face, audio) apply gentle influences
+ *   (continuous mic/face/motion sources arrive through the ModulationMatrix)
  * - Autonomous drift creates constant organic evolution
  * 
  * Dimension Groups:
@@ -26,7 +27,7 @@
  */
 
 class StateEngine {
-    constructor() {
+    constructor(seed) {
         // Number of state dimensions
         this.dimensionCount = 64;
         
@@ -59,6 +60,29 @@ class StateEngine {
         // Keyboard mappings
         this.keyMappings = {};
         
+        // Seeded PRNG - every random choice goes through this.random,
+        // so the same seed reproduces the same run (see reset)
+        this.seed = null;
+        this.random = Math.random;
+        
+        // === HOME ATTRACTION - store ideal values to gently return to ===
+        this.homeValues = new Float32Array(this.dimensionCount);
+        this.homeStrength = 0.002;  // Stronger pull back to ideal state - keeps visuals stable
+        
+        // Seed and initialize everything
+        this.reset(seed);
+    }
+    
+    /**
+     * Re-seed and return to a fresh starting state.
+     * Everything random (palette, drift, pendulum, connections, key mappings) is drawn from the seed.
+     */
+    reset(seed = Utils.createSeed()) {
+        this.seed = seed;
+        this.random = Utils.createRandom(seed);
+        this.connections = [];
+        this.keyMappings = {};
+        
         // Time tracking
         this.time = 0;
         this.lastUpdate = 0;
@@ -73,21 +97,21 @@ class StateEngine {
             minInterval: 15,     // Minimum seconds between focus transitions
             maxInterval: 45      // Maximum seconds between transitions
         };
-        this.nextFocusTime = 10 + Math.random() * 20;  // First focus after 10-30 seconds
+        this.nextFocusTime = 10 + this.random() * 20;  // First focus after 10-30 seconds
         
         // Pendulum physics for super smooth camera-like movement
         // Random starting angles for unique animation direction each session
-        const randomAngleX = (Math.random() - 0.5) * Math.PI * 0.8;
-        const randomAngleY = (Math.random() - 0.5) * Math.PI * 0.8;
-        const randomAngleRot = (Math.random() - 0.5) * Math.PI * 0.4;
-        const randomVelX = (Math.random() - 0.5) * 0.0004;
-        const randomVelY = (Math.random() - 0.5) * 0.0004;
+        const randomAngleX = (this.random() - 0.5) * Math.PI * 0.8;
+        const randomAngleY = (this.random() - 0.5) * Math.PI * 0.8;
+        const randomAngleRot = (this.random() - 0.5) * Math.PI * 0.4;
+        const randomVelX = (this.random() - 0.5) * 0.0004;
+        const randomVelY = (this.random() - 0.5) * 0.0004;
         
         this.pendulum = {
             x: { angle: randomAngleX, velocity: randomVelX, target: 0.5 },
             y: { angle: randomAngleY, velocity: randomVelY, target: 0.5 },
-            rotation: { angle: randomAngleRot, velocity: (Math.random() - 0.5) * 0.0002, target: 0 },
-            scale: { angle: Math.random() * Math.PI, velocity: 0, target: 0.5 }
+            rotation: { angle: randomAngleRot, velocity: (this.random() - 0.5) * 0.0002, target: 0 },
+            scale: { angle: this.random() * Math.PI, velocity: 0, target: 0.5 }
         };
         // Pendulum parameters - very slow, smooth swinging
         this.pendulumDamping = 0.998;  // Very slow decay
@@ -105,11 +129,6 @@ class StateEngine {
             inputFeedbackIntensity: 0
         };
         
-        // === HOME ATTRACTION - store ideal values to gently return to ===
-        this.homeValues = new Float32Array(this.dimensionCount);
-        this.homeStrength = 0.002;  // Stronger pull back to ideal state - keeps visuals stable
-        
-        // Initialize everything
         this.initialize();
     }
     
@@ -124,7 +143,7 @@ class StateEngine {
             this.target[i] = 0.5;
             this.velocity[i] = 0;
             this.homeValues[i] = 0.5; // Default home is center
-            this.drift[i] = (Math.random() - 0.5) * 0.5; // Gentler drift
+            this.drift[i] = (this.random() - 0.5) * 0.5; // Gentler drift
             this.influence[i] = 0;
             this.manualHoldUntil[i] = 0;
             this.manualHoldValue[i] = 0.5;
@@ -135,45 +154,45 @@ class StateEngine {
             this.autoFactors[i] = 1;
             
             // MUCH smoother, slower transitions - like hanging pendulum
-            this.smoothing[i] = 0.995 + Math.random() * 0.004; // 0.995-0.999
+            this.smoothing[i] = 0.995 + this.random() * 0.004; // 0.995-0.999
             
             // MINIMAL drift - stay very close to curated values
-            this.driftSpeed[i] = 0.00001 + Math.random() * 0.00002;
-            this.driftScale[i] = 0.001 + Math.random() * 0.001;
+            this.driftSpeed[i] = 0.00001 + this.random() * 0.00002;
+            this.driftScale[i] = 0.001 + this.random() * 0.001;
         }
         
         // === RANDOM STARTING COLOR PALETTE ===
         // Each session starts with a unique but harmonious color combination
         // Generate a random base hue and derive others from it
-        const baseHue = Math.random(); // Random starting point on color wheel
-        const harmonyType = Math.floor(Math.random() * 4); // 0=analogous, 1=complementary, 2=triadic, 3=split-complementary
+        const baseHue = this.random(); // Random starting point on color wheel
+        const harmonyType = Math.floor(this.random() * 4); // 0=analogous, 1=complementary, 2=triadic, 3=split-complementary
         
         let hue1, hue2, hue3, hue4;
         switch (harmonyType) {
             case 0: // Analogous - colors close together
                 hue1 = baseHue;
-                hue2 = (baseHue + 0.08 + Math.random() * 0.06) % 1;
-                hue3 = (baseHue - 0.1 - Math.random() * 0.08 + 1) % 1;
-                hue4 = (baseHue + 0.2 + Math.random() * 0.1) % 1;
+                hue2 = (baseHue + 0.08 + this.random() * 0.06) % 1;
+                hue3 = (baseHue - 0.1 - this.random() * 0.08 + 1) % 1;
+                hue4 = (baseHue + 0.2 + this.random() * 0.1) % 1;
                 break;
             case 1: // Complementary - opposite colors
                 hue1 = baseHue;
-                hue2 = (baseHue + 0.5 + (Math.random() - 0.5) * 0.1) % 1;
-                hue3 = (baseHue + 0.15 + Math.random() * 0.1) % 1;
-                hue4 = (baseHue + 0.6 + Math.random() * 0.1) % 1;
+                hue2 = (baseHue + 0.5 + (this.random() - 0.5) * 0.1) % 1;
+                hue3 = (baseHue + 0.15 + this.random() * 0.1) % 1;
+                hue4 = (baseHue + 0.6 + this.random() * 0.1) % 1;
                 break;
             case 2: // Triadic - three evenly spaced
                 hue1 = baseHue;
-                hue2 = (baseHue + 0.33 + (Math.random() - 0.5) * 0.08) % 1;
-                hue3 = (baseHue + 0.67 + (Math.random() - 0.5) * 0.08) % 1;
-                hue4 = (baseHue + 0.17 + Math.random() * 0.1) % 1;
+                hue2 = (baseHue + 0.33 + (this.random() - 0.5) * 0.08) % 1;
+                hue3 = (baseHue + 0.67 + (this.random() - 0.5) * 0.08) % 1;
+                hue4 = (baseHue + 0.17 + this.random() * 0.1) % 1;
                 break;
             case 3: // Split-complementary
             default:
                 hue1 = baseHue;
-                hue2 = (baseHue + 0.4 + Math.random() * 0.08) % 1;
-                hue3 = (baseHue + 0.6 + Math.random() * 0.08) % 1;
-                hue4 = (baseHue + 0.12 + Math.random() * 0.1) % 1;
+                hue2 = (baseHue + 0.4 + this.random() * 0.08) % 1;
+                hue3 = (baseHue + 0.6 + this.random() * 0.08) % 1;
+                hue4 = (baseHue + 0.12 + this.random() * 0.1) % 1;
                 break;
         }
         
@@ -182,8 +201,8 @@ class StateEngine {
         this.current[this.dimensions.colorHue2] = hue2;
         this.current[this.dimensions.colorHue3] = hue3;
         this.current[this.dimensions.colorHue4] = hue4;
-        this.current[this.dimensions.colorSaturation] = 0.82 + Math.random() * 0.12;  // More vivid: 0.82-0.94
-        this.current[this.dimensions.colorBrightness] = 0.58 + Math.random() * 0.08;  // Starting point, brighter
+        this.current[this.dimensions.colorSaturation] = 0.82 + this.random() * 0.12;  // More vivid: 0.82-0.94
+        this.current[this.dimensions.colorBrightness] = 0.58 + this.random() * 0.08;  // Starting point, brighter
         
         // Copy to targets
         this.target[this.dimensions.colorHue1] = this.current[this.dimensions.colorHue1];
@@ -400,12 +419,12 @@ class StateEngine {
         
         // Add some random subtle connections for complexity - FEWER and weaker
         for (let i = 0; i < 15; i++) {
-            const source = Math.floor(Math.random() * this.dimensionCount);
-            const target = Math.floor(Math.random() * this.dimensionCount);
+            const source = Math.floor(this.random() * this.dimensionCount);
+            const target = Math.floor(this.random() * this.dimensionCount);
             if (source !== target &&
                 !this.staticDimensions.has(source) &&
                 !this.staticDimensions.has(target)) {
-                const strength = (Math.random() - 0.5) * 0.08; // Much more subtle
+                const strength = (this.random() - 0.5) * 0.08; // Much more subtle
                 this.connections.push([source, target, strength]);
             }
         }
@@ -431,19 +450,19 @@ class StateEngine {
             this.keyMappings[key] = [];
             
             // Each key affects 5-10 random dimensions
-            const affectedCount = 5 + Math.floor(Math.random() * 6);
+            const affectedCount = 5 + Math.floor(this.random() * 6);
             const usedDimensions = new Set();
             
             for (let i = 0; i < affectedCount; i++) {
                 let dim;
                 do {
-                    dim = Math.floor(Math.random() * this.dimensionCount);
+                    dim = Math.floor(this.random() * this.dimensionCount);
                 } while (usedDimensions.has(dim));
                 usedDimensions.add(dim);
                 
                 // Random direction and strength
-                const direction = Math.random() > 0.5 ? 1 : -1;
-                const strength = 0.02 + Math.random() * 0.05; // Subtle per key
+                const direction = this.random() > 0.5 ? 1 : -1;
+                const strength = 0.02 + this.random() * 0.05; // Subtle per key
                 
                 this.keyMappings[key].push({
                     dimension: dim,
@@ -620,7 +639,7 @@ class StateEngine {
         const timeSinceSpawn = this.time - ps.lastSpawnTime;
         const shouldSpawn = ps.active.length < ps.maxActive && 
                            timeSinceSpawn > ps.spawnInterval &&
-                           Math.random() < 0.001; // Very rare chance each frame
+                           this.random() < 0.001; // Very rare chance each frame
         
         if (shouldSpawn) {
             this.spawnParameterShift();
@@ -631,7 +650,7 @@ class StateEngine {
             // Higher intensity = more simultaneous shifts
             const extraShifts = Math.floor(ps.inputFeedbackIntensity * 3);
             for (let i = 0; i < extraShifts && ps.active.length < ps.maxActive; i++) {
-                if (Math.random() < 0.01) {  // Small chance per frame
+                if (this.random() < 0.01) {  // Small chance per frame
                     this.spawnParameterShift(true);  // Fast feedback shift
                 }
             }
@@ -646,13 +665,13 @@ class StateEngine {
         const activeIndices = new Set(ps.active.map(s => s.dimension));
         const audioDims = Array.from({ length: 12 }, (_, i) => 40 + i);
         const allDims = Array.from({ length: this.dimensionCount }, (_, i) => i);
-        const pickAudio = Math.random() < 0.6;
+        const pickAudio = this.random() < 0.6;
         const candidateDims = pickAudio ? audioDims : allDims;
         let attempts = 0;
         let dim;
         
         do {
-            dim = candidateDims[Math.floor(Math.random() * candidateDims.length)];
+            dim = candidateDims[Math.floor(this.random() * candidateDims.length)];
             attempts++;
         } while ((activeIndices.has(dim) ||
             this.staticDimensions.has(dim) ||
@@ -667,7 +686,7 @@ class StateEngine {
         const isHue = dim <= 3;
         
         // Target value - VERY gradual shift, stay close to current
-        let shiftAmount = (Math.random() - 0.5) * (isFeedback ? 0.15 : 0.08);
+        let shiftAmount = (this.random() - 0.5) * (isFeedback ? 0.15 : 0.08);
         let endValue = currentVal + shiftAmount;
         
         if (!isHue) {
@@ -677,8 +696,8 @@ class StateEngine {
         
         // Duration - MUCH slower shifts for gentle evolution
         const duration = isFeedback ? 
-            10 + Math.random() * 20 :   // 10-30 seconds for feedback
-            25 + Math.random() * 45;    // 25-70 seconds normally
+            10 + this.random() * 20 :   // 10-30 seconds for feedback
+            25 + this.random() * 45;    // 25-70 seconds normally
         
         ps.active.push({
             dimension: dim,
@@ -690,7 +709,7 @@ class StateEngine {
         });
         
         ps.lastSpawnTime = this.time;
-        ps.spawnInterval = 10 + Math.random() * 50;  // Random interval until next
+        ps.spawnInterval = 10 + this.random() * 50;  // Random interval until next
         
         // Get dimension name for logging
         const dimName = Object.entries(this.dimensions).find(([name, idx]) => idx === dim)?.[0] || `dim${dim}`;
@@ -763,11 +782,11 @@ class StateEngine {
         if (this.time >= this.nextFocusTime) {
             // Toggle focus mode
             this.focusMode.active = !this.focusMode.active;
-            this.focusMode.targetIntensity = this.focusMode.active ? Utils.random(0.6, 1.0) : 0;
+            this.focusMode.targetIntensity = this.focusMode.active ? Utils.random(0.6, 1.0, this.random) : 0;
             this.focusMode.lastTransition = this.time;
             this.focusMode.duration = this.focusMode.active ? 
-                Utils.random(8, 20) :  // Stay focused for 8-20 seconds
-                Utils.random(this.focusMode.minInterval, this.focusMode.maxInterval);
+                Utils.random(8, 20, this.random) :  // Stay focused for 8-20 seconds
+                Utils.random(this.focusMode.minInterval, this.focusMode.maxInterval, this.random);
             this.nextFocusTime = this.time + this.focusMode.duration;
             
             console.log(`StateEngine: Focus mode ${this.focusMode.active ? 'ACTIVATED' : 'released'}, intensity: ${this.focusMode.targetIntensity.toFixed(2)}`);
@@ -921,7 +940,18 @@ class StateEngine {
             }
         }
     }
-    
+
+    // MIDI notes reuse the keyboard influence map (wrapping across the keys), scaled by velocity
+    handleNote(note, velocity = 1) {
+        const keys = Object.keys(this.keyMappings);
+        if (keys.length === 0) return;
+
+        const mapping = this.keyMappings[keys[note % keys.length]];
+        for (const { dimension, strength } of mapping) {
+            this.influence[dimension] += strength * 0.5 * velocity;
+        }
+    }
+
     handleMouseMove(x, y) {
         // x, y are normalized 0-1
         // Gentle influence on displacement center
@@ -981,37 +1011,7 @@ class StateEngine {
     }
     
     handleAudioInput(volume, bass, mid, treble) {
-        // Audio input - stronger influence for more visible reaction
-        const strength = 0.15; // Base multiplier for mic reactivity
-        
-        // Volume affects overall intensity and chaos
-        this.influence[this.dimensions.overallIntensity] += volume * strength * 0.8;
-        this.influence[this.dimensions.overallChaos] += volume * strength * 0.3;
-        
-        // Bass affects displacement and low drones
-        this.influence[this.dimensions.displacementStrength] += bass * strength * 0.6;
-        this.influence[this.dimensions.droneBaseVolume] += bass * strength * 0.4;
-        this.influence[this.dimensions.displacementRadius] += bass * strength * 0.3;
-        
-        // Mid affects filter and granular
-        this.influence[this.dimensions.filterCutoff] += mid * strength * 0.5;
-        this.influence[this.dimensions.granularDensity] += mid * strength * 0.4;
-        this.influence[this.dimensions.droneMidVolume] += mid * strength * 0.3;
-        
-        // Treble affects glow and high frequencies
-        this.influence[this.dimensions.glow] += treble * strength * 0.5;
-        this.influence[this.dimensions.gradientBrightness] += treble * strength * 0.3;
-        this.influence[this.dimensions.droneHighVolume] += treble * strength * 0.4;
-        
-        // General color and vibrance
-        this.influence[this.dimensions.colorVibrance] += volume * strength * 0.2;
-        this.influence[this.dimensions.gradientSaturation] += volume * strength * 0.15;
-        
-        // Audio effects react gently to mic input
-        this.influence[this.dimensions.reverbAmount] += volume * strength * 0.25;
-        this.influence[this.dimensions.delayAmount] += mid * strength * 0.2 + treble * strength * 0.1;
-        this.influence[this.dimensions.chorusAmount] += treble * strength * 0.15;
-        
+        // Band -> dimension influences are routed through the ModulationMatrix (applyModulation)
         // Trigger parameter shifting feedback based on audio intensity
         const audioIntensity = (volume + bass * 1.5 + mid + treble * 0.5) / 4;
         if (audioIntensity > 0.2) {
@@ -1019,6 +1019,18 @@ class StateEngine {
         }
     }
     
+    /**
+     * Add one frame of modulation influences ({ dimensionName: amount }, see ModulationMatrix)
+     */
+    applyModulation(influences) {
+        Object.entries(influences).forEach(([name, amount]) => {
+            const idx = this.dimensions[name];
+            if (idx !== undefined) {
+                this.influence[idx] += amount;
+            }
+        });
+    }
+    
     handleFacePosition(x, y, size) {
         // Face position gently influences displacement center
         const targetX = x;
@@ -1088,86 +1100,10 @@ class StateEngine {
     }
     
     // =========================================
-    // RICH FACE FEATURES (Face Mesh)
+    // FACE EVENTS
     // =========================================
     
-    /**
-     * Handle all rich face features from Face Mesh
-     * @param {Object} faceData - Complete face data from FaceTracker
-     */
-    handleFaceFeatures(faceData) {
-        if (!faceData || !faceData.detected) return;
-        
-        const str = 0.1; // Base influence strength - increased for more visible effect
-        
-        // === HEAD ROTATION ===
-        // Yaw (turning left/right) - affects horizontal displacement and color shift
-        this.influence[this.dimensions.displacementX] += faceData.headYaw * str * 1.9;
-        this.influence[this.dimensions.hue1] += faceData.headYaw * str * 0.3;
-        this.influence[this.dimensions.shapeRotation] += faceData.headYaw * str * 0.5;
-        
-        // Pitch (looking up/down) - affects vertical position and brightness
-        this.influence[this.dimensions.displacementY] += faceData.headPitch * str * 1.5;
-        this.influence[this.dimensions.gradientBrightness] += -faceData.headPitch * str * 0.9;
-        this.influence[this.dimensions.glow] += -faceData.headPitch * str * 0.7;
-        this.influence[this.dimensions.filterCutoff] += -faceData.headPitch * str * 0.9;
-        
-        // Roll (tilting head sideways) - affects rotation and wave patterns
-        this.influence[this.dimensions.shapeRotation] += faceData.headRoll * str * 0.8;
-        this.influence[this.dimensions.colorRotation] += faceData.headRoll * str * 0.5;
-        this.influence[this.dimensions.displacementRotation] += faceData.headRoll * str * 0.6;
-        
-        // === EYE OPENNESS ===
-        // Eyes open = more alert, intense visuals
-        // Eyes closing = calmer, dreamier
-        const eyeOpenness = faceData.eyesOpen || (faceData.leftEyeOpen + faceData.rightEyeOpen) / 2;
-        this.influence[this.dimensions.overallIntensity] += (eyeOpenness - 0.5) * str * 1.2;
-        this.influence[this.dimensions.displacementStrength] += (eyeOpenness - 0.5) * str * 1.0;
-        this.influence[this.dimensions.gradientBrightness] += (eyeOpenness - 0.5) * str * 0.8;
-        
-        // Asymmetric eye openness (winking) - creates visual asymmetry
-        const eyeAsymmetry = faceData.leftEyeOpen - faceData.rightEyeOpen;
-        this.influence[this.dimensions.displacementX] += eyeAsymmetry * str * 0.8;
-        this.influence[this.dimensions.gradientOffsetX] += eyeAsymmetry * str * 0.6;
-        
-        // === GAZE DIRECTION ===
-        // Where you're looking affects where the visuals "pull"
-        this.influence[this.dimensions.displacementX] += faceData.gazeX * str * 1.2;
-        this.influence[this.dimensions.displacementY] += faceData.gazeY * str * 1.0;
-        
-        // === MOUTH ===
-        // Mouth open = more chaotic, organic, granular audio
-        this.influence[this.dimensions.overallChaos] += faceData.mouthOpen * str * 1.5;
-        this.influence[this.dimensions.granularDensity] += faceData.mouthOpen * str * 1.2;
-        this.influence[this.dimensions.reverbAmount] += faceData.mouthOpen * str * 0.8;
-        this.influence[this.dimensions.displacementStrength] += faceData.mouthOpen * str * 0.8;
-        
-        // Mouth width (smile) = brighter, more saturated, happier frequencies
-        this.influence[this.dimensions.gradientSaturation] += faceData.mouthWidth * str * 1.0;
-        this.influence[this.dimensions.gradientBrightness] += faceData.mouthWidth * str * 0.8;
-        this.influence[this.dimensions.droneHighVolume] += faceData.mouthWidth * str * 0.6;
-        this.influence[this.dimensions.glow] += faceData.mouthWidth * str * 0.5;
-        
-        // === EYEBROWS ===
-        // Raised brows = surprise, expanded visuals
-        const browRaise = faceData.browRaise || (faceData.leftBrowRaise + faceData.rightBrowRaise) / 2;
-        this.influence[this.dimensions.displacementRadius] += browRaise * str * 1.2;
-        this.influence[this.dimensions.glow] += browRaise * str * 0.8;
-        this.influence[this.dimensions.overallIntensity] += browRaise * str * 0.6;
-        
-        // Furrowed brows = tension, darker, more bass
-        this.influence[this.dimensions.gradientBrightness] += -faceData.browFurrow * str * 1.0;
-        this.influence[this.dimensions.droneBaseVolume] += faceData.browFurrow * str * 0.8;
-        this.influence[this.dimensions.displacementStrength] += faceData.browFurrow * str * 0.8;
-        this.influence[this.dimensions.filterResonance] += faceData.browFurrow * str * 0.5;
-        
-        // === ATTENTION/ENGAGEMENT ===
-        // Looking at screen = more focused, coherent visuals
-        this.influence[this.dimensions.overallChaos] += -(faceData.lookingAtScreen - 0.5) * str * 0.8;
-        
-        // Overall engagement affects overall intensity
-        this.influence[this.dimensions.overallIntensity] += (faceData.engagement - 0.5) * str * 0.8;
-    }
+    // Continuous face features (head rotation, eyes, mouth, brows) are ModulationMatrix sources
     
     /**
      * Handle blink events - can trigger visual flashes or transitions
@@ -1190,13 +1126,6 @@ class StateEngine {
         }
     }
     
-    handleMotion(tiltX, tiltY, shake) {
-        // Device motion influences gradients and chaos
-        this.influence[this.dimensions.gradientOffsetX] += tiltX * 0.05;
-        this.influence[this.dimensions.gradientOffsetY] += tiltY * 0.05;
-        this.influence[this.dimensions.overallChaos] += shake * 0.1;
-    }
-    
     // =========================================
     // GETTERS FOR CURRENT STATE
     // =========================================
@@ -1232,8 +1161,8 @@ class StateEngine {
             this.target[idx] = value;
             this.velocity[idx] = 0;
             this.manualHoldValue[idx] = value;
-            const holdDuration = 10 + Math.random() * 50;
-            const releaseDuration = 20 + Math.random() * 40;
+            const holdDuration = 10 + this.random() * 50;
+            const releaseDuration = 20 + this.random() * 40;
             this.manualHoldUntil[idx] = this.time + holdDuration;
             this.manualReleaseStart[idx] = this.manualHoldUntil[idx];
             this.manualReleaseDuration[idx] = releaseDuration;
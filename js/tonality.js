@@ -0,0 +1,289 @@
+/**
+ * INNER REFLECTION - Tonality
+ *
+ * One place for root, scale and tuning, shared by every pitched voice
+ * (drones, harmonic notes, glitter, melodic + shimmer pads, hand pitch).
+ *
+ * Settings: { root, scale, tuning, customCents, modeDimension }
+ *   root           pitch class 0-11 (0 = C, 9 = A)
+ *   scale          key of Tonality.scales
+ *   tuning         'equal' | 'just' | 'pythagorean' | 'custom'
+ *   customCents    12 offsets in cents above the root (used by 'custom')
+ *   modeDimension  StateEngine dimension that picks the mode by brightness
+ *                  (e.g. 'colorWarmth': cold = phrygian ... warm = lydian), '' = fixed
+ *
+ * Roots sit on A440 equal temperament; the tuning shapes the intervals above the root.
+ * Persists to localStorage; sound presets may override any field.
+ */
+
+class Tonality {
+    constructor() {
+        this.storageKey = 'innerReflection.tonality';
+
+        // Semitones above the root
+        this.scales = {
+            major:           [0, 2, 4, 5, 7, 9, 11],
+            minor:           [0, 2, 3, 5, 7, 8, 10],
+            dorian:          [0, 2, 3, 5, 7, 9, 10],
+            phrygian:        [0, 1, 3, 5, 7, 8, 10],
+            lydian:          [0, 2, 4, 6, 7, 9, 11],
+            mixolydian:      [0, 2, 4, 5, 7, 9, 10],
+            harmonicMinor:   [0, 2, 3, 5, 7, 8, 11],
+            pentatonicMajor: [0, 2, 4, 7, 9],
+            pentatonicMinor: [0, 3, 5, 7, 10],
+            hirajoshi:       [0, 2, 3, 7, 8],
+            wholeTone:       [0, 2, 4, 6, 8, 10]
+        };
+
+        // Church modes from darkest to brightest (modeDimension walks this list)
+        this.modeBrightness = ['phrygian', 'minor', 'dorian', 'mixolydian', 'major', 'lydian'];
+
+        // Frequency ratios for the 12 semitones above the root
+        this.tunings = {
+            equal: null,
+            just: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+            pythagorean: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128],
+            custom: null
+        };
+
+        this.pitchClassNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+        // Home: A minor in equal temperament (drones on A, pads in C major / A minor)
+        this.root = 9;
+        this.scale = 'minor';
+        this.tuning = 'equal';
+        this.customCents = Tonality.equalCents();
+        this.modeDimension = '';
+
+        // Callbacks
+        this.onChange = null;          // () => {} settings changed
+
+        this.loadSettings();
+    }
+
+    static equalCents() {
+        return Array.from({ length: 12 }, (_, i) => i * 100);
+    }
+
+    // =========================================
+    // SETTINGS
+    // =========================================
+
+    /**
+     * Apply a partial settings object. Returns true if anything that affects pitch changed.
+     */
+    set(changes = {}, save = true) {
+        const before = JSON.stringify(this.getSettings());
+
+        // Numbers or numeric strings only - Number() would turn null, '' and false into 0 (C)
+        const root = typeof changes.root === 'string' && changes.root.trim() !== '' ? Number(changes.root) : changes.root;
+        if (Number.isInteger(root)) {
+            this.root = ((root % 12) + 12) % 12;
+        }
+        if (this.scales[changes.scale]) {
+            this.scale = changes.scale;
+        }
+        if (Object.prototype.hasOwnProperty.call(this.tunings, changes.tuning)) {
+            this.tuning = changes.tuning;
+        }
+        if (Array.isArray(changes.customCents) && changes.customCents.length === 12 &&
+            changes.customCents.every(value => Number.isFinite(Number(value)))) {
+            this.customCents = changes.customCents.map(Number);
+        }
+        if (typeof changes.modeDimension === 'string') {
+            this.modeDimension = changes.modeDimension;
+        }
+
+        const changed = JSON.stringify(this.getSettings()) !== before;
+        if (changed && save) this.saveSettings();
+        return changed;
+    }
+
+    getSettings() {
+        return {
+            root: this.root,
+            scale: this.scale,
+            tuning: this.tuning,
+            customCents: [...this.customCents],
+            modeDimension: this.modeDimension
+        };
+    }
+
+    loadSettings() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            if (!raw) return false;
+            this.set(JSON.parse(raw), false);
+            return true;
+        } catch (e) {
+            console.warn('Tonality: Could not load settings', e);
+            return false;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getSettings()));
+        } catch (e) {
+            console.warn('Tonality: Could not save settings', e);
+        }
+        this.onChange?.();
+    }
+
+    getName() {
+        return `${this.pitchClassNames[this.root]} ${this.scale}`;
+    }
+
+    isMinor() {
+        const intervals = this.getIntervals();
+        return intervals.includes(3) && !intervals.includes(4);
+    }
+
+    /**
+     * Pick the church mode for a 0-1 brightness value. Hysteresis keeps a value
+     * hovering between two modes from flipping back and forth. Returns true on change.
+     */
+    applyBrightness(value) {
+        const steps = this.modeBrightness.length - 1;
+        const target = Utils.clamp(value, 0, 1) * steps;
+        const current = this.modeBrightness.indexOf(this.scale);
+        if (current >= 0 && Math.abs(target - current) < 0.65) return false;
+
+        return this.set({ scale: this.modeBrightness[Math.round(target)] }, false);
+    }
+
+    // =========================================
+    // PITCH
+    // =========================================
+
+    getIntervals() {
+        return this.scales[this.scale] || this.scales.minor;
+    }
+
+    // Ratio above the root for any number of semitones (octaves included)
+    ratio(semitones) {
+        const octave = Math.floor(semitones / 12);
+        const step = semitones - octave * 12;
+        let ratio;
+        if (this.tuning === 'custom') {
+            ratio = Math.pow(2, this.customCents[step] / 1200);
+        } else if (this.tunings[this.tuning]) {
+            ratio = this.tunings[this.tuning][step];
+        } else {
+            ratio = Math.pow(2, step / 12);
+        }
+        return ratio * Math.pow(2, octave);
+    }
+
+    cents(semitones) {
+        return 1200 * Math.log2(this.ratio(semitones));
+    }
+
+    // Tuned frequency of a MIDI note (fractional notes are not retuned)
+    midiToFrequency(midi) {
+        const step = ((Math.round(midi) - this.root) % 12 + 12) % 12;
+        const rootMidi = Math.round(midi) - step;
+        return 440 * Math.pow(2, (rootMidi - 69) / 12) * this.ratio(step);
+    }
+
+    // The pitch class (root + semitones) that lies closest to a reference frequency
+    nearestFrequency(frequency, semitones = 0) {
+        const referenceMidi = 69 + 12 * Math.log2(frequency / 440);
+        const pitchClass = (this.root + semitones) % 12;
+        const offset = ((pitchClass - Math.round(referenceMidi)) % 12 + 18) % 12 - 6;
+        return this.midiToFrequency(Math.round(referenceMidi) + offset);
+    }
+
+    // MIDI note of a scale degree (any integer) with the chord root placed in [lowMidi, lowMidi + 12)
+    degreeToMidi(degree, lowMidi) {
+        const intervals = this.getIntervals();
+        const step = ((degree % intervals.length) + intervals.length) % intervals.length;
+        const pitchClass = (this.root + intervals[step]) % 12;
+        return lowMidi + ((pitchClass - lowMidi) % 12 + 12) % 12;
+    }
+
+    /**
+     * Stacked-thirds chord on a scale degree, root in [lowMidi, lowMidi + 12). Returns Hz.
+     */
+    chord(degree, size = 4, lowMidi = 48) {
+        const intervals = this.getIntervals();
+        const rootMidi = this.degreeToMidi(degree, lowMidi);
+        const rootStep = ((degree % intervals.length) + intervals.length) % intervals.length;
+
+        const notes = [];
+        for (let i = 0; i < size; i++) {
+            const step = rootStep + i * 2;
+            const octave = Math.floor(step / intervals.length);
+            const semitones = intervals[step % intervals.length] + octave * 12 - intervals[rootStep];
+            notes.push(this.midiToFrequency(rootMidi + semitones));
+        }
+        return notes;
+    }
+
+    /**
+     * Ascending scale notes from lowMidi (pentatonic: the consonant 5-note subset). Returns Hz.
+     */
+    scaleNotes(lowMidi, count, pentatonic = false) {
+        const intervals = pentatonic ? this.getPentatonic() : this.getIntervals();
+        const pitchClasses = new Set(intervals.map(step => (this.root + step) % 12));
+
+        const notes = [];
+        for (let midi = lowMidi; notes.length < count && midi < lowMidi + 60; midi++) {
+            if (pitchClasses.has(((midi % 12) + 12) % 12)) {
+                notes.push(this.midiToFrequency(midi));
+            }
+        }
+        return notes;
+    }
+
+    /**
+     * Order the scale around the circle of fifths (starting after its widest gap)
+     * and drop both ends - a diatonic scale loses its two semitone-forming notes.
+     */
+    getPentatonic() {
+        const intervals = this.getIntervals();
+        if (intervals.length <= 6) return intervals;
+
+        const byFifths = intervals
+            .map(step => ({ step, position: (step * 7) % 12 }))
+            .sort((a, b) => a.position - b.position);
+
+        let widest = 0;
+        let gap = -1;
+        byFifths.forEach((entry, i) => {
+            const next = byFifths[(i + 1) % byFifths.length];
+            const distance = (next.position - entry.position + 12) % 12;
+            if (distance > gap) {
+                gap = distance;
+                widest = i;
+            }
+        });
+
+        const chain = byFifths.map((_, i) => byFifths[(widest + 1 + i) % byFifths.length]);
+        return chain.slice(1, -1).map(entry => entry.step).sort((a, b) => a - b);
+    }
+
+    /**
+     * Snap a pitch offset (cents above a voice) to the nearest scale step. The voice sits
+     * `semitones` above the root (a drone on the fifth passes 7), so steps are measured from there.
+     */
+    quantizeCents(cents, semitones = 0) {
+        const from = this.cents(semitones);
+        let best = null;
+        const octaves = Math.ceil(Math.abs(cents) / 1200) + 1;
+        for (let octave = -octaves; octave <= octaves; octave++) {
+            this.getIntervals().forEach((step) => {
+                const candidate = this.cents(step) + octave * 1200 - from;
+                if (best === null || Math.abs(candidate - cents) < Math.abs(best - cents)) {
+                    best = candidate;
+                }
+            });
+        }
+        return best;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tonality;
+}
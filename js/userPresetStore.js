@@ -0,0 +1,146 @@
+/**
+ * INNER REFLECTION - User Preset Store
+ *
+ * The saved half of PresetLibrary and SoundPresetLibrary: ids, localStorage and
+ * JSON files. The owning library supplies the storage key and file format and
+ * validates every preset on the way in (normalize).
+ *
+ * Ids are user:<slug of the name>. Saving under an existing name replaces that
+ * preset; names that only share a slug ("My Preset", "my-preset!") get a numbered
+ * suffix instead of overwriting each other.
+ *
+ * File: { format, version, presets: [preset] } - a single preset object imports too.
+ */
+
+class UserPresetStore {
+    constructor({ storageKey, fileFormat, fileVersion = 1, slugFallback = 'preset', noun = 'presets', logName, normalize }) {
+        this.storageKey = storageKey;
+        this.fileFormat = fileFormat;
+        this.fileVersion = fileVersion;
+        this.slugFallback = slugFallback;  // id for names without letters or digits
+        this.noun = noun;                  // for messages ("No valid presets found")
+        this.logName = logName;            // console prefix - the owning library
+        this.normalize = normalize;        // (raw) => preset or null
+
+        this.presets = this.load();
+    }
+
+    // =========================================
+    // LOOKUP
+    // =========================================
+
+    get(id) {
+        return this.has(id) ? this.presets[id] : null;
+    }
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.presets, id);
+    }
+
+    list() {
+        return Object.entries(this.presets).map(([id, preset]) => ({ id, name: preset.name }));
+    }
+
+    // =========================================
+    // EDITING
+    // =========================================
+
+    createId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || this.slugFallback;
+        let id = `user:${slug}`;
+        for (let n = 2; this.has(id) && this.presets[id].name !== name; n++) {
+            id = `user:${slug}-${n}`;
+        }
+        return id;
+    }
+
+    // Returns the id, null when the preset doesn't validate
+    save(preset) {
+        const normalized = this.normalize(preset);
+        if (!normalized) return null;
+
+        const id = this.createId(normalized.name);
+        this.presets[id] = normalized;
+        this.persist();
+        return id;
+    }
+
+    remove(id) {
+        if (!this.has(id)) return false;
+        delete this.presets[id];
+        this.persist();
+        return true;
+    }
+
+    // =========================================
+    // STORAGE
+    // =========================================
+
+    load() {
+        const presets = {};
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const stored = raw ? JSON.parse(raw) : {};
+            Object.entries(stored).forEach(([id, preset]) => {
+                const normalized = this.normalize(preset);
+                if (normalized) presets[id] = normalized;
+            });
+        } catch (e) {
+            console.warn(`${this.logName}: Could not load user ${this.noun}`, e);
+        }
+        return presets;
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (e) {
+            console.warn(`${this.logName}: Could not save user ${this.noun}`, e);
+        }
+    }
+
+    // =========================================
+    // IMPORT / EXPORT
+    // =========================================
+
+    exportJSON(presets = Object.values(this.presets)) {
+        return JSON.stringify({
+            format: this.fileFormat,
+            version: this.fileVersion,
+            presets
+        }, null, 2);
+    }
+
+    /**
+     * Import presets from exported JSON. Presets whose name already exists replace the stored one.
+     * Returns { ids, replaced } (replaced: names of the presets that were overwritten);
+     * throws if the file has none.
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data?.presets) ? data.presets : [data];
+
+        const ids = [];
+        const replaced = [];
+        list.forEach((preset) => {
+            const normalized = this.normalize(preset);
+            if (!normalized) return;
+            const id = this.createId(normalized.name);
+            if (this.has(id) && !replaced.includes(normalized.name)) replaced.push(normalized.name);
+            this.presets[id] = normalized;
+            ids.push(id);
+        });
+
+        if (ids.length === 0) {
+            throw new Error(`No valid ${this.noun} found`);
+        }
+
+        this.persist();
+        return { ids, replaced };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserPresetStore;
+}
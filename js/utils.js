@@ -41,16 +41,77 @@ const Utils = {
     
     /**
      * Get a random number between min and max
+     * Pass a seeded generator (see createRandom) as rng for reproducible values
      */
-    random(min, max) {
-        return Math.random() * (max - min) + min;
+    random(min, max, rng = Math.random) {
+        return rng() * (max - min) + min;
     },
     
     /**
      * Get a random integer between min and max (inclusive)
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, rng = Math.random) {
+        return Math.floor(rng() * (max - min + 1)) + min;
+    },
+    
+    // =========================================
+    // SEEDED RANDOM
+    // =========================================
+    
+    /**
+     * Fresh seed for a new session (uint32)
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+    
+    /**
+     * Turn a number or string seed into a uint32 (strings via FNV-1a)
+     */
+    hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+        let hash = 0x811c9dc5;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+    
+    /**
+     * Seed for one consumer of a session seed (uint32) - engines seeded from the same
+     * session get unrelated sequences instead of the same one
+     */
+    deriveSeed(seed, name) {
+        return Utils.hashSeed(`${seed}:${name}`);
+    },
+    
+    /**
+     * Read a seed typed by a user or passed in a URL: digits become a number,
+     * anything else stays a string. Returns null when empty.
+     */
+    parseSeed(text) {
+        const value = String(text ?? '').trim();
+        if (value === '') return null;
+        return /^\d+$/.test(value) ? Number(value) : value;
+    },
+    
+    /**
+     * Seeded PRNG (mulberry32) - returns a Math.random-style function in [0, 1)
+     * The same seed always yields the same sequence
+     */
+    createRandom(seed = Utils.createSeed()) {
+        let state = Utils.hashSeed(seed);
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     },
     
     /**
@@ -342,7 +403,22 @@ const Utils = {
             document.mozCancelFullScreen();
         }
     },
-    
+
+    /**
+     * Save a Blob (or text) as a file download
+     */
+    downloadBlob(filename, data, mimeType = 'application/json') {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     // =========================================
     // ASYNC UTILITIES
     // =========================================
@@ -6,14 +6,23 @@
  * Render Pipeline:
  * 1. Gradient Pass - Renders flowing color background to texture
  * 2. Displacement Pass - Applies refraction effects, samples gradient texture
- * 3. Post-Processing Pass - Final color grading, blur, grain to screen
- * 4. Particle Overlay - Additive blended floating particles
+ * 3. Post Chain - Separable blur and mip-chain bloom at reduced resolution (PostChain)
+ * 4. Post-Processing Pass - Blur / bloom composite, color grading, grain to screen
+ * 5. Effect Stack - Optional feedback trails, pixel sorting, LUT grading (EffectStack);
+ *    while any effect is on, pass 4 renders to a target and the stack draws the screen
+ * 6. Particle Overlay - Additive blended floating particles
+ * 7. Projection Output - Corner pin / mesh warp, slice and edge blend (ProjectionMapper);
+ *    while active, passes 4-6 render to its target and it draws the screen
  * 
  * Key Features:
  * - Aspect ratio preservation (circles stay circular on any viewport)
  * - All visual parameters driven by StateEngine
  * - Resolution-independent render targets
  * - Smooth resize handling
+ * - Half-float (HDR) render targets where supported, tone mapped in the post pass and
+ *   dithered in whichever pass writes the screen (post, effect stack or projection)
+ * - Quality tiers (QualityGovernor): render scale, blur taps, particle count, ring count
+ * - Spanning (DisplaySpan): the render grows by the span scale, each window shows its slice
  * 
  * Uniforms are updated each frame from StateEngine.getVisualState()
  */
@@ -30,6 +39,29 @@ class VisualEngine {
         // Render targets for multi-pass rendering
         this.renderTargets = {};
         
+        // Blur and bloom passes (see PostChain)
+        this.postChain = null;
+        this.postEffects = { blur: 0, glow: 0 };
+        
+        // Optional passes after post-processing (see EffectStack)
+        this.effectStack = null;
+        
+        // Warp / edge blend output stage (see ProjectionMapper)
+        this.projection = null;
+        // Render size in windows when spanning several displays (see DisplaySpan)
+        this.spanScale = { x: 1, y: 1 };
+        
+        // Half-float targets (checked on init) and the post pass output transform
+        this.hdrSupported = false;
+        this.hdrActive = false;
+        this.toneMappingModes = { none: 0, aces: 1, reinhard: 2, agx: 3 };
+        this.toneMapping = 'none';
+        this.dither = true;
+        
+        // Quality tier (see setQuality) - offline renders always use fullQuality
+        this.fullQuality = { resolution: 1, blurTaps: 8, particles: 1, rings: 1 };
+        this.quality = { ...this.fullQuality };
+        
         // Shader materials
         this.materials = {};
         
@@ -39,14 +71,31 @@ class VisualEngine {
         // Scenes for each pass
         this.scenes = {};
         
-        // Animation state
-        this.time = 0;
-        this.breathingPhase = 0;
-        
         // Particles
         this.particles = null;
         this.particleVelocities = null;
         
+        // Seeded PRNG for particle layout (see reset)
+        this.random = Math.random;
+        
+        // Fixed output size for offline rendering (null = follow the window)
+        this.fixedSize = null;
+        
+        // Bumped by reset() - spanned displays need a fresh sync after a jump
+        this.generation = 0;
+        
+        // Everything resetAnimationState sets up is the state displays sync (see getAnimationState)
+        const keys = new Set(Object.keys(this));
+        this.resetAnimationState();
+        this.animationStateKeys = Object.keys(this).filter(key => !keys.has(key));
+    }
+    
+    // Time, smoothing and physics state - everything that evolves frame to frame
+    resetAnimationState() {
+        // Animation state
+        this.time = 0;
+        this.breathingPhase = 0;
+        
         // === START FADE - controls transition from preview to full experience ===
         // 0 = preview (dim), 1 = full experience
         this.startFade = 0;
@@ -152,6 +201,12 @@ class VisualEngine {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setPixelRatio(CONFIG.performance.pixelRatio);
         
+        this.hdrSupported = this.supportsHalfFloatTargets();
+        this.hdrActive = CONFIG.visual.hdr.enabled && this.hdrSupported;
+        if (CONFIG.visual.hdr.enabled && !this.hdrSupported) {
+            console.warn('VisualEngine: Half-float render targets not supported, using 8-bit');
+        }
+        
         // Create render targets
         this.createRenderTargets();
         
@@ -164,6 +219,20 @@ class VisualEngine {
         // Create meshes
         this.createMeshes();
         
+        this.setToneMapping(CONFIG.visual.hdr.toneMapping);
+        this.setExposure(CONFIG.visual.hdr.exposure);
+        this.setDither(CONFIG.visual.hdr.dither);
+        
+        // Blur / bloom chain and effect stack, sized like the other targets
+        const pixelWidth = Math.floor(window.innerWidth * CONFIG.performance.pixelRatio);
+        const pixelHeight = Math.floor(window.innerHeight * CONFIG.performance.pixelRatio);
+        this.postChain = new PostChain(this.renderer, this.camera, this.renderTargetOptions);
+        this.postChain.setSize(pixelWidth, pixelHeight);
+        this.effectStack = new EffectStack(this.renderer, this.camera, this.renderTargetOptions);
+        this.effectStack.setSize(pixelWidth, pixelHeight);
+        this.projection = new ProjectionMapper(this.renderer, this.camera, this.renderTargetOptions);
+        this.projection.setSize(pixelWidth, pixelHeight);
+        
         // Create particles
         if (CONFIG.visual.particles.enabled) {
             this.createParticles();
@@ -184,8 +253,9 @@ class VisualEngine {
             minFilter: THREE.LinearFilter,
             magFilter: THREE.LinearFilter,
             format: THREE.RGBAFormat,
-            type: THREE.UnsignedByteType
+            type: this.hdrActive ? THREE.HalfFloatType : THREE.UnsignedByteType
         };
+        this.renderTargetOptions = options;
         
         this.renderTargets.gradient = new THREE.WebGLRenderTarget(width, height, options);
         this.renderTargets.displacement = new THREE.WebGLRenderTarget(width, height, options);
@@ -242,28 +312,7 @@ class VisualEngine {
         const colors = new Float32Array(count * 3);
         
         this.particleVelocities = new Float32Array(count * 3);
-        
-        for (let i = 0; i < count; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-            const r = 3 + Math.random() * 2;
-            
-            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
-            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
-            positions[i * 3 + 2] = r * Math.cos(phi);
-            
-            sizes[i] = Utils.random(CONFIG.visual.particles.size.min, CONFIG.visual.particles.size.max);
-            alphas[i] = Utils.random(CONFIG.visual.particles.opacity.min, CONFIG.visual.particles.opacity.max);
-            
-            // Start with a neutral color, will be updated from state
-            colors[i * 3] = 0.5;
-            colors[i * 3 + 1] = 0.8;
-            colors[i * 3 + 2] = 0.7;
-            
-            this.particleVelocities[i * 3] = Utils.random(-0.02, 0.02);
-            this.particleVelocities[i * 3 + 1] = Utils.random(-0.02, 0.02);
-            this.particleVelocities[i * 3 + 2] = Utils.random(-0.02, 0.02);
-        }
+        this.seedParticles(positions, sizes, alphas, colors);
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
@@ -294,7 +343,12 @@ class VisualEngine {
     
     render(deltaTime, visualState) {
         if (!this.isInitialized) return;
-        
+        this.update(deltaTime, visualState);
+        this.draw();
+    }
+    
+    // Advance time, smoothing and particles (no drawing)
+    update(deltaTime, visualState) {
         // Slow down time progression for calmer animation
         this.time += deltaTime * 0.3;
         this.breathingPhase += deltaTime * (visualState?.breathingRate || 0.05) * 0.5;
@@ -314,8 +368,12 @@ class VisualEngine {
         if (this.particles && visualState) {
             this.updateParticles(deltaTime, visualState);
         }
-        
-        // Multi-pass rendering
+    }
+    
+    // Multi-pass rendering of the current state
+    draw() {
+        if (!this.isInitialized) return;
+        const output = this.projection.isActive() ? this.projection.target : null;
         
         // Pass 1: Gradient background
         this.materials.gradient.uniforms.uTime.value = this.time;
@@ -329,18 +387,44 @@ class VisualEngine {
         this.renderer.setRenderTarget(this.renderTargets.displacement);
         this.renderer.render(this.scenes.displacement, this.camera);
         
-        // Pass 3: Post-processing
-        this.materials.post.uniforms.uTexture.value = this.renderTargets.displacement.texture;
-        this.materials.post.uniforms.uTime.value = this.time;
-        this.renderer.setRenderTarget(null);
+        // Pass 3: Blur and bloom
+        const postUniforms = this.materials.post.uniforms;
+        const chain = this.postChain.render(this.renderTargets.displacement, this.postEffects);
+        postUniforms.uBlurTexture.value = chain.blurTexture;
+        postUniforms.uBlurMix.value = chain.blurMix;
+        postUniforms.uBloomTexture.value = chain.bloomTexture;
+        postUniforms.uBloomIntensity.value = chain.bloomIntensity;
+        
+        // Pass 4: Post-processing
+        const effectsActive = this.effectStack.isActive();
+        postUniforms.uTexture.value = this.renderTargets.displacement.texture;
+        postUniforms.uTime.value = this.time;
+        
+        // Dither once, in the last pass before the 8-bit screen
+        const ditherSeed = (this.time * 7) % 1;
+        postUniforms.uDither.value = this.dither && !effectsActive && !output ? 1 : 0;
+        postUniforms.uDitherSeed.value = ditherSeed;
+        this.effectStack.setDither(this.dither && !output, ditherSeed);
+        this.projection.setDither(this.dither, ditherSeed);
+        this.renderer.setRenderTarget(effectsActive ? this.renderTargets.post : output);
         this.renderer.render(this.scenes.post, this.camera);
         
+        // Pass 5: Effect stack
+        if (effectsActive) {
+            this.effectStack.render(this.renderTargets.post, output);
+        }
+        
         // Overlay particles
-        if (this.particles) {
+        if (this.particles && this.particles.geometry.drawRange.count > 0) {
             this.renderer.autoClear = false;
             this.renderer.render(this.scenes.particles, this.particleCamera);
             this.renderer.autoClear = true;
         }
+        
+        // Pass 6: Warp, slice and edge blend to the screen
+        if (output) {
+            this.projection.render();
+        }
     }
 
     boostSmoothing(frames = 12) {
@@ -548,10 +632,12 @@ class VisualEngine {
         // Smooth all center positions
         this.smoothBuffer.centerX += (state.displacementX - this.smoothBuffer.centerX) * smoothFactor;
         this.smoothBuffer.centerY += (state.displacementY - this.smoothBuffer.centerY) * smoothFactor;
-        this.smoothBuffer.ripple2X += ((state.rippleOrigin2X || 0.3) - this.smoothBuffer.ripple2X) * smoothFactor;
-        this.smoothBuffer.ripple2Y += ((state.rippleOrigin2Y || 0.3) - this.smoothBuffer.ripple2Y) * smoothFactor;
-        this.smoothBuffer.ripple3X += ((state.rippleOrigin3X || 0.7) - this.smoothBuffer.ripple3X) * smoothFactor;
-        this.smoothBuffer.ripple3Y += ((state.rippleOrigin3Y || 0.7) - this.smoothBuffer.ripple3Y) * smoothFactor;
+        // Ripples that follow participants (multi-person mode) need to keep up with people walking
+        const rippleFactor = state.participantRipples ? Math.max(smoothFactor, 0.06) : smoothFactor;
+        this.smoothBuffer.ripple2X += ((state.rippleOrigin2X || 0.3) - this.smoothBuffer.ripple2X) * rippleFactor;
+        this.smoothBuffer.ripple2Y += ((state.rippleOrigin2Y || 0.3) - this.smoothBuffer.ripple2Y) * rippleFactor;
+        this.smoothBuffer.ripple3X += ((state.rippleOrigin3X || 0.7) - this.smoothBuffer.ripple3X) * rippleFactor;
+        this.smoothBuffer.ripple3Y += ((state.rippleOrigin3Y || 0.7) - this.smoothBuffer.ripple3Y) * rippleFactor;
         
         // Smooth displacement parameters
         this.smoothBuffer.strength += (state.displacementStrength - this.smoothBuffer.strength) * smoothFactor;
@@ -561,7 +647,13 @@ class VisualEngine {
         this.smoothBuffer.chromatic += (state.displacementChromatic - this.smoothBuffer.chromatic) * smoothFactor;
         
         // Shape type - VERY slow for smooth morphing between shapes
-        this.smoothBuffer.shapeType += ((state.shapeType || 0) - this.smoothBuffer.shapeType) * slowFactor * 0.5;
+        // Preset transitions pin the base shape and cross over via the morph layer instead
+        const shapeMorph = state.shapeMorph;
+        if (shapeMorph) {
+            this.smoothBuffer.shapeType = shapeMorph.settling ? shapeMorph.to : shapeMorph.from;
+        } else {
+            this.smoothBuffer.shapeType += ((state.shapeType || 0) - this.smoothBuffer.shapeType) * slowFactor * 0.5;
+        }
         
         // Smooth rotation (handle wraparound carefully)
         let rotDiff = state.displacementRotation - this.smoothBuffer.rotation;
@@ -570,8 +662,8 @@ class VisualEngine {
         this.smoothBuffer.rotation += rotDiff * smoothFactor;
         
         // Smooth ripple strengths
-        this.smoothBuffer.ripple2Strength += ((state.rippleOrigin2Strength || 0) - this.smoothBuffer.ripple2Strength) * smoothFactor;
-        this.smoothBuffer.ripple3Strength += ((state.rippleOrigin3Strength || 0) - this.smoothBuffer.ripple3Strength) * smoothFactor;
+        this.smoothBuffer.ripple2Strength += ((state.rippleOrigin2Strength || 0) - this.smoothBuffer.ripple2Strength) * rippleFactor;
+        this.smoothBuffer.ripple3Strength += ((state.rippleOrigin3Strength || 0) - this.smoothBuffer.ripple3Strength) * rippleFactor;
         
         // Smooth wave parameters
         this.smoothBuffer.waveDelay += ((state.waveDelay || 0.4) - this.smoothBuffer.waveDelay) * smoothFactor;
@@ -592,18 +684,23 @@ class VisualEngine {
         disp.uRingDelayMix.value = state.ringDelay ?? 0.35;
         disp.uStrength.value = Math.min(this.smoothBuffer.strength, 3.5);  // Higher cap for stronger circles
         disp.uMaxRadius.value = this.smoothBuffer.radius;
-        disp.uRings.value = this.smoothBuffer.rings;  // Now smooth!
+        disp.uRings.value = Math.max(2, this.smoothBuffer.rings * this.getQuality().rings);  // Now smooth!
         disp.uWobble.value = this.smoothBuffer.wobble;
         disp.uChromaticAberration.value = Math.min(this.smoothBuffer.chromatic, 0.4);
         disp.uRipple2Center.value.set(this.smoothBuffer.ripple2X, this.smoothBuffer.ripple2Y);
         disp.uRipple2Strength.value = this.smoothBuffer.ripple2Strength;
         disp.uRipple3Center.value.set(this.smoothBuffer.ripple3X, this.smoothBuffer.ripple3Y);
         disp.uRipple3Strength.value = this.smoothBuffer.ripple3Strength;
+        // Participant accents fade with slot presence upstream, no extra smoothing
+        const tint2 = state.rippleOrigin2Tint || [1, 1, 1, 0];
+        const tint3 = state.rippleOrigin3Tint || [1, 1, 1, 0];
+        disp.uRipple2Tint.value.set(tint2[0], tint2[1], tint2[2], tint2[3]);
+        disp.uRipple3Tint.value.set(tint3[0], tint3[1], tint3[2], tint3[3]);
         
         // Shape and style - USE SMOOTHED VALUES
         disp.uShapeType.value = this.smoothBuffer.shapeType;  // Smooth morphing
-        disp.uMorphProgress.value = state.morphProgress;
-        disp.uMorphType.value = state.morphType;
+        disp.uMorphProgress.value = shapeMorph ? shapeMorph.progress : state.morphProgress;
+        disp.uMorphType.value = shapeMorph ? shapeMorph.to : state.morphType;
         disp.uFoldAmount.value = state.foldAmount || 0.5;
         disp.uInversion.value = state.invertAmount || 0.5;
         
@@ -655,8 +752,9 @@ class VisualEngine {
         disp.uDepthPhase.value = this.time * 0.04 * faceMotionSpeed;
         
         // Post-processing uniforms - USE SMOOTHED VALUES
-        post.uBlur.value = this.smoothBuffer.blur;
-        post.uGlow.value = this.smoothBuffer.glow * 0.6 * (1 - faceDarkness * 0.5);
+        // (blur and glow drive the post chain, see render)
+        this.postEffects.blur = this.smoothBuffer.blur;
+        this.postEffects.glow = this.smoothBuffer.glow * 0.6 * (1 - faceDarkness * 0.5);
         post.uVignette.value = (this.smoothBuffer.vignette ?? state.vignette ?? 0) + faceDarkness * 0.3;
         post.uVignetteShape.value = state.vignetteShape ?? 0.5;  // 0=rectangular, 1=oval
         post.uSaturation.value = state.saturationPost * (1 - faceDarkness * 0.3);
@@ -780,6 +878,220 @@ class VisualEngine {
         // Now handled through StateEngine
     }
     
+    // Scatter particles on a shell around the camera (uses this.random)
+    seedParticles(positions, sizes, alphas, colors) {
+        const { size, opacity } = CONFIG.visual.particles;
+        
+        for (let i = 0; i < sizes.length; i++) {
+            const theta = this.random() * Math.PI * 2;
+            const phi = Math.acos(2 * this.random() - 1);
+            const r = 3 + this.random() * 2;
+            
+            positions[i * 3] = r * Math.sin(phi) * Math.cos(theta);
+            positions[i * 3 + 1] = r * Math.sin(phi) * Math.sin(theta);
+            positions[i * 3 + 2] = r * Math.cos(phi);
+            
+            sizes[i] = Utils.random(size.min, size.max, this.random);
+            alphas[i] = Utils.random(opacity.min, opacity.max, this.random);
+            
+            // Start with a neutral color, will be updated from state
+            colors[i * 3] = 0.5;
+            colors[i * 3 + 1] = 0.8;
+            colors[i * 3 + 2] = 0.7;
+            
+            this.particleVelocities[i * 3] = Utils.random(-0.02, 0.02, this.random);
+            this.particleVelocities[i * 3 + 1] = Utils.random(-0.02, 0.02, this.random);
+            this.particleVelocities[i * 3 + 2] = Utils.random(-0.02, 0.02, this.random);
+        }
+    }
+    
+    setSeed(seed) {
+        this.random = Utils.createRandom(seed);
+    }
+    
+    /**
+     * Deterministic restart: re-seed the particle layout and clear all
+     * time/smoothing/physics state. Starts fully faded in (no preview dimming).
+     */
+    reset(seed) {
+        this.setSeed(seed);
+        this.resetAnimationState();
+        this.generation++;
+        this.effectStack?.reset();
+        this.startFade = 1;
+        this.startFadeTarget = 1;
+        
+        if (this.particles) {
+            const attributes = this.particles.geometry.attributes;
+            this.seedParticles(
+                attributes.position.array,
+                attributes.aSize.array,
+                attributes.aAlpha.array,
+                attributes.aColor.array
+            );
+            Object.values(attributes).forEach(attribute => { attribute.needsUpdate = true; });
+        }
+    }
+    
+    // =========================================
+    // ANIMATION STATE (DISPLAY SYNC)
+    // =========================================
+    
+    /**
+     * Everything that evolves frame to frame as plain data (Vector2 -> { x, y }),
+     * including the particle buffers. Effect stack history isn't included - it fades in.
+     */
+    getAnimationState() {
+        const toData = (value) => {
+            if (value instanceof THREE.Vector2) return { x: value.x, y: value.y };
+            if (Array.isArray(value)) return value.map(toData);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toData(item)]));
+            }
+            return value;
+        };
+        
+        const state = {};
+        this.animationStateKeys.forEach((key) => { state[key] = toData(this[key]); });
+        
+        if (this.particles) {
+            const attributes = this.particles.geometry.attributes;
+            state.particles = {
+                position: attributes.position.array.slice(),
+                color: attributes.aColor.array.slice(),
+                velocity: this.particleVelocities.slice()
+            };
+        }
+        return state;
+    }
+    
+    setAnimationState(state) {
+        if (!state) return;
+        
+        // Vectors are updated in place, everything else replaced
+        const fromData = (current, value) => {
+            if (current instanceof THREE.Vector2 && value) return current.set(value.x, value.y);
+            if (Array.isArray(value)) return value.map((item, i) => fromData(current?.[i], item));
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromData(current?.[key], item)]));
+            }
+            return value;
+        };
+        this.animationStateKeys.forEach((key) => {
+            if (key in state) this[key] = fromData(this[key], state[key]);
+        });
+        
+        const particles = state.particles;
+        if (this.particles && particles && particles.position.length === this.particleVelocities.length) {
+            const attributes = this.particles.geometry.attributes;
+            attributes.position.array.set(particles.position);
+            attributes.aColor.array.set(particles.color);
+            this.particleVelocities.set(particles.velocity);
+            attributes.position.needsUpdate = true;
+            attributes.aColor.needsUpdate = true;
+        }
+    }
+    
+    // =========================================
+    // HDR OUTPUT
+    // =========================================
+    
+    /**
+     * Half-float color targets need the extensions for rendering to and linearly
+     * filtering them - and some drivers still refuse the framebuffer, so try one
+     */
+    supportsHalfFloatTargets() {
+        const { capabilities, extensions } = this.renderer;
+        const required = capabilities.isWebGL2
+            ? ['EXT_color_buffer_float']
+            : ['OES_texture_half_float', 'OES_texture_half_float_linear', 'EXT_color_buffer_half_float'];
+        if (!required.every(name => extensions.has(name))) return false;
+        
+        const target = new THREE.WebGLRenderTarget(4, 4, {
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType
+        });
+        const gl = this.renderer.getContext();
+        this.renderer.setRenderTarget(target);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        this.renderer.setRenderTarget(null);
+        target.dispose();
+        return complete;
+    }
+    
+    /**
+     * Switch the render targets between half-float and 8-bit.
+     * Returns whether HDR is on (false when it isn't supported).
+     */
+    setHdr(enabled) {
+        const active = Boolean(enabled) && this.hdrSupported;
+        const type = active ? THREE.HalfFloatType : THREE.UnsignedByteType;
+        this.hdrActive = active;
+        if (!this.renderTargetOptions || this.renderTargetOptions.type === type) return active;
+        
+        // Disposed targets are reallocated with the new type on their next use
+        this.renderTargetOptions.type = type;
+        Object.values(this.renderTargets).forEach((target) => {
+            target.texture.type = type;
+            target.dispose();
+        });
+        this.postChain?.setTextureType(type);
+        this.effectStack?.setTextureType(type);
+        this.projection?.setTextureType(type);
+        
+        console.log(`VisualEngine: ${active ? 'Half-float' : '8-bit'} render targets`);
+        return active;
+    }
+    
+    setToneMapping(mode) {
+        if (this.toneMappingModes[mode] === undefined) return;
+        this.toneMapping = mode;
+        this.materials.post.uniforms.uToneMapping.value = this.toneMappingModes[mode];
+    }
+    
+    setExposure(exposure) {
+        this.materials.post.uniforms.uExposure.value = Utils.clamp(Number(exposure) || 1, 0.1, 8);
+    }
+    
+    // Applied per frame to the pass that writes the screen (see draw)
+    setDither(enabled) {
+        this.dither = Boolean(enabled);
+    }
+    
+    // =========================================
+    // QUALITY
+    // =========================================
+    
+    getQuality() {
+        return this.fixedSize ? this.fullQuality : this.quality;
+    }
+    
+    /**
+     * Apply a quality tier: { resolution (0-1 render scale), blurTaps, particles (0-1 of
+     * the count), rings (ring count factor) }. Missing keys keep their value.
+     */
+    setQuality(quality = {}) {
+        const resolution = this.quality.resolution;
+        Object.keys(this.fullQuality).forEach((key) => {
+            if (Number.isFinite(quality[key])) this.quality[key] = quality[key];
+        });
+        if (this.quality.resolution !== resolution) {
+            this.handleResize();
+        } else {
+            this.applyQuality();
+        }
+    }
+    
+    // Blur taps + particle count; resolution and rings are read where they're used
+    applyQuality() {
+        const quality = this.getQuality();
+        this.postChain?.setBlurTaps(quality.blurTaps);
+        if (this.particles) {
+            const count = this.particles.geometry.attributes.position.count;
+            this.particles.geometry.setDrawRange(0, Math.round(count * Utils.clamp(quality.particles, 0, 1)));
+        }
+    }
+    
     // =========================================
     // START FADE CONTROL
     // =========================================
@@ -800,20 +1112,58 @@ class VisualEngine {
     // RESIZE HANDLING
     // =========================================
     
+    /**
+     * Render at an exact pixel size independent of the window (offline renders).
+     * The canvas keeps its on-screen CSS size, so the output is just scaled for preview.
+     */
+    setFixedSize(width, height) {
+        this.fixedSize = { width: Math.round(width), height: Math.round(height) };
+        this.handleResize();
+    }
+    
+    clearFixedSize() {
+        this.fixedSize = null;
+        this.handleResize();
+    }
+    
+    /**
+     * Render x by y windows' worth of pixels (this window shows a slice, see DisplaySpan)
+     */
+    setSpanScale(x, y) {
+        this.spanScale = { x: Math.max(1, x), y: Math.max(1, y) };
+        this.handleResize();
+    }
+    
     handleResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        if (!this.renderer) return;
+        
+        const windowWidth = this.fixedSize ? this.fixedSize.width : window.innerWidth;
+        const windowHeight = this.fixedSize ? this.fixedSize.height : window.innerHeight;
+        const pixelRatio = this.fixedSize ? 1 : CONFIG.performance.pixelRatio;
         
         // Update renderer - use device pixel ratio for sharpness
-        this.renderer.setSize(width, height, true);
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(windowWidth, windowHeight, !this.fixedSize);
         
-        // Update render targets
-        const pixelWidth = Math.floor(width * CONFIG.performance.pixelRatio);
-        const pixelHeight = Math.floor(height * CONFIG.performance.pixelRatio);
+        // A spanned render covers all windows (offline renders never span)
+        const span = this.fixedSize ? { x: 1, y: 1 } : this.spanScale;
+        const width = windowWidth * span.x;
+        const height = windowHeight * span.y;
+        
+        // Offline renders switch to full quality and back
+        this.applyQuality();
+        
+        // Update render targets (scaled down on lower quality tiers, the post pass upsamples)
+        const scale = this.getQuality().resolution;
+        const pixelWidth = Math.max(1, Math.floor(width * pixelRatio * scale));
+        const pixelHeight = Math.max(1, Math.floor(height * pixelRatio * scale));
         
         Object.values(this.renderTargets).forEach(target => {
             target.setSize(pixelWidth, pixelHeight);
         });
+        this.postChain?.setSize(pixelWidth, pixelHeight);
+        this.effectStack?.setSize(pixelWidth, pixelHeight);
+        this.projection?.setSize(pixelWidth, pixelHeight);
         
         // Update resolution uniforms with actual dimensions
         const resolution = new THREE.Vector2(width, height);
@@ -822,6 +1172,9 @@ class VisualEngine {
         this.materials.post.uniforms.uResolution.value = resolution;
         
         // Update particle camera
+        if (this.particles) {
+            this.particles.material.uniforms.uPixelRatio.value = pixelRatio;
+        }
         if (this.particleCamera) {
             this.particleCamera.aspect = width / height;
             this.particleCamera.updateProjectionMatrix();
@@ -839,6 +1192,9 @@ class VisualEngine {
         Object.values(this.renderTargets).forEach(target => {
             target.dispose();
         });
+        this.postChain?.dispose();
+        this.effectStack?.dispose();
+        this.projection?.dispose();
         
         // Dispose materials
         Object.values(this.materials).forEach(material => {